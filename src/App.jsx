@@ -17,6 +17,9 @@
 // distortion (sum/difference tones between partials). This is
 // what gives the pad its FM-like shimmer and harmonic density.
 //
+// All of that is src/engine.js (createEngine) — no React in it. This
+// file is the UI: it drives the engine's API and mirrors its events.
+//
 // ─── PLANETARY CHARACTER ──────────────────────────────────
 //
 // Each sign inherits its ruling planet's sonic personality:
@@ -34,25 +37,31 @@
 //
 // ─── FX CHAIN (configurable — see tuning.js CHAINS) ──────
 //
-// Active default: "Zodiac"
+// Active default: "Zodiac" (ACTIVE_CHAIN). Chain pills in the Controls
+// veil crossfade to the new order live — see setChain in engine.js.
 //   sumBus → Vibrato → Echo(CrossFade) → EQ3 → Chebyshev
 //     → [Distortion] → Freeverb → Chorus → [Phaser]
 //     → MonitorEQ → tanh soft clip → destination
 //
+// Every panner also taps a reverb send bus and an echo send bus at
+// per-sign levels (SIGN_SENDS). Chains with `sends` (e.g. Orbit) take
+// reverb/echo out of the serial path and feed them from those buses;
+// the MIX knobs then drive the return gains (eng.mix).
+//
 // ─── ADAPTIVE VOICING ─────────────────────────────────────
 //
 // Polyphonic gain compensation: boost = 5 × log10(12 / active).
 // 12 voices = 0dB, 6 = +1.5dB, 3 = +3dB, 1 = +5.4dB.
-// Applied in toggleSign (before triggerAttack) and breathe.
+// Applied by the engine on every noteOn/noteOff/releaseAll.
 // Stacks with OCTAVE_GAIN (Fletcher-Munson).
 // NOT applied in randomize (chaotic by design).
 //
 // ─── STATE MODEL ────────────────────────────────────────────
 //
-// engineRef      — Tone.js audio graph, created on first interaction.
+// engineRef      — createEngine() (engine.js), made on first interaction.
 //                  Null until user clicks (browser autoplay policy).
 // activeSigns    — Set<string> of currently sounding sign names.
-// params         — Object of 35 direct knob values. Each knob maps
+// params         — Object of 39 direct knob values. Each knob maps
 //                  1:1 to an engine parameter via KNOB_MAP. Shadow
 //                  mode temporarily overrides FX params; when Shadow
 //                  disengages, param values are restored.
@@ -61,6 +70,10 @@
 //                  null → 0. When 0–7, all synths share that OSC_TYPES entry.
 // shadow         — Boolean. Shadow/Eclipse mode active. Ramps FX
 //                  params toward chaos targets over rampTime seconds.
+// chain          — CHAINS key currently wired. Starts at ACTIVE_CHAIN.
+// profile        — Merged tuning profile (profiles.js): base tuning.js
+//                  or a src/presets/* module. Supplies TUNING, SHADOW,
+//                  CHAINS and LISTEN_PRESETS values at runtime.
 //
 // ─── CONTROLS ───────────────────────────────────────────────
 //
@@ -76,10 +89,61 @@
 //                  opens the Controls veil (knobs, listen, randomize).
 //                  Discoverable, not advertised.
 // Listen pills   — Monitor EQ presets for different playback devices.
-// Knobs          — 35 direct SVG arc knobs, grouped by function.
+// Profile pills  — Load a tuning profile. Knobs jump to its TUNING and
+//                  its ACTIVE_CHAIN is wired; a different sampleRate
+//                  rebuilds the engine (voices stop).
+// Chain pills    — Live FX chain switch. Crossfades to the new chain;
+//                  voices carry on and the old chain's tails ring out.
+// Knobs          — 39 direct SVG arc knobs, grouped by function.
 //                  Each maps 1:1 to an engine parameter. Double-click
 //                  resets to default. Shift+drag for fine control.
 //                  Envelope knobs apply per-sign multipliers.
+// History        — Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z redoes knob
+//                  edits (history.js); a drag or Randomize is one step.
+//                  The History list jumps to any earlier state.
+// Modulation     — Four LFOs (sine/triangle/random walk/S&H, Hz or
+//                  Transport-synced) routed to any knob with a bipolar
+//                  depth (modulation.js). Saved in snapshots.
+// Randomize      — Rolls knobs (randomize.js). Alt-click a knob to lock
+//                  it; amount < 100% jitters around current values;
+//                  the group pill limits it to one KNOB_GROUPS group;
+//                  "safe" keeps known-bad combinations in check.
+// Library        — Named patches in IndexedDB (patchLibrary.js): save,
+//                  tag, favorite, rename, duplicate, delete, fuzzy
+//                  search; Export/Import the whole library as JSON.
+// Morph          — Slots A and B take the current knobs (set) or a
+//                  snapshot from the clipboard (paste); the slider
+//                  interpolates every knob between them (morph.js) and
+//                  glide sweeps it to the far end over N seconds.
+// Link           — Copies a URL whose fragment packs the patch
+//                  (patchUrl.js); "natal" adds both charts' birth data.
+// Snapshot       — Save/Copy write the sound state as JSON, stamped
+//                  with SNAPSHOT_VERSION; Load/Paste migrate older files
+//                  (snapshotSchema.js), validate, and restore it.
+// MIDI           — Web MIDI input (midiInput.js): pitch class picks the
+//                  sign, velocity scales its cfg.vel. Latch toggles like
+//                  a click; hold releases on note-off. Device + channel.
+//                  Right-click (long-press) a knob to learn a CC
+//                  (midiLearn.js): absolute, soft takeover or relative;
+//                  kept in localStorage, Export/Import as JSON.
+//                  Output (midiOutput.js) mirrors every attack/release
+//                  to a MIDI out, detune as pitch bend or per-voice MPE.
+// Keyboard       — A W S E D F T G Y H U J play the signs C…B
+//                  (keyboardShortcuts.js); Space play/pause, K eclipse,
+//                  B breathe, 1–4 listen presets, ? lists them all.
+// Render         — Bounces the sounding signs (or the natal sweep) to a
+//                  16/24-bit WAV: same graph in Tone.Offline, release
+//                  after N seconds plus the tails (render.js).
+// Record         — Realtime take of the output after softClip
+//                  (recorder.js), optional dry bank A/B stems; shows
+//                  elapsed time + level, downloads on stop.
+// Automation     — Records knob moves, key toggles, Eclipse and Breathe
+//                  against the Transport as lanes (automation.js);
+//                  play/loop/trim/scale/delete lane, saved in snapshots.
+// Scripting      — window.__selekta (devtools, userscripts) plays and
+//                  releases signs, sets/ramps knobs, loads snapshots,
+//                  switches chain, Eclipse and osc type, and subscribes
+//                  to note/param events (scripting.js).
 // Natal Chart    — Enter birth data, indicators appear reactively.
 //                  Click keys to play.
 //
@@ -92,7 +156,6 @@ import React, {
   useEffect,
   useMemo,
 } from "react";
-let Tone = null;
 let _horoscopeModule = null;
 async function getHoroscope() {
   if (!_horoscopeModule) {
@@ -101,17 +164,12 @@ async function getHoroscope() {
   return _horoscopeModule;
 }
 import {
-  TUNING,
-  SHADOW,
   KNOB_DEFS,
   KNOB_GROUPS,
   CHAINS,
   ACTIVE_CHAIN,
   LISTEN_PRESETS,
   OSC_TYPES,
-  OCTAVE_GAIN,
-  PLANETARY_CHARACTER,
-  SIGN_RULERS,
   CHART_A_COLOR,
   CHART_B_COLOR,
   BODY_GLYPHS,
@@ -119,6 +177,7 @@ import {
 import {
   hexToRgb,
   rgbToHex,
+  capitalize,
   formatValue,
   logMap,
   stepMap,
@@ -131,6 +190,120 @@ import {
   KNOB_START,
   KNOB_SWEEP,
 } from "./utils";
+import {
+  LIMITER,
+  slotsFromChain,
+  chainFromSlots,
+  canBypass,
+  moveSlot,
+  insertSlot,
+  removeSlot,
+  toggleBypass,
+  unusedNodes,
+} from "./chainEditor";
+import { describeChainIssues } from "./chainValidation";
+import { parseSnapshot, describeSnapshotIssues } from "./snapshot";
+import { SNAPSHOT_VERSION } from "./snapshotSchema";
+import { encodePatch, decodePatch, patchFromHash, patchHash } from "./patchUrl";
+import {
+  openLibraryStore,
+  createEntry,
+  overwriteEntry,
+  renameEntry,
+  setEntryTags,
+  toggleFavorite,
+  duplicateEntry,
+  searchLibrary,
+  exportLibrary,
+  parseLibrary,
+  mergeImport,
+} from "./patchLibrary";
+import {
+  MORPH_GLIDE,
+  MORPH_TICK_MS,
+  morphKnobs,
+  glidePosition,
+  morphSlot,
+} from "./morph";
+import {
+  EMPTY_HISTORY,
+  pushEdit,
+  canUndo,
+  canRedo,
+  undo,
+  redo,
+  jumpTo,
+} from "./history";
+import { randomizeKnobs } from "./randomize";
+import { PIANO_CODES, SHORTCUTS, shortcutFor, isTypingTarget } from "./keyboardShortcuts";
+import {
+  CC_MODES,
+  knobForControl,
+  learnBinding,
+  setBindingMode,
+  removeBinding,
+  controlValue,
+  exportMidiMap,
+  parseMidiMap,
+  loadMidiMap,
+  saveMidiMap,
+} from "./midiLearn";
+import {
+  MIDI_MODES,
+  MIDI_ALL_INPUTS,
+  MIDI_OMNI,
+  DEFAULT_MIDI_SETTINGS,
+  requestMidiAccess,
+  createMidiInput,
+} from "./midiInput";
+import {
+  MIDI_BEND_MODES,
+  DEFAULT_MIDI_OUT_SETTINGS,
+  listMidiOutputs,
+  createMidiOutput,
+} from "./midiOutput";
+import {
+  LFO_SHAPES,
+  SYNC_DIVISIONS,
+  MOD_RATE_MIN,
+  MOD_RATE_MAX,
+  DEFAULT_MODULATION,
+  INITIAL_LFO_STATE,
+  stepLfo,
+  modOffsets,
+  modulatedValue,
+} from "./modulation";
+import { RENDER_BIT_DEPTHS, RENDER_MAX_SECONDS, encodeWav } from "./render";
+import { formatElapsed, recordingFileName, createSessionRecorder } from "./recorder";
+import {
+  EMPTY_TAKE,
+  signLane,
+  laneSign,
+  laneKind,
+  laneLabel,
+  buildTake,
+  takeEvents,
+  takeLaneCount,
+  trimTake,
+  scaleTake,
+  deleteLane,
+} from "./automation";
+import {
+  PROFILE_KEYS,
+  BASE_TUNING_PROFILE,
+  profileLabel,
+  profileKnobs,
+  loadProfile,
+} from "./profiles";
+import {
+  Tone,
+  SIGNS,
+  SIGN_CHARACTER,
+  createEngine,
+  createEmitter,
+  renderOffline,
+} from "./engine";
+import { SCRIPT_EVENTS, createScriptingApi } from "./scripting";
 
 // ─── Font Constants ───────────────────────────────────────────
 const FONTS = {
@@ -139,175 +312,9 @@ const FONTS = {
   mono: "'SF Mono', 'Fira Code', 'Cascadia Code', monospace",
 };
 
-// 12 zodiac signs — chromatic mapping C through B.
-// Each carries: note class, microtonal detune from 12-TET (cents),
-// octave, velocity (mix weight), glyph, fixed stereo base,
-// pan group, osc count, osc spread.
-// Octave spread: dim7 partitioning — C/Eb/Gb/A in oct 3, D/F/Ab/B in oct 4,
-// Db/E/G/Bb in oct 5. No semitone adjacencies within any octave.
-// Velocity: luminary-ruled signs (Leo/Cancer) lead, personal planet signs mid,
-// social planet signs (Jupiter/Saturn) form the harmonic bed.
-// Detune: Cousto planetary frequencies at 50% strength — authentic color
-// without quarter-tone shock. Signs sharing a ruler share the same offset.
-const SIGNS = {
-  Aquarius: {
-    octave: 3,
-    vel: 0.33,
-    glyph: "\u2652\uFE0E",
-    note: "C",
-    detuneCents: 6, // Saturn ×0.5
-    panBase: -0.7,
-    panGroup: "A",
-    oscCount: 2,
-    oscSpread: 5,
-  },
-  Pisces: {
-    octave: 5,
-    vel: 0.38,
-    glyph: "\u2653\uFE0E",
-    note: "Db",
-    detuneCents: -6.5, // Jupiter ×0.5
-    panBase: 0.65,
-    panGroup: "D",
-    oscCount: 3,
-    oscSpread: 12,
-  },
-  Aries: {
-    octave: 4,
-    vel: 0.52,
-    glyph: "\u2648\uFE0E",
-    note: "D",
-    detuneCents: -12.5, // Mars ×0.5
-    panBase: -0.4,
-    panGroup: "B",
-    oscCount: 2,
-    oscSpread: 8,
-  },
-  Taurus: {
-    octave: 3,
-    vel: 0.5,
-    glyph: "\u2649\uFE0E",
-    note: "Eb",
-    detuneCents: 5, // Venus ×0.5
-    panBase: 0.55,
-    panGroup: "C",
-    oscCount: 2,
-    oscSpread: 5,
-  },
-  Gemini: {
-    octave: 5,
-    vel: 0.48,
-    glyph: "\u264A\uFE0E",
-    note: "E",
-    detuneCents: 16.5, // Mercury ×0.5
-    panBase: -0.3,
-    panGroup: "B",
-    oscCount: 3,
-    oscSpread: 12,
-  },
-  Cancer: {
-    octave: 4,
-    vel: 0.6,
-    glyph: "\u264B\uFE0E",
-    note: "F",
-    detuneCents: 11.5, // Moon ×0.5
-    panBase: 0.7,
-    panGroup: "D",
-    oscCount: 2,
-    oscSpread: 8,
-  },
-  Leo: {
-    octave: 3,
-    vel: 0.65,
-    glyph: "\u264C\uFE0E",
-    note: "Gb",
-    detuneCents: 19, // Sun ×0.5
-    panBase: 0.1,
-    panGroup: "B",
-    oscCount: 2,
-    oscSpread: 5,
-  },
-  Virgo: {
-    octave: 5,
-    vel: 0.45,
-    glyph: "\u264D\uFE0E",
-    note: "G",
-    detuneCents: 16.5, // Mercury ×0.5
-    panBase: -0.6,
-    panGroup: "A",
-    oscCount: 3,
-    oscSpread: 12,
-  },
-  Libra: {
-    octave: 4,
-    vel: 0.47,
-    glyph: "\u264E\uFE0E",
-    note: "Ab",
-    detuneCents: 5, // Venus ×0.5
-    panBase: 0.35,
-    panGroup: "C",
-    oscCount: 2,
-    oscSpread: 8,
-  },
-  Scorpio: {
-    octave: 3,
-    vel: 0.48,
-    glyph: "\u264F\uFE0E",
-    note: "A",
-    detuneCents: -12.5, // Mars ×0.5
-    panBase: -0.2,
-    panGroup: "C",
-    oscCount: 2,
-    oscSpread: 5,
-  },
-  Sagittarius: {
-    octave: 5,
-    vel: 0.4,
-    glyph: "\u2650\uFE0E",
-    note: "Bb",
-    detuneCents: -6.5, // Jupiter ×0.5
-    panBase: 0.15,
-    panGroup: "D",
-    oscCount: 3,
-    oscSpread: 12,
-  },
-  Capricorn: {
-    octave: 4,
-    vel: 0.35,
-    glyph: "\u2651\uFE0E",
-    note: "B",
-    detuneCents: 6, // Saturn ×0.5
-    panBase: -0.55,
-    panGroup: "A",
-    oscCount: 2,
-    oscSpread: 8,
-  },
-};
-
-// Merge planetary character into sign config — all engine code reads from this.
-const SIGN_CHARACTER = Object.fromEntries(
-  Object.entries(SIGNS).map(([name, cfg]) => [
-    name,
-    { ...cfg, ...PLANETARY_CHARACTER[SIGN_RULERS[name]] },
-  ]),
-);
-
 const STYLE_CHART_A = { color: CHART_A_COLOR };
 const STYLE_CHART_B = { color: CHART_B_COLOR };
 
-// Adaptive voicing: boost gain when fewer voices are active.
-// Formula: 5 × log10(12 / totalActive) dB
-// totalActive = countA + countB across both synth banks.
-function applyAdaptiveVoicing(eng, totalActive) {
-  const boost =
-    totalActive > 0 ? 5 * Math.log10(12 / Math.max(1, totalActive)) : 0;
-  for (const name of SIGN_NAMES) {
-    const vol = -9 + (OCTAVE_GAIN[SIGN_CHARACTER[name].octave] || 0) + boost;
-    eng.synths[name].set({ volume: vol });
-    if (eng.synthsB) eng.synthsB[name].set({ volume: vol });
-  }
-}
-
 const SIGN_COLORS = {
   Aquarius: ["#3f575a", "#688a8d", "#95bbbe", "#d0ecf0", "#0c0c0c"],
   Pisces: ["#657ba5", "#7495bf", "#4e5d74", "#779ebf", "#0c0c0c"],
@@ -347,277 +354,6 @@ const DETECTED_LISTEN_PRESET = (() => {
 })();
 // OSC_TYPES imported from tuning.js — 8 types cycled by Breathe
 
-// ─── Knob Mapping ────────────────────────────────────────────
-
-// Helper: apply a function to both A and B synth banks
-function forBothBanks(eng, fn) {
-  fn(eng.synths, eng.oscTypeTracker, eng.spreadTracker);
-  if (eng.synthsB) fn(eng.synthsB, eng.oscTypeTrackerB, eng.spreadTrackerB);
-}
-
-const KNOB_MAP = {
-  // Oscillator internals
-  harmonicity: {
-    apply: (eng, v) => {
-      forBothBanks(eng, (synths, oscTypes) => {
-        for (const name of SIGN_NAMES) {
-          const t = oscTypes[name];
-          if (t.startsWith("am") || t.startsWith("fm")) {
-            synths[name].set({ oscillator: { harmonicity: v } });
-          }
-        }
-      });
-    },
-  },
-  modulationIndex: {
-    apply: (eng, v) => {
-      forBothBanks(eng, (synths, oscTypes) => {
-        for (const name of SIGN_NAMES) {
-          if (oscTypes[name].startsWith("fm")) {
-            synths[name].set({ oscillator: { modulationIndex: v } });
-          }
-        }
-      });
-    },
-  },
-  oscSpread: {
-    apply: (eng, v) => {
-      forBothBanks(eng, (synths, oscTypes, spreadTrk) => {
-        for (const name of SIGN_NAMES) {
-          if (oscTypes[name].startsWith("fat")) {
-            synths[name].set({ oscillator: { spread: v } });
-            spreadTrk[name] = v;
-          }
-        }
-      });
-    },
-  },
-  stagger: {
-    apply: () => {}, // read from paramsRef at playback time
-  },
-  // Voice
-  attack: {
-    apply: (eng, v) => {
-      forBothBanks(eng, (synths) => {
-        for (const name of SIGN_NAMES) {
-          synths[name].set({ envelope: { attack: v * SIGN_CHARACTER[name].attackMul } });
-        }
-      });
-    },
-  },
-  decay: {
-    apply: (eng, v) => {
-      forBothBanks(eng, (synths) => {
-        for (const name of SIGN_NAMES) {
-          synths[name].set({ envelope: { decay: v * SIGN_CHARACTER[name].decayMul } });
-        }
-      });
-    },
-  },
-  sustain: {
-    apply: (eng, v) => {
-      forBothBanks(eng, (synths) => {
-        for (const name of SIGN_NAMES) {
-          synths[name].set({
-            envelope: {
-              sustain: Math.min(1, v * SIGN_CHARACTER[name].sustainMul),
-            },
-          });
-        }
-      });
-    },
-  },
-  release: {
-    apply: (eng, v) => {
-      forBothBanks(eng, (synths) => {
-        for (const name of SIGN_NAMES) {
-          synths[name].set({ envelope: { release: v * SIGN_CHARACTER[name].releaseMul } });
-        }
-      });
-    },
-  },
-  // Grit
-  chebyWet: {
-    apply: (eng, v) => {
-      eng.fx.chebyshev.wet.value = v;
-    },
-  },
-  chebyOrder: {
-    apply: (eng, v) => {
-      eng.fx.chebyshev.order = v;
-    },
-  },
-  // EQ
-  eqHigh: {
-    apply: (eng, v) => {
-      eng.fx.eq3.high.value = v;
-    },
-  },
-  eqMid: {
-    apply: (eng, v) => {
-      eng.fx.eq3.mid.value = v;
-    },
-  },
-  eqLow: {
-    apply: (eng, v) => {
-      eng.fx.eq3.low.value = v;
-    },
-  },
-  // Vibrato
-  vibratoFreq: {
-    apply: (eng, v) => {
-      eng.fx.vibrato.frequency.value = v;
-    },
-  },
-  vibratoDepth: {
-    apply: (eng, v) => {
-      eng.fx.vibrato.depth.value = v;
-    },
-  },
-  vibratoWet: {
-    apply: (eng, v) => {
-      eng.fx.vibrato.wet.value = v;
-    },
-  },
-  // Delay (all ramped — prevents Doppler artifacts + feedback runaway)
-  delayTime: {
-    apply: (eng, v) => {
-      const p = eng.fx.echoDelay.delayTime;
-      p.cancelAndHoldAtTime(Tone.now());
-      p.rampTo(v, 0.15);
-    },
-  },
-  delayFeedback: {
-    apply: (eng, v) => {
-      const p = eng.fx.echoFeedbackGain.gain;
-      p.cancelAndHoldAtTime(Tone.now());
-      p.rampTo(v, 0.08);
-    },
-  },
-  delayWet: {
-    apply: (eng, v) => {
-      const p = eng.fx.echoCrossfade.fade;
-      p.cancelAndHoldAtTime(Tone.now());
-      p.rampTo(v, 0.08);
-    },
-  },
-  echoFilterFreq: {
-    apply: (eng, v) => {
-      const p = eng.fx.echoFilter.frequency;
-      p.cancelAndHoldAtTime(Tone.now());
-      p.rampTo(v, 0.1);
-    },
-  },
-  // Reverb
-  reverbRoom: {
-    apply: (eng, v) => {
-      eng.fx.reverb.roomSize.value = v;
-    },
-  },
-  reverbDamp: {
-    apply: (eng, v) => {
-      eng.fx.reverb.dampening = v;
-      eng.fx.dampSweep.center = v;
-    },
-  },
-  reverbWet: {
-    apply: (eng, v) => {
-      eng.fx.reverb.wet.value = v;
-    },
-  },
-  dampSweepRate: {
-    apply: (eng, v) => {
-      eng.fx.dampSweep.rate = v;
-    },
-  },
-  dampSweepDepth: {
-    apply: (eng, v) => {
-      eng.fx.dampSweep.depth = v;
-    },
-  },
-  // Space
-  panLfoFreq: {
-    apply: (eng, v) => {
-      Object.values(eng.panLfos).forEach((l) => {
-        l.frequency.value = v;
-      });
-    },
-  },
-  panLfoAmplitude: {
-    apply: (eng, v) => {
-      Object.values(eng.panLfos).forEach((l) => {
-        l.amplitude.value = v;
-      });
-    },
-  },
-  // Phase
-  phaserFreq: {
-    apply: (eng, v) => {
-      eng.fx.phaser.frequency.value = v;
-    },
-  },
-  phaserOctaves: {
-    apply: (eng, v) => {
-      eng.fx.phaser.octaves = v;
-    },
-  },
-  phaserBase: {
-    apply: (eng, v) => {
-      eng.fx.phaser.baseFrequency = v;
-    },
-  },
-  phaserQ: {
-    apply: (eng, v) => {
-      eng.fx.phaser.Q.value = v;
-    },
-  },
-  phaserWet: {
-    apply: (eng, v) => {
-      eng.fx.phaser.wet.value = v;
-      eng.setBypass("phaser", v === 0);
-    },
-  },
-  // Chorus
-  chorusWet: {
-    apply: (eng, v) => {
-      eng.fx.chorus.wet.value = v;
-    },
-  },
-  chorusFreq: {
-    apply: (eng, v) => {
-      eng.fx.chorus.frequency.value = v;
-    },
-  },
-  chorusDelay: {
-    apply: (eng, v) => {
-      eng.fx.chorus.delayTime = v;
-    },
-  },
-  chorusDepth: {
-    apply: (eng, v) => {
-      eng.fx.chorus.depth = v;
-    },
-  },
-  // Saturate
-  distortion: {
-    apply: (eng, v) => {
-      eng.fx.distortion.distortion = v;
-    },
-  },
-  distortionWet: {
-    apply: (eng, v) => {
-      eng.fx.distortion.wet.value = v;
-      eng.setBypass("distortion", v === 0);
-    },
-  },
-  // EQ high frequency
-  eqHighFreq: {
-    apply: (eng, v) => {
-      eng.fx.eq3.highFrequency.value = v;
-    },
-  },
-};
-
 const knobScaleProps = Object.fromEntries(
   Object.entries(KNOB_DEFS).map(([name, def]) => [
     name,
@@ -631,6 +367,10 @@ const knobScaleProps = Object.fromEntries(
 
 // ─── SVG Arc Knob Component ──────────────────────────────────
 
+const RECORD_METER_MS = 100; // elapsed/level refresh while recording
+const KNOB_LONG_PRESS_MS = 600;
+const MIDI_EDIT_IDLE_MS = 400;
+
 const Knob = React.memo(function Knob({
   label,
   value,
@@ -639,10 +379,18 @@ const Knob = React.memo(function Knob({
   max,
   format,
   onChange,
+  onEditStart,
+  onEditEnd,
+  locked,
+  onToggleLock,
+  learning,
+  midiBinding,
+  onLearn,
   mapToNorm,
   mapFromNorm,
 }) {
   const dragRef = useRef(null);
+  const longPressRef = useRef(null); // timer id while a touch may become a long-press, "fired" after
 
   const norm = mapToNorm ? mapToNorm(value) : (value - min) / (max - min);
   const clampedNorm = Math.max(0, Math.min(1, norm));
@@ -656,10 +404,29 @@ const Knob = React.memo(function Knob({
 
   const onPointerDown = useCallback(
     (e) => {
+      // Alt-click pins the knob for Randomize instead of dragging it
+      if (e.altKey && onToggleLock) {
+        e.preventDefault();
+        onToggleLock();
+        return;
+      }
+      // Right button is MIDI learn (onContextMenu), not a drag
+      if (e.button !== 0) return;
       e.target.setPointerCapture(e.pointerId);
       dragRef.current = { startY: e.clientY, startNorm: normRef.current };
+      onEditStart?.();
+      // Long-press is the touch stand-in for right-click → MIDI learn
+      if (e.pointerType === "touch" && onLearn) {
+        clearTimeout(longPressRef.current);
+        longPressRef.current = setTimeout(() => {
+          longPressRef.current = "fired";
+          dragRef.current = null;
+          onEditEnd?.();
+          onLearn();
+        }, KNOB_LONG_PRESS_MS);
+      }
     },
-    [],
+    [onEditStart, onEditEnd, onToggleLock, onLearn],
   );
 
   const onPointerMove = useCallback(
@@ -667,6 +434,7 @@ const Knob = React.memo(function Knob({
       if (!dragRef.current) return;
       const sensitivity = e.shiftKey ? 0.0005 : 0.003;
       const dy = dragRef.current.startY - e.clientY;
+      if (Math.abs(dy) > 6 && longPressRef.current !== "fired") clearTimeout(longPressRef.current);
       const newNorm = Math.max(
         0,
         Math.min(1, dragRef.current.startNorm + dy * sensitivity),
@@ -680,16 +448,51 @@ const Knob = React.memo(function Knob({
   );
 
   const onPointerUp = useCallback(() => {
+    if (longPressRef.current !== "fired") clearTimeout(longPressRef.current);
+    if (!dragRef.current) return;
     dragRef.current = null;
-  }, []);
+    onEditEnd?.();
+  }, [onEditEnd]);
 
   const onDoubleClick = useCallback(() => {
+    onEditStart?.("reset");
     onChange(defaultValue);
-  }, [defaultValue, onChange]);
+    onEditEnd?.();
+  }, [defaultValue, onChange, onEditStart, onEditEnd]);
+
+  // Android fires contextmenu on long-press too — don't learn twice
+  const onContextMenu = useCallback(
+    (e) => {
+      if (!onLearn) return;
+      e.preventDefault();
+      if (longPressRef.current === "fired") {
+        longPressRef.current = null;
+        return;
+      }
+      clearTimeout(longPressRef.current);
+      onLearn();
+    },
+    [onLearn],
+  );
+
+  const title = learning
+    ? "Move a MIDI control — right-click again to cancel"
+    : midiBinding
+      ? `MIDI ch ${midiBinding.channel} CC ${midiBinding.cc} (${midiBinding.mode})`
+      : locked
+        ? "Locked — alt-click to unlock"
+        : undefined;
 
   return (
-    <div className="cel-knob">
-      <span className="cel-knob-label">{label}</span>
+    <div
+      className={`cel-knob${locked ? " cel-knob-locked" : ""}${learning ? " cel-knob-learning" : ""}${
+        midiBinding ? " cel-knob-mapped" : ""
+      }`}
+    >
+      <span className="cel-knob-label" title={title}>
+        {locked && "\u25CF "}
+        {label}
+      </span>
       <svg
         width="56"
         height="56"
@@ -697,7 +500,9 @@ const Knob = React.memo(function Knob({
         onPointerDown={onPointerDown}
         onPointerMove={onPointerMove}
         onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
         onDoubleClick={onDoubleClick}
+        onContextMenu={onContextMenu}
       >
         <path
           d={KNOB_TRACK_PATH}
@@ -727,439 +532,805 @@ const Knob = React.memo(function Knob({
   );
 });
 
-// ─── Audio Engine Factory ────────────────────────────────────
-
-let _enginePromise = null; // creation lock — prevents duplicate contexts
-
-async function createEngine() {
-  Tone = await import("tone");
-  const yield_ = () => new Promise(r => setTimeout(r, 0));
-  // iOS: route through media channel — bypasses mute switch (iOS 17+)
-  if ("audioSession" in navigator) {
-    navigator.audioSession.type = "playback";
-  }
-
-  const ctx = new Tone.Context({
-    latencyHint: "playback",
-    sampleRate: TUNING.sampleRate,
-    lookAhead: 0.3,
-    updateInterval: 0.025,
-  });
-  Tone.setContext(ctx);
-  await Tone.start();
-  // Belt-and-suspenders: wait for the raw AudioContext to actually resume
-  if (ctx.rawContext.state !== "running") {
-    await ctx.rawContext.resume();
-  }
-
-  // ─── Diagnostic: AudioContext state tracking ───
-  _diag.ctx = ctx;
-  _diag.audioInfo = {
-    baseLatency: ctx.rawContext.baseLatency ?? null,
-    outputLatency: ctx.rawContext.outputLatency ?? null,
-    bufferSize: ctx.rawContext.baseLatency != null
-      ? Math.round(ctx.rawContext.baseLatency * ctx.rawContext.sampleRate)
-      : null,
-    sampleRate: ctx.rawContext.sampleRate,
-  };
-  _diag.ctxStateLog.push({ state: ctx.rawContext.state, time: performance.now() });
-  ctx.rawContext.addEventListener('statechange', () => {
-    _diag.ctxStateLog.push({ state: ctx.rawContext.state, time: performance.now() });
-    if (ctx.rawContext.state !== 'running')
-      console.warn(`[selekta] AudioContext → ${ctx.rawContext.state}`);
-  });
+// ─── Custom Chain Editor ─────────────────────────────────────
+// Drag slots to reorder, drag pool chips in, drag slots back to the pool
+// to drop them. softClip is pinned last and ECHO can't leave the chain.
+// "byp" marks a node bypassable between its in-order neighbours.
 
-  // iOS: silent keepalive prevents context suspension on lock/background.
-  // Pre-iOS 17 fallback for mute switch bypass (inaudible at 1e-37 gain).
-  const keepAlive = ctx.rawContext.createOscillator();
-  const muteGain = ctx.rawContext.createGain();
-  muteGain.gain.value = 1e-37;
-  keepAlive.connect(muteGain);
-  muteGain.connect(ctx.rawContext.destination);
-  keepAlive.start();
-  await yield_();
-
-  // ─── FX chain (constructed before synths so panners have a target) ───
-
-  const chebyshev = new Tone.Chebyshev(TUNING.chebyOrder);
-  chebyshev.wet.value = TUNING.chebyWet;
-  chebyshev.oversample = "none";
-
-  const eq3 = new Tone.EQ3({
-    high: TUNING.eqHigh,
-    mid: TUNING.eqMid,
-    low: TUNING.eqLow,
-    highFrequency: TUNING.eqHighFreq,
-  });
+// The custom chain is user state; every other key reads the profile's CHAINS.
+const resolveChain = (key, custom, chains = CHAINS) =>
+  key === "custom" ? custom : chains[key];
 
-  const vibrato = new Tone.Vibrato({
-    frequency: TUNING.vibratoFreq,
-    depth: TUNING.vibratoDepth,
-  });
-  vibrato.wet.value = TUNING.vibratoWet;
+const ChainEditor = React.memo(function ChainEditor({ config, onChange }) {
+  const slots = useMemo(() => slotsFromChain(config), [config]);
+  const dragRef = useRef(null); // { from: index } | { name: poolNode }
 
-  // ─── Custom echo loop (filter + saturation in feedback path) ───
-  const echoDelay = new Tone.Delay({
-    delayTime: TUNING.delayTime,
-    maxDelay: 2,
-  });
-  const echoFeedbackGain = new Tone.Gain(TUNING.delayFeedback);
-  const echoFilter = new Tone.Filter({
-    frequency: TUNING.echoFilterFreq,
-    type: "lowpass",
-    rolloff: -12,
-  });
-  const echoSat = new Tone.WaveShaper(
-    (v) => Math.tanh(v * TUNING.echoSatDrive),
-    1024,
-  );
-  const echoCrossfade = new Tone.CrossFade(TUNING.delayWet);
-  const echoInputGain = new Tone.Gain(TUNING.echoInputGain);
-
-  // Feedback loop: delay out → filter → saturator → gain → delay in
-  echoDelay.connect(echoFilter);
-  echoFilter.connect(echoSat);
-  echoSat.connect(echoFeedbackGain);
-  echoFeedbackGain.connect(echoDelay);
-
-  const reverb = new Tone.Freeverb({
-    roomSize: TUNING.reverbRoom,
-    dampening: TUNING.reverbDamp,
-  });
-  reverb.wet.value = TUNING.reverbWet;
-
-  const reverbPreDelay = new Tone.Delay({ delayTime: 0.025, maxDelay: 0.1 });
-  reverbPreDelay.connect(reverb);
-
-  // Damp sweep — sinusoidal modulation of reverb dampening.
-  // Sweeps the comb filter cutoff for evolving resonance morphing.
-  // depth=0 disables. At depth=1, sweeps full range around center.
-  const dampSweep = {
-    rate: TUNING.dampSweepRate,
-    depth: TUNING.dampSweepDepth,
-    center: TUNING.reverbDamp,
-    _phase: 0,
-    _eventId: null,
-    start() {
-      if (this._eventId !== null) this.stop();
-      if (Tone.Transport.state !== "started") Tone.Transport.start();
-      const tickSec = 0.05;
-      this._eventId = Tone.Transport.scheduleRepeat(() => {
-        if (this.depth <= 0) return;
-        this._phase += 2 * Math.PI * this.rate * tickSec;
-        if (this._phase > 2 * Math.PI) this._phase -= 2 * Math.PI;
-        const mod = Math.sin(this._phase);
-        const logCenter = Math.log(this.center);
-        const logRange = this.depth * 2.5;
-        const val = Math.exp(logCenter + mod * logRange);
-        reverb.dampening = Math.max(200, Math.min(8000, val));
-      }, tickSec);
+  const commit = useCallback(
+    (next) => {
+      if (next !== slots) onChange(chainFromSlots(next));
     },
-    stop() {
-      if (this._eventId !== null) {
-        Tone.Transport.clear(this._eventId);
-        this._eventId = null;
-      }
+    [slots, onChange],
+  );
+
+  const onDropAt = useCallback(
+    (e, at) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const d = dragRef.current;
+      dragRef.current = null;
+      if (!d) return;
+      if (d.name) commit(insertSlot(slots, d.name, at));
+      else commit(moveSlot(slots, d.from, Math.min(at, slots.length - 1)));
     },
-  };
-  dampSweep.start();
-
-  const monitorEQ = new Tone.EQ3({
-    low: 0,
-    mid: 0,
-    high: 0,
-    lowFrequency: TUNING.monitorLowFreq,
-    highFrequency: TUNING.monitorHighFreq,
-  });
+    [slots, commit],
+  );
 
-  const phaser = new Tone.Phaser({
-    frequency: TUNING.phaserFreq,
-    octaves: TUNING.phaserOctaves,
-    baseFrequency: TUNING.phaserBase,
-    Q: TUNING.phaserQ,
-  });
-  phaser.wet.value = TUNING.phaserWet;
+  const onDropPool = useCallback(
+    (e) => {
+      e.preventDefault();
+      const d = dragRef.current;
+      dragRef.current = null;
+      if (d && d.from != null) commit(removeSlot(slots, d.from));
+    },
+    [slots, commit],
+  );
 
-  const chorus = new Tone.Chorus({
-    frequency: TUNING.chorusFreq,
-    delayTime: TUNING.chorusDelay,
-    depth: TUNING.chorusDepth,
-  });
-  chorus.wet.value = TUNING.chorusWet;
+  const allowDrop = (e) => e.preventDefault();
 
-  const distortion = new Tone.Distortion({
-    distortion: TUNING.distortion,
-    oversample: "none",
-  });
-  distortion.wet.value = TUNING.distortionWet;
+  return (
+    <div className="cel-chain-editor">
+      <ol className="cel-chain-slots">
+        {slots.map((slot, i) => (
+          <li
+            key={slot.name}
+            draggable
+            className={`cel-chain-slot${slot.bypass ? " cel-chain-slot-bypass" : ""}`}
+            onDragStart={() => {
+              dragRef.current = { from: i };
+            }}
+            onDragOver={allowDrop}
+            onDrop={(e) => onDropAt(e, i)}
+          >
+            <button
+              type="button"
+              className="cel-chain-slot-btn"
+              disabled={i === 0}
+              onClick={() => commit(moveSlot(slots, i, i - 1))}
+              aria-label={`Move ${slot.name} earlier`}
+            >
+              {"\u2191"}
+            </button>
+            <span className="cel-chain-slot-name">{slot.name}</span>
+            <button
+              type="button"
+              className={`cel-chain-slot-btn${slot.bypass ? " cel-chain-slot-btn-on" : ""}`}
+              disabled={!slot.bypass && !canBypass(slots, i)}
+              onClick={() => commit(toggleBypass(slots, i))}
+              title="Bypassable — starts disconnected, inserted when its mix is above 0"
+            >
+              byp
+            </button>
+            <button
+              type="button"
+              className="cel-chain-slot-btn"
+              disabled={slot.name === "ECHO"}
+              onClick={() => commit(removeSlot(slots, i))}
+              aria-label={`Remove ${slot.name}`}
+            >
+              {"\u00D7"}
+            </button>
+          </li>
+        ))}
+        <li
+          className="cel-chain-slot cel-chain-slot-pinned"
+          onDragOver={allowDrop}
+          onDrop={(e) => onDropAt(e, slots.length)}
+        >
+          <span className="cel-chain-slot-name">{LIMITER}</span>
+        </li>
+      </ol>
+      <div
+        className="cel-chain-pool"
+        onDragOver={allowDrop}
+        onDrop={onDropPool}
+      >
+        {unusedNodes(slots).map((name) => (
+          <button
+            key={name}
+            type="button"
+            draggable
+            className="cel-listen-pill"
+            onDragStart={() => {
+              dragRef.current = { name };
+            }}
+            onClick={() => commit(insertSlot(slots, name))}
+          >
+            + {name}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+});
 
-  // tanh soft clip — preserves Freeverb resonant peaks that Limiter(-1) killed
-  const softClip = new Tone.WaveShaper((val) => Math.tanh(val), 4096);
-  softClip.oversample = "none";
+// ─── Patch Library ───────────────────────────────────────────
+// Save form, search box and the list of saved patches. Clicking a name
+// loads it; "ren" and clicking the tags edit in place (Enter saves,
+// Escape cancels). All writes go through the App handlers.
+
+const PatchLibrary = React.memo(function PatchLibrary({
+  entries,
+  active,
+  onSave,
+  onLoad,
+  onUpdate,
+  onDelete,
+  onDuplicate,
+  onExport,
+  onImport,
+}) {
+  const [name, setName] = useState(active?.name ?? "");
+  const [tags, setTags] = useState("");
+  const [query, setQuery] = useState("");
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, field: "name" | "tags" }
+  const cancelRef = useRef(false);
+  const importRef = useRef(null);
+
+  // Loading or renaming the active patch refills the name field
+  const [seenName, setSeenName] = useState(active?.name);
+  if (active?.name !== seenName) {
+    setSeenName(active?.name);
+    setName(active?.name ?? "");
+  }
 
-  // Summing bus — all panners feed here so voices intermodulate through Chebyshev
-  const sumBus = new Tone.Gain(1);
+  const results = useMemo(
+    () => searchLibrary(entries, query, { favoritesOnly }),
+    [entries, query, favoritesOnly],
+  );
 
-  const highpass = new Tone.Filter({
-    frequency: TUNING.highpassFreq,
-    type: "highpass",
-    rolloff: TUNING.highpassRolloff,
-  });
-  sumBus.connect(highpass);
-
-  // ─── Chain builder ───
-  function wireChain(src, nodes, config) {
-    const { order, bypass } = config;
-    let prev = src;
-    for (const name of order) {
-      if (name === "ECHO") {
-        prev.connect(nodes.echoCrossfade.a);
-        prev.connect(nodes.echoInputGain);
-        nodes.echoInputGain.connect(nodes.echoDelay);
-        nodes.echoDelay.connect(nodes.echoCrossfade.b);
-        prev = nodes.echoCrossfade;
-      } else {
-        prev.connect(nodes[name]);
-        prev = nodes[name];
-      }
+  const finishEdit = (entry, value) => {
+    const { field } = editing;
+    setEditing(null);
+    if (cancelRef.current) {
+      cancelRef.current = false;
+      return;
     }
-    prev.toDestination();
-
-    const bypassState = {};
-    const bypassable = {};
-    for (const [name, cfg] of Object.entries(bypass)) {
-      bypassState[name] = true;
-      bypassable[name] = {
-        node: nodes[name],
-        prev: nodes[cfg.after],
-        next: nodes[cfg.before],
-      };
-    }
-    return { bypassState, bypassable };
-  }
-
-  const chainNodes = {
-    chebyshev,
-    eq3,
-    vibrato,
-    reverb: reverbPreDelay, // chain sees this as "reverb" node, pre-delay feeds actual reverb
-    chorus,
-    monitorEQ,
-    softClip,
-    phaser,
-    distortion,
-    echoCrossfade,
-    echoDelay,
-    echoInputGain,
+    const next =
+      field === "name" ? renameEntry(entry, value) : setEntryTags(entry, value);
+    if (next !== entry) onUpdate(next);
   };
-  await yield_();
-  const { bypassState, bypassable } = wireChain(
-    highpass,
-    chainNodes,
-    CHAINS[ACTIVE_CHAIN],
-  );
 
-  function setBypass(name, bypassed) {
-    if (bypassState[name] === bypassed) return;
-    const b = bypassable[name];
-    try {
-      if (bypassed) {
-        if (b.node.wet) {
-          b.node.wet.rampTo(0, 0.05);
-          setTimeout(() => {
-            try {
-              b.prev.disconnect(b.node);
-              b.node.disconnect(b.next);
-              b.prev.connect(b.next);
-            } catch (e) {
-              /* ignore */
-            }
-          }, 60);
-        } else {
-          b.prev.disconnect(b.node);
-          b.node.disconnect(b.next);
-          b.prev.connect(b.next);
-        }
-      } else {
-        b.prev.disconnect(b.next);
-        b.prev.connect(b.node);
-        b.node.connect(b.next);
-        if (b.node.wet) b.node.wet.rampTo(b.node.wet.value || 1, 0.05);
-      }
-      bypassState[name] = bypassed;
-    } catch (e) {
-      /* ignore */
+  const editKeys = (e) => {
+    if (e.key === "Enter") e.currentTarget.blur();
+    else if (e.key === "Escape") {
+      cancelRef.current = true;
+      e.currentTarget.blur();
     }
-  }
-
-  // ─── Per-sign synths + panners ──────────────────────────
-
-  const synths = {};
-  const panners = {};
-  const spreadTracker = {};
-
-  Object.entries(SIGN_CHARACTER).forEach(([name, cfg]) => {
-    const panner = new Tone.Panner(cfg.panBase);
-    const synth = new Tone.PolySynth(Tone.Synth, {
-      maxPolyphony: 1,
-      voice: Tone.Synth,
-      options: {
-        oscillator: {
-          type: cfg.oscType,
-          ...(cfg.oscType.startsWith("fat")
-            ? { count: cfg.oscCount, spread: cfg.oscSpread }
-            : {}),
-        },
-        envelope: {
-          attack: TUNING.attack * cfg.attackMul,
-          decay: TUNING.decay * cfg.decayMul,
-          sustain: Math.min(1, TUNING.sustain * cfg.sustainMul),
-          release: TUNING.release * cfg.releaseMul,
-        },
-        volume: -9 + (OCTAVE_GAIN[cfg.octave] || 0),
-      },
-    });
-    synth.set({ detune: cfg.detuneCents });
-    synth.connect(panner);
-    panner.connect(sumBus);
-    synths[name] = synth;
-    panners[name] = panner;
-    spreadTracker[name] = cfg.oscSpread;
-  });
-  await yield_();
-
-  const oscTypeTracker = Object.fromEntries(
-    Object.entries(SIGN_CHARACTER).map(([name, cfg]) => [name, cfg.oscType]),
-  );
-
-  const detuneTracker = Object.fromEntries(
-    Object.keys(SIGN_CHARACTER).map((s) => [s, SIGN_CHARACTER[s].detuneCents]),
-  );
+  };
 
-  // ─── Chart B synth bank — same per-sign oscTypes, mirrored pan ──
-  const synthsB = {};
-  const pannersB = {};
-  const spreadTrackerB = {};
-
-  Object.entries(SIGN_CHARACTER).forEach(([name, cfg]) => {
-    const pannerB = new Tone.Panner(-cfg.panBase * 0.3);
-    const synthB = new Tone.PolySynth(Tone.Synth, {
-      maxPolyphony: 1,
-      voice: Tone.Synth,
-      options: {
-        oscillator: {
-          type: cfg.oscType,
-          ...(cfg.oscType.startsWith("fat")
-            ? { count: cfg.oscCount, spread: cfg.oscSpread }
-            : {}),
-        },
-        envelope: {
-          attack: TUNING.attack * cfg.attackMul,
-          decay: TUNING.decay * cfg.decayMul,
-          sustain: Math.min(1, TUNING.sustain * cfg.sustainMul),
-          release: TUNING.release * cfg.releaseMul,
-        },
-        volume: -9 + (OCTAVE_GAIN[cfg.octave] || 0),
-      },
-    });
-    synthB.set({ detune: cfg.detuneCents });
-    synthB.connect(pannerB);
-    pannerB.connect(sumBus);
-    synthsB[name] = synthB;
-    pannersB[name] = pannerB;
-    spreadTrackerB[name] = cfg.oscSpread;
-  });
+  const isEditing = (entry, field) =>
+    editing?.id === entry.id && editing.field === field;
 
-  const oscTypeTrackerB = Object.fromEntries(
-    Object.entries(SIGN_CHARACTER).map(([name, cfg]) => [name, cfg.oscType]),
+  return (
+    <div className="cel-library">
+      <form
+        className="cel-library-row"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (!name.trim()) return;
+          onSave(name, tags);
+          setTags("");
+        }}
+      >
+        <input
+          className="cel-library-field"
+          placeholder="patch name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <input
+          className="cel-library-field"
+          placeholder="mood tags, comma separated"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+        />
+        <button type="submit" className="cel-chain-slot-btn" disabled={!name.trim()}>
+          save
+        </button>
+      </form>
+      <div className="cel-library-row">
+        <input
+          type="search"
+          className="cel-library-field"
+          placeholder="search names and tags"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <button
+          type="button"
+          className={`cel-chain-slot-btn${favoritesOnly ? " cel-chain-slot-btn-on" : ""}`}
+          onClick={() => setFavoritesOnly((v) => !v)}
+          aria-pressed={favoritesOnly}
+          title="Favorites only"
+        >
+          {"\u2605"}
+        </button>
+      </div>
+      <ul className="cel-library-list">
+        {results.map((entry) => (
+          <li
+            key={entry.id}
+            className={`cel-library-entry${entry.id === active?.id ? " cel-library-active" : ""}`}
+          >
+            <button
+              type="button"
+              className={`cel-chain-slot-btn${entry.favorite ? " cel-chain-slot-btn-on" : ""}`}
+              onClick={() => onUpdate(toggleFavorite(entry))}
+              aria-label={`${entry.favorite ? "Unfavorite" : "Favorite"} ${entry.name}`}
+            >
+              {entry.favorite ? "\u2605" : "\u2606"}
+            </button>
+            <span className="cel-library-main">
+              {isEditing(entry, "name") ? (
+                <input
+                  className="cel-library-field"
+                  autoFocus
+                  defaultValue={entry.name}
+                  onKeyDown={editKeys}
+                  onBlur={(e) => finishEdit(entry, e.target.value)}
+                />
+              ) : (
+                <button
+                  type="button"
+                  className="cel-library-name"
+                  onClick={() => onLoad(entry)}
+                  title="Load"
+                >
+                  {entry.name}
+                </button>
+              )}
+              {isEditing(entry, "tags") ? (
+                <input
+                  className="cel-library-field"
+                  autoFocus
+                  defaultValue={entry.tags.join(", ")}
+                  onKeyDown={editKeys}
+                  onBlur={(e) => finishEdit(entry, e.target.value)}
+                />
+              ) : (
+                <button
+                  type="button"
+                  className="cel-library-tags"
+                  onClick={() => setEditing({ id: entry.id, field: "tags" })}
+                  title="Edit tags"
+                >
+                  {entry.tags.length ? entry.tags.join(" \u00B7 ") : "+ tags"}
+                </button>
+              )}
+            </span>
+            <button
+              type="button"
+              className="cel-chain-slot-btn"
+              onClick={() => setEditing({ id: entry.id, field: "name" })}
+              aria-label={`Rename ${entry.name}`}
+            >
+              ren
+            </button>
+            <button
+              type="button"
+              className="cel-chain-slot-btn"
+              onClick={() => onDuplicate(entry)}
+              aria-label={`Duplicate ${entry.name}`}
+            >
+              dup
+            </button>
+            <button
+              type="button"
+              className="cel-chain-slot-btn"
+              onClick={() => onDelete(entry)}
+              aria-label={`Delete ${entry.name}`}
+            >
+              {"\u00D7"}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {!results.length && (
+        <p className="cel-library-empty">
+          {entries.length ? "No matches" : "No saved patches yet"}
+        </p>
+      )}
+      <div className="cel-library-row cel-library-io">
+        <button type="button" className="cel-listen-pill" onClick={onExport} disabled={!entries.length}>
+          Export library
+        </button>
+        <button type="button" className="cel-listen-pill" onClick={() => importRef.current?.click()}>
+          Import library
+        </button>
+        <input
+          ref={importRef}
+          type="file"
+          accept="application/json,.json"
+          className="cel-snapshot-input"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) onImport(file);
+          }}
+        />
+      </div>
+    </div>
   );
+});
 
-  const detuneTrackerB = Object.fromEntries(
-    Object.keys(SIGN_CHARACTER).map((s) => [s, SIGN_CHARACTER[s].detuneCents]),
-  );
+// ─── Modulation Matrix ───────────────────────────────────────
+// LFO settings on top, routings below. Depth is in the target knob's
+// normalized travel, so ±0.25 swings any knob a quarter of its arc.
 
-  // ─── Group LFOs — one per panGroup, drift all panners in that group ──
+const GROUP_LABELS = Object.fromEntries(KNOB_GROUPS.map((g) => [g.key, g.label]));
+const MOD_TARGETS = KNOB_GROUPS.flatMap((g) =>
+  Object.entries(KNOB_DEFS)
+    .filter(([, def]) => def.group === g.key)
+    .map(([name, def]) => ({ name, label: `${GROUP_LABELS[def.group]} ${def.label}` })),
+);
 
-  const panLfos = {};
-  ["A", "B", "C", "D"].forEach((group) => {
-    const lfo = new Tone.LFO({ frequency: TUNING.panLfoFreq, min: -1, max: 1 });
-    lfo.amplitude.value = TUNING.panLfoAmplitude;
-    lfo.start();
-    Object.entries(SIGN_CHARACTER).forEach(([name, cfg]) => {
-      if (cfg.panGroup === group) lfo.connect(panners[name].pan);
+const ModMatrix = React.memo(function ModMatrix({ config, onChange }) {
+  const setLfo = (i, patch) =>
+    onChange({
+      ...config,
+      lfos: config.lfos.map((l, j) => (j === i ? { ...l, ...patch } : l)),
+    });
+  const setRouting = (i, patch) =>
+    onChange({
+      ...config,
+      routings: config.routings.map((r, j) => (j === i ? { ...r, ...patch } : r)),
     });
-    panLfos[group] = lfo;
-  });
-
-  return {
-    synths,
-    panners,
-    panLfos,
-    spreadTracker,
-    detuneTracker,
-    oscTypeTracker,
-    synthsB,
-    pannersB,
-    spreadTrackerB,
-    detuneTrackerB,
-    oscTypeTrackerB,
-    setBypass,
-    fx: {
-      reverb,
-      echoDelay,
-      echoFeedbackGain,
-      echoFilter,
-      echoSat,
-      echoCrossfade,
-      echoInputGain,
-      chorus,
-      vibrato,
-      chebyshev,
-      eq3,
-      monitorEQ,
-      phaser,
-      distortion,
-      dampSweep,
-    },
-    dispose() {
-      dampSweep.stop();
-      Object.values(synths).forEach((s) => s.dispose());
-      Object.values(panners).forEach((p) => p.dispose());
-      Object.values(synthsB).forEach((s) => s.dispose());
-      Object.values(pannersB).forEach((p) => p.dispose());
-      Object.values(panLfos).forEach((l) => l.dispose());
-      [
-        sumBus,
-        highpass,
-        chebyshev,
-        distortion,
-        eq3,
-        vibrato,
-        echoDelay,
-        echoFeedbackGain,
-        echoFilter,
-        echoSat,
-        echoCrossfade,
-        echoInputGain,
-        chorus,
-        reverbPreDelay,
-        reverb,
-        phaser,
-        monitorEQ,
-        softClip,
-      ].forEach((n) => n.dispose());
-    },
-  };
-}
-
-// ─── Component ───────────────────────────────────────────────
 
-// Reusable gradient data pool — avoids per-frame heap allocation in rAF loop
-const _GRAD_POOL = Array.from({ length: 24 }, () => ({
-  sign: '', cx: 0, cy: 0, r: 0, g: 0, b: 0, alpha: 0, falloff: 0,
-}));
-let _gradCount = 0;
-let _prevLevelSum = -1;
+  return (
+    <div className="cel-mod">
+      {config.lfos.map((lfo, i) => (
+        <div key={i} className="cel-library-row cel-mod-lfo">
+          <span className="cel-mod-label">LFO {i + 1}</span>
+          <select
+            className="cel-library-field"
+            value={lfo.shape}
+            onChange={(e) => setLfo(i, { shape: e.target.value })}
+          >
+            {LFO_SHAPES.map((shape) => (
+              <option key={shape} value={shape}>{shape}</option>
+            ))}
+          </select>
+          <select
+            className="cel-library-field"
+            value={lfo.sync ?? ""}
+            onChange={(e) => setLfo(i, { sync: e.target.value || null })}
+            aria-label={`LFO ${i + 1} sync`}
+          >
+            <option value="">Hz</option>
+            {Object.keys(SYNC_DIVISIONS).map((d) => (
+              <option key={d} value={d}>{d}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            className="cel-library-field cel-morph-seconds"
+            min={MOD_RATE_MIN}
+            max={MOD_RATE_MAX}
+            step="0.01"
+            value={lfo.rate}
+            disabled={!!lfo.sync}
+            onChange={(e) => {
+              const v = Number(e.target.value);
+              if (Number.isFinite(v)) {
+                setLfo(i, { rate: Math.min(MOD_RATE_MAX, Math.max(MOD_RATE_MIN, v)) });
+              }
+            }}
+            aria-label={`LFO ${i + 1} rate (Hz)`}
+          />
+        </div>
+      ))}
+      <ul className="cel-library-list">
+        {config.routings.map((r, i) => (
+          <li key={i} className="cel-library-entry">
+            <select
+              className="cel-library-field"
+              value={r.lfo}
+              onChange={(e) => setRouting(i, { lfo: Number(e.target.value) })}
+              aria-label="Source LFO"
+            >
+              {config.lfos.map((_, j) => (
+                <option key={j} value={j}>LFO {j + 1}</option>
+              ))}
+            </select>
+            <select
+              className="cel-library-field"
+              value={r.target}
+              onChange={(e) => setRouting(i, { target: e.target.value })}
+              aria-label="Target knob"
+            >
+              {MOD_TARGETS.map((t) => (
+                <option key={t.name} value={t.name}>{t.label}</option>
+              ))}
+            </select>
+            <input
+              type="range"
+              min="-1"
+              max="1"
+              step="0.01"
+              value={r.depth}
+              onChange={(e) => setRouting(i, { depth: Number(e.target.value) })}
+              aria-label="Depth"
+            />
+            <span className="cel-mod-depth">
+              {r.depth > 0 ? "+" : ""}
+              {Math.round(r.depth * 100)}%
+            </span>
+            <button
+              type="button"
+              className="cel-chain-slot-btn"
+              onClick={() =>
+                onChange({ ...config, routings: config.routings.filter((_, j) => j !== i) })
+              }
+              aria-label="Remove routing"
+            >
+              {"\u00D7"}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="cel-library-row cel-library-io">
+        <button
+          type="button"
+          className="cel-listen-pill"
+          onClick={() =>
+            onChange({
+              ...config,
+              routings: [...config.routings, { lfo: 0, target: MOD_TARGETS[0].name, depth: 0.25 }],
+            })
+          }
+        >
+          + route
+        </button>
+      </div>
+    </div>
+  );
+});
+
+// ─── MIDI Panel ──────────────────────────────────────────────
+// Enable asks the browser for MIDI access; device, channel and mode
+// apply live (midiInput.js releases anything hold mode is sounding).
+// Below: the CC map from MIDI learn (midiLearn.js) — the pills pick the
+// mode new bindings get, each binding can change its own.
+
+const MIDI_CHANNELS = Array.from({ length: 16 }, (_, i) => i + 1);
+const KNOB_FULL_LABELS = Object.fromEntries(MOD_TARGETS.map((t) => [t.name, t.label]));
+const MIDI_BEND_TITLES = {
+  none: "No detune — plain 12-TET notes",
+  bend: "Detune as pitch bend on the output channel",
+  mpe: "MPE lower zone — each voice on its own channel with its own bend",
+};
+
+const MidiPanel = React.memo(function MidiPanel({
+  enabled,
+  devices,
+  settings,
+  onEnable,
+  onDisable,
+  onChange,
+  map,
+  learning,
+  learnMode,
+  onLearnMode,
+  onBindingMode,
+  onUnbind,
+  onExport,
+  onImport,
+  outputs,
+  outSettings,
+  onOutChange,
+}) {
+  const fileRef = useRef(null);
+  const bound = MOD_TARGETS.filter((t) => map[t.name]);
+
+  return (
+    <div className="cel-midi">
+      <div className="cel-library-row cel-midi-input">
+        <button
+          type="button"
+          className={`cel-chain-slot-btn${enabled ? " cel-chain-slot-btn-on" : ""}`}
+          onClick={enabled ? onDisable : onEnable}
+        >
+          {enabled ? "on" : "enable"}
+        </button>
+        <select
+          className="cel-library-field"
+          value={settings.deviceId}
+          disabled={!enabled}
+          onChange={(e) => onChange({ deviceId: e.target.value })}
+          aria-label="MIDI input"
+        >
+          <option value={MIDI_ALL_INPUTS}>all inputs</option>
+          {devices.map((d) => (
+            <option key={d.id} value={d.id}>{d.name}</option>
+          ))}
+        </select>
+        <select
+          className="cel-library-field"
+          value={settings.channel}
+          onChange={(e) => onChange({ channel: Number(e.target.value) })}
+          aria-label="MIDI channel"
+        >
+          <option value={MIDI_OMNI}>omni</option>
+          {MIDI_CHANNELS.map((ch) => (
+            <option key={ch} value={ch}>ch {ch}</option>
+          ))}
+        </select>
+        {MIDI_MODES.map((mode) => (
+          <button
+            key={mode}
+            type="button"
+            className={`cel-listen-pill${settings.mode === mode ? " cel-listen-active" : ""}`}
+            onClick={() => onChange({ mode })}
+          >
+            {mode}
+          </button>
+        ))}
+      </div>
+      <div className="cel-library-row cel-midi-input">
+        <span className="cel-mod-label">out</span>
+        <select
+          className="cel-library-field"
+          value={outSettings.deviceId}
+          disabled={!enabled}
+          onChange={(e) => onOutChange({ deviceId: e.target.value })}
+          aria-label="MIDI output"
+        >
+          <option value="">off</option>
+          {outputs.map((d) => (
+            <option key={d.id} value={d.id}>{d.name}</option>
+          ))}
+        </select>
+        <select
+          className="cel-library-field"
+          value={outSettings.channel}
+          disabled={outSettings.bendMode === "mpe"}
+          onChange={(e) => onOutChange({ channel: Number(e.target.value) })}
+          aria-label="MIDI output channel"
+        >
+          {MIDI_CHANNELS.map((ch) => (
+            <option key={ch} value={ch}>ch {ch}</option>
+          ))}
+        </select>
+        {MIDI_BEND_MODES.map((mode) => (
+          <button
+            key={mode}
+            type="button"
+            className={`cel-listen-pill${outSettings.bendMode === mode ? " cel-listen-active" : ""}`}
+            onClick={() => onOutChange({ bendMode: mode })}
+            title={MIDI_BEND_TITLES[mode]}
+          >
+            {mode}
+          </button>
+        ))}
+      </div>
+      <p className="cel-midi-hint">
+        {learning
+          ? `Move a control for ${KNOB_FULL_LABELS[learning]} \u2014 Esc cancels`
+          : "Right-click or long-press a knob to learn a CC"}
+      </p>
+      <div className="cel-listen cel-midi-learn-modes">
+        {CC_MODES.map((mode) => (
+          <button
+            key={mode}
+            type="button"
+            className={`cel-listen-pill${learnMode === mode ? " cel-listen-active" : ""}`}
+            onClick={() => onLearnMode(mode)}
+          >
+            {mode}
+          </button>
+        ))}
+      </div>
+      <ul className="cel-library-list">
+        {bound.map((t) => (
+          <li key={t.name} className="cel-library-entry">
+            <span className="cel-library-name">{t.label}</span>
+            <span className="cel-midi-cc">
+              ch {map[t.name].channel} cc {map[t.name].cc}
+            </span>
+            <select
+              className="cel-library-field"
+              value={map[t.name].mode}
+              onChange={(e) => onBindingMode(t.name, e.target.value)}
+              aria-label={`${t.label} CC mode`}
+            >
+              {CC_MODES.map((mode) => (
+                <option key={mode} value={mode}>{mode}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="cel-chain-slot-btn"
+              onClick={() => onUnbind(t.name)}
+              aria-label={`Unbind ${t.label}`}
+            >
+              {"\u00D7"}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="cel-library-row cel-library-io">
+        <button type="button" className="cel-listen-pill" onClick={onExport} disabled={!bound.length}>
+          Export
+        </button>
+        <button type="button" className="cel-listen-pill" onClick={() => fileRef.current?.click()}>
+          Import
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="cel-snapshot-input"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) onImport(file);
+          }}
+        />
+      </div>
+    </div>
+  );
+});
+
+// ─── Automation panel ──────────────────────────────────────────
+// Record / play a take, loop it, trim or stretch it, drop lanes.
+const AutomationPanel = React.memo(function AutomationPanel({
+  take,
+  mode,
+  onRecord,
+  onPlay,
+  onStop,
+  onChange,
+}) {
+  const [trim, setTrim] = useState({ start: 0, end: null });
+  const [factor, setFactor] = useState(1);
+  const end = trim.end ?? take.length;
+  const idle = mode === "idle";
+  const empty = takeLaneCount(take) === 0;
+
+  return (
+    <div className="cel-automation">
+      <div className="cel-library-row cel-render">
+        <button
+          type="button"
+          className={`cel-chain-slot-btn${mode === "recording" ? " cel-chain-slot-btn-on" : ""}`}
+          disabled={mode === "playing"}
+          onClick={mode === "recording" ? onStop : onRecord}
+        >
+          {mode === "recording" ? "stop" : "rec"}
+        </button>
+        <button
+          type="button"
+          className={`cel-chain-slot-btn${mode === "playing" ? " cel-chain-slot-btn-on" : ""}`}
+          disabled={mode === "recording" || empty}
+          onClick={mode === "playing" ? onStop : onPlay}
+        >
+          {mode === "playing" ? "stop" : "play"}
+        </button>
+        <label className="cel-share-natal">
+          <input
+            type="checkbox"
+            checked={take.loop}
+            disabled={!idle}
+            onChange={(e) => onChange({ ...take, loop: e.target.checked })}
+          />
+          loop
+        </label>
+        <span className="cel-mod-label">{take.length.toFixed(1)} s</span>
+      </div>
+      <div className="cel-library-row cel-render">
+        <input
+          type="number"
+          className="cel-library-field cel-morph-seconds"
+          min="0"
+          step="0.1"
+          value={trim.start}
+          onChange={(e) => setTrim({ ...trim, start: Math.max(0, Number(e.target.value) || 0) })}
+          aria-label="Trim start seconds"
+        />
+        {"\u2013"}
+        <input
+          type="number"
+          className="cel-library-field cel-morph-seconds"
+          min="0"
+          step="0.1"
+          value={end}
+          onChange={(e) => setTrim({ ...trim, end: Math.max(0, Number(e.target.value) || 0) })}
+          aria-label="Trim end seconds"
+        />
+        <button
+          type="button"
+          className="cel-chain-slot-btn"
+          disabled={!idle || empty}
+          onClick={() => {
+            onChange(trimTake(take, trim.start, end));
+            setTrim({ start: 0, end: null });
+          }}
+        >
+          trim
+        </button>
+        {"\u00D7"}
+        <input
+          type="number"
+          className="cel-library-field cel-morph-seconds"
+          min="0.1"
+          step="0.1"
+          value={factor}
+          onChange={(e) => setFactor(Math.max(0.1, Number(e.target.value) || 1))}
+          aria-label="Time scale"
+        />
+        <button
+          type="button"
+          className="cel-chain-slot-btn"
+          disabled={!idle || empty}
+          onClick={() => onChange(scaleTake(take, factor))}
+        >
+          scale
+        </button>
+      </div>
+      <ul className="cel-library-list">
+        {Object.entries(take.lanes).map(([lane, events]) => (
+          <li key={lane} className="cel-library-entry">
+            <span className="cel-library-name">{laneLabel(lane)}</span>
+            <span className="cel-mod-label">{events.length}</span>
+            <button
+              type="button"
+              className="cel-chain-slot-btn"
+              disabled={!idle}
+              onClick={() => onChange(deleteLane(take, lane))}
+              aria-label={`Delete ${laneLabel(lane)} lane`}
+            >
+              {"\u00D7"}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+});
+
+// ─── Audio Engine ────────────────────────────────────────────
+// The engine itself is src/engine.js; the component keeps one per page.
+
+let _enginePromise = null; // creation lock — prevents duplicate contexts
+
+// What window.__selekta.on() hears — every engine this page builds
+// forwards its SCRIPT_EVENTS here, so subscriptions outlive a rebuild.
+const _scriptEvents = createEmitter();
+
+// Audio-clock time → performance.now() milliseconds, the clock
+// MIDIOutput.send schedules on — keeps MIDI notes on the Tone timeline.
+const midiTime = (audioTime) =>
+  performance.now() + (audioTime - Tone.getContext().currentTime) * 1000;
+
+// Saves a Blob through a throwaway <a download>
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ─── Component ───────────────────────────────────────────────
+
+// Reusable gradient data pool — avoids per-frame heap allocation in rAF loop
+const _GRAD_POOL = Array.from({ length: 24 }, () => ({
+  sign: '', cx: 0, cy: 0, r: 0, g: 0, b: 0, alpha: 0, falloff: 0,
+}));
+let _gradCount = 0;
+let _prevLevelSum = -1;
 let _prevGradCount = -1;
 
 // Pre-built vsKey → sign lookup — avoids per-frame endsWith + slice string ops
@@ -1235,6 +1406,25 @@ if (typeof PerformanceObserver !== 'undefined') {
   } catch (_) {}
 }
 
+// createEngine's onContext hook — AudioContext state tracking
+function trackContext(ctx) {
+  _diag.ctx = ctx;
+  _diag.audioInfo = {
+    baseLatency: ctx.rawContext.baseLatency ?? null,
+    outputLatency: ctx.rawContext.outputLatency ?? null,
+    bufferSize: ctx.rawContext.baseLatency != null
+      ? Math.round(ctx.rawContext.baseLatency * ctx.rawContext.sampleRate)
+      : null,
+    sampleRate: ctx.rawContext.sampleRate,
+  };
+  _diag.ctxStateLog.push({ state: ctx.rawContext.state, time: performance.now() });
+  ctx.rawContext.addEventListener('statechange', () => {
+    _diag.ctxStateLog.push({ state: ctx.rawContext.state, time: performance.now() });
+    if (ctx.rawContext.state !== 'running')
+      console.warn(`[selekta] AudioContext → ${ctx.rawContext.state}`);
+  });
+}
+
 // ─── Platform detection ───────────────────────────────────────
 const _platform = (() => {
   if (typeof window === 'undefined') return {};
@@ -1388,13 +1578,44 @@ export default function App() {
   const [shadow, setShadow] = useState(false);
   const [oscIndex, setOscIndex] = useState(0);
   const [listenPreset, setListenPreset] = useState(DETECTED_LISTEN_PRESET);
-  const shadowIntervalsRef = useRef([]);
+  const [chain, setChain] = useState(ACTIVE_CHAIN);
+  const chainRef = useRef(ACTIVE_CHAIN);
+  const [customChain, setCustomChain] = useState(() =>
+    chainFromSlots(slotsFromChain(CHAINS.custom)),
+  );
+  const customChainRef = useRef(customChain);
+  const [chainNotice, setChainNotice] = useState("");
+  const [profile, setProfile] = useState(BASE_TUNING_PROFILE);
+  const profileRef = useRef(BASE_TUNING_PROFILE);
+  const [profileNotice, setProfileNotice] = useState("");
+  const [snapshotNotice, setSnapshotNotice] = useState("");
+  const [renderSeconds, setRenderSeconds] = useState(30);
+  const [renderBits, setRenderBits] = useState(24);
+  const [rendering, setRendering] = useState(false);
+  const [renderNotice, setRenderNotice] = useState("");
+  const [recording, setRecording] = useState(false);
+  const [recordStems, setRecordStems] = useState(false);
+  const [recordElapsed, setRecordElapsed] = useState(0);
+  const [recordLevel, setRecordLevel] = useState(0);
+  const recorderRef = useRef(null);
+  const recordTimerRef = useRef(null);
+  const [take, setTake] = useState(EMPTY_TAKE);
+  const takeRef = useRef(EMPTY_TAKE);
+  const [automationMode, setAutomationMode] = useState("idle"); // | "recording" | "playing"
+  const snapshotTimersRef = useRef([]);
+  const [morphSlots, setMorphSlots] = useState({ a: null, b: null });
+  const morphSlotsRef = useRef(morphSlots);
+  const [morphPos, setMorphPos] = useState(0);
+  const morphPosRef = useRef(0);
+  const [morphGlide, setMorphGlide] = useState(MORPH_GLIDE);
+  const [gliding, setGliding] = useState(false);
+  const glideTimerRef = useRef(null);
+  const snapshotInputRef = useRef(null);
   const visualStateRef = useRef({});
   const keyRefsRef = useRef({});
   const rootRef = useRef(null);
   const emanationRef = useRef(null);
   const shadowRef = useRef(false);
-  const pendingOscTypeRef = useRef(OSC_TYPES[0]);
   const activeOscTypeRef = useRef(OSC_TYPES[0]);
   const canvasCtxRef = useRef(null);
   const rafIdRef = useRef(null);
@@ -1425,6 +1646,25 @@ export default function App() {
   const [natalActivationsB, setNatalActivationsB] = useState({});
   const natalActivationsBRef = useRef({});
   const [copyFeedback, setCopyFeedback] = useState(false);
+  const [linkFeedback, setLinkFeedback] = useState(false);
+  const [library, setLibrary] = useState([]);
+  const [libraryNotice, setLibraryNotice] = useState("");
+  const [activePatch, setActivePatch] = useState(null); // { id, name } of the loaded library patch
+  const [shareNatal, setShareNatal] = useState(false);
+  const [midiOn, setMidiOn] = useState(false);
+  const [midiDevices, setMidiDevices] = useState([]);
+  const [midiSettings, setMidiSettings] = useState(DEFAULT_MIDI_SETTINGS);
+  const [midiNotice, setMidiNotice] = useState("");
+  const midiRef = useRef(null);
+  const [midiMap, setMidiMap] = useState(() => loadMidiMap());
+  const midiMapRef = useRef(midiMap);
+  const [learningKnob, setLearningKnob] = useState(null);
+  const learningKnobRef = useRef(null);
+  const [learnMode, setLearnMode] = useState("takeover");
+  const [midiOutputs, setMidiOutputs] = useState([]);
+  const [midiOutSettings, setMidiOutSettings] = useState(DEFAULT_MIDI_OUT_SETTINGS);
+  const midiAccessRef = useRef(null);
+  const midiOutRef = useRef(null); // createMidiOutput while an output is chosen
   const cityDebounceARef = useRef(null);
   const cityDebounceBRef = useRef(null);
   const cityGenARef = useRef(0);
@@ -1443,17 +1683,20 @@ export default function App() {
   const activeSignsARef = useRef(new Set());
   const activeSignsBRef = useRef(new Set());
 
-  const setParam = useCallback((name, value) => {
-    const p = paramsRef.current;
-    p[name] = value;
-    const eng = engineRef.current;
-    if (eng) KNOB_MAP[name]?.apply(eng, value);
+  // Automation capture — events land here, timed on the Transport, while
+  // a take is recording (see the Automation section below)
+  const automationRecRef = useRef(null); // { events, initial } | null
+  const automate = useCallback((lane, value) => {
+    automationRecRef.current?.events.push({ lane, time: Tone.Transport.seconds, value });
+  }, []);
 
+  // Knob values reach the screen at most every 50 ms, plus a trailing render
+  const renderParams = useCallback(() => {
     clearTimeout(trailingRenderRef.current);
     const now = performance.now();
     if (now - renderThrottleRef.current > 50) {
       renderThrottleRef.current = now;
-      setParams({ ...p });
+      setParams({ ...paramsRef.current });
     } else {
       trailingRenderRef.current = setTimeout(() => {
         setParams({ ...paramsRef.current });
@@ -1461,6 +1704,20 @@ export default function App() {
     }
   }, []);
 
+  // { render: false } leaves the render to the caller — for several knobs at once
+  const setParam = useCallback((name, value, { render = true } = {}) => {
+    paramsRef.current[name] = value;
+    engineRef.current?.setParam(name, value);
+    automate(name, value);
+    if (render) renderParams();
+  }, [automate, renderParams]);
+
+  // Knobs Eclipse is holding only update the value it restores on exit
+  const holdParam = useCallback((name, value) => {
+    paramsRef.current[name] = value;
+    engineRef.current?.setParam(name, value, { apply: false });
+  }, []);
+
   // Stable callbacks — one per param, never re-created
   const paramSetters = useMemo(
     () =>
@@ -1470,36 +1727,161 @@ export default function App() {
     [setParam],
   );
 
+  // ─── Edit history ──────────────────────────────────────────
+  // beginEdit snapshots the knobs, endEdit records what changed since as
+  // one entry — so a drag, a reset or a Randomize undo in one step.
+  // Undo/redo replay values through setParam (and so KNOB_MAP).
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const historyRef = useRef(EMPTY_HISTORY);
+  const editRef = useRef(null); // { label, before } while a gesture is open
+  const bulkDepthRef = useRef(0); // open bulkEdit flows
+
+  const beginEdit = useCallback((label) => {
+    if (!editRef.current) editRef.current = { label, before: { ...paramsRef.current } };
+  }, []);
+
+  const recordEdit = useCallback(() => {
+    const edit = editRef.current;
+    editRef.current = null;
+    if (!edit) return;
+    historyRef.current = pushEdit(historyRef.current, edit.label, edit.before, paramsRef.current);
+    setHistory(historyRef.current);
+  }, []);
+
+  // Inside a bulkEdit a gesture's end (or a MIDI idle timer) joins it
+  const endEdit = useCallback(() => {
+    if (!bulkDepthRef.current) recordEdit();
+  }, [recordEdit]);
+
+  // Snapshot loads and profile switches rewrite every knob over an async
+  // flow — one entry for all of it. Nested flows (a snapshot switching
+  // profile) join the outer one.
+  const bulkEdit = useCallback(
+    async (label, apply) => {
+      if (bulkDepthRef.current++ === 0) {
+        recordEdit();
+        beginEdit(label);
+      }
+      try {
+        return await apply();
+      } finally {
+        if (--bulkDepthRef.current === 0) recordEdit();
+      }
+    },
+    [beginEdit, recordEdit],
+  );
+
+  const knobEditHandlers = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(KNOB_DEFS).map(([name, def]) => [
+          name,
+          {
+            start: (kind) => beginEdit(kind === "reset" ? `${def.label} reset` : def.label),
+            end: endEdit,
+          },
+        ]),
+      ),
+    [beginEdit, endEdit],
+  );
+
+  const moveHistory = useCallback(
+    (step) => {
+      const move = step(historyRef.current);
+      if (!move) return;
+      historyRef.current = move.history;
+      setHistory(move.history);
+      for (const [name, v] of Object.entries(move.values)) setParam(name, v);
+    },
+    [setParam],
+  );
+
+  const undoEdit = useCallback(() => moveHistory(undo), [moveHistory]);
+  const redoEdit = useCallback(() => moveHistory(redo), [moveHistory]);
+  const jumpHistory = useCallback(
+    (index) => moveHistory((h) => jumpTo(h, index)),
+    [moveHistory],
+  );
+
+  // Text fields keep their own undo
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (isTypingTarget(e.target)) return;
+      e.preventDefault();
+      if (e.shiftKey) redoEdit();
+      else undoEdit();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undoEdit, redoEdit]);
+
+  // ─── Randomize ─────────────────────────────────────────────
+  const [lockedKnobs, setLockedKnobs] = useState(() => new Set());
+
+  // ─── Modulation ────────────────────────────────────────────
+  // The engine's modulation tick (ensureEngine) reads these refs; the
+  // knob positions in paramsRef stay the unmodulated base values.
+  const [modulation, setModulation] = useState(DEFAULT_MODULATION);
+  const modulationRef = useRef(DEFAULT_MODULATION);
+  const lfoStatesRef = useRef([]);
+  const modulatedRef = useRef([]); // knobs the last tick moved
+
+  const updateModulation = useCallback((next) => {
+    modulationRef.current = next;
+    setModulation(next);
+  }, []);
+  const [randomAmount, setRandomAmount] = useState(1);
+  const [randomGroup, setRandomGroup] = useState(null); // KNOB_GROUPS key, null = all
+  const [randomSafe, setRandomSafe] = useState(true);
+
+  const toggleKnobLock = useCallback((name) => {
+    setLockedKnobs((prev) => {
+      const next = new Set(prev);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+  }, []);
+
+  const knobLockHandlers = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.keys(KNOB_DEFS).map((name) => [name, () => toggleKnobLock(name)]),
+      ),
+    [toggleKnobLock],
+  );
+
   const randomizeParams = useCallback(() => {
-    const eng = engineRef.current;
-    const newParams = {};
-    for (const [name, def] of Object.entries(KNOB_DEFS)) {
-      const norm = Math.random();
-      const props =
-        def.scale === "log"
-          ? logMap(def.min, def.max)
-          : def.scale === "step"
-            ? stepMap(def.min, def.max)
-            : null;
-      const value = props
-        ? props.mapFromNorm(norm)
-        : def.min + norm * (def.max - def.min);
-      newParams[name] = value;
-      if (eng) KNOB_MAP[name]?.apply(eng, value);
+    const group = KNOB_GROUPS.find((g) => g.key === randomGroup);
+    beginEdit(group ? `Randomize ${group.label}` : "Randomize");
+    const newParams = randomizeKnobs(paramsRef.current, {
+      amount: randomAmount,
+      locked: lockedKnobs,
+      groups: group ? [group.key] : null,
+      safe: randomSafe,
+    });
+    // Through setParam, so a recording take gets every changed knob
+    for (const [name, value] of Object.entries(newParams)) {
+      if (value !== paramsRef.current[name]) setParam(name, value, { render: false });
     }
-    paramsRef.current = newParams;
-    setParams(newParams);
-  }, []);
+    setParams({ ...paramsRef.current });
+    endEdit();
+  }, [beginEdit, endEdit, setParam, randomAmount, lockedKnobs, randomGroup, randomSafe]);
 
   const buildSnapshot = useCallback(() => ({
-    meta: { name: "untitled", timestamp: new Date().toISOString(), version: "v12" },
-    chain: ACTIVE_CHAIN,
+    meta: { name: activePatch?.name ?? "untitled", timestamp: new Date().toISOString(), version: SNAPSHOT_VERSION },
+    profile: profile.key,
+    chain,
+    customChain,
     oscType: oscIndex === null ? "per-sign" : OSC_TYPES[oscIndex],
     signs: Object.fromEntries(SIGN_NAMES.map(s => [s, activeSignsARef.current.has(s)])),
     knobs: { ...paramsRef.current },
     listen: listenPreset,
     eclipse: shadow,
-  }), [oscIndex, listenPreset, shadow]);
+    modulation,
+    automation: take,
+  }), [activePatch, profile, chain, customChain, oscIndex, listenPreset, shadow, modulation, take]);
 
   const exportSnapshot = useCallback(() => {
     const snap = buildSnapshot();
@@ -1520,6 +1902,9 @@ export default function App() {
     });
   }, [buildSnapshot]);
 
+  // Double-click reset targets — the active profile's TUNING
+  const profileDefaults = useMemo(() => profileKnobs(profile), [profile]);
+
   // Pre-computed format functions — stable references for React.memo
   const formatFns = useMemo(
     () =>
@@ -1584,7 +1969,9 @@ export default function App() {
 
   useEffect(() => {
     return () => {
-      shadowIntervalsRef.current.forEach((id) => Tone.Transport.clear(id));
+      snapshotTimersRef.current.forEach(clearTimeout);
+      clearInterval(glideTimerRef.current);
+      clearInterval(recordTimerRef.current);
       if (engineRef.current) {
         engineRef.current.dispose();
         engineRef.current = null;
@@ -1950,17 +2337,82 @@ export default function App() {
     if (engineRef.current) return engineRef.current;
     // Serialize creation — all concurrent callers share one promise
     if (!_enginePromise) {
-      _enginePromise = createEngine().then((eng) => {
-        for (const [name, def] of Object.entries(KNOB_DEFS)) {
-          KNOB_MAP[name]?.apply(eng, def.default);
-        }
-        // Apply detected listen preset EQ
-        const lp = LISTEN_PRESETS[DETECTED_LISTEN_PRESET];
-        if (lp && eng.fx.monitorEQ) {
-          eng.fx.monitorEQ.low.value = lp.low;
-          eng.fx.monitorEQ.mid.value = lp.mid;
-          eng.fx.monitorEQ.high.value = lp.high;
+      const prof = profileRef.current;
+      _enginePromise = createEngine({
+        profile: prof,
+        chain: resolveChain(chainRef.current, customChainRef.current, prof.CHAINS),
+        params: paramsRef.current,
+        oscType: activeOscTypeRef.current ?? "per-sign",
+        listen: DETECTED_LISTEN_PRESET,
+        onContext: trackContext,
+      }).then((eng) => {
+        setChainNotice(
+          describeChainIssues(eng.chainReport, capitalize(chainRef.current)),
+        );
+        // The engine reports; the component mirrors voices into the key
+        // state and MIDI out, and Eclipse/Breathe into the UI.
+        eng.on("noteon", ({ sign, bank, note, octave, velocity, detuneCents, time }) => {
+          (bank === "B" ? activeSignsBRef : activeSignsARef).current.add(sign);
+          if (_diag.noteEvents.length >= 100) _diag.noteEvents.shift();
+          _diag.noteEvents.push({ type: "attack", sign, bank, time: performance.now() });
+          midiOutRef.current?.noteOn(
+            bank === "B" ? `${sign}_B` : sign,
+            { note, octave, velocity, cents: detuneCents },
+            midiTime(time),
+          );
+        });
+        eng.on("noteoff", ({ sign, bank, time }) => {
+          (bank === "B" ? activeSignsBRef : activeSignsARef).current.delete(sign);
+          if (_diag.noteEvents.length >= 100) _diag.noteEvents.shift();
+          _diag.noteEvents.push({ type: "release", sign, bank, time: performance.now() });
+          midiOutRef.current?.noteOff(bank === "B" ? `${sign}_B` : sign, midiTime(time));
+        });
+        eng.on("allnotesoff", () => {
+          activeSignsARef.current.clear();
+          activeSignsBRef.current.clear();
+          midiOutRef.current?.allOff();
+        });
+        eng.on("eclipse", ({ on }) => {
+          shadowRef.current = on;
+          setShadow(on);
+        });
+        eng.on("osctype", ({ type }) => {
+          activeOscTypeRef.current = type === "per-sign" ? null : type;
+          setOscIndex(type === "per-sign" ? null : OSC_TYPES.indexOf(type));
+        });
+        eng.on("chain", ({ report }) => {
+          setChainNotice(describeChainIssues(report, capitalize(chainRef.current)));
+        });
+        for (const type of SCRIPT_EVENTS) {
+          eng.on(type, (detail) => _scriptEvents.emit(type, detail));
         }
+        // Modulation matrix — a control sweep, like the damp sweep. A
+        // knob that loses its last routing is put back at its base value;
+        // knobs Eclipse is ramping are left to it.
+        eng.sweeper.control("modulation", (dt) => {
+          const mod = modulationRef.current;
+          const bpm = Tone.Transport.bpm.value;
+          lfoStatesRef.current = mod.lfos.map((lfo, i) =>
+            stepLfo(lfoStatesRef.current[i] ?? INITIAL_LFO_STATE, lfo, bpm, dt),
+          );
+          const held = shadowRef.current ? profileRef.current.SHADOW : {};
+          const offsets = modOffsets(
+            mod.routings.filter((r) => !(r.target in held)),
+            lfoStatesRef.current.map((st) => st.value),
+          );
+          for (const name of modulatedRef.current) {
+            if (!(name in offsets) && !(name in held)) {
+              eng.applyParam(name, paramsRef.current[name]);
+            }
+          }
+          for (const [name, offset] of Object.entries(offsets)) {
+            eng.applyParam(
+              name,
+              modulatedValue(KNOB_DEFS[name], paramsRef.current[name], offset),
+            );
+          }
+          modulatedRef.current = Object.keys(offsets);
+        });
         engineRef.current = eng;
         _diag.engine = eng;
         setStatus("ready");
@@ -1984,77 +2436,6 @@ export default function App() {
     return () => document.removeEventListener('pointerdown', warm, { capture: true });
   }, [ensureEngine]);
 
-  // Apply pending osc type from breathe — used in toggleSign
-  function applyPendingOscType(eng) {
-    const t = pendingOscTypeRef.current;
-    if (!t) return;
-    const p = paramsRef.current;
-    const applyToBank = (synths, oscTypes, spreadTrk) => {
-      if (t === "per-sign") {
-        for (const name of SIGN_NAMES) {
-          const sc = SIGN_CHARACTER[name];
-          synths[name].set({ oscillator: { type: sc.oscType } });
-          oscTypes[name] = sc.oscType;
-          if (sc.oscType.startsWith("fat")) {
-            synths[name].set({ oscillator: { count: sc.oscCount, spread: p.oscSpread } });
-            spreadTrk[name] = p.oscSpread;
-          }
-          if (sc.oscType.startsWith("am") || sc.oscType.startsWith("fm")) {
-            synths[name].set({ oscillator: { harmonicity: p.harmonicity } });
-          }
-          if (sc.oscType.startsWith("fm")) {
-            synths[name].set({ oscillator: { modulationIndex: p.modulationIndex } });
-          }
-        }
-      } else {
-        const isFat = t.startsWith("fat");
-        const isAMFM = t.startsWith("am") || t.startsWith("fm");
-        const isFM = t.startsWith("fm");
-        for (const name of SIGN_NAMES) {
-          synths[name].set({ oscillator: { type: t } });
-          oscTypes[name] = t;
-          if (isFat) {
-            synths[name].set({
-              oscillator: {
-                count: SIGN_CHARACTER[name].oscCount,
-                spread: p.oscSpread,
-              },
-            });
-            spreadTrk[name] = p.oscSpread;
-          }
-          if (isAMFM) {
-            synths[name].set({ oscillator: { harmonicity: p.harmonicity } });
-          }
-          if (isFM) {
-            synths[name].set({ oscillator: { modulationIndex: p.modulationIndex } });
-          }
-        }
-      }
-    };
-    applyToBank(eng.synths, eng.oscTypeTracker, eng.spreadTracker);
-    applyToBank(eng.synthsB, eng.oscTypeTrackerB, eng.spreadTrackerB);
-    pendingOscTypeRef.current = null;
-  }
-
-  // Restore spread + detune (Eclipse exit, Breathe shadow cleanup, toggleShadow exit)
-  function restoreSpreadAndDetune(eng) {
-    const spreadVal = paramsRef.current.oscSpread;
-    for (const name of SIGN_NAMES) {
-      const sc = SIGN_CHARACTER[name];
-      const signType = activeOscTypeRef.current ?? sc.oscType;
-      if (signType.startsWith("fat")) {
-        eng.synths[name].set({ oscillator: { spread: spreadVal } });
-        eng.spreadTracker[name] = spreadVal;
-        eng.synthsB[name].set({ oscillator: { spread: spreadVal } });
-        eng.spreadTrackerB[name] = spreadVal;
-      }
-      eng.synths[name].set({ detune: sc.detuneCents });
-      eng.detuneTracker[name] = sc.detuneCents;
-      eng.synthsB[name].set({ detune: sc.detuneCents });
-      eng.detuneTrackerB[name] = sc.detuneCents;
-    }
-  }
-
   // Imperative key active state — sets data attributes, bypasses React re-render
   const updateKeyActive = useCallback((sign) => {
     const el = keyRefsRef.current[sign];
@@ -2065,12 +2446,13 @@ export default function App() {
     if (aa && ab) el.setAttribute('data-both', ''); else el.removeAttribute('data-both');
   }, []);
 
+  // velocity scales cfg.vel (MIDI); `only` limits the toggle to "attack"
+  // or "release" so a held MIDI note never flips a voice the other way.
   const toggleSign = useCallback(
-    async (sign) => {
+    async (sign, { velocity = 1, only = null } = {}) => {
       const eng = await ensureEngine();
       const cfg = SIGN_CHARACTER[sign];
       if (!cfg) return;
-      const note = `${cfg.note}${cfg.octave}`;
       const p = paramsRef.current;
       const { attack, decay, sustain, release } = p;
 
@@ -2081,18 +2463,15 @@ export default function App() {
       const inB = !!_nb[sign];
       // If no chart data at all, default to bank A (manual play)
       const banks = [];
-      if (inA || (!inA && !inB)) banks.push({ key: "A", synths: eng.synths, activations: _na, activeRef: activeSignsARef, suffix: "" });
-      if (inB) banks.push({ key: "B", synths: eng.synthsB, activations: _nb, activeRef: activeSignsBRef, suffix: "_B" });
+      if (inA || (!inA && !inB)) banks.push({ key: "A", activations: _na, activeRef: activeSignsARef, suffix: "" });
+      if (inB) banks.push({ key: "B", activations: _nb, activeRef: activeSignsBRef, suffix: "_B" });
 
       for (const bank of banks) {
         const activeSet = bank.activeRef.current;
+        if (only && activeSet.has(sign) === (only === "attack")) continue;
         if (activeSet.has(sign)) {
           // ── Release ──
-          if (_diag.noteEvents.length >= 100) _diag.noteEvents.shift();
-          _diag.noteEvents.push({ type: "release", sign, bank: bank.key, time: performance.now() });
-          bank.synths[sign].releaseAll(Tone.now());
-          bank.synths[sign].set({ detune: cfg.detuneCents });
-          activeSet.delete(sign);
+          eng.noteOff(sign, bank.key);
           const vs = visualStateRef.current[bank.suffix ? `${sign}${bank.suffix}` : sign];
           if (vs) {
             vs.releaseStartLevel = vs.envelopeLevel;
@@ -2102,14 +2481,10 @@ export default function App() {
           }
         } else {
           // ── Attack ──
-          applyPendingOscType(eng);
-          if (bank.activations[sign]) {
-            bank.synths[sign].set({ detune: bank.activations[sign].detuneCents });
-          }
-          activeSet.add(sign);
-          if (_diag.noteEvents.length >= 100) _diag.noteEvents.shift();
-          _diag.noteEvents.push({ type: "attack", sign, bank: bank.key, time: performance.now() });
-          bank.synths[sign].triggerAttack(note, Tone.now(), cfg.vel);
+          eng.noteOn(sign, bank.key, {
+            velocity,
+            detuneCents: bank.activations[sign]?.detuneCents,
+          });
           const ci = colorIndexRef.current[sign] || 0;
           colorIndexRef.current[sign] = (ci + 1) % 4;
           const vsKey = bank.suffix ? `${sign}${bank.suffix}` : sign;
@@ -2129,16 +2504,16 @@ export default function App() {
         }
       }
       updateKeyActive(sign);
+      automate(signLane(sign), activeSignsARef.current.has(sign) || activeSignsBRef.current.has(sign));
 
-      // After all banks updated: single adaptive voicing + visual loop + status
+      // After all banks updated (the engine re-voices on each): visual loop + status
       const totalActive = activeSignsARef.current.size + activeSignsBRef.current.size;
-      applyAdaptiveVoicing(eng, totalActive);
       if (totalActive > 0 && startLoopRef.current) startLoopRef.current();
       const nowActive = totalActive > 0;
       setStatus(nowActive ? "playing" : "ready");
       setAnyActive(nowActive);
     },
-    [ensureEngine, updateKeyActive],
+    [ensureEngine, updateKeyActive, automate],
   );
 
   const handleKeyboardClick = useCallback(
@@ -2149,56 +2524,216 @@ export default function App() {
     [toggleSign],
   );
 
-  const stopNatalPlayback = useCallback((eng) => {
-    for (const name of SIGN_NAMES) {
-      eng.synths[name].releaseAll(Tone.now());
-      eng.synthsB[name].releaseAll(Tone.now());
+  // ─── MIDI input ──────────────────────────────────────────────
+  const toggleSignRef = useRef(toggleSign);
+  useEffect(() => {
+    toggleSignRef.current = toggleSign;
+  }, [toggleSign]);
+
+  const enableMidi = useCallback(async () => {
+    // Start audio on this click — MIDI messages aren't user gestures
+    await ensureEngine();
+    try {
+      const access = await requestMidiAccess();
+      midiRef.current?.close();
+      midiRef.current = createMidiInput(access, {
+        onSign: (sign, action, velocity) =>
+          toggleSignRef.current(sign, { velocity, only: action === "toggle" ? null : action }),
+        onControl: (msg) => handleControlRef.current(msg),
+        onDevices: (inputs) => {
+          setMidiDevices(inputs);
+          setMidiOutputs(listMidiOutputs(access));
+        },
+      });
+      midiAccessRef.current = access;
+      midiRef.current.configure(midiSettings);
+      setMidiDevices(midiRef.current.inputs());
+      setMidiOutputs(listMidiOutputs(access));
+      setMidiOn(true);
+      setMidiNotice("");
+    } catch (e) {
+      setMidiNotice(`MIDI not connected: ${e.message}`);
     }
-    const saved = paramsRef.current;
-    eng.fx.reverb.wet.rampTo(saved.reverbWet, 0.5);
+  }, [ensureEngine, midiSettings]);
+
+  const disableMidi = useCallback(() => {
+    midiRef.current?.close();
+    midiRef.current = null;
+    midiOutRef.current?.close();
+    midiOutRef.current = null;
+    midiAccessRef.current = null;
+    setMidiOn(false);
+    setMidiDevices([]);
+    setMidiOutputs([]);
+    setMidiOutSettings((s) => ({ ...s, deviceId: "" }));
+  }, []);
+
+  const updateMidiSettings = useCallback((patch) => {
+    setMidiSettings((s) => ({ ...s, ...patch }));
+    midiRef.current?.configure(patch);
+  }, []);
+
+  // Output: choosing a device opens it; "" (off) closes it. Channel and
+  // bend mode changes release what's sounding and re-send the setup.
+  const updateMidiOutSettings = useCallback(
+    (patch) => {
+      const next = { ...midiOutSettings, ...patch };
+      setMidiOutSettings(next);
+      if (next.deviceId !== midiOutSettings.deviceId) {
+        midiOutRef.current?.close();
+        midiOutRef.current = null;
+        const output = next.deviceId && midiAccessRef.current?.outputs.get(next.deviceId);
+        if (output) midiOutRef.current = createMidiOutput(output, next);
+      } else {
+        midiOutRef.current?.configure(next);
+      }
+    },
+    [midiOutSettings],
+  );
+
+  useEffect(
+    () => () => {
+      midiRef.current?.close();
+      midiOutRef.current?.close();
+    },
+    [],
+  );
+
+  // ─── MIDI learn ────────────────────────────────────────────
+  // Right-click a knob, move a control: the CC is bound (midiLearn.js).
+  // A controller gesture is one history step — it closes after
+  // MIDI_EDIT_IDLE_MS without CCs.
+  const ccStatesRef = useRef({}); // knob → controlValue state
+  const ccEditTimerRef = useRef(null);
+
+  const updateMidiMap = useCallback((next) => {
+    midiMapRef.current = next;
+    setMidiMap(next);
+    saveMidiMap(next);
+  }, []);
+
+  const setLearning = useCallback((name) => {
+    learningKnobRef.current = name;
+    setLearningKnob(name);
+  }, []);
+
+  const handleControl = useCallback(
+    ({ channel, cc, value }) => {
+      const learning = learningKnobRef.current;
+      if (learning) {
+        updateMidiMap(learnBinding(midiMapRef.current, learning, { channel, cc }, learnMode));
+        delete ccStatesRef.current[learning];
+        setLearning(null);
+        return;
+      }
+      const name = knobForControl(midiMapRef.current, channel, cc);
+      if (!name) return;
+      const r = controlValue(
+        KNOB_DEFS[name],
+        midiMapRef.current[name],
+        paramsRef.current[name],
+        value,
+        ccStatesRef.current[name] ?? null,
+      );
+      ccStatesRef.current[name] = r.state;
+      if (r.value === null || r.value === paramsRef.current[name]) return;
+      beginEdit(`${KNOB_DEFS[name].label} (MIDI)`);
+      setParam(name, r.value);
+      clearTimeout(ccEditTimerRef.current);
+      ccEditTimerRef.current = setTimeout(endEdit, MIDI_EDIT_IDLE_MS);
+    },
+    [learnMode, updateMidiMap, setLearning, beginEdit, endEdit, setParam],
+  );
+
+  const handleControlRef = useRef(handleControl);
+  useEffect(() => {
+    handleControlRef.current = handleControl;
+  }, [handleControl]);
+
+  const knobLearnHandlers = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.keys(KNOB_DEFS).map((name) => [
+          name,
+          () => {
+            if (learningKnobRef.current === name) {
+              setLearning(null);
+              return;
+            }
+            setLearning(name);
+            if (!midiRef.current) enableMidi();
+          },
+        ]),
+      ),
+    [setLearning, enableMidi],
+  );
+
+  useEffect(() => {
+    if (!learningKnob) return;
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") setLearning(null);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [learningKnob, setLearning]);
+
+  const setMidiBindingMode = useCallback(
+    (name, mode) => updateMidiMap(setBindingMode(midiMapRef.current, name, mode)),
+    [updateMidiMap],
+  );
+
+  const unbindMidi = useCallback(
+    (name) => updateMidiMap(removeBinding(midiMapRef.current, name)),
+    [updateMidiMap],
+  );
+
+  const exportMidiBindings = useCallback(() => {
+    const blob = new Blob([JSON.stringify(exportMidiMap(midiMapRef.current), null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `celezdial-midi-map-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
   }, []);
 
-  const breathe = useCallback(async () => {
+  const importMidiBindings = useCallback(
+    async (file) => {
+      const result = parseMidiMap(await file.text());
+      if (!result.ok) {
+        setMidiNotice(`MIDI map not imported: ${result.errors.join("; ")}`);
+        return;
+      }
+      updateMidiMap(result.map);
+      ccStatesRef.current = {};
+      const summary = `Imported ${Object.keys(result.map).length} MIDI bindings`;
+      setMidiNotice(result.warnings.length ? `${summary} — ${result.warnings.join("; ")}` : summary);
+    },
+    [updateMidiMap],
+  );
+
+  // Switch every voice to OSC_TYPES[idx] (null = per-sign), leaving
+  // Eclipse first. Breathe steps through them; automation jumps.
+  const selectOscType = useCallback(async (idx) => {
     const eng = await ensureEngine();
-    if (shadow) {
-      const { reverb, echoFeedbackGain, echoCrossfade, vibrato, chebyshev } =
-        eng.fx;
-      const rt = SHADOW.rampTime;
-      const saved = paramsRef.current;
-      shadowIntervalsRef.current.forEach((id) => Tone.Transport.clear(id));
-      shadowIntervalsRef.current = [];
-      reverb.wet.rampTo(saved.reverbWet, rt);
-      echoFeedbackGain.gain.rampTo(saved.delayFeedback, rt);
-      echoCrossfade.fade.rampTo(saved.delayWet, rt);
-      vibrato.depth.rampTo(saved.vibratoDepth, rt);
-      vibrato.frequency.rampTo(saved.vibratoFreq, rt);
-      chebyshev.wet.rampTo(saved.chebyWet, rt);
-      Object.values(eng.panLfos).forEach((lfo) => {
-        lfo.frequency.rampTo(saved.panLfoFreq, rt);
-        lfo.amplitude.rampTo(saved.panLfoAmplitude, rt);
-      });
-      restoreSpreadAndDetune(eng);
-      setShadow(false);
-    }
-    // Cycle osc type — 0 → 1 → ... → 7 → null (per-sign) → 0 → ...
-    const next =
-      oscIndex === null
-        ? 0
-        : oscIndex + 1 >= OSC_TYPES.length
-          ? null
-          : oscIndex + 1;
-    pendingOscTypeRef.current = next === null ? "per-sign" : OSC_TYPES[next];
-    activeOscTypeRef.current = next === null ? null : OSC_TYPES[next];
-    setOscIndex(next);
-    // Apply immediately if notes are sounding
-    if (activeSignsARef.current.size > 0) {
-      applyPendingOscType(eng);
-    }
-  }, [ensureEngine, oscIndex, shadow]);
+    eng.eclipse(false);
+    eng.setOscType(idx === null ? "per-sign" : OSC_TYPES[idx]);
+    automate("breathe", idx);
+  }, [ensureEngine, automate]);
+
+  // Cycle osc type — 0 → 1 → ... → 7 → null (per-sign) → 0 → ...
+  const breathe = useCallback(
+    () =>
+      selectOscType(
+        oscIndex === null ? 0 : oscIndex + 1 >= OSC_TYPES.length ? null : oscIndex + 1,
+      ),
+    [selectOscType, oscIndex],
+  );
 
   const stopAll = useCallback(async () => {
     const eng = await ensureEngine();
-    stopNatalPlayback(eng);
     const p = paramsRef.current;
     const release = p.release;
     for (const sign of activeSignsARef.current) {
@@ -2219,17 +2754,14 @@ export default function App() {
         vs.releaseTime = release * SIGN_CHARACTER[sign].releaseMul * VIS_SPEED;
       }
     }
-    applyAdaptiveVoicing(eng, 0);
-    activeSignsARef.current.clear();
-    activeSignsBRef.current.clear();
+    eng.releaseAll();
     for (const s of KEYBOARD_ORDER) updateKeyActive(s);
     setAnyActive(false);
     setStatus("ready");
-  }, [ensureEngine, stopNatalPlayback, updateKeyActive]);
+  }, [ensureEngine, updateKeyActive]);
 
   const playAll = useCallback(async () => {
     const eng = await ensureEngine();
-    applyPendingOscType(eng);
     const p = paramsRef.current;
     const stagger = p.stagger ?? 0;
     let delay = 0;
@@ -2242,13 +2774,11 @@ export default function App() {
       if (!inA && !inB) continue;
 
       const cfg = SIGN_CHARACTER[sign];
-      const note = `${cfg.note}${cfg.octave}`;
       const { attack, decay, sustain, release } = p;
       const now = Tone.now() + delay;
 
       if (inA && !activeSignsARef.current.has(sign)) {
-        if (_na[sign]) eng.synths[sign].set({ detune: _na[sign].detuneCents });
-        eng.synths[sign].triggerAttack(note, now, cfg.vel);
+        eng.noteOn(sign, "A", { detuneCents: _na[sign].detuneCents, time: now });
         const ci = colorIndexRef.current[sign] || 0;
         colorIndexRef.current[sign] = (ci + 1) % 4;
         const _hadVsA = !!visualStateRef.current[sign];
@@ -2266,8 +2796,7 @@ export default function App() {
       }
 
       if (inB && !activeSignsBRef.current.has(sign)) {
-        if (_nb[sign]) eng.synthsB[sign].set({ detune: _nb[sign].detuneCents });
-        eng.synthsB[sign].triggerAttack(note, now, cfg.vel);
+        eng.noteOn(sign, "B", { detuneCents: _nb[sign].detuneCents, time: now });
         const ciB = colorIndexRef.current[`${sign}_B`] || 0;
         colorIndexRef.current[`${sign}_B`] = (ciB + 1) % 4;
         const _bKey = `${sign}_B`;
@@ -2288,108 +2817,182 @@ export default function App() {
       delay += stagger;
     }
 
-    // Bulk-set active signs after scheduling, update DOM imperatively
-    for (const sign of KEYBOARD_ORDER) {
-      if (_na[sign]) activeSignsARef.current.add(sign);
-      if (_nb[sign]) activeSignsBRef.current.add(sign);
-      updateKeyActive(sign);
-    }
-    applyAdaptiveVoicing(eng, activeSignsARef.current.size + activeSignsBRef.current.size);
+    // Update key DOM imperatively once everything is scheduled
+    for (const sign of KEYBOARD_ORDER) updateKeyActive(sign);
     if (startLoopRef.current) startLoopRef.current();
     setAnyActive(true);
     setStatus("playing");
   }, [ensureEngine, updateKeyActive]);
 
-  const toggleShadow = useCallback(async () => {
-    const eng = await ensureEngine();
-    const { reverb, echoFeedbackGain, echoCrossfade, vibrato, chebyshev } =
-      eng.fx;
-    const st = SHADOW;
-
-    if (!shadow) {
-      const rt = st.rampTime;
-      reverb.wet.rampTo(st.reverbWet, rt);
-      echoFeedbackGain.gain.rampTo(st.delayFeedback, rt);
-      echoCrossfade.fade.rampTo(st.delayWet, rt);
-      vibrato.depth.rampTo(st.vibratoDepth, rt);
-      vibrato.frequency.rampTo(st.vibratoFreq, rt);
-      chebyshev.wet.rampTo(st.chebyWet, rt);
-
-      Object.values(eng.panLfos).forEach((lfo) => {
-        lfo.frequency.rampTo(st.panLfoFreq, rt);
-        lfo.amplitude.rampTo(st.panLfoAmplitude, rt);
+  // ─── Offline render ──────────────────────────────────────────
+  // Renders what's playing — or the natal sweep when nothing is — and
+  // downloads it as WAV. Runs beside the live engine, which keeps going.
+  const renderWav = useCallback(async () => {
+    const na = natalActivationsRef.current;
+    const nb = natalActivationsBRef.current;
+    const activeA = activeSignsARef.current;
+    const activeB = activeSignsBRef.current;
+    const live = activeA.size + activeB.size > 0;
+    const voices = [];
+    for (const sign of KEYBOARD_ORDER) {
+      const base = SIGN_CHARACTER[sign].detuneCents;
+      if (live ? activeA.has(sign) : na[sign]) {
+        voices.push({ sign, bank: "A", detuneCents: na[sign]?.detuneCents ?? base });
+      }
+      if (live ? activeB.has(sign) : nb[sign]) {
+        voices.push({ sign, bank: "B", detuneCents: nb[sign]?.detuneCents ?? base });
+      }
+    }
+    if (!voices.length) {
+      setRenderNotice("Nothing to render: play some signs or enter a chart");
+      return;
+    }
+    const prof = profileRef.current;
+    setRendering(true);
+    setRenderNotice("");
+    try {
+      const buffer = await renderOffline({
+        profile: prof,
+        chain: resolveChain(chainRef.current, customChainRef.current, prof.CHAINS),
+        params: paramsRef.current,
+        oscType: activeOscTypeRef.current ?? "per-sign",
+        listen: listenPreset,
+        modulation: modulationRef.current,
+        voices,
+        hold: renderSeconds,
       });
-
-      // Slow spread ramp — per-sign fat check (AM/FM signs skip spread)
-      const intervals = [];
-      const spreadEventId = Tone.Transport.scheduleRepeat(() => {
-        let allDone = true;
-        for (const name of SIGN_NAMES) {
-          const signType =
-            activeOscTypeRef.current ?? SIGN_CHARACTER[name].oscType;
-          if (!signType.startsWith("fat")) continue;
-          const current = eng.spreadTracker[name];
-          if (current < st.oscSpread) {
-            allDone = false;
-            const next = Math.min(current + 4, st.oscSpread);
-            eng.spreadTracker[name] = next;
-            eng.synths[name].set({ oscillator: { spread: next } });
-            eng.spreadTrackerB[name] = next;
-            eng.synthsB[name].set({ oscillator: { spread: next } });
-          }
-        }
-        if (allDone) Tone.Transport.clear(spreadEventId);
-      }, 0.2);
-      intervals.push(spreadEventId);
-
-      // Smooth detune drift — lerp toward random targets
-      const detuneId = Tone.Transport.scheduleRepeat(() => {
-        for (const name of SIGN_NAMES) {
-          const base = SIGN_CHARACTER[name]?.detuneCents || 0;
-          const current = eng.detuneTracker[name] ?? base;
-          const target = base + (Math.random() * 2 - 1) * st.detuneRange;
-          const next = current + (target - current) * 0.3;
-          eng.detuneTracker[name] = next;
-          eng.synths[name].set({ detune: next });
-          eng.detuneTrackerB[name] = next;
-          eng.synthsB[name].set({ detune: next });
-        }
-      }, 1.2);
-      intervals.push(detuneId);
-
-      shadowIntervalsRef.current = intervals;
-    } else {
-      shadowIntervalsRef.current.forEach((id) => Tone.Transport.clear(id));
-      shadowIntervalsRef.current = [];
-
-      const rt = st.rampTime;
-      const saved = paramsRef.current;
-      reverb.wet.rampTo(saved.reverbWet, rt);
-      echoFeedbackGain.gain.rampTo(saved.delayFeedback, rt);
-      echoCrossfade.fade.rampTo(saved.delayWet, rt);
-      vibrato.depth.rampTo(saved.vibratoDepth, rt);
-      vibrato.frequency.rampTo(saved.vibratoFreq, rt);
-      chebyshev.wet.rampTo(saved.chebyWet, rt);
-
-      Object.values(eng.panLfos).forEach((lfo) => {
-        lfo.frequency.rampTo(saved.panLfoFreq, rt);
-        lfo.amplitude.rampTo(saved.panLfoAmplitude, rt);
+      const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) =>
+        buffer.getChannelData(i),
+      );
+      const blob = new Blob([encodeWav(channels, buffer.sampleRate, renderBits)], {
+        type: "audio/wav",
       });
+      downloadBlob(blob, `celezdial-render-${Date.now()}.wav`);
+    } catch (e) {
+      setRenderNotice(`Render failed: ${e.message}`);
+    } finally {
+      setRendering(false);
+    }
+  }, [listenPreset, renderSeconds, renderBits]);
+
+  // ─── Session recorder ────────────────────────────────────────
+  // Records the live output (and, with stems on, each bank's dry voices)
+  // until stopped, then downloads one file per source.
+  const startRecording = useCallback(async () => {
+    if (recorderRef.current) return;
+    const eng = await ensureEngine();
+    const sources = { mix: eng.output };
+    if (recordStems) {
+      sources.A = eng.stemTap("A");
+      sources.B = eng.stemTap("B");
+    }
+    const rec = createSessionRecorder(Tone, sources);
+    try {
+      await rec.start();
+    } catch (e) {
+      setRenderNotice(`Recording failed: ${e.message}`);
+      return;
+    }
+    recorderRef.current = rec;
+    const started = performance.now();
+    setRenderNotice("");
+    setRecordElapsed(0);
+    setRecording(true);
+    recordTimerRef.current = setInterval(() => {
+      setRecordElapsed((performance.now() - started) / 1000);
+      setRecordLevel(rec.level());
+    }, RECORD_METER_MS);
+  }, [ensureEngine, recordStems]);
+
+  const stopRecording = useCallback(async () => {
+    const rec = recorderRef.current;
+    if (!rec) return;
+    recorderRef.current = null;
+    clearInterval(recordTimerRef.current);
+    setRecording(false);
+    setRecordLevel(0);
+    const stamp = Date.now();
+    try {
+      for (const { stem, blob, mimeType } of await rec.stop()) {
+        downloadBlob(blob, recordingFileName(stamp, stem, mimeType));
+      }
+    } catch (e) {
+      setRenderNotice(`Recording failed: ${e.message}`);
+    }
+  }, []);
+
+  const toggleShadow = useCallback(async () => {
+    const eng = await ensureEngine();
+    // Read the ref, not state — snapshot loads toggle twice in one flow
+    const on = shadowRef.current;
+    eng.eclipse(!on);
+    automate("eclipse", !on);
+  }, [ensureEngine, automate]);
+
+  // ─── Automation ──────────────────────────────────────────────
+  // Takes run on the Tone Transport (automation.js). Recording starts it
+  // from zero and collects whatever setParam, toggleSign, toggleShadow and
+  // Breathe do; playback schedules each event back onto it and replays
+  // it through the same function, so knob events reach KNOB_MAP.apply.
+  const updateTake = useCallback((next) => {
+    takeRef.current = next;
+    setTake(next);
+  }, []);
 
-      restoreSpreadAndDetune(eng);
+  const stopAutomation = useCallback(() => {
+    if (!Tone) return;
+    const transport = Tone.Transport;
+    const rec = automationRecRef.current;
+    if (rec) {
+      automationRecRef.current = null;
+      updateTake(buildTake(rec.events, transport.seconds, rec.initial));
+    }
+    transport.stop();
+    transport.cancel();
+    transport.loop = false;
+    setAutomationMode("idle");
+  }, [updateTake]);
+
+  const recordAutomation = useCallback(async () => {
+    await ensureEngine();
+    stopAutomation();
+    automationRecRef.current = { events: [], initial: { ...paramsRef.current } };
+    Tone.Transport.start();
+    setAutomationMode("recording");
+  }, [ensureEngine, stopAutomation]);
+
+  const playAutomation = useCallback(async () => {
+    const t = takeRef.current;
+    if (!takeLaneCount(t)) return;
+    await ensureEngine();
+    stopAutomation();
+    const transport = Tone.Transport;
+    const apply = {
+      knob: (lane, v) => setParam(lane, v),
+      sign: (lane, v) => toggleSign(laneSign(lane), { only: v ? "attack" : "release" }),
+      eclipse: (_lane, v) => {
+        if (v !== shadowRef.current) toggleShadow();
+      },
+      breathe: (_lane, v) => selectOscType(v),
+    };
+    for (const { lane, time, value } of takeEvents(t)) {
+      transport.schedule(() => apply[laneKind(lane)](lane, value), time);
+    }
+    if (t.loop && t.length > 0) {
+      transport.loop = true;
+      transport.loopStart = 0;
+      transport.loopEnd = t.length;
+    } else {
+      transport.scheduleOnce((time) => Tone.Draw.schedule(stopAutomation, time), t.length);
     }
-    setShadow((s) => !s);
-  }, [shadow, ensureEngine]);
+    transport.start();
+    setAutomationMode("playing");
+  }, [ensureEngine, stopAutomation, setParam, toggleSign, toggleShadow, selectOscType]);
 
   const applyListenPreset = useCallback(
     async (key) => {
       const eng = await ensureEngine();
-      const preset = LISTEN_PRESETS[key];
-      if (!preset || !eng.fx.monitorEQ) return;
-      eng.fx.monitorEQ.low.value = preset.low;
-      eng.fx.monitorEQ.mid.value = preset.mid;
-      eng.fx.monitorEQ.high.value = preset.high;
-      setListenPreset(key);
+      if (eng.setListenPreset(key)) setListenPreset(key);
     },
     [ensureEngine],
   );
@@ -2402,6 +3005,564 @@ export default function App() {
     [applyListenPreset],
   );
 
+  // ─── Computer keyboard ─────────────────────────────────────
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  useEffect(() => {
+    const listenKeys = Object.keys(LISTEN_PRESETS);
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") setShowShortcuts(false);
+      const shortcut = shortcutFor(e, listenKeys.length);
+      if (!shortcut) return;
+      e.preventDefault();
+      switch (shortcut.type) {
+        case "sign":
+          toggleSign(KEYBOARD_ORDER[shortcut.index]);
+          break;
+        case "playPause":
+          if (activeSignsARef.current.size + activeSignsBRef.current.size > 0) stopAll();
+          else playAll();
+          break;
+        case "eclipse":
+          toggleShadow();
+          break;
+        case "breathe":
+          breathe();
+          break;
+        case "listen":
+          applyListenPreset(listenKeys[shortcut.index]);
+          break;
+        case "help":
+          setShowShortcuts((v) => !v);
+          break;
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [toggleSign, playAll, stopAll, toggleShadow, breathe, applyListenPreset]);
+
+  // Live FX chain switch — engine crossfades to the new chain
+  const selectChain = useCallback(
+    async (key) => {
+      const config = resolveChain(
+        key,
+        customChainRef.current,
+        profileRef.current.CHAINS,
+      );
+      if (!config) return;
+      chainRef.current = key;
+      setChain(key);
+      const eng = await ensureEngine();
+      if (eng.requestedChain === config) return;
+      await eng.setChain(config);
+    },
+    [ensureEngine],
+  );
+
+  // Custom chain edits rewire immediately when Custom is the live chain
+  const updateCustomChain = useCallback(async (config) => {
+    customChainRef.current = config;
+    setCustomChain(config);
+    const eng = engineRef.current;
+    if (!eng || chainRef.current !== "custom") return;
+    await eng.setChain(config);
+  }, []);
+
+  const chainHandlers = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.keys(profile.CHAINS).map((k) => [k, () => selectChain(k)]),
+      ),
+    [profile, selectChain],
+  );
+
+  // Tuning profile switch — loads a src/presets/* module, re-applies its
+  // TUNING through KNOB_MAP and wires its ACTIVE_CHAIN. A profile asking
+  // for another sampleRate gets a fresh engine: voices stop, Eclipse
+  // ends, the old context closes, and the next engine opens at the
+  // profile's rate.
+  const switchProfile = useCallback(
+    async (key) => {
+      let next;
+      try {
+        next = await loadProfile(key);
+      } catch (e) {
+        setProfileNotice(`${profileLabel(key)} failed to load: ${e.message}`);
+        return;
+      }
+      setProfileNotice("");
+      if (shadowRef.current) await toggleShadow();
+      profileRef.current = next;
+      setProfile(next);
+      const knobs = profileKnobs(next);
+      paramsRef.current = knobs;
+      setParams({ ...knobs });
+      chainRef.current = next.ACTIVE_CHAIN;
+      setChain(next.ACTIVE_CHAIN);
+
+      const old = engineRef.current;
+      if (old && old.sampleRate !== next.TUNING.sampleRate) {
+        // Takes end with the engine they were recording
+        await stopRecording();
+        stopAutomation();
+        await stopAll();
+        engineRef.current = null;
+        _enginePromise = null;
+        _diag.engine = null;
+        setStatus("idle");
+        await old.close();
+        await ensureEngine();
+      } else if (old) {
+        old.setProfile(next);
+        await old.setChain(
+          resolveChain(next.ACTIVE_CHAIN, customChainRef.current, next.CHAINS),
+        );
+        for (const [name, v] of Object.entries(knobs)) old.setParam(name, v);
+      }
+      if (engineRef.current) await applyListenPreset(listenPreset);
+    },
+    [ensureEngine, stopAll, stopRecording, stopAutomation, toggleShadow, applyListenPreset, listenPreset],
+  );
+
+  const selectProfile = useCallback(
+    (key) => bulkEdit(`Profile ${profileLabel(key)}`, () => switchProfile(key)),
+    [bulkEdit, switchProfile],
+  );
+
+  const profileHandlers = useMemo(
+    () =>
+      Object.fromEntries(
+        PROFILE_KEYS.map((k) => [k, () => selectProfile(k)]),
+      ),
+    [selectProfile],
+  );
+
+  // ─── Snapshot import ───────────────────────────────────────
+  // Restores what buildSnapshot wrote: profile first (it resets knobs),
+  // then chain, knobs, osc type, listen, Eclipse, and finally the saved
+  // signs re-triggered with the snapshot's stagger. While Eclipse stays
+  // on, its FX knobs only update the saved values it restores on exit.
+  // The knob changes are one history step.
+  const restoreSnapshot = useCallback(
+    async (input) => {
+      const result = parseSnapshot(input);
+      setSnapshotNotice(describeSnapshotIssues(result));
+      if (!result.ok) return result;
+      const snap = result.snapshot;
+      snapshotTimersRef.current.forEach(clearTimeout);
+      snapshotTimersRef.current = [];
+
+      if (snap.profile && snap.profile !== profileRef.current.key) {
+        await selectProfile(snap.profile);
+      }
+      if (snap.customChain) await updateCustomChain(snap.customChain);
+      if (snap.chain) await selectChain(snap.chain);
+
+      const keepEclipse = shadowRef.current && snap.eclipse !== false;
+      const held = keepEclipse ? profileRef.current.SHADOW : {};
+      for (const [name, v] of Object.entries(snap.knobs || {})) {
+        if (name in held) holdParam(name, v);
+        else setParam(name, v);
+      }
+      setParams({ ...paramsRef.current });
+
+      if ("oscIndex" in snap) {
+        const idx = snap.oscIndex;
+        if (engineRef.current) {
+          engineRef.current.setOscType(idx === null ? "per-sign" : OSC_TYPES[idx]);
+        } else {
+          // createEngine picks it up from the ref
+          activeOscTypeRef.current = idx === null ? null : OSC_TYPES[idx];
+          setOscIndex(idx);
+        }
+      }
+      if (snap.listen) await applyListenPreset(snap.listen);
+      // Snapshots from before the matrix had no routings
+      updateModulation(snap.modulation ?? DEFAULT_MODULATION);
+      stopAutomation();
+      updateTake(snap.automation ?? EMPTY_TAKE);
+      if ("eclipse" in snap && snap.eclipse !== shadowRef.current) {
+        await toggleShadow();
+      }
+
+      if (snap.signs) {
+        await stopAll();
+        const stagger = paramsRef.current.stagger ?? 0;
+        // Attack only — a sign played inside the stagger window stays on
+        snap.signs.forEach((sign, i) => {
+          if (i === 0) toggleSign(sign, { only: "attack" });
+          else {
+            snapshotTimersRef.current.push(
+              setTimeout(() => toggleSign(sign, { only: "attack" }), i * stagger * 1000),
+            );
+          }
+        });
+      }
+      return result;
+    },
+    [
+      selectProfile,
+      updateCustomChain,
+      selectChain,
+      setParam,
+      holdParam,
+      applyListenPreset,
+      updateModulation,
+      stopAutomation,
+      updateTake,
+      toggleShadow,
+      stopAll,
+      toggleSign,
+    ],
+  );
+
+  const applySnapshot = useCallback(
+    (input) => bulkEdit("Snapshot load", () => restoreSnapshot(input)),
+    [bulkEdit, restoreSnapshot],
+  );
+
+  const loadSnapshotFile = useCallback(
+    async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if (file) await applySnapshot(await file.text());
+    },
+    [applySnapshot],
+  );
+
+  const pasteSnapshot = useCallback(async () => {
+    try {
+      await applySnapshot(await navigator.clipboard.readText());
+    } catch (e) {
+      setSnapshotNotice(`Snapshot not loaded: clipboard unavailable (${e.message})`);
+    }
+  }, [applySnapshot]);
+
+  // ─── Patch library ─────────────────────────────────────────
+  // The store opens once; every write re-reads the whole list, which
+  // stays small enough (hundreds of patches) to not need paging.
+  const libraryStoreRef = useRef(null);
+
+  useEffect(() => {
+    let live = true;
+    const opening = openLibraryStore();
+    libraryStoreRef.current = opening;
+    opening
+      .then((store) => store.all())
+      .then((all) => live && setLibrary(all))
+      .catch((e) => live && setLibraryNotice(`Patch library unavailable: ${e.message}`));
+    return () => {
+      live = false;
+      opening.then((store) => store.close()).catch(() => { /* ignore */ });
+    };
+  }, []);
+
+  const writeLibrary = useCallback(async (write) => {
+    try {
+      const store = await libraryStoreRef.current;
+      await write(store);
+      setLibrary(await store.all());
+    } catch (e) {
+      setLibraryNotice(`Patch library: ${e.message}`);
+    }
+  }, []);
+
+  // Saving under an existing name overwrites that patch.
+  const savePatch = useCallback(
+    async (name, tags) => {
+      const snap = buildSnapshot();
+      const existing = library.find((e) => e.name === name.trim());
+      const entry = existing
+        ? overwriteEntry(existing, snap, tags)
+        : createEntry(snap, { name, tags });
+      setLibraryNotice("");
+      await writeLibrary((store) => store.put(entry));
+      setActivePatch({ id: entry.id, name: entry.name });
+    },
+    [buildSnapshot, library, writeLibrary],
+  );
+
+  const loadPatch = useCallback(
+    async (entry) => {
+      setActivePatch({ id: entry.id, name: entry.name });
+      await applySnapshot(entry.snapshot);
+    },
+    [applySnapshot],
+  );
+
+  const updatePatch = useCallback(
+    async (entry) => {
+      await writeLibrary((store) => store.put(entry));
+      setActivePatch((a) => (a?.id === entry.id ? { id: entry.id, name: entry.name } : a));
+    },
+    [writeLibrary],
+  );
+
+  const deletePatch = useCallback(
+    async (entry) => {
+      if (!window.confirm(`Delete "${entry.name}" from the library?`)) return;
+      await writeLibrary((store) => store.remove(entry.id));
+      setActivePatch((a) => (a?.id === entry.id ? null : a));
+    },
+    [writeLibrary],
+  );
+
+  const duplicatePatch = useCallback(
+    (entry) =>
+      writeLibrary((store) =>
+        store.put(duplicateEntry(entry, library.map((e) => e.name))),
+      ),
+    [library, writeLibrary],
+  );
+
+  const exportPatchLibrary = useCallback(() => {
+    const blob = new Blob([JSON.stringify(exportLibrary(library), null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `celezdial-library-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [library]);
+
+  const importPatchLibrary = useCallback(
+    async (file) => {
+      const result = parseLibrary(await file.text());
+      if (!result.ok) {
+        setLibraryNotice(`Library not imported: ${result.errors.join("; ")}`);
+        return;
+      }
+      const fresh = mergeImport(library, result.patches);
+      await writeLibrary((store) => store.putAll(fresh));
+      const summary = `Imported ${fresh.length} of ${result.patches.length} patches`;
+      setLibraryNotice(
+        result.warnings.length ? `${summary} — ${result.warnings.join("; ")}` : summary,
+      );
+    },
+    [library, writeLibrary],
+  );
+
+  // ─── A/B morph ─────────────────────────────────────────────
+  // Every knob goes through setParam, so the engine sees a morph exactly
+  // like a knob turn. Knobs Eclipse is holding only update the values it
+  // restores on exit, as in applySnapshot. Only knobs that moved are
+  // applied, with one render per tick. A slider gesture or a whole glide
+  // is one history step.
+  const applyMorph = useCallback(
+    (t) => {
+      const { a, b } = morphSlotsRef.current;
+      morphPosRef.current = t;
+      setMorphPos(t);
+      if (!a || !b) return;
+      const held = shadowRef.current ? profileRef.current.SHADOW : {};
+      let changed = false;
+      for (const [name, v] of Object.entries(morphKnobs(a.knobs, b.knobs, t))) {
+        if (paramsRef.current[name] === v) continue;
+        if (name in held) {
+          holdParam(name, v);
+        } else {
+          setParam(name, v, { render: false });
+          changed = true;
+        }
+      }
+      if (changed) renderParams();
+    },
+    [setParam, holdParam, renderParams],
+  );
+
+  const stopGlide = useCallback(() => {
+    if (glideTimerRef.current === null) return;
+    clearInterval(glideTimerRef.current);
+    glideTimerRef.current = null;
+    setGliding(false);
+    endEdit();
+  }, [endEdit]);
+
+  const beginMorphEdit = useCallback(() => {
+    stopGlide();
+    beginEdit("Morph");
+  }, [stopGlide, beginEdit]);
+
+  // Sweep to whichever end is further away over `morphGlide` seconds.
+  const startGlide = useCallback(() => {
+    stopGlide();
+    const from = morphPosRef.current;
+    const to = from < 0.5 ? 1 : 0;
+    const start = performance.now();
+    setGliding(true);
+    beginEdit("Morph glide");
+    glideTimerRef.current = setInterval(() => {
+      const elapsed = (performance.now() - start) / 1000;
+      applyMorph(glidePosition(from, to, elapsed, morphGlide));
+      if (elapsed >= morphGlide) stopGlide();
+    }, MORPH_TICK_MS);
+  }, [applyMorph, stopGlide, beginEdit, morphGlide]);
+
+  const setMorphSlot = useCallback((key, slot) => {
+    morphSlotsRef.current = { ...morphSlotsRef.current, [key]: slot };
+    setMorphSlots(morphSlotsRef.current);
+  }, []);
+
+  const captureMorphSlot = useCallback(
+    (key) =>
+      setMorphSlot(key, {
+        name: activePatch?.name ?? "current",
+        knobs: { ...paramsRef.current },
+      }),
+    [activePatch, setMorphSlot],
+  );
+
+  const pasteMorphSlot = useCallback(
+    async (key) => {
+      try {
+        setMorphSlot(key, morphSlot(await navigator.clipboard.readText()));
+        setSnapshotNotice("");
+      } catch (e) {
+        setSnapshotNotice(`Morph slot ${key.toUpperCase()} not loaded: ${e.message}`);
+      }
+    },
+    [setMorphSlot],
+  );
+
+  // ─── Scripting API ─────────────────────────────────────────
+  // window.__selekta's controls (scripting.js), installed once on mount;
+  // the ref always holds the current callbacks. Knobs Eclipse is holding
+  // only update the values it restores on exit, as in applyMorph.
+  const scriptControlsRef = useRef(null);
+  useEffect(() => {
+    scriptControlsRef.current = {
+      play: (sign) => toggleSign(sign, { only: "attack" }),
+      release: (sign) => toggleSign(sign, { only: "release" }),
+      releaseAll: stopAll,
+      setParam: (name, v) => {
+        if (shadowRef.current && name in profileRef.current.SHADOW) holdParam(name, v);
+        else setParam(name, v);
+      },
+      params: () => paramsRef.current,
+      loadSnapshot: applySnapshot,
+      setChain: selectChain,
+      chains: () => Object.keys(profileRef.current.CHAINS),
+      eclipse: async (on) => {
+        if (on !== shadowRef.current) await toggleShadow();
+      },
+      setOscType: selectOscType,
+    };
+  }, [
+    toggleSign,
+    stopAll,
+    setParam,
+    holdParam,
+    applySnapshot,
+    selectChain,
+    toggleShadow,
+    selectOscType,
+  ]);
+
+  useEffect(() => {
+    if (!window.__selekta) return;
+    const { api, dispose } = createScriptingApi(() => scriptControlsRef.current, _scriptEvents);
+    Object.assign(window.__selekta, api);
+    return () => {
+      dispose();
+      for (const name of Object.keys(api)) delete window.__selekta[name];
+    };
+  }, []);
+
+  // ─── Shared patch links ────────────────────────────────────
+  // Link packs the current snapshot (and, if ticked, both charts' birth
+  // data) into the URL fragment and copies the URL. Opening a link
+  // restores the natal inputs at once; the sound waits for the first
+  // tap, since audio can't start without a gesture.
+  const sharePatch = useCallback(() => {
+    const natal = shareNatal
+      ? {
+          a: { date: natalDate, time: natalTime, lat: natalLat, lng: natalLng, city: cityQueryA },
+          b: { date: natalDateB, time: natalTimeB, lat: natalLatB, lng: natalLngB, city: cityQueryB },
+        }
+      : {};
+    window.history.replaceState(null, "", patchHash(encodePatch(buildSnapshot(), natal)));
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setLinkFeedback(true);
+      setTimeout(() => setLinkFeedback(false), 1200);
+    });
+  }, [
+    buildSnapshot,
+    shareNatal,
+    natalDate,
+    natalTime,
+    natalLat,
+    natalLng,
+    cityQueryA,
+    natalDateB,
+    natalTimeB,
+    natalLatB,
+    natalLngB,
+    cityQueryB,
+  ]);
+
+  const applySnapshotRef = useRef(applySnapshot);
+  useEffect(() => {
+    applySnapshotRef.current = applySnapshot;
+  }, [applySnapshot]);
+
+  useEffect(() => {
+    let pending = null;
+    const restoreChart = (n, setters, selectedRef) => {
+      if (!n) return;
+      const [setDate, setTime, setLat, setLng, setQuery] = setters;
+      setDate(n.date);
+      setTime(n.time);
+      setLat(n.lat);
+      setLng(n.lng);
+      // Same guard as picking a suggestion — no city lookup for a restored name
+      setQuery((q) => {
+        if (q !== n.city && n.city.length >= 2) selectedRef.current = true;
+        return n.city;
+      });
+    };
+    const load = () => {
+      const code = patchFromHash(window.location.hash);
+      if (!code) return;
+      let patch;
+      try {
+        patch = decodePatch(code);
+      } catch (e) {
+        setSnapshotNotice(`Shared patch not loaded: ${e.message}`);
+        return;
+      }
+      restoreChart(
+        patch.natal.a,
+        [setNatalDate, setNatalTime, setNatalLat, setNatalLng, setCityQueryA],
+        citySelectedARef,
+      );
+      restoreChart(
+        patch.natal.b,
+        [setNatalDateB, setNatalTimeB, setNatalLatB, setNatalLngB, setCityQueryB],
+        citySelectedBRef,
+      );
+      if (pending) document.removeEventListener("pointerdown", pending, true);
+      pending = null;
+      if (engineRef.current) {
+        applySnapshotRef.current(patch.snapshot);
+        return;
+      }
+      setSnapshotNotice("Shared patch ready — tap anywhere to hear it");
+      pending = () => {
+        pending = null;
+        applySnapshotRef.current(patch.snapshot);
+      };
+      document.addEventListener("pointerdown", pending, { capture: true, once: true });
+    };
+    load();
+    window.addEventListener("hashchange", load);
+    return () => {
+      window.removeEventListener("hashchange", load);
+      if (pending) document.removeEventListener("pointerdown", pending, true);
+    };
+  }, []);
+
   // Pure chart computation — reused for both Chart A and Chart B
   const computeChart = useCallback(async (date, time, lat, lng) => {
     if (!date) return null;
@@ -2461,7 +3622,7 @@ export default function App() {
       const signKey = SIGNS_BY_LOWERCASE[signName.toLowerCase()];
       if (!signKey) continue;
       const degree = body.ChartPosition.Ecliptic.DecimalDegrees % 30;
-      const detune = (degree - 15) * TUNING.centsPerDegree;
+      const detune = (degree - 15) * profileRef.current.TUNING.centsPerDegree;
       if (!activations[signKey])
         activations[signKey] = { planets: [], detuneCents: detune };
       activations[signKey].planets.push(label);
@@ -2474,7 +3635,7 @@ export default function App() {
       if (ascKey) {
         const degree =
           chart.Ascendant.ChartPosition.Ecliptic.DecimalDegrees % 30;
-        const detune = (degree - 15) * TUNING.centsPerDegree;
+        const detune = (degree - 15) * profileRef.current.TUNING.centsPerDegree;
         if (!activations[ascKey])
           activations[ascKey] = { planets: [], detuneCents: detune };
         activations[ascKey].planets.push("Ascendant");
@@ -2853,12 +4014,19 @@ export default function App() {
                             key={name}
                             label={def.label}
                             value={params[name]}
-                            defaultValue={def.default}
+                            defaultValue={profileDefaults[name]}
                             min={def.min}
                             max={def.max}
                             {...knobScaleProps[name]}
                             format={formatFns[name]}
                             onChange={paramSetters[name]}
+                            onEditStart={knobEditHandlers[name].start}
+                            onEditEnd={knobEditHandlers[name].end}
+                            locked={lockedKnobs.has(name)}
+                            onToggleLock={knobLockHandlers[name]}
+                            learning={learningKnob === name}
+                            midiBinding={midiMap[name]}
+                            onLearn={knobLearnHandlers[name]}
                           />
                         ))}
                       </div>
@@ -2874,12 +4042,19 @@ export default function App() {
                         key={name}
                         label={def.label}
                         value={params[name]}
-                        defaultValue={def.default}
+                        defaultValue={profileDefaults[name]}
                         min={def.min}
                         max={def.max}
                         {...knobScaleProps[name]}
                         format={formatFns[name]}
                         onChange={paramSetters[name]}
+                        onEditStart={knobEditHandlers[name].start}
+                        onEditEnd={knobEditHandlers[name].end}
+                        locked={lockedKnobs.has(name)}
+                        onToggleLock={knobLockHandlers[name]}
+                        learning={learningKnob === name}
+                        midiBinding={midiMap[name]}
+                        onLearn={knobLearnHandlers[name]}
                       />
                     ))}
                   </div>
@@ -2899,6 +4074,35 @@ export default function App() {
               </button>
             ))}
           </div>
+          <div className="cel-listen cel-profiles">
+            {PROFILE_KEYS.map((key) => (
+              <button
+                key={key}
+                type="button"
+                className={`cel-listen-pill${profile.key === key ? " cel-listen-active" : ""}`}
+                onClick={profileHandlers[key]}
+              >
+                {profileLabel(key)}
+              </button>
+            ))}
+          </div>
+          {profileNotice && <p className="cel-chain-notice">{profileNotice}</p>}
+          <div className="cel-listen cel-chains">
+            {Object.keys(profile.CHAINS).map((key) => (
+              <button
+                key={key}
+                type="button"
+                className={`cel-listen-pill${chain === key ? " cel-listen-active" : ""}`}
+                onClick={chainHandlers[key]}
+              >
+                {capitalize(key)}
+              </button>
+            ))}
+          </div>
+          {chainNotice && <p className="cel-chain-notice">{chainNotice}</p>}
+          {chain === "custom" && (
+            <ChainEditor config={customChain} onChange={updateCustomChain} />
+          )}
           <div className="cel-veil-actions">
             <button
               type="button"
@@ -2921,12 +4125,349 @@ export default function App() {
             >
               {copyFeedback ? "Copied!" : "Copy"}
             </button>
+            <button
+              type="button"
+              className="cel-btn cel-snapshot-btn"
+              onClick={() => snapshotInputRef.current?.click()}
+            >
+              Load
+            </button>
+            <button
+              type="button"
+              className="cel-btn cel-snapshot-btn"
+              onClick={pasteSnapshot}
+            >
+              Paste
+            </button>
+            <button
+              type="button"
+              className="cel-btn cel-snapshot-btn"
+              onClick={sharePatch}
+            >
+              {linkFeedback ? "Linked!" : "Link"}
+            </button>
+            <label className="cel-share-natal">
+              <input
+                type="checkbox"
+                checked={shareNatal}
+                onChange={(e) => setShareNatal(e.target.checked)}
+              />
+              natal
+            </label>
+            <input
+              ref={snapshotInputRef}
+              type="file"
+              accept="application/json,.json"
+              className="cel-snapshot-input"
+              onChange={loadSnapshotFile}
+            />
+          </div>
+          {snapshotNotice && (
+            <p className="cel-chain-notice cel-snapshot-notice">{snapshotNotice}</p>
+          )}
+          <div className="cel-randomize-opts">
+            <label className="cel-library-row cel-morph-fader">
+              amount
+              <input
+                type="range"
+                min="0.05"
+                max="1"
+                step="0.05"
+                value={randomAmount}
+                onChange={(e) => setRandomAmount(Number(e.target.value))}
+              />
+              {Math.round(randomAmount * 100)}%
+            </label>
+            <div className="cel-listen cel-randomize-groups">
+              {[{ key: null, label: "All" }, ...KNOB_GROUPS].map((g) => (
+                <button
+                  key={g.key ?? "all"}
+                  type="button"
+                  className={`cel-listen-pill${randomGroup === g.key ? " cel-listen-active" : ""}`}
+                  onClick={() => setRandomGroup(g.key)}
+                >
+                  {g.label}
+                </button>
+              ))}
+            </div>
+            <label className="cel-share-natal">
+              <input
+                type="checkbox"
+                checked={randomSafe}
+                onChange={(e) => setRandomSafe(e.target.checked)}
+              />
+              safe
+            </label>
+            {lockedKnobs.size > 0 && (
+              <button
+                type="button"
+                className="cel-chain-slot-btn"
+                onClick={() => setLockedKnobs(new Set())}
+              >
+                unlock {lockedKnobs.size}
+              </button>
+            )}
+          </div>
+          <details className="cel-history">
+            <summary>Modulation ({modulation.routings.length})</summary>
+            <ModMatrix config={modulation} onChange={updateModulation} />
+          </details>
+          <details className="cel-history">
+            <summary>
+              Automation ({takeLaneCount(take)})
+              {automationMode !== "idle" && ` \u00B7 ${automationMode}`}
+            </summary>
+            <AutomationPanel
+              take={take}
+              mode={automationMode}
+              onRecord={recordAutomation}
+              onPlay={playAutomation}
+              onStop={stopAutomation}
+              onChange={updateTake}
+            />
+          </details>
+          <details className="cel-history">
+            <summary>
+              MIDI{midiOn ? ` (${midiDevices.length})` : ""}
+              {Object.keys(midiMap).length > 0 && ` \u00B7 ${Object.keys(midiMap).length} CC`}
+            </summary>
+            <MidiPanel
+              enabled={midiOn}
+              devices={midiDevices}
+              settings={midiSettings}
+              onEnable={enableMidi}
+              onDisable={disableMidi}
+              onChange={updateMidiSettings}
+              map={midiMap}
+              learning={learningKnob}
+              learnMode={learnMode}
+              onLearnMode={setLearnMode}
+              onBindingMode={setMidiBindingMode}
+              onUnbind={unbindMidi}
+              onExport={exportMidiBindings}
+              onImport={importMidiBindings}
+              outputs={midiOutputs}
+              outSettings={midiOutSettings}
+              onOutChange={updateMidiOutSettings}
+            />
+            {midiNotice && <p className="cel-chain-notice">{midiNotice}</p>}
+          </details>
+          <details className="cel-history">
+            <summary>Record{recording ? ` \u00B7 ${formatElapsed(recordElapsed)}` : ""}</summary>
+            <div className="cel-library-row cel-render">
+              <button
+                type="button"
+                className={`cel-chain-slot-btn cel-record-btn${recording ? " cel-chain-slot-btn-on" : ""}`}
+                onClick={recording ? stopRecording : startRecording}
+              >
+                {recording ? `stop ${formatElapsed(recordElapsed)}` : "record"}
+                <span className="cel-record-level" aria-hidden="true">
+                  <span style={{ width: `${Math.round(recordLevel * 100)}%` }} />
+                </span>
+              </button>
+              <label className="cel-share-natal">
+                <input
+                  type="checkbox"
+                  checked={recordStems}
+                  disabled={recording}
+                  onChange={(e) => setRecordStems(e.target.checked)}
+                />
+                A/B stems
+              </label>
+            </div>
+            <div className="cel-library-row cel-render">
+              <input
+                type="number"
+                className="cel-library-field cel-morph-seconds"
+                min="1"
+                max={RENDER_MAX_SECONDS}
+                step="1"
+                value={renderSeconds}
+                onChange={(e) =>
+                  setRenderSeconds(Math.min(RENDER_MAX_SECONDS, Math.max(1, Number(e.target.value) || 1)))
+                }
+                aria-label="Render seconds"
+              />
+              s
+              <div className="cel-listen">
+                {RENDER_BIT_DEPTHS.map((bits) => (
+                  <button
+                    key={bits}
+                    type="button"
+                    className={`cel-listen-pill${renderBits === bits ? " cel-listen-active" : ""}`}
+                    onClick={() => setRenderBits(bits)}
+                  >
+                    {bits}-bit
+                  </button>
+                ))}
+              </div>
+              <button
+                type="button"
+                className="cel-chain-slot-btn"
+                disabled={rendering}
+                onClick={renderWav}
+              >
+                {rendering ? "rendering\u2026" : "render wav"}
+              </button>
+            </div>
+            {renderNotice && <p className="cel-chain-notice">{renderNotice}</p>}
+          </details>
+          <details className="cel-history">
+            <summary>History ({history.index}/{history.entries.length})</summary>
+            <div className="cel-library-row cel-history-actions">
+              <button
+                type="button"
+                className="cel-chain-slot-btn"
+                disabled={!canUndo(history)}
+                onClick={undoEdit}
+                title="Ctrl+Z"
+              >
+                undo
+              </button>
+              <button
+                type="button"
+                className="cel-chain-slot-btn"
+                disabled={!canRedo(history)}
+                onClick={redoEdit}
+                title="Ctrl+Shift+Z"
+              >
+                redo
+              </button>
+            </div>
+            <ol className="cel-history-list">
+              {[{ label: "start", time: null }, ...history.entries].map((entry, i) => (
+                <li key={i}>
+                  <button
+                    type="button"
+                    className={`cel-history-entry${
+                      i === history.index ? " cel-history-current" : i > history.index ? " cel-history-undone" : ""
+                    }`}
+                    onClick={() => jumpHistory(i)}
+                  >
+                    <span>{entry.label}</span>
+                    {entry.time && (
+                      <span className="cel-history-time">
+                        {new Date(entry.time).toLocaleTimeString()}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </details>
+          <div className="cel-morph">
+            <div className="cel-library-row cel-morph-slots">
+              {["a", "b"].map((key) => (
+                <span key={key} className="cel-morph-slot">
+                  <span className="cel-morph-name">
+                    {key.toUpperCase()}: {morphSlots[key]?.name ?? "\u2014"}
+                  </span>
+                  <button
+                    type="button"
+                    className="cel-chain-slot-btn"
+                    onClick={() => captureMorphSlot(key)}
+                    title="Capture the current knobs"
+                  >
+                    set
+                  </button>
+                  <button
+                    type="button"
+                    className="cel-chain-slot-btn"
+                    onClick={() => pasteMorphSlot(key)}
+                    title="Paste a snapshot from the clipboard"
+                  >
+                    paste
+                  </button>
+                </span>
+              ))}
+            </div>
+            <label className="cel-library-row cel-morph-fader">
+              A
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.001"
+                value={morphPos}
+                disabled={!morphSlots.a || !morphSlots.b}
+                onPointerDown={beginMorphEdit}
+                onPointerUp={endEdit}
+                onKeyDown={beginMorphEdit}
+                onKeyUp={endEdit}
+                onChange={(e) => {
+                  stopGlide();
+                  applyMorph(Number(e.target.value));
+                }}
+              />
+              B
+            </label>
+            <div className="cel-library-row cel-morph-glide">
+              <button
+                type="button"
+                className={`cel-chain-slot-btn${gliding ? " cel-chain-slot-btn-on" : ""}`}
+                disabled={!morphSlots.a || !morphSlots.b}
+                onClick={gliding ? stopGlide : startGlide}
+              >
+                {gliding ? "stop" : "glide"}
+              </button>
+              <input
+                type="number"
+                className="cel-library-field cel-morph-seconds"
+                min="0"
+                step="1"
+                value={morphGlide}
+                onChange={(e) => setMorphGlide(Math.max(0, Number(e.target.value) || 0))}
+                aria-label="Glide seconds"
+              />
+              s
+            </div>
           </div>
+          <PatchLibrary
+            entries={library}
+            active={activePatch}
+            onSave={savePatch}
+            onLoad={loadPatch}
+            onUpdate={updatePatch}
+            onDelete={deletePatch}
+            onDuplicate={duplicatePatch}
+            onExport={exportPatchLibrary}
+            onImport={importPatchLibrary}
+          />
+          {libraryNotice && (
+            <p className="cel-chain-notice cel-snapshot-notice">{libraryNotice}</p>
+          )}
         </details>
 
       </div>
+      {showShortcuts && (
+        <div
+          className="cel-shortcuts"
+          role="dialog"
+          aria-label="Keyboard shortcuts"
+          onClick={() => setShowShortcuts(false)}
+        >
+          <div className="cel-shortcuts-panel" onClick={(e) => e.stopPropagation()}>
+            <ul className="cel-shortcuts-piano">
+              {KEYBOARD_ORDER.map((sign, i) => (
+                <li key={sign}>
+                  <kbd>{PIANO_CODES[i].slice(3)}</kbd>
+                  <span>{SIGNS[sign].glyph} {sign}</span>
+                </li>
+              ))}
+            </ul>
+            <ul className="cel-shortcuts-list">
+              {SHORTCUTS.map((s) => (
+                <li key={s.action}>
+                  <kbd>{s.keys}</kbd>
+                  <span>{s.label}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
       <div className="cel-footer">
-        <p>v12 &middot; 12&times;2 &middot; 44.1kHz &middot; 39 knobs</p>
+        <p>v13 &middot; 12&times;2 &middot; 44.1kHz &middot; 39 knobs</p>
         <h1 className="cel-title">celezdial selekta</h1>
       </div>
     </>
@@ -3328,6 +4869,440 @@ const CSS = `
     color: #e0c8ff;
   }
 
+  .cel-chains {
+    flex-wrap: wrap;
+    margin-bottom: 0.8rem;
+  }
+
+  .cel-profiles {
+    flex-wrap: wrap;
+  }
+
+  .cel-chain-notice {
+    max-width: 360px;
+    margin: -0.4rem auto 0.8rem;
+    text-align: center;
+    font-size: 0.65rem;
+    color: #ff9060;
+  }
+
+  .cel-snapshot-input {
+    display: none;
+  }
+
+  .cel-share-natal {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.25rem;
+    font-size: 0.65rem;
+    opacity: 0.7;
+  }
+
+  .cel-snapshot-notice {
+    margin: 0.6rem auto 0;
+  }
+
+  .cel-chain-editor {
+    max-width: 360px;
+    margin: 0 auto 1.5rem;
+    font-family: ${FONTS.mono};
+    font-size: 0.7rem;
+  }
+
+  .cel-chain-slots {
+    list-style: none;
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+    margin-bottom: 0.5rem;
+  }
+
+  .cel-chain-slot {
+    display: flex;
+    align-items: center;
+    gap: 0.4rem;
+    padding: 0.25rem 0.4rem;
+    border: 1px solid rgba(180, 140, 255, 0.12);
+    border-radius: 6px;
+    background: rgba(180, 140, 255, 0.03);
+    color: #c0b8d4;
+    cursor: grab;
+  }
+
+  .cel-chain-slot-bypass {
+    border-style: dashed;
+    margin-left: 1.2rem;
+    opacity: 0.7;
+  }
+
+  .cel-chain-slot-pinned {
+    cursor: default;
+    opacity: 0.45;
+  }
+
+  .cel-chain-slot-name {
+    flex: 1;
+  }
+
+  .cel-chain-slot-btn {
+    background: none;
+    border: 1px solid rgba(180, 140, 255, 0.15);
+    border-radius: 4px;
+    color: #8878a0;
+    font: inherit;
+    padding: 0 0.35rem;
+    cursor: pointer;
+  }
+
+  .cel-chain-slot-btn:disabled {
+    opacity: 0.25;
+    cursor: not-allowed;
+  }
+
+  .cel-chain-slot-btn-on {
+    border-color: rgba(180, 140, 255, 0.5);
+    color: #e0c8ff;
+  }
+
+  .cel-chain-pool {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.3rem;
+    min-height: 1.6rem;
+    justify-content: center;
+  }
+
+  .cel-library {
+    max-width: 360px;
+    margin: 1rem auto 0;
+    font-family: ${FONTS.mono};
+    font-size: 0.7rem;
+  }
+
+  .cel-library-row {
+    display: flex;
+    gap: 0.3rem;
+    margin-bottom: 0.4rem;
+  }
+
+  .cel-library-field {
+    flex: 1;
+    min-width: 0;
+    padding: 0.2rem 0.4rem;
+    border: 1px solid rgba(180, 140, 255, 0.15);
+    border-radius: 4px;
+    background: rgba(180, 140, 255, 0.03);
+    color: #c0b8d4;
+    font: inherit;
+  }
+
+  .cel-library-list {
+    list-style: none;
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+    max-height: 14rem;
+    overflow-y: auto;
+  }
+
+  .cel-library-entry {
+    display: flex;
+    align-items: center;
+    gap: 0.4rem;
+    padding: 0.25rem 0.4rem;
+    border: 1px solid rgba(180, 140, 255, 0.12);
+    border-radius: 6px;
+    background: rgba(180, 140, 255, 0.03);
+  }
+
+  .cel-library-active {
+    border-color: rgba(180, 140, 255, 0.5);
+  }
+
+  .cel-library-main {
+    flex: 1;
+    min-width: 0;
+    display: flex;
+    flex-direction: column;
+    align-items: flex-start;
+  }
+
+  .cel-library-name,
+  .cel-library-tags {
+    max-width: 100%;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+    background: none;
+    border: none;
+    padding: 0;
+    font: inherit;
+    text-align: left;
+    cursor: pointer;
+  }
+
+  .cel-library-name {
+    color: #d8d0e8;
+  }
+
+  .cel-library-tags {
+    font-size: 0.6rem;
+    color: #8878a0;
+  }
+
+  .cel-library-empty {
+    text-align: center;
+    opacity: 0.5;
+  }
+
+  .cel-library-io {
+    justify-content: center;
+    margin-top: 0.5rem;
+  }
+
+  .cel-randomize-opts {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    align-items: center;
+    gap: 0.4rem;
+    max-width: 360px;
+    margin: 0.8rem auto 0;
+    font-family: ${FONTS.mono};
+    font-size: 0.7rem;
+    color: #8878a0;
+  }
+
+  .cel-randomize-opts > .cel-library-row {
+    width: 100%;
+    margin: 0;
+  }
+
+  .cel-randomize-groups {
+    flex-wrap: wrap;
+    margin: 0;
+  }
+
+  .cel-knob-locked .cel-knob-label {
+    color: #e0c8ff;
+  }
+
+  .cel-knob-locked .cel-knob-svg {
+    opacity: 0.55;
+  }
+
+  .cel-knob-mapped .cel-knob-label {
+    text-decoration: underline dotted rgba(180, 140, 255, 0.6);
+  }
+
+  .cel-knob-learning .cel-knob-svg {
+    animation: cel-learn-pulse 0.9s ease-in-out infinite alternate;
+  }
+
+  @keyframes cel-learn-pulse {
+    from { opacity: 1; }
+    to { opacity: 0.35; }
+  }
+
+  .cel-history {
+    max-width: 360px;
+    margin: 1rem auto 0;
+    font-family: ${FONTS.mono};
+    font-size: 0.7rem;
+    color: #8878a0;
+  }
+
+  .cel-history summary {
+    cursor: pointer;
+    text-align: center;
+    margin-bottom: 0.4rem;
+  }
+
+  .cel-history-actions {
+    justify-content: center;
+  }
+
+  .cel-history-list {
+    list-style: none;
+    max-height: 10rem;
+    overflow-y: auto;
+  }
+
+  .cel-history-entry {
+    display: flex;
+    justify-content: space-between;
+    width: 100%;
+    padding: 0.1rem 0.4rem;
+    background: none;
+    border: none;
+    border-radius: 4px;
+    color: #c0b8d4;
+    font: inherit;
+    cursor: pointer;
+  }
+
+  .cel-history-current {
+    background: rgba(180, 140, 255, 0.14);
+    color: #e0c8ff;
+  }
+
+  .cel-history-undone {
+    opacity: 0.4;
+  }
+
+  .cel-history-time {
+    opacity: 0.6;
+  }
+
+  .cel-shortcuts {
+    position: fixed;
+    inset: 0;
+    z-index: 50;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: rgba(8, 6, 14, 0.72);
+  }
+
+  .cel-shortcuts-panel {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 1.5rem;
+    max-width: 420px;
+    padding: 1rem 1.25rem;
+    border: 1px solid rgba(180, 140, 255, 0.25);
+    border-radius: 10px;
+    background: #0c0c12;
+    font-family: ${FONTS.mono};
+    font-size: 0.7rem;
+    color: #c0b8d4;
+  }
+
+  .cel-shortcuts-panel ul {
+    list-style: none;
+  }
+
+  .cel-shortcuts-panel li {
+    display: flex;
+    gap: 0.6rem;
+    padding: 0.1rem 0;
+  }
+
+  .cel-shortcuts-panel kbd {
+    min-width: 2.6rem;
+    color: #e0c8ff;
+    font-family: inherit;
+  }
+
+  .cel-midi-input {
+    align-items: center;
+    justify-content: center;
+  }
+
+  .cel-midi-hint {
+    text-align: center;
+    margin: 0.3rem 0;
+    opacity: 0.7;
+  }
+
+  .cel-midi-learn-modes {
+    margin: 0 0 0.3rem;
+  }
+
+  .cel-midi .cel-library-name {
+    flex: 1;
+    cursor: default;
+  }
+
+  .cel-midi-cc {
+    color: #c0b8d4;
+    white-space: nowrap;
+  }
+
+  .cel-mod-lfo {
+    align-items: center;
+  }
+
+  .cel-mod-label,
+  .cel-mod-depth {
+    flex: 0 0 3rem;
+    color: #c0b8d4;
+  }
+
+  .cel-mod input[type="range"] {
+    flex: 1;
+    min-width: 3rem;
+    accent-color: #b48cff;
+  }
+
+  .cel-morph {
+    max-width: 360px;
+    margin: 1rem auto 0;
+    font-family: ${FONTS.mono};
+    font-size: 0.7rem;
+    color: #8878a0;
+  }
+
+  .cel-morph-slots {
+    justify-content: space-between;
+  }
+
+  .cel-morph-slot {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.3rem;
+    min-width: 0;
+  }
+
+  .cel-morph-name {
+    max-width: 6rem;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+    color: #c0b8d4;
+  }
+
+  .cel-morph-fader,
+  .cel-morph-glide {
+    align-items: center;
+  }
+
+  .cel-morph-fader input {
+    flex: 1;
+    accent-color: #b48cff;
+  }
+
+  .cel-morph-glide {
+    justify-content: center;
+  }
+
+  .cel-render {
+    align-items: center;
+    justify-content: center;
+  }
+
+  .cel-record-level {
+    display: inline-block;
+    width: 2.5rem;
+    height: 0.3rem;
+    margin-left: 0.4rem;
+    vertical-align: middle;
+    background: rgba(255, 255, 255, 0.1);
+    border-radius: 2px;
+    overflow: hidden;
+  }
+
+  .cel-record-level span {
+    display: block;
+    height: 100%;
+    background: #b48cff;
+    transition: width 0.1s linear;
+  }
+
+  .cel-morph-seconds {
+    flex: 0 0 3.5rem;
+  }
+
   .cel-veil-actions {
     display: flex;
     justify-content: center;
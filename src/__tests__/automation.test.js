@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import {
+  EMPTY_TAKE,
+  signLane,
+  laneKind,
+  laneLabel,
+  buildTake,
+  takeEvents,
+  trimTake,
+  scaleTake,
+  deleteLane,
+  sanitizeAutomation,
+} from "../automation";
+
+const take = buildTake(
+  [
+    { lane: "reverbWet", time: 0.5, value: 0.2 },
+    { lane: signLane("Leo"), time: 0.25, value: true },
+    { lane: "reverbWet", time: 1, value: 0.2 },
+    { lane: "reverbWet", time: 1.5, value: 0.6 },
+    { lane: "eclipse", time: 2, value: true },
+    { lane: signLane("Leo"), time: 3.0004, value: false },
+  ],
+  4,
+);
+
+describe("lanes", () => {
+  it("knows what each lane drives", () => {
+    expect(laneKind("reverbWet")).toBe("knob");
+    expect(laneKind("sign:Aries")).toBe("sign");
+    expect(laneKind("sign:Ophiuchus")).toBeNull();
+    expect(laneKind("breathe")).toBe("breathe");
+    expect(laneKind("warp")).toBeNull();
+    expect(laneLabel("sign:Aries")).toBe("Aries");
+    expect(laneLabel("eclipse")).toBe("Eclipse");
+  });
+});
+
+describe("buildTake", () => {
+  it("groups events into lanes and drops repeated knob values", () => {
+    expect(take.length).toBe(4);
+    expect(take.lanes.reverbWet).toEqual([[0.5, 0.2], [1.5, 0.6]]);
+    expect(take.lanes["sign:Leo"]).toEqual([[0.25, true], [3, false]]);
+  });
+
+  it("opens knob lanes at their starting value", () => {
+    const t = buildTake([{ lane: "delayWet", time: 1, value: 0.5 }], 2, { delayWet: 0.1, reverbWet: 0.3 });
+    expect(t.lanes).toEqual({ delayWet: [[0, 0.1], [1, 0.5]] });
+  });
+
+  it("stretches to cover its last event", () => {
+    expect(buildTake([{ lane: "breathe", time: 6, value: 2 }], 5).length).toBe(6);
+  });
+
+  it("flattens back into a time-ordered event list", () => {
+    expect(takeEvents(take).map((e) => e.lane)).toEqual([
+      "sign:Leo",
+      "reverbWet",
+      "reverbWet",
+      "eclipse",
+      "sign:Leo",
+    ]);
+  });
+});
+
+describe("editing", () => {
+  it("trims to a window and carries knob values into it", () => {
+    const trimmed = trimTake(take, 1, 2.5);
+    expect(trimmed.length).toBe(1.5);
+    expect(trimmed.lanes.reverbWet).toEqual([[0, 0.2], [0.5, 0.6]]);
+    expect(trimmed.lanes.eclipse).toEqual([[1, true]]);
+    expect(trimmed.lanes["sign:Leo"]).toBeUndefined();
+  });
+
+  it("scales time", () => {
+    const slow = scaleTake(take, 2);
+    expect(slow.length).toBe(8);
+    expect(slow.lanes.reverbWet).toEqual([[1, 0.2], [3, 0.6]]);
+    expect(scaleTake(take, 0)).toBe(take);
+  });
+
+  it("deletes a lane", () => {
+    expect(Object.keys(deleteLane(take, "eclipse").lanes)).toEqual(["sign:Leo", "reverbWet"]);
+    expect(take.lanes.eclipse).toBeDefined();
+  });
+});
+
+describe("sanitizeAutomation", () => {
+  it("keeps good lanes, clamps knobs and drops the rest", () => {
+    const { automation, warnings } = sanitizeAutomation({
+      length: 3,
+      loop: true,
+      lanes: {
+        reverbWet: [[1, 0.5], [0, 7]],
+        "sign:Leo": [[0, "yes"], [1, true]],
+        breathe: [[2, 99]],
+        warp: [[0, 1]],
+      },
+    });
+    expect(automation.loop).toBe(true);
+    expect(automation.lanes.reverbWet).toEqual([[0, 1], [1, 0.5]]);
+    expect(automation.lanes["sign:Leo"]).toEqual([[1, true]]);
+    expect(automation.lanes.breathe).toBeUndefined();
+    expect(warnings).toEqual([
+      '1 bad event in automation lane "sign:Leo" dropped',
+      '1 bad event in automation lane "breathe" dropped',
+      'automation lane "warp" ignored',
+    ]);
+  });
+
+  it("rounds step knobs to whole steps", () => {
+    const { automation } = sanitizeAutomation({ length: 2, lanes: { chebyOrder: [[0, 2.5], [1, 4.2]] } });
+    expect(automation.lanes.chebyOrder).toEqual([[0, 3], [1, 4]]);
+  });
+
+  it("rejects a non-object", () => {
+    expect(sanitizeAutomation([]).automation).toBe(EMPTY_TAKE);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from "vitest";
+import {
+  slotsFromChain,
+  chainFromSlots,
+  canBypass,
+  moveSlot,
+  insertSlot,
+  removeSlot,
+  toggleBypass,
+  unusedNodes,
+} from "../chainEditor";
+import { CHAINS } from "../tuning.js";
+
+const names = (slots) => slots.map((s) => s.name);
+
+describe("slotsFromChain", () => {
+  it("round-trips the zodiac chain", () => {
+    expect(chainFromSlots(slotsFromChain(CHAINS.zodiac))).toEqual(CHAINS.zodiac);
+  });
+
+  it("moves softClip to the end of the shipped custom chain", () => {
+    const config = chainFromSlots(slotsFromChain(CHAINS.custom));
+    expect(config.order.at(-1)).toBe("softClip");
+    expect(config.order).toContain("reverb");
+    expect(config.order.filter((n) => n === "softClip")).toHaveLength(1);
+  });
+
+  it("adds a missing ECHO and drops duplicates", () => {
+    const slots = slotsFromChain({ order: ["eq3", "eq3", "softClip"], bypass: {} });
+    expect(names(slots)).toEqual(["eq3", "ECHO"]);
+  });
+
+  it("drops unknown node names", () => {
+    const slots = slotsFromChain({ order: ["reverbb", "ECHO"], bypass: {} });
+    expect(names(slots)).toEqual(["ECHO"]);
+  });
+
+  it("places bypass nodes after their `after` neighbour", () => {
+    const slots = slotsFromChain(CHAINS.zodiac);
+    const i = names(slots).indexOf("distortion");
+    expect(slots[i].bypass).toBe(true);
+    expect(slots[i - 1].name).toBe("chebyshev");
+  });
+});
+
+describe("chainFromSlots", () => {
+  it("keeps bypass nodes out of order", () => {
+    const config = chainFromSlots([
+      { name: "ECHO", bypass: false },
+      { name: "eq3", bypass: false },
+      { name: "phaser", bypass: true },
+      { name: "reverb", bypass: false },
+    ]);
+    expect(config.order).toEqual(["ECHO", "eq3", "reverb", "softClip"]);
+    expect(config.bypass).toEqual({ phaser: { after: "eq3", before: "reverb" } });
+  });
+
+  it("uses softClip as `before` for a trailing bypass node", () => {
+    const config = chainFromSlots([
+      { name: "ECHO", bypass: false },
+      { name: "chorus", bypass: false },
+      { name: "phaser", bypass: true },
+    ]);
+    expect(config.bypass.phaser).toEqual({ after: "chorus", before: "softClip" });
+  });
+});
+
+describe("canBypass", () => {
+  const slots = [
+    { name: "chorus", bypass: false },
+    { name: "ECHO", bypass: false },
+    { name: "eq3", bypass: false },
+    { name: "phaser", bypass: false },
+    { name: "reverb", bypass: false },
+  ];
+
+  it("rejects the first slot (no `after` node)", () => {
+    expect(canBypass(slots, 0)).toBe(false);
+  });
+
+  it("rejects nodes next to ECHO", () => {
+    expect(canBypass([slots[1], slots[0]], 1)).toBe(false);
+  });
+
+  it("rejects nodes without a mix knob", () => {
+    expect(canBypass(slots, 2)).toBe(false);
+  });
+
+  it("accepts a mix node between two real nodes", () => {
+    expect(canBypass(slots, 3)).toBe(true);
+  });
+
+  it("rejects a second bypass node in the same gap", () => {
+    const s = toggleBypass(
+      [...slots.slice(0, 4), { name: "distortion", bypass: false }, slots[4]],
+      3,
+    );
+    expect(canBypass(s, 4)).toBe(false);
+  });
+});
+
+describe("edits", () => {
+  const base = slotsFromChain(CHAINS.zodiac);
+
+  it("moveSlot reorders", () => {
+    const moved = moveSlot(base, 0, 2);
+    expect(names(moved).indexOf("vibrato")).toBe(2);
+  });
+
+  it("moveSlot demotes a bypass node that lands next to ECHO", () => {
+    const s = [
+      { name: "ECHO", bypass: false },
+      { name: "eq3", bypass: false },
+      { name: "phaser", bypass: true },
+      { name: "reverb", bypass: false },
+    ];
+    const moved = moveSlot(s, 2, 1);
+    expect(moved[1]).toEqual({ name: "phaser", bypass: false });
+  });
+
+  it("removeSlot refuses to remove ECHO", () => {
+    const i = names(base).indexOf("ECHO");
+    expect(removeSlot(base, i)).toBe(base);
+  });
+
+  it("removeSlot returns the node to the pool", () => {
+    const removed = removeSlot(base, 0);
+    expect(unusedNodes(removed)).toContain("vibrato");
+  });
+
+  it("insertSlot ignores softClip and nodes already placed", () => {
+    expect(insertSlot(base, "softClip")).toBe(base);
+    expect(insertSlot(base, "eq3")).toBe(base);
+  });
+
+  it("unusedNodes never offers softClip", () => {
+    expect(unusedNodes([])).not.toContain("softClip");
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect } from "vitest";
+import {
+  validateChain,
+  describeChainIssues,
+  SAFE_CHAIN,
+} from "../chainValidation";
+import { CHAINS, CHAIN_NODES } from "../tuning.js";
+
+const codes = (issues) => issues.map((i) => i.code);
+
+describe("validateChain", () => {
+  for (const [key, chain] of Object.entries(CHAINS)) {
+    if (key === "custom") continue;
+    it(`${key} is valid with no warnings`, () => {
+      const report = validateChain(chain, CHAIN_NODES);
+      expect(report.errors).toEqual([]);
+      expect(report.warnings).toEqual([]);
+      expect(report.valid).toBe(true);
+    });
+  }
+
+  it("SAFE_CHAIN is valid", () => {
+    expect(validateChain(SAFE_CHAIN, CHAIN_NODES).valid).toBe(true);
+  });
+
+  it("shipped custom chain warns that reverb runs after the limiter", () => {
+    const report = validateChain(CHAINS.custom, CHAIN_NODES);
+    expect(report.valid).toBe(true);
+    expect(codes(report.warnings)).toContain("LIMITER_NOT_LAST");
+  });
+
+  it("rejects a config without order", () => {
+    expect(codes(validateChain({}, CHAIN_NODES).errors)).toEqual(["BAD_CONFIG"]);
+  });
+
+  it("flags a typo as an unknown node", () => {
+    const report = validateChain(
+      { order: ["reverbb", "ECHO", "softClip"], bypass: {} },
+      CHAIN_NODES,
+    );
+    expect(report.valid).toBe(false);
+    expect(report.errors[0]).toMatchObject({ code: "UNKNOWN_NODE", node: "reverbb" });
+  });
+
+  it("honours the availableNodes list", () => {
+    const report = validateChain(
+      { order: ["eq3", "ECHO", "softClip"], bypass: {} },
+      ["ECHO", "softClip"],
+    );
+    expect(codes(report.errors)).toEqual(["UNKNOWN_NODE"]);
+  });
+
+  it("flags duplicate and missing ECHO", () => {
+    expect(
+      codes(validateChain({ order: ["ECHO", "ECHO", "softClip"] }, CHAIN_NODES).errors),
+    ).toEqual(["DUPLICATE_ECHO"]);
+    expect(
+      codes(validateChain({ order: ["eq3", "softClip"] }, CHAIN_NODES).errors),
+    ).toEqual(["MISSING_ECHO"]);
+  });
+
+  it("flags a node listed twice", () => {
+    const report = validateChain(
+      { order: ["eq3", "ECHO", "eq3", "softClip"] },
+      CHAIN_NODES,
+    );
+    expect(codes(report.errors)).toEqual(["DUPLICATE_NODE"]);
+  });
+
+  it("warns when the limiter is missing", () => {
+    const report = validateChain({ order: ["ECHO"] }, CHAIN_NODES);
+    expect(report.valid).toBe(true);
+    expect(codes(report.warnings)).toEqual(["LIMITER_MISSING"]);
+  });
+
+  it("warns when monitorEQ isn't right before the limiter", () => {
+    const report = validateChain(
+      { order: ["monitorEQ", "ECHO", "softClip"] },
+      CHAIN_NODES,
+    );
+    expect(codes(report.warnings)).toEqual(["MONITOR_NOT_BEFORE_LIMITER"]);
+  });
+
+  describe("bypass", () => {
+    const order = ["eq3", "chebyshev", "ECHO", "reverb", "chorus", "softClip"];
+
+    it("accepts adjacent neighbours", () => {
+      const report = validateChain(
+        { order, bypass: { distortion: { after: "eq3", before: "chebyshev" } } },
+        CHAIN_NODES,
+      );
+      expect(report.valid).toBe(true);
+    });
+
+    it("flags a bypass node also in order", () => {
+      const report = validateChain(
+        { order, bypass: { reverb: { after: "eq3", before: "chebyshev" } } },
+        CHAIN_NODES,
+      );
+      expect(codes(report.errors)).toEqual(["BYPASS_IN_ORDER"]);
+    });
+
+    it("flags neighbours that aren't adjacent", () => {
+      const report = validateChain(
+        { order, bypass: { phaser: { after: "eq3", before: "reverb" } } },
+        CHAIN_NODES,
+      );
+      expect(codes(report.errors)).toEqual(["BYPASS_NOT_ADJACENT"]);
+    });
+
+    it("flags neighbours missing from order", () => {
+      const report = validateChain(
+        { order, bypass: { phaser: { after: "vibrato", before: "eq3" } } },
+        CHAIN_NODES,
+      );
+      expect(codes(report.errors)).toEqual(["BYPASS_NEIGHBOR_MISSING"]);
+    });
+
+    it("flags ECHO as a neighbour", () => {
+      const report = validateChain(
+        { order, bypass: { phaser: { after: "ECHO", before: "reverb" } } },
+        CHAIN_NODES,
+      );
+      expect(codes(report.errors)).toEqual(["BYPASS_NEIGHBOR_ECHO"]);
+    });
+
+    it("flags two nodes bypassing the same gap", () => {
+      const report = validateChain(
+        {
+          order,
+          bypass: {
+            phaser: { after: "reverb", before: "chorus" },
+            distortion: { after: "reverb", before: "chorus" },
+          },
+        },
+        CHAIN_NODES,
+      );
+      expect(codes(report.errors)).toEqual(["BYPASS_GAP_SHARED"]);
+    });
+
+    it("warns about a bypass node with no mix knob", () => {
+      const report = validateChain(
+        { order, bypass: { monitorEQ: { after: "reverb", before: "chorus" } } },
+        CHAIN_NODES,
+      );
+      expect(report.valid).toBe(true);
+      expect(codes(report.warnings)).toContain("BYPASS_NO_MIX");
+    });
+  });
+
+  describe("sends", () => {
+    const order = ["eq3", "chorus", "monitorEQ", "softClip"];
+    const into = { into: "monitorEQ" };
+
+    it("accepts ECHO and reverb as sends without ECHO in order", () => {
+      const report = validateChain(
+        { order, sends: { reverb: into, ECHO: into } },
+        CHAIN_NODES,
+      );
+      expect(report.errors).toEqual([]);
+    });
+
+    it("rejects nodes without a send bus", () => {
+      const report = validateChain(
+        { order, sends: { ECHO: into, chorus: into } },
+        CHAIN_NODES,
+      );
+      expect(codes(report.errors)).toEqual(["SEND_UNSUPPORTED"]);
+    });
+
+    it("flags a send also in order", () => {
+      const report = validateChain(
+        { order: ["ECHO", ...order], sends: { ECHO: into } },
+        CHAIN_NODES,
+      );
+      expect(codes(report.errors)).toEqual(["SEND_IN_ORDER"]);
+    });
+
+    it("flags a send also in bypass", () => {
+      const report = validateChain(
+        {
+          order: ["eq3", "ECHO", "chorus", "monitorEQ", "softClip"],
+          bypass: { reverb: { after: "chorus", before: "monitorEQ" } },
+          sends: { reverb: into },
+        },
+        CHAIN_NODES,
+      );
+      expect(codes(report.errors)).toEqual(["SEND_IN_BYPASS"]);
+    });
+
+    it("flags a return into a missing node or into ECHO", () => {
+      expect(
+        codes(
+          validateChain({ order, sends: { ECHO: { into: "vibrato" } } }, CHAIN_NODES)
+            .errors,
+        ),
+      ).toEqual(["SEND_RETURN_MISSING"]);
+      expect(
+        codes(
+          validateChain(
+            { order: ["ECHO", ...order], sends: { reverb: { into: "ECHO" } } },
+            CHAIN_NODES,
+          ).errors,
+        ),
+      ).toEqual(["SEND_RETURN_ECHO"]);
+    });
+  });
+});
+
+describe("describeChainIssues", () => {
+  it("is empty for a clean report", () => {
+    expect(describeChainIssues(validateChain(CHAINS.zodiac, CHAIN_NODES))).toBe("");
+  });
+
+  it("mentions the fallback for errors", () => {
+    const msg = describeChainIssues(
+      validateChain({ order: ["eq3"] }, CHAIN_NODES),
+      "Custom",
+    );
+    expect(msg).toMatch(/^Custom can't be wired — using safe chain: ECHO missing/);
+  });
+});
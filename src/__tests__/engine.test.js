@@ -0,0 +1,445 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  SIGN_NAMES,
+  SIGN_CHARACTER,
+  KNOB_MAP,
+  createEmitter,
+  createEngine,
+  applyAdaptiveVoicing,
+  applyOscType,
+} from "../engine.js";
+import { KNOB_DEFS, PLANETARY_CHARACTER, SIGN_RULERS, SHADOW, TUNING } from "../tuning.js";
+import { SAFE_CHAIN } from "../chainValidation.js";
+import { loadProfile } from "../profiles.js";
+import { harness } from "./fakeTone.js";
+
+vi.mock("tone", async () => (await import("./fakeTone.js")).Tone);
+
+// One bank's worth of synths that remember what was set on them
+function fakeBanks() {
+  const bank = () =>
+    Object.fromEntries(
+      SIGN_NAMES.map((name) => {
+        const synth = { sets: [], set: (o) => synth.sets.push(o) };
+        return [name, synth];
+      }),
+    );
+  const trackers = (key) => Object.fromEntries(SIGN_NAMES.map((n) => [n, SIGN_CHARACTER[n][key]]));
+  return {
+    synths: bank(),
+    synthsB: bank(),
+    oscTypeTracker: trackers("oscType"),
+    oscTypeTrackerB: trackers("oscType"),
+    spreadTracker: trackers("oscSpread"),
+    spreadTrackerB: trackers("oscSpread"),
+  };
+}
+
+const lastVolume = (synth) => synth.sets.filter((o) => "volume" in o).pop()?.volume;
+
+describe("SIGN_CHARACTER", () => {
+  it("merges each sign with its ruler's character", () => {
+    expect(SIGN_NAMES).toHaveLength(12);
+    for (const name of SIGN_NAMES) {
+      expect(SIGN_CHARACTER[name].oscType).toBe(PLANETARY_CHARACTER[SIGN_RULERS[name]].oscType);
+      expect(SIGN_CHARACTER[name].sends.reverb).toBeGreaterThan(0);
+    }
+  });
+
+  it("maps every knob that drives the engine", () => {
+    for (const name of Object.keys(KNOB_MAP)) expect(KNOB_DEFS).toHaveProperty(name);
+  });
+});
+
+describe("createEmitter", () => {
+  it("delivers to listeners until they unsubscribe", () => {
+    const events = createEmitter();
+    const fn = vi.fn();
+    const off = events.on("noteon", fn);
+    events.emit("noteon", { sign: "Leo" });
+    events.emit("noteoff", { sign: "Leo" });
+    off();
+    events.emit("noteon", { sign: "Aries" });
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith({ sign: "Leo" });
+  });
+
+  it("clears every listener", () => {
+    const events = createEmitter();
+    const fn = vi.fn();
+    events.on("param", fn);
+    events.clear();
+    events.emit("param", {});
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
+
+describe("applyAdaptiveVoicing", () => {
+  it("lifts both banks more the fewer voices sound", () => {
+    const eng = fakeBanks();
+    applyAdaptiveVoicing(eng, 12);
+    const full = lastVolume(eng.synths.Leo);
+    applyAdaptiveVoicing(eng, 1);
+    expect(lastVolume(eng.synths.Leo)).toBeCloseTo(full + 5 * Math.log10(12));
+    expect(lastVolume(eng.synthsB.Leo)).toBe(lastVolume(eng.synths.Leo));
+  });
+});
+
+describe("applyOscType", () => {
+  const params = { oscSpread: 30, harmonicity: 2, modulationIndex: 4 };
+
+  it("sets one type on every voice", () => {
+    const eng = fakeBanks();
+    applyOscType(eng, "fatsquare", params);
+    expect(Object.values(eng.oscTypeTrackerB).every((t) => t === "fatsquare")).toBe(true);
+    expect(eng.spreadTracker.Leo).toBe(30);
+    expect(eng.synths.Leo.sets).toContainEqual({
+      oscillator: { count: SIGN_CHARACTER.Leo.oscCount, spread: 30 },
+    });
+  });
+
+  it("restores each sign's own type", () => {
+    const eng = fakeBanks();
+    applyOscType(eng, "fatsquare", params);
+    applyOscType(eng, "per-sign", params);
+    expect(eng.oscTypeTracker.Gemini).toBe(SIGN_CHARACTER.Gemini.oscType);
+    expect(eng.synths.Gemini.sets).toContainEqual({ oscillator: { modulationIndex: 4 } });
+  });
+});
+
+// ─── Headless engine (fakeTone.js) ───────────────────────────
+
+const engine = (options) => createEngine({ context: harness.context, ...options });
+
+// The nodes the chain wires that the engine doesn't hand out — the
+// playing set's are the newest on the shared highpass and output
+function hiddenNodes(eng) {
+  const { fx } = eng;
+  const highpass = harness.nodes.find((n) => n.type === "Filter" && n.options.type === "highpass");
+  const out = harness.inputs(eng.output).at(-1);
+  return {
+    highpass,
+    input: [...highpass.outputs].at(-1),
+    out,
+    preDelay: harness.inputs(fx.reverb).find((n) => n.type === "Delay"),
+    softClip: harness.inputs(out).find((n) => n.type === "WaveShaper"),
+    reverbReturn: [...fx.reverb.outputs].find((n) => n.type === "Gain"),
+  };
+}
+
+// Asserts a → b → c … edge by edge
+function expectPath(...nodes) {
+  nodes.slice(1).forEach((node, i) => {
+    expect(harness.connected(nodes[i], node), `${nodes[i].type} → ${node.type}`).toBe(true);
+  });
+}
+
+const lastWrite = (target, param) =>
+  harness.writes.filter((w) => w.target === target && w.param === param).pop();
+
+beforeEach(() => harness.reset());
+
+describe("createEngine graph", () => {
+  it("builds two banks of synths into panners and the sum bus", async () => {
+    const eng = await engine();
+    const sumBus = harness.inputs(hiddenNodes(eng).highpass)[0];
+    for (const name of SIGN_NAMES) {
+      expectPath(eng.synths[name], eng.panners[name], sumBus);
+      expectPath(eng.synthsB[name], eng.pannersB[name], sumBus);
+    }
+    expect(eng.panners.Aquarius.pan.value).toBe(SIGN_CHARACTER.Aquarius.panBase);
+    expect(eng.synths.Leo.options.options.oscillator.type).toBe(SIGN_CHARACTER.Leo.oscType);
+    expect(harness.nodes.filter((n) => n.type === "PolySynth")).toHaveLength(24);
+  });
+
+  it("wires the chain in order", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    const { fx } = eng;
+    const { highpass, input, out, preDelay, softClip } = hiddenNodes(eng);
+    expectPath(highpass, input, fx.chebyshev, fx.eq3, fx.vibrato, fx.echoCrossfade.a);
+    expectPath(fx.vibrato, fx.echoInputGain, fx.echoDelay, fx.echoCrossfade.b);
+    expectPath(fx.echoCrossfade, preDelay, fx.reverb);
+    expectPath(preDelay, fx.chorus, fx.monitorEQ, softClip, out, eng.output, harness.destination);
+    // The echo's own feedback loop is node-internal
+    expectPath(fx.echoDelay, fx.echoFilter, fx.echoSat, fx.echoFeedbackGain, fx.echoDelay);
+  });
+
+  it("falls back to the safe chain on a broken config", async () => {
+    const broken = { order: ["eq3"], bypass: {} };
+    const eng = await engine({ chain: broken });
+    expect(eng.chainReport.valid).toBe(false);
+    expect(eng.chain).toBe(SAFE_CHAIN);
+    expect(eng.requestedChain).toBe(broken);
+    expectPath(hiddenNodes(eng).input, eng.fx.vibrato, eng.fx.echoCrossfade.a);
+  });
+});
+
+describe("bypass", () => {
+  it("leaves a bypassed node out until its mix opens", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    const { chebyshev, distortion, eq3 } = eng.fx;
+    expect(harness.connected(chebyshev, eq3)).toBe(true);
+    expect(harness.connected(chebyshev, distortion)).toBe(false);
+
+    eng.setParam("distortionWet", 0.4);
+    expectPath(chebyshev, distortion, eq3);
+    expect(harness.connected(chebyshev, eq3)).toBe(false);
+    expect(distortion.wet.value).toBe(0.4);
+  });
+
+  it("fades the mix out before pulling the node", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    const { chebyshev, distortion, eq3 } = eng.fx;
+    eng.setParam("distortionWet", 0.4);
+    eng.setParam("distortionWet", 0);
+    expect(lastWrite(distortion, "wet")).toMatchObject({ kind: "rampTo", value: 0, duration: 0.05 });
+    expect(harness.connected(chebyshev, distortion)).toBe(true);
+
+    harness.advance(0.1);
+    expect(harness.connected(chebyshev, distortion)).toBe(false);
+    expect(harness.connected(distortion, eq3)).toBe(false);
+    expect(harness.connected(chebyshev, eq3)).toBe(true);
+  });
+
+  it("cancels a pending pull when the mix reopens", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    const { chebyshev, distortion } = eng.fx;
+    eng.setParam("distortionWet", 0.4);
+    eng.setParam("distortionWet", 0);
+    eng.setParam("distortionWet", 0.2);
+    harness.advance(0.1);
+    expect(harness.connected(chebyshev, distortion)).toBe(true);
+  });
+});
+
+describe("setChain", () => {
+  it("reports the safe chain it wired for a broken config", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    const onChain = vi.fn();
+    eng.on("chain", onChain);
+    const broken = { order: ["eq3"], bypass: {} };
+    const report = await eng.setChain(broken);
+    expect(report.valid).toBe(false);
+    expect(eng.chain).toBe(SAFE_CHAIN);
+    expect(onChain).toHaveBeenCalledWith({ config: SAFE_CHAIN, requested: broken, report });
+  });
+
+  it("wires the new chain on a second set of nodes and reports", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    const onChain = vi.fn();
+    eng.on("chain", onChain);
+    const old = eng.fx;
+    const report = await eng.setChain("orbit");
+    expect(report.valid).toBe(true);
+    expect(onChain).toHaveBeenCalledWith({ config: eng.chain, requested: eng.chain, report });
+
+    const { fx } = eng;
+    expect(fx.reverb).not.toBe(old.reverb);
+    const { highpass, input, preDelay, reverbReturn } = hiddenNodes(eng);
+    expectPath(highpass, input, fx.vibrato, fx.eq3, fx.chebyshev, fx.chorus, fx.monitorEQ);
+    expect(harness.connected(fx.vibrato, fx.echoCrossfade.a)).toBe(false);
+    // Reverb runs as a send: the effect runs 100% wet, the return keeps the knob
+    expectPath(harness.inputs(preDelay)[0], preDelay, fx.reverb, reverbReturn, fx.monitorEQ);
+    expect(fx.reverb.wet.value).toBe(1);
+    expect(eng.mix.reverb).toBe(reverbReturn.gain);
+    expect(reverbReturn.gain.value).toBe(TUNING.reverbWet);
+  });
+
+  it("crossfades the old set out while the new one comes in", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    const before = hiddenNodes(eng);
+    await eng.setChain("orbit");
+    const after = hiddenNodes(eng);
+    // Both sets hear the voices; only their inputs move, never the output
+    expectPath(before.highpass, before.input);
+    expectPath(after.highpass, after.input);
+    expectPath(before.out, eng.output);
+    expectPath(after.out, eng.output);
+    expect(lastWrite(before.input, "gain")).toMatchObject({ kind: "rampTo", value: 0, duration: 0.3 });
+    expect(after.input.options.gain).toBe(0);
+    expect(lastWrite(after.input, "gain")).toMatchObject({ kind: "rampTo", value: 1, duration: 0.3 });
+    expect(lastWrite(eng.output, "gain")).toBeUndefined();
+
+    // The old set rings out, then goes
+    harness.advance(1);
+    expect(before.out.disposed).toBe(false);
+    expectPath(before.out, eng.output);
+    expect(lastWrite(before.out, "gain")).toMatchObject({ kind: "rampTo", value: 0, duration: 4 });
+    harness.advance(4);
+    expect(before.out.disposed).toBe(true);
+    expect(harness.connected(before.highpass, before.input)).toBe(false);
+    expect(after.out.disposed).toBe(false);
+  });
+
+  it("starts the new set at the live knobs, and at SHADOW under Eclipse", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    eng.setParam("eqLow", -4);
+    eng.setParam("chebyWet", 0.2);
+    eng.eclipse(true);
+    await eng.setChain("orbit");
+    expect(eng.fx.eq3.low.value).toBe(-4);
+    expect(eng.fx.chebyshev.wet.value).toBe(SHADOW.chebyWet);
+    eng.eclipse(false);
+    expect(lastWrite(eng.fx.chebyshev, "wet")).toMatchObject({ kind: "rampTo", value: 0.2 });
+  });
+
+  it("cuts short a set still ringing from the switch before", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    const first = hiddenNodes(eng);
+    await eng.setChain("orbit");
+    await eng.setChain("cathedral");
+    harness.advance(0.5);
+    expect(first.out.disposed).toBe(true);
+    expect(hiddenNodes(eng).out.disposed).toBe(false);
+  });
+
+  it("keeps an open bypassable node in the new chain", async () => {
+    const eng = await engine({ chain: "cathedral" });
+    eng.setParam("phaserWet", 0.5);
+    await eng.setChain("orbit");
+    expectPath(eng.fx.chorus, eng.fx.phaser, eng.fx.monitorEQ);
+  });
+});
+
+describe("setProfile", () => {
+  it("applies the TUNING no knob drives, as a fresh engine would", async () => {
+    const glass = await loadProfile("glass-meridian");
+    const eng = await engine();
+    const { highpass } = hiddenNodes(eng);
+    eng.setProfile(glass);
+    const { echoSat, echoInputGain, monitorEQ } = eng.fx;
+    expect(echoInputGain.gain.value).toBe(glass.TUNING.echoInputGain);
+    expect(echoInputGain.gain.value).not.toBe(TUNING.echoInputGain);
+    expect(echoSat.curve(1)).toBeCloseTo(Math.tanh(glass.TUNING.echoSatDrive));
+    expect(monitorEQ.highFrequency.value).toBe(glass.TUNING.monitorHighFreq);
+    expect(highpass.frequency.value).toBe(glass.TUNING.highpassFreq);
+    expect(highpass.rolloff).toBe(glass.TUNING.highpassRolloff);
+  });
+});
+
+describe("knobs", () => {
+  it("applies every knob's start value", async () => {
+    const eng = await engine({ params: { ...TUNING, eqLow: -4, reverbDamp: 2500 } });
+    expect(eng.fx.eq3.low.value).toBe(-4);
+    expect(eng.fx.reverb.dampening).toBe(2500);
+    expect(eng.params.eqLow).toBe(-4);
+  });
+
+  it("applies a knob through KNOB_MAP and reports it", async () => {
+    const eng = await engine();
+    const onParam = vi.fn();
+    eng.on("param", onParam);
+    eng.setParam("attack", 2);
+    for (const name of SIGN_NAMES) {
+      const attack = 2 * SIGN_CHARACTER[name].attackMul;
+      expect(eng.synths[name].sets).toContainEqual({ envelope: { attack } });
+      expect(eng.synthsB[name].sets).toContainEqual({ envelope: { attack } });
+    }
+    expect(onParam).toHaveBeenCalledWith({ name: "attack", value: 2 });
+  });
+
+  it("glides the echo time from where it is", async () => {
+    const eng = await engine();
+    eng.setParam("delayTime", 0.5);
+    const writes = harness.writes.filter((w) => w.target === eng.fx.echoDelay);
+    expect(writes.slice(-2)).toMatchObject([
+      { kind: "cancel" },
+      { kind: "rampTo", value: 0.5, duration: 0.15 },
+    ]);
+  });
+
+  it("stores without sounding when told not to apply", async () => {
+    const eng = await engine();
+    const before = eng.fx.eq3.low.value;
+    eng.setParam("eqLow", 9, { apply: false });
+    expect(eng.params.eqLow).toBe(9);
+    expect(eng.fx.eq3.low.value).toBe(before);
+    expect(eng.setParam("warp", 1)).toBe(false);
+  });
+});
+
+describe("voices", () => {
+  it("plays and releases a sign", async () => {
+    const eng = await engine();
+    const events = [];
+    eng.on("noteon", (e) => events.push(e));
+    eng.on("noteoff", (e) => events.push(e));
+    const { note, octave, vel, detuneCents } = SIGN_CHARACTER.Leo;
+
+    eng.noteOn("Leo", "B", { velocity: 0.5, detuneCents: 3, time: 1 });
+    expect(eng.synthsB.Leo.attacks).toEqual([{ note: `${note}${octave}`, time: 1, velocity: vel * 0.5 }]);
+    expect(eng.synthsB.Leo.sets).toContainEqual({ detune: 3 });
+    expect(eng.isActive("Leo", "B")).toBe(true);
+    expect(eng.isActive("Leo")).toBe(false);
+
+    eng.noteOff("Leo", "B", { time: 2 });
+    expect(eng.synthsB.Leo.releases).toEqual([2]);
+    expect(eng.synthsB.Leo.sets.at(-2)).toEqual({ detune: detuneCents });
+    expect(events.map((e) => e.sign + e.bank + e.time)).toEqual(["LeoB1", "LeoB2"]);
+    expect(eng.noteOn("Ophiuchus")).toBe(false);
+  });
+
+  it("re-voices as signs come and go", async () => {
+    const eng = await engine();
+    const volume = () => eng.synths.Aries.sets.filter((o) => "volume" in o).pop().volume;
+    eng.noteOn("Leo");
+    const solo = volume();
+    eng.noteOn("Aries");
+    expect(volume()).toBeLessThan(solo);
+    const onAllOff = vi.fn();
+    eng.on("allnotesoff", onAllOff);
+    eng.releaseAll();
+    expect(eng.active.A.size).toBe(0);
+    expect(eng.synths.Aries.releases).toHaveLength(1);
+    expect(onAllOff).toHaveBeenCalled();
+  });
+});
+
+describe("Breathe and Eclipse", () => {
+  it("switches osc type on the next attack, or at once while bank A sounds", async () => {
+    const eng = await engine({ oscType: "fatsquare" });
+    expect(eng.oscTypeTracker.Gemini).toBe(SIGN_CHARACTER.Gemini.oscType);
+    eng.noteOn("Leo");
+    expect(eng.oscTypeTracker.Gemini).toBe("fatsquare");
+
+    const onOsc = vi.fn();
+    eng.on("osctype", onOsc);
+    eng.setOscType("per-sign");
+    expect(eng.oscTypeTrackerB.Gemini).toBe(SIGN_CHARACTER.Gemini.oscType);
+    expect(eng.oscType).toBe("per-sign");
+    expect(onOsc).toHaveBeenCalledWith({ type: "per-sign" });
+  });
+
+  it("ramps the held FX into SHADOW and back to the knobs", async () => {
+    const eng = await engine();
+    const onEclipse = vi.fn();
+    eng.on("eclipse", onEclipse);
+    eng.eclipse(true);
+    expect(lastWrite(eng.fx.chebyshev, "wet")).toMatchObject({ kind: "rampTo", value: SHADOW.chebyWet, duration: SHADOW.rampTime });
+    expect(eng.sweeper.has("eclipseSpread")).toBe(true);
+    harness.advance(1);
+    expect(eng.spreadTracker.Leo).toBeGreaterThan(SIGN_CHARACTER.Leo.oscSpread);
+
+    eng.setParam("chebyWet", 0.1, { apply: false });
+    eng.eclipse(false);
+    expect(lastWrite(eng.fx.chebyshev, "wet")).toMatchObject({ kind: "rampTo", value: 0.1 });
+    expect(eng.sweeper.has("eclipseSpread")).toBe(false);
+    expect(eng.detuneTracker.Leo).toBe(SIGN_CHARACTER.Leo.detuneCents);
+    expect(onEclipse.mock.calls).toEqual([[{ on: true }], [{ on: false }]]);
+    eng.eclipse(false);
+    expect(onEclipse).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("dispose", () => {
+  it("disposes every node and drops listeners", async () => {
+    const eng = await engine();
+    await eng.setChain("orbit"); // leaves the old set ringing out
+    const fn = vi.fn();
+    eng.on("noteon", fn);
+    eng.dispose();
+    expect(harness.nodes.filter((n) => !n.disposed)).toEqual([]);
+    eng.noteOn("Leo");
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,346 @@
+// Recording fake of the Tone.js surface engine.js builds on — enough to
+// run createEngine headless in Node. Nodes remember their connections,
+// params and plain properties log every write, synths log what they're
+// told to play, and the context clock only moves when a test advances it.
+//
+//   vi.mock("tone", async () => (await import("./fakeTone.js")).Tone);
+//
+//   harness.reset()             fresh graph and clock — call in beforeEach
+//   harness.context             pass as createEngine({ context })
+//   harness.advance(seconds)    moves the clock, firing context timers
+//   harness.connected(a, b)     is there an edge a → b (b a node or param)
+//   harness.inputs(node)        nodes connected into it
+//   harness.nodes               every node built since reset, in order
+//   harness.writes              [{ target, param, kind, value, duration }]
+//                               kind: "value" | "rampTo" | "cancel" | "set"
+//
+// Ramps land at their target at once; the log keeps the duration.
+
+let state;
+
+function log(target, param, kind, value, duration) {
+  state.writes.push({ target, param, kind, value, duration });
+}
+
+class FakeParam {
+  constructor(owner, name, value = 0) {
+    this.owner = owner;
+    this.name = name;
+    this._value = value;
+  }
+  get value() {
+    return this._value;
+  }
+  set value(v) {
+    this._value = v;
+    log(this.owner, this.name, "value", v);
+  }
+  rampTo(v, duration) {
+    this._value = v;
+    log(this.owner, this.name, "rampTo", v, duration);
+    return this;
+  }
+  cancelAndHoldAtTime() {
+    log(this.owner, this.name, "cancel");
+    return this;
+  }
+  now() {
+    return state.time;
+  }
+}
+
+class FakeNode {
+  constructor(options = {}) {
+    this.options = options;
+    this.outputs = new Set();
+    this.disposed = false;
+    state.nodes.push(this);
+  }
+  get type() {
+    return this.constructor.name;
+  }
+  param(name, value) {
+    this[name] = new FakeParam(this, name, value);
+  }
+  // A plain property (Freeverb dampening, Phaser octaves…) that logs writes
+  prop(name, value) {
+    let current = value;
+    Object.defineProperty(this, name, {
+      get: () => current,
+      set: (v) => {
+        current = v;
+        log(this, name, "set", v);
+      },
+    });
+  }
+  connect(dest) {
+    this.outputs.add(dest);
+    return this;
+  }
+  // Like Web Audio, disconnecting something that isn't connected throws
+  disconnect(dest) {
+    if (dest === undefined) this.outputs.clear();
+    else if (!this.outputs.delete(dest)) {
+      throw new Error(`${this.type} is not connected to ${dest.type ?? dest.name}`);
+    }
+    return this;
+  }
+  toDestination() {
+    return this.connect(state.destination);
+  }
+  dispose() {
+    this.disposed = true;
+    this.outputs.clear();
+    return this;
+  }
+}
+
+class Effect extends FakeNode {
+  constructor(options) {
+    super(options);
+    this.param("wet", 1);
+  }
+}
+
+class Gain extends FakeNode {
+  constructor(gain = 1) {
+    super({ gain });
+    this.param("gain", gain);
+  }
+}
+
+class Filter extends FakeNode {
+  constructor(options) {
+    super(options);
+    this.param("frequency", options.frequency);
+    this.prop("rolloff", options.rolloff);
+  }
+}
+
+class Delay extends FakeNode {
+  constructor(options) {
+    super(options);
+    this.param("delayTime", options.delayTime);
+  }
+}
+
+class WaveShaper extends FakeNode {
+  constructor(curve, length) {
+    super({ length });
+    this.curve = curve;
+    this.oversample = "none";
+  }
+  setMap(curve, length) {
+    this.curve = curve;
+    this.options.length = length;
+    log(this, "curve", "set", curve);
+    return this;
+  }
+}
+
+// a and b are the two inputs; both feed the crossfade's output
+class CrossFade extends FakeNode {
+  constructor(fade = 0.5) {
+    super({ fade });
+    this.param("fade", fade);
+    this.a = new Gain(1).connect(this);
+    this.b = new Gain(1).connect(this);
+  }
+  dispose() {
+    this.a.dispose();
+    this.b.dispose();
+    return super.dispose();
+  }
+}
+
+class EQ3 extends FakeNode {
+  constructor(options) {
+    super(options);
+    for (const name of ["low", "mid", "high", "lowFrequency", "highFrequency"]) {
+      this.param(name, options[name] ?? 0);
+    }
+  }
+}
+
+class Chebyshev extends Effect {
+  constructor(order) {
+    super({ order });
+    this.prop("order", order);
+    this.oversample = "none";
+  }
+}
+
+class Distortion extends Effect {
+  constructor(options) {
+    super(options);
+    this.prop("distortion", options.distortion);
+  }
+}
+
+class Vibrato extends Effect {
+  constructor(options) {
+    super(options);
+    this.param("frequency", options.frequency);
+    this.param("depth", options.depth);
+  }
+}
+
+class Freeverb extends Effect {
+  constructor(options) {
+    super(options);
+    this.param("roomSize", options.roomSize);
+    this.prop("dampening", options.dampening);
+  }
+}
+
+class Chorus extends Effect {
+  constructor(options) {
+    super(options);
+    this.param("frequency", options.frequency);
+    this.prop("delayTime", options.delayTime);
+    this.prop("depth", options.depth);
+  }
+}
+
+class Phaser extends Effect {
+  constructor(options) {
+    super(options);
+    this.param("frequency", options.frequency);
+    this.param("Q", options.Q);
+    this.prop("octaves", options.octaves);
+    this.prop("baseFrequency", options.baseFrequency);
+  }
+}
+
+class Panner extends FakeNode {
+  constructor(pan = 0) {
+    super({ pan });
+    this.param("pan", pan);
+  }
+}
+
+class LFO extends FakeNode {
+  constructor(options) {
+    super(options);
+    this.param("frequency", options.frequency);
+    this.param("amplitude", 1);
+    this.min = options.min;
+    this.max = options.max;
+    this.started = false;
+  }
+  start() {
+    this.started = true;
+    return this;
+  }
+  stop() {
+    this.started = false;
+    return this;
+  }
+}
+
+// Only ever passed to PolySynth as the voice type
+class Synth {}
+
+class PolySynth extends FakeNode {
+  constructor(voice, options) {
+    super(options);
+    this.voice = voice;
+    this.sets = [];
+    this.attacks = [];
+    this.releases = [];
+  }
+  set(options) {
+    this.sets.push(options);
+    log(this, "set", "set", options);
+    return this;
+  }
+  triggerAttack(note, time, velocity) {
+    this.attacks.push({ note, time, velocity });
+    return this;
+  }
+  releaseAll(time) {
+    this.releases.push(time);
+    return this;
+  }
+}
+
+// ─── Context clock ───────────────────────────────────────────
+
+function addTimer(fn, seconds, every) {
+  const id = state.nextTimer++;
+  state.timers.push({ id, fn, at: state.time + seconds, every });
+  return id;
+}
+
+function clearTimer(id) {
+  state.timers = state.timers.filter((t) => t.id !== id);
+}
+
+const context = {
+  get currentTime() {
+    return state.time;
+  },
+  rawContext: { sampleRate: 44100, state: "running" },
+  setTimeout: (fn, seconds) => addTimer(fn, seconds, null),
+  setInterval: (fn, seconds) => addTimer(fn, seconds, seconds),
+  clearTimeout: clearTimer,
+  clearInterval: clearTimer,
+};
+
+export const Tone = {
+  Gain,
+  Filter,
+  Delay,
+  WaveShaper,
+  CrossFade,
+  EQ3,
+  Chebyshev,
+  Distortion,
+  Vibrato,
+  Freeverb,
+  Chorus,
+  Phaser,
+  Panner,
+  LFO,
+  Synth,
+  PolySynth,
+  now: () => state.time,
+  getContext: () => context,
+  Transport: { bpm: { value: 120 }, cancel() {} },
+};
+
+export const harness = {
+  context,
+  reset() {
+    state = { nodes: [], writes: [], timers: [], time: 0, nextTimer: 1 };
+    state.destination = new FakeNode();
+    state.nodes.length = 0;
+  },
+  get nodes() {
+    return state.nodes;
+  },
+  get writes() {
+    return state.writes;
+  },
+  get destination() {
+    return state.destination;
+  },
+  advance(seconds) {
+    const end = state.time + seconds;
+    for (;;) {
+      const due = state.timers
+        .filter((t) => t.at <= end)
+        .sort((a, b) => a.at - b.at)[0];
+      if (!due) break;
+      state.time = due.at;
+      if (due.every) due.at += due.every;
+      else clearTimer(due.id);
+      due.fn();
+    }
+    state.time = end;
+  },
+  connected: (a, b) => a.outputs.has(b),
+  inputs: (node) => state.nodes.filter((n) => n.outputs.has(node)),
+};
+
+harness.reset();
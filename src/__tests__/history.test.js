@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import {
+  EMPTY_HISTORY,
+  diffKnobs,
+  pushEdit,
+  canUndo,
+  canRedo,
+  undo,
+  redo,
+  jumpTo,
+} from "../history";
+
+const base = { attack: 1, decay: 2, reverbWet: 0.3 };
+
+// Three edits: attack 1→4, decay 2→5 with reverb 0.3→0.6, attack 4→8
+function threeEdits() {
+  let h = pushEdit(EMPTY_HISTORY, "ATK", base, { ...base, attack: 4 }, 1);
+  h = pushEdit(h, "Randomize", { ...base, attack: 4 }, { attack: 4, decay: 5, reverbWet: 0.6 }, 2);
+  return pushEdit(h, "ATK", { attack: 4, decay: 5, reverbWet: 0.6 }, { attack: 8, decay: 5, reverbWet: 0.6 }, 3);
+}
+
+describe("diffKnobs", () => {
+  it("keeps only changed knobs", () => {
+    expect(diffKnobs(base, { ...base, decay: 3 })).toEqual({
+      before: { decay: 2 },
+      after: { decay: 3 },
+    });
+    expect(diffKnobs(base, { ...base })).toBeNull();
+  });
+});
+
+describe("pushEdit", () => {
+  it("records one entry per edit and ignores no-ops", () => {
+    const h = threeEdits();
+    expect(h.entries.map((e) => e.label)).toEqual(["ATK", "Randomize", "ATK"]);
+    expect(h.entries[1].after).toEqual({ decay: 5, reverbWet: 0.6 });
+    expect(h.index).toBe(3);
+    expect(pushEdit(h, "ATK", base, base)).toBe(h);
+  });
+
+  it("drops the redo branch when a new edit is made", () => {
+    const h = undo(undo(threeEdits()).history).history;
+    const next = pushEdit(h, "DEC", { attack: 4, decay: 2 }, { attack: 4, decay: 9 });
+    expect(next.entries.map((e) => e.label)).toEqual(["ATK", "DEC"]);
+    expect(canRedo(next)).toBe(false);
+  });
+
+  it("forgets the oldest entries past the limit", () => {
+    let h = EMPTY_HISTORY;
+    for (let i = 0; i < 5; i++) h = pushEdit(h, `#${i}`, { attack: i }, { attack: i + 1 }, i, 3);
+    expect(h.entries.map((e) => e.label)).toEqual(["#2", "#3", "#4"]);
+    expect(h.index).toBe(3);
+  });
+});
+
+describe("undo / redo / jumpTo", () => {
+  it("undoes and redoes one entry at a time", () => {
+    const h = threeEdits();
+    const u = undo(h);
+    expect(u.values).toEqual({ attack: 4 });
+    expect(u.history.index).toBe(2);
+    const r = redo(u.history);
+    expect(r.values).toEqual({ attack: 8 });
+    expect(r.history.index).toBe(3);
+  });
+
+  it("returns null at either end", () => {
+    expect(undo(EMPTY_HISTORY)).toBeNull();
+    expect(redo(threeEdits())).toBeNull();
+    expect(canUndo(EMPTY_HISTORY)).toBe(false);
+  });
+
+  it("jumps across several entries with the net values", () => {
+    const h = threeEdits();
+    const back = jumpTo(h, 0);
+    expect(back.values).toEqual(base);
+    const forward = jumpTo(back.history, 3);
+    expect(forward.values).toEqual({ attack: 8, decay: 5, reverbWet: 0.6 });
+    expect(jumpTo(h, 3)).toBeNull();
+  });
+});
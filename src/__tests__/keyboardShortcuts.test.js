@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { PIANO_CODES, shortcutFor, isTypingTarget } from "../keyboardShortcuts";
+
+const body = { tagName: "BODY" };
+const key = (code, k, extra = {}) => ({ code, key: k, target: body, ...extra });
+
+describe("shortcutFor", () => {
+  it("plays the home row as one chromatic octave", () => {
+    expect(PIANO_CODES).toHaveLength(12);
+    expect(shortcutFor(key("KeyA", "a"))).toEqual({ type: "sign", index: 0 });
+    expect(shortcutFor(key("KeyW", "w"))).toEqual({ type: "sign", index: 1 });
+    expect(shortcutFor(key("KeyJ", "j"))).toEqual({ type: "sign", index: 11 });
+    // physical position, whatever the layout types
+    expect(shortcutFor(key("KeyA", "q"))).toEqual({ type: "sign", index: 0 });
+  });
+
+  it("maps the control shortcuts", () => {
+    expect(shortcutFor(key("Space", " "))).toEqual({ type: "playPause" });
+    expect(shortcutFor(key("KeyK", "k"))).toEqual({ type: "eclipse" });
+    expect(shortcutFor(key("KeyB", "B", { shiftKey: true }))).toEqual({ type: "breathe" });
+    expect(shortcutFor(key("Slash", "?", { shiftKey: true }))).toEqual({ type: "help" });
+    expect(shortcutFor(key("Digit2", "2"))).toEqual({ type: "listen", index: 1 });
+    expect(shortcutFor(key("Digit5", "5"))).toBeNull();
+    expect(shortcutFor(key("KeyQ", "q"))).toBeNull();
+  });
+
+  it("stays out of the way of typing, modifiers and repeats", () => {
+    const city = { tagName: "INPUT", type: "text" };
+    expect(shortcutFor(key("KeyA", "a", { target: city }))).toBeNull();
+    expect(shortcutFor(key("KeyD", "d", { target: { tagName: "INPUT", type: "date" } }))).toBeNull();
+    expect(shortcutFor(key("KeyA", "a", { ctrlKey: true }))).toBeNull();
+    expect(shortcutFor(key("KeyA", "a", { repeat: true }))).toBeNull();
+    expect(shortcutFor(key("Space", " ", { target: { tagName: "BUTTON" } }))).toBeNull();
+  });
+});
+
+describe("isTypingTarget", () => {
+  it("only counts fields that take characters", () => {
+    expect(isTypingTarget({ tagName: "INPUT" })).toBe(true);
+    expect(isTypingTarget({ tagName: "INPUT", type: "time" })).toBe(true);
+    expect(isTypingTarget({ tagName: "SELECT" })).toBe(true);
+    expect(isTypingTarget({ tagName: "DIV", isContentEditable: true })).toBe(true);
+    expect(isTypingTarget({ tagName: "INPUT", type: "checkbox" })).toBe(false);
+    expect(isTypingTarget({ tagName: "INPUT", type: "range" })).toBe(false);
+    expect(isTypingTarget(body)).toBe(false);
+  });
+});
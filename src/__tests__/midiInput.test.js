@@ -0,0 +1,115 @@
+import { describe, it, expect } from "vitest";
+import {
+  PITCH_CLASS_SIGNS,
+  signForNote,
+  parseMidiMessage,
+  requestMidiAccess,
+  listMidiInputs,
+  createMidiInput,
+} from "../midiInput";
+
+// Stand-in for navigator.requestMIDIAccess's MIDIAccess
+function fakeAccess(...names) {
+  const inputs = new Map(
+    names.map((name, i) => [`in${i}`, { id: `in${i}`, name, state: "connected", onmidimessage: null }]),
+  );
+  return { inputs, onstatechange: null };
+}
+
+const noteOn = (note, vel = 127, channel = 1) => ({ data: [0x90 | (channel - 1), note, vel] });
+const noteOff = (note, channel = 1) => ({ data: [0x80 | (channel - 1), note, 64] });
+
+function setup(...names) {
+  const access = fakeAccess(...(names.length ? names : ["Keys"]));
+  const calls = [];
+  const midi = createMidiInput(access, { onSign: (...args) => calls.push(args) });
+  const send = (id, e) => access.inputs.get(id).onmidimessage?.(e);
+  return { access, calls, midi, send };
+}
+
+describe("note mapping", () => {
+  it("maps pitch classes to signs through ZODIAC_NOTES", () => {
+    expect(PITCH_CLASS_SIGNS).toHaveLength(12);
+    expect(signForNote(60)).toBe("Aquarius");
+    expect(signForNote(62)).toBe("Aries");
+    expect(signForNote(71)).toBe("Capricorn");
+    expect(signForNote(35)).toBe("Capricorn");
+  });
+
+  it("parses note-on/off and treats velocity 0 as note-off", () => {
+    expect(parseMidiMessage([0x93, 60, 127])).toEqual({ type: "noteon", channel: 4, note: 60, velocity: 1 });
+    expect(parseMidiMessage([0x90, 60, 0]).type).toBe("noteoff");
+    expect(parseMidiMessage([0x80, 60, 40]).type).toBe("noteoff");
+    expect(parseMidiMessage([0xb1, 21, 64])).toEqual({ type: "cc", channel: 2, cc: 21, value: 64 });
+    expect(parseMidiMessage([0xe0, 0, 64])).toBeNull();
+    expect(parseMidiMessage([0xf8])).toBeNull();
+  });
+});
+
+describe("requestMidiAccess", () => {
+  it("asks navigator without sysex", async () => {
+    const access = fakeAccess("Keys");
+    let opts;
+    const nav = { requestMIDIAccess: async (o) => { opts = o; return access; } };
+    expect(await requestMidiAccess(nav)).toBe(access);
+    expect(opts).toEqual({ sysex: false });
+    expect(listMidiInputs(access)).toEqual([{ id: "in0", name: "Keys" }]);
+  });
+
+  it("rejects when Web MIDI is missing", async () => {
+    await expect(requestMidiAccess({})).rejects.toThrow("not supported");
+  });
+});
+
+describe("createMidiInput", () => {
+  it("toggles signs on note-on in latch mode", () => {
+    const { calls, send } = setup();
+    send("in0", noteOn(64, 127));
+    send("in0", noteOff(64));
+    send("in0", noteOn(76, 0));
+    expect(calls).toEqual([["Gemini", "toggle", 1]]);
+  });
+
+  it("holds a sign until its last note is released", () => {
+    const { calls, midi, send } = setup();
+    midi.configure({ mode: "hold" });
+    send("in0", noteOn(60, 64));
+    send("in0", noteOn(72));
+    send("in0", noteOff(60));
+    expect(calls).toEqual([["Aquarius", "attack", 64 / 127]]);
+    send("in0", noteOff(72));
+    expect(calls.at(-1)).toEqual(["Aquarius", "release", 0]);
+  });
+
+  it("releases held notes when settings change", () => {
+    const { calls, midi, send } = setup();
+    midi.configure({ mode: "hold" });
+    send("in0", noteOn(61));
+    midi.configure({ mode: "latch" });
+    expect(calls.at(-1)).toEqual(["Pisces", "release", 0]);
+  });
+
+  it("filters by channel", () => {
+    const { calls, midi, send } = setup();
+    midi.configure({ channel: 2 });
+    send("in0", noteOn(60, 127, 1));
+    send("in0", noteOn(62, 127, 2));
+    expect(calls).toEqual([["Aries", "toggle", 1]]);
+  });
+
+  it("listens to the chosen device only and follows hot-plugging", () => {
+    const { access, calls, midi, send } = setup("Keys", "Pads");
+    midi.configure({ deviceId: "in1" });
+    expect(access.inputs.get("in0").onmidimessage).toBeNull();
+    send("in1", noteOn(65));
+    expect(calls).toEqual([["Cancer", "toggle", 1]]);
+
+    const devices = [];
+    const other = createMidiInput(access, { onSign: () => {}, onDevices: (d) => devices.push(d) });
+    access.inputs.get("in1").state = "disconnected";
+    access.onstatechange();
+    expect(devices.at(-1)).toEqual([{ id: "in0", name: "Keys" }]);
+    other.close();
+    expect(access.onstatechange).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from "vitest";
+import {
+  RELATIVE_STEP,
+  knobForControl,
+  learnBinding,
+  setBindingMode,
+  removeBinding,
+  controlValue,
+  exportMidiMap,
+  parseMidiMap,
+  loadMidiMap,
+  saveMidiMap,
+} from "../midiLearn";
+import { KNOB_DEFS } from "../tuning.js";
+
+const bind = (mode) => ({ channel: 1, cc: 21, mode });
+
+// In-memory stand-in for localStorage
+const memoryStorage = () => {
+  const data = new Map();
+  return { getItem: (k) => data.get(k) ?? null, setItem: (k, v) => data.set(k, String(v)) };
+};
+
+describe("bindings", () => {
+  it("moves a CC to the knob that learned it last", () => {
+    let map = learnBinding({}, "chorusDepth", { channel: 1, cc: 21 });
+    map = learnBinding(map, "chebyWet", { channel: 1, cc: 21 }, "takeover");
+    expect(map).toEqual({ chebyWet: bind("takeover") });
+    expect(knobForControl(map, 1, 21)).toBe("chebyWet");
+    expect(knobForControl(map, 2, 21)).toBeNull();
+  });
+
+  it("relearns, retunes and removes a knob's binding", () => {
+    let map = learnBinding({}, "chorusDepth", { channel: 1, cc: 21 });
+    map = learnBinding(map, "chorusDepth", { channel: 3, cc: 7 });
+    expect(map).toEqual({ chorusDepth: { channel: 3, cc: 7, mode: "absolute" } });
+    expect(setBindingMode(map, "chorusDepth", "relative").chorusDepth.mode).toBe("relative");
+    expect(setBindingMode(map, "chorusDepth", "bogus")).toBe(map);
+    expect(removeBinding(map, "chorusDepth")).toEqual({});
+  });
+});
+
+describe("controlValue", () => {
+  it("maps absolute CCs through the knob's scale", () => {
+    const filt = KNOB_DEFS.echoFilterFreq;
+    expect(controlValue(filt, bind("absolute"), 1000, 0).value).toBeCloseTo(filt.min);
+    expect(controlValue(filt, bind("absolute"), 1000, 127).value).toBeCloseTo(filt.max);
+    // log knob: the middle of the controller is the geometric middle
+    const mid = controlValue(filt, bind("absolute"), 1000, 63.5).value;
+    expect(mid).toBeCloseTo(Math.sqrt(filt.min * filt.max));
+    expect(Number.isInteger(controlValue(KNOB_DEFS.chebyOrder, bind("absolute"), 2, 50).value)).toBe(true);
+  });
+
+  it("waits for soft takeover to reach the knob", () => {
+    const def = KNOB_DEFS.chorusDepth;
+    const b = bind("takeover");
+    let r = controlValue(def, b, 0.5, 10);
+    expect(r.value).toBeNull();
+    r = controlValue(def, b, 0.5, 30, r.state);
+    expect(r.value).toBeNull();
+    // jumping past the knob picks it up
+    r = controlValue(def, b, 0.5, 80, r.state);
+    expect(r.value).toBeCloseTo(80 / 127);
+    r = controlValue(def, b, r.value, 82, r.state);
+    expect(r.value).toBeCloseTo(82 / 127);
+    // a mouse edit since drops the knob again
+    expect(controlValue(def, b, 0.1, 84, r.state).value).toBeNull();
+  });
+
+  it("keeps step knobs engaged once taken over", () => {
+    const def = KNOB_DEFS.chebyOrder;
+    const b = bind("takeover");
+    let r = controlValue(def, b, 6, 64);
+    expect(r.value).toBe(6);
+    // outside the pickup window and on the same side, but still engaged
+    r = controlValue(def, b, r.value, 68, r.state);
+    expect(r.value).toBe(6);
+    r = controlValue(def, b, r.value, 80, r.state);
+    expect(r.value).toBe(7);
+  });
+
+  it("steps relative encoders from the current value", () => {
+    const def = KNOB_DEFS.chorusDepth;
+    const b = bind("relative");
+    expect(controlValue(def, b, 0.5, 2).value).toBeCloseTo(0.5 + 2 * RELATIVE_STEP);
+    expect(controlValue(def, b, 0.5, 127).value).toBeCloseTo(0.5 - RELATIVE_STEP);
+    expect(controlValue(def, b, 1, 5).value).toBe(1);
+    expect(controlValue(def, b, 0.5, 0).value).toBeNull();
+  });
+});
+
+describe("persistence", () => {
+  it("round-trips through export and localStorage", () => {
+    const map = learnBinding({}, "reverbDamp", { channel: 2, cc: 74 }, "relative");
+    const parsed = parseMidiMap(JSON.stringify(exportMidiMap(map)));
+    expect(parsed).toMatchObject({ ok: true, map, warnings: [] });
+
+    const storage = memoryStorage();
+    expect(loadMidiMap(storage)).toEqual({});
+    saveMidiMap(map, storage);
+    expect(loadMidiMap(storage)).toEqual(map);
+  });
+
+  it("skips bad bindings and rejects other files", () => {
+    const { map, warnings } = parseMidiMap({
+      meta: { format: "celezdial-midi-map" },
+      bindings: {
+        nope: { channel: 1, cc: 1 },
+        attack: { channel: 17, cc: 1 },
+        decay: { channel: 1, cc: 2, mode: "weird" },
+      },
+    });
+    expect(map).toEqual({ decay: { channel: 1, cc: 2, mode: "absolute" } });
+    expect(warnings).toHaveLength(3);
+    expect(parseMidiMap("{").ok).toBe(false);
+    expect(parseMidiMap({ meta: { format: "celezdial-library" } }).errors).toEqual(["not a MIDI map export"]);
+  });
+});
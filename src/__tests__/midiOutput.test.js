@@ -0,0 +1,118 @@
+import { describe, it, expect } from "vitest";
+import {
+  MPE_MEMBER_CHANNELS,
+  noteNumber,
+  pitchBendValue,
+  noteOnMessage,
+  pitchBendMessage,
+  listMidiOutputs,
+  createMidiOutput,
+} from "../midiOutput";
+
+// Records what would go out on a MIDIOutput, skipping the setup RPNs
+function fakeOutput() {
+  const sent = [];
+  return {
+    sent,
+    notes: () => sent.filter(({ data }) => (data[0] & 0xf0) !== 0xb0),
+    send: (data, timestamp) => sent.push({ data, timestamp }),
+  };
+}
+
+const leo = { note: "Gb", octave: 4, velocity: 0.5, cents: 0 };
+
+describe("messages", () => {
+  it("numbers notes like Tone (C4 = 60)", () => {
+    expect(noteNumber("C", 4)).toBe(60);
+    expect(noteNumber("Gb", 4)).toBe(66);
+    expect(noteNumber("B", 2)).toBe(47);
+  });
+
+  it("scales cents into the bend range", () => {
+    expect(pitchBendValue(0, 2)).toBe(8192);
+    expect(pitchBendValue(100, 2)).toBe(12288);
+    expect(pitchBendValue(-200, 2)).toBe(0);
+    expect(pitchBendValue(-6.5, 48)).toBe(8181);
+    expect(pitchBendMessage(3, 12288)).toEqual([0xe2, 0, 96]);
+  });
+
+  it("keeps velocity in 1–127", () => {
+    expect(noteOnMessage(1, 60, 0.38)).toEqual([0x90, 60, 48]);
+    expect(noteOnMessage(1, 60, 0)[2]).toBe(1);
+  });
+});
+
+describe("createMidiOutput", () => {
+  it("sends bend then note-on, and note-off on release", () => {
+    const out = fakeOutput();
+    const midi = createMidiOutput(out, { channel: 2, bendMode: "bend" });
+    // setup: pitch bend range RPN on the output channel
+    expect(out.sent.map(({ data }) => data.slice(1))).toContainEqual([6, 2]);
+    midi.noteOn("Leo", { ...leo, cents: -12.5 }, 1500);
+    midi.noteOff("Leo");
+    expect(out.notes()).toEqual([
+      { data: [0xe1, pitchBendValue(-12.5, 2) & 0x7f, pitchBendValue(-12.5, 2) >> 7], timestamp: 1500 },
+      { data: [0x91, 66, 64], timestamp: 1500 },
+      { data: [0x81, 66, 0], timestamp: undefined },
+    ]);
+  });
+
+  it("holds a note two banks share until both release", () => {
+    const out = fakeOutput();
+    const midi = createMidiOutput(out, { bendMode: "none" });
+    midi.noteOn("Leo", leo);
+    midi.noteOn("Leo_B", leo);
+    midi.noteOff("Leo");
+    expect(out.notes().map(({ data }) => data[0])).toEqual([0x90]);
+    midi.noteOff("Leo_B");
+    expect(out.notes().map(({ data }) => data[0])).toEqual([0x90, 0x80]);
+  });
+
+  it("gives every MPE voice its own member channel", () => {
+    const out = fakeOutput();
+    const midi = createMidiOutput(out, { bendMode: "mpe" });
+    // MCM on the master channel: 15 member channels
+    expect(out.sent.slice(0, 3).map(({ data }) => data)).toEqual([
+      [0xb0, 101, 0],
+      [0xb0, 100, 6],
+      [0xb0, 6, 15],
+    ]);
+    midi.noteOn("Leo", { ...leo, cents: 10 });
+    midi.noteOn("Aries", { note: "D", octave: 4, velocity: 0.52, cents: -12.5 });
+    const ons = out.notes().filter(({ data }) => (data[0] & 0xf0) === 0x90);
+    expect(ons.map(({ data }) => (data[0] & 0x0f) + 1)).toEqual([2, 3]);
+    midi.noteOff("Leo");
+    midi.noteOn("Pisces", { note: "Db", octave: 5, velocity: 0.38 });
+    // the freed channel goes to the back of the queue
+    expect(out.notes().at(-1).data[0]).toBe(0x90 | 3);
+  });
+
+  it("steals the oldest MPE voice when channels run out", () => {
+    const out = fakeOutput();
+    const midi = createMidiOutput(out, { bendMode: "mpe" });
+    for (let i = 0; i <= MPE_MEMBER_CHANNELS.length; i++) {
+      midi.noteOn(`v${i}`, { note: "C", octave: 3, velocity: 0.5 });
+    }
+    const last = out.notes().slice(-3).map(({ data }) => data[0]);
+    expect(last).toEqual([0x80 | 1, 0xe0 | 1, 0x90 | 1]);
+  });
+
+  it("releases everything on allOff and on reconfigure", () => {
+    const out = fakeOutput();
+    const midi = createMidiOutput(out, { bendMode: "none" });
+    midi.noteOn("Leo", leo);
+    midi.configure({ bendMode: "mpe" });
+    expect(out.notes().at(-1).data).toEqual([0x80, 66, 0]);
+    midi.noteOn("Leo", leo);
+    midi.allOff();
+    expect(out.notes().at(-1).data).toEqual([0x81, 66, 0]);
+  });
+
+  it("lists connected outputs", () => {
+    const outputs = new Map([
+      ["o1", { id: "o1", name: "Synth", state: "connected" }],
+      ["o2", { id: "o2", name: "Gone", state: "disconnected" }],
+    ]);
+    expect(listMidiOutputs({ outputs })).toEqual([{ id: "o1", name: "Synth" }]);
+  });
+});
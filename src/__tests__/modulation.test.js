@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_MODULATION,
+  INITIAL_LFO_STATE,
+  MOD_LFO_COUNT,
+  lfoHz,
+  stepLfo,
+  modOffsets,
+  modulatedValue,
+  sanitizeModulation,
+} from "../modulation";
+import { KNOB_DEFS } from "../tuning.js";
+
+const run = (lfo, steps, dt, rng) => {
+  let state = INITIAL_LFO_STATE;
+  const values = [];
+  for (let i = 0; i < steps; i++) {
+    state = stepLfo(state, lfo, 120, dt, rng);
+    values.push(state.value);
+  }
+  return values;
+};
+
+describe("LFOs", () => {
+  it("follows the Transport when synced", () => {
+    expect(lfoHz({ rate: 3, sync: null }, 120)).toBe(3);
+    expect(lfoHz({ rate: 3, sync: "4n" }, 120)).toBe(2);
+    expect(lfoHz({ rate: 3, sync: "1m" }, 120)).toBe(0.5);
+  });
+
+  it("traces sine and triangle over one cycle", () => {
+    const sine = run({ shape: "sine", rate: 1 }, 4, 0.25);
+    expect(sine.map((v) => Math.round(v))).toEqual([1, 0, -1, 0]);
+    const tri = run({ shape: "triangle", rate: 1 }, 4, 0.25);
+    expect(tri.map((v) => Math.round(v))).toEqual([1, 0, -1, 0]);
+  });
+
+  it("holds sample-and-hold levels until the cycle wraps", () => {
+    let n = 0;
+    const rng = () => [0.9, 0.1][n++ % 2];
+    const values = run({ shape: "sample-hold", rate: 1 }, 8, 0.25, rng);
+    expect(values.slice(0, 3)).toEqual([0, 0, 0]);
+    expect(values[3]).toBeCloseTo(0.8);
+    expect(values.slice(4, 7)).toEqual([values[3], values[3], values[3]]);
+    expect(values[7]).toBeCloseTo(-0.8);
+  });
+
+  it("keeps the random walk inside -1–1", () => {
+    const values = run({ shape: "random", rate: 10 }, 200, 0.05, () => 1);
+    for (const v of values) {
+      expect(v).toBeLessThanOrEqual(1);
+      expect(v).toBeGreaterThanOrEqual(-1);
+    }
+  });
+});
+
+describe("routing", () => {
+  it("sums depths per target", () => {
+    const routings = [
+      { lfo: 0, target: "chorusDepth", depth: 0.5 },
+      { lfo: 1, target: "chorusDepth", depth: -0.25 },
+      { lfo: 1, target: "chebyWet", depth: 0 },
+    ];
+    expect(modOffsets(routings, [1, 1])).toEqual({ chorusDepth: 0.25 });
+  });
+
+  it("moves a knob in its normalized range and clamps", () => {
+    expect(modulatedValue(KNOB_DEFS.chorusDepth, 0.5, 0.25)).toBeCloseTo(0.75);
+    expect(modulatedValue(KNOB_DEFS.chorusDepth, 0.9, 0.5)).toBe(1);
+    const filt = KNOB_DEFS.echoFilterFreq;
+    // log knob: half its travel from min is the geometric middle
+    expect(modulatedValue(filt, filt.min, 0.5)).toBeCloseTo(Math.sqrt(filt.min * filt.max));
+  });
+});
+
+describe("sanitizeModulation", () => {
+  it("fills every LFO slot and keeps valid routings", () => {
+    const { modulation, warnings } = sanitizeModulation({
+      lfos: [{ shape: "random", rate: 2, sync: "8n" }],
+      routings: [{ lfo: 3, target: "echoFilterFreq", depth: -0.4 }],
+    });
+    expect(warnings).toEqual([]);
+    expect(modulation.lfos).toHaveLength(MOD_LFO_COUNT);
+    expect(modulation.lfos[0]).toEqual({ shape: "random", rate: 2, sync: "8n" });
+    expect(modulation.lfos[1]).toEqual(DEFAULT_MODULATION.lfos[1]);
+    expect(modulation.routings).toEqual([{ lfo: 3, target: "echoFilterFreq", depth: -0.4 }]);
+  });
+
+  it("repairs bad LFOs and drops bad routings with warnings", () => {
+    const { modulation, warnings } = sanitizeModulation({
+      lfos: [{ shape: "saw", rate: 99, sync: "3n" }],
+      routings: [{ lfo: 9, target: "attack", depth: 1 }, { lfo: 0, target: "attack", depth: 3 }],
+    });
+    expect(modulation.lfos[0]).toEqual({ shape: "sine", rate: 20, sync: null });
+    expect(modulation.routings).toEqual([{ lfo: 0, target: "attack", depth: 1 }]);
+    expect(warnings).toEqual([
+      "LFO 1 settings out of range — adjusted",
+      'modulation routing to "attack" ignored',
+    ]);
+    expect(sanitizeModulation([]).warnings).toEqual(["modulation must be an object — ignored"]);
+  });
+});
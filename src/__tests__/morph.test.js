@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import { morphValue, morphKnobs, glidePosition, morphSlot } from "../morph";
+import { KNOB_DEFS } from "../tuning.js";
+
+describe("morphValue", () => {
+  it("interpolates log knobs in log space", () => {
+    const def = { min: 1, max: 1000, scale: "log" };
+    expect(morphValue(def, 10, 1000, 0.5)).toBeCloseTo(100);
+  });
+
+  it("interpolates linear knobs linearly", () => {
+    const def = { min: 0, max: 1 };
+    expect(morphValue(def, 0.2, 0.6, 0.25)).toBeCloseTo(0.3);
+  });
+
+  it("snaps step knobs to whole steps", () => {
+    const def = { min: 1, max: 11, scale: "step" };
+    expect(morphValue(def, 1, 11, 0.33)).toBe(4);
+    expect(Number.isInteger(morphValue(def, 2, 9, 0.5))).toBe(true);
+  });
+
+  it("lands exactly on the slots at the ends", () => {
+    const def = KNOB_DEFS.attack;
+    expect(morphValue(def, 0.5, 4, 0)).toBeCloseTo(0.5, 10);
+    expect(morphValue(def, 0.5, 4, 1)).toBeCloseTo(4, 10);
+    expect(morphValue(def, 0.5, 4, 2)).toBeCloseTo(4, 10);
+  });
+
+  it("leaves a knob both slots agree on exactly where it is", () => {
+    const def = { min: 20, max: 20000, scale: "log" };
+    for (const t of [0, 0.3, 0.7, 1]) expect(morphValue(def, 1234.5, 1234.5, t)).toBe(1234.5);
+  });
+});
+
+describe("morphKnobs", () => {
+  it("covers every knob, holding values a slot lacks", () => {
+    const out = morphKnobs({ attack: 1 }, { attack: 4, reverbWet: 0.2 }, 0.5);
+    expect(Object.keys(out)).toEqual(Object.keys(KNOB_DEFS));
+    expect(out.attack).toBeCloseTo(2);
+    expect(out.reverbWet).toBeCloseTo(0.2);
+    expect(out.decay).toBeCloseTo(KNOB_DEFS.decay.default);
+  });
+
+  it("holds knobs both slots share at exactly their value", () => {
+    const a = Object.fromEntries(Object.entries(KNOB_DEFS).map(([k, d]) => [k, d.default]));
+    const b = { ...a, attack: 4 };
+    const out = morphKnobs(a, b, 0.45);
+    const moved = Object.keys(out).filter((k) => out[k] !== a[k]);
+    expect(moved).toEqual(["attack"]);
+  });
+
+  it("keeps every value within range", () => {
+    const out = morphKnobs({}, {}, 0.7);
+    for (const [name, def] of Object.entries(KNOB_DEFS)) {
+      expect(out[name]).toBeGreaterThanOrEqual(def.min);
+      expect(out[name]).toBeLessThanOrEqual(def.max);
+    }
+  });
+});
+
+describe("glidePosition", () => {
+  it("moves linearly and stops at the target", () => {
+    expect(glidePosition(0, 1, 4, 16)).toBeCloseTo(0.25);
+    expect(glidePosition(1, 0.5, 8, 16)).toBeCloseTo(0.75);
+    expect(glidePosition(0, 1, 20, 16)).toBe(1);
+    expect(glidePosition(0, 1, 0, 0)).toBe(1);
+  });
+});
+
+describe("morphSlot", () => {
+  it("takes name and knobs from a snapshot", () => {
+    const slot = morphSlot(JSON.stringify({ meta: { name: "pad", version: "v13" }, knobs: { attack: 2 } }));
+    expect(slot).toEqual({ name: "pad", knobs: { attack: 2 } });
+  });
+
+  it("throws on snapshots it can't use", () => {
+    expect(() => morphSlot("{nope")).toThrow(/not valid JSON/);
+    expect(() => morphSlot({ meta: { version: "v13" } })).toThrow(/no knobs/);
+  });
+});
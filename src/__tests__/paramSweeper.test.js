@@ -0,0 +1,104 @@
+import { describe, it, expect } from "vitest";
+import {
+  createParamSweeper,
+  sineValue,
+  rampToward,
+  glideToward,
+} from "../paramSweeper";
+
+// Context whose clock only moves when the test advances it
+function fakeTone() {
+  const intervals = new Map();
+  let nextId = 0;
+  const context = {
+    currentTime: 0,
+    setInterval(fn, interval) {
+      intervals.set(++nextId, { fn, interval });
+      return nextId;
+    },
+    clearInterval(id) {
+      intervals.delete(id);
+    },
+  };
+  const advance = (seconds, ticks = 1) => {
+    for (let i = 0; i < ticks; i++) {
+      context.currentTime += seconds / ticks;
+      intervals.forEach(({ fn }) => fn());
+    }
+  };
+  return { Tone: { getContext: () => context }, intervals, advance };
+}
+
+describe("curves", () => {
+  it("sweeps sine between min and max, by ratio on a log scale", () => {
+    expect(sineValue(0, { min: 0, max: 2 })).toBeCloseTo(1);
+    expect(sineValue(0.25, { min: 0, max: 2 })).toBeCloseTo(2);
+    expect(sineValue(0.75, { min: 100, max: 10000, scale: "log" })).toBeCloseTo(100);
+    expect(sineValue(0, { min: 100, max: 10000, scale: "log" })).toBeCloseTo(1000);
+  });
+
+  it("ramps at a fixed rate without overshooting", () => {
+    expect(rampToward(0, 100, 20, 0.5)).toBe(10);
+    expect(rampToward(95, 100, 20, 0.5)).toBe(100);
+    expect(rampToward(10, 0, 20, 0.25)).toBe(5);
+  });
+
+  it("glides exponentially toward a target", () => {
+    expect(glideToward(0, 10, 1, 0)).toBe(0);
+    expect(glideToward(0, 10, 1, 1)).toBeCloseTo(10 * (1 - Math.exp(-1)));
+    expect(glideToward(0, 10, 1, 50)).toBeCloseTo(10);
+  });
+});
+
+describe("createParamSweeper", () => {
+  it("drives setter sweeps from audio time, not tick count", () => {
+    const { Tone, advance } = fakeTone();
+    const sweeper = createParamSweeper(Tone);
+    const seen = [];
+    sweeper.sine("damp", (v) => seen.push(v), { frequency: 1, min: 0, max: 2 });
+    advance(0); // first tick only sets the clock
+    advance(0.25, 5); // five late, uneven ticks still land at a quarter cycle
+    expect(seen.at(-1)).toBeCloseTo(2);
+  });
+
+  it("retunes a running sweep in place", () => {
+    const { Tone, advance } = fakeTone();
+    const sweeper = createParamSweeper(Tone);
+    const seen = [];
+    sweeper.sine("damp", (v) => seen.push(v), { frequency: 1, min: 0, max: 2 });
+    advance(0);
+    sweeper.update("damp", { min: 10, max: 20 });
+    advance(0.25);
+    expect(seen.at(-1)).toBeCloseTo(20);
+  });
+
+  it("ends control sweeps that return false and stops the clock", () => {
+    const { Tone, intervals, advance } = fakeTone();
+    const sweeper = createParamSweeper(Tone);
+    let value = 0;
+    sweeper.control("ramp", (dt) => {
+      value = rampToward(value, 1, 2, dt);
+      return value < 1;
+    });
+    expect(intervals.size).toBe(1);
+    advance(0);
+    advance(1, 4);
+    expect(value).toBe(1);
+    expect(sweeper.has("ramp")).toBe(false);
+    expect(intervals.size).toBe(0);
+  });
+
+  it("replaces a sweep started under a running name and disposes all", () => {
+    const { Tone, intervals, advance } = fakeTone();
+    const sweeper = createParamSweeper(Tone);
+    const calls = [];
+    sweeper.control("a", () => calls.push("first"));
+    sweeper.control("a", () => calls.push("second"));
+    sweeper.control("b", () => {});
+    advance(0.1);
+    expect(calls).toEqual(["second"]);
+    sweeper.dispose();
+    expect(sweeper.has("a") || sweeper.has("b")).toBe(false);
+    expect(intervals.size).toBe(0);
+  });
+});
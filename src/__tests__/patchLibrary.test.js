@@ -0,0 +1,156 @@
+import { describe, it, expect } from "vitest";
+import {
+  LIBRARY_FORMAT,
+  normalizeTags,
+  createEntry,
+  overwriteEntry,
+  renameEntry,
+  duplicateEntry,
+  uniqueName,
+  fuzzyScore,
+  searchLibrary,
+  exportLibrary,
+  parseLibrary,
+  mergeImport,
+} from "../patchLibrary";
+
+const snap = {
+  meta: { name: "untitled", timestamp: "2026-01-01T00:00:00.000Z", version: "v13" },
+  profile: "base",
+  chain: "cathedral",
+  oscType: "sine",
+  signs: { Aries: true },
+  knobs: { attack: 2 },
+  listen: "laptop",
+  eclipse: false,
+};
+
+const entry = (name, extra = {}) => ({
+  ...createEntry(snap, { name }, 1000),
+  ...extra,
+});
+
+describe("entries", () => {
+  it("normalizes tags from strings and lists", () => {
+    expect(normalizeTags("Dark, drone ,dark,")).toEqual(["dark", "drone"]);
+    expect(normalizeTags(["Warm", " warm "])).toEqual(["warm"]);
+    expect(normalizeTags(undefined)).toEqual([]);
+  });
+
+  it("tags new entries with chain and osc type and names the snapshot", () => {
+    const e = createEntry(snap, { name: " Night Drive ", tags: "dark" }, 5);
+    expect(e.name).toBe("Night Drive");
+    expect(e.tags).toEqual(["cathedral", "sine", "dark"]);
+    expect(e.favorite).toBe(false);
+    expect(e.created).toBe(5);
+    expect(e.snapshot.meta.name).toBe("Night Drive");
+    expect(snap.meta.name).toBe("untitled");
+  });
+
+  it("falls back to untitled for blank names", () => {
+    expect(createEntry(snap, { name: "  " }).name).toBe("untitled");
+  });
+
+  it("overwrites the sound but keeps id, favorite and tags", () => {
+    const e = entry("pad", { favorite: true, tags: ["calm"] });
+    const next = overwriteEntry(e, { ...snap, chain: "zodiac" }, ["airy"], 2000);
+    expect(next.id).toBe(e.id);
+    expect(next.favorite).toBe(true);
+    expect(next.tags).toEqual(["calm", "zodiac", "sine", "airy"]);
+    expect(next.snapshot.chain).toBe("zodiac");
+    expect(next.snapshot.meta.name).toBe("pad");
+  });
+
+  it("renames entry and snapshot, ignoring blank names", () => {
+    const e = entry("pad");
+    const renamed = renameEntry(e, "lead", 2000);
+    expect(renamed.name).toBe("lead");
+    expect(renamed.snapshot.meta.name).toBe("lead");
+    expect(renamed.updated).toBe(2000);
+    expect(renameEntry(e, " ")).toBe(e);
+  });
+
+  it("duplicates under a free name with a new id", () => {
+    expect(uniqueName("pad", ["lead"])).toBe("pad");
+    expect(uniqueName("pad", ["pad"])).toBe("pad copy");
+    expect(uniqueName("pad", ["pad", "pad copy", "pad copy 2"])).toBe("pad copy 3");
+    const e = entry("pad", { favorite: true });
+    const copy = duplicateEntry(e, ["pad"]);
+    expect(copy.id).not.toBe(e.id);
+    expect(copy.name).toBe("pad copy");
+    expect(copy.favorite).toBe(false);
+    expect(copy.snapshot.knobs).not.toBe(e.snapshot.knobs);
+  });
+});
+
+describe("search", () => {
+  it("matches letters in order and rejects the rest", () => {
+    expect(fuzzyScore("ndr", "night drive")).not.toBeNull();
+    expect(fuzzyScore("rdn", "night drive")).toBeNull();
+    expect(fuzzyScore("", "anything")).toBe(0);
+  });
+
+  it("prefers word starts and consecutive letters", () => {
+    expect(fuzzyScore("dd", "deep drone")).toBeGreaterThan(fuzzyScore("dd", "nodded"));
+    expect(fuzzyScore("pad", "pad")).toBeGreaterThan(fuzzyScore("pad", "pad copy"));
+  });
+
+  it("needs every term to match the name or a tag", () => {
+    const lib = [
+      entry("night drive", { tags: ["dark", "cathedral"] }),
+      entry("morning", { tags: ["bright", "zodiac"] }),
+    ];
+    expect(searchLibrary(lib, "dark").map((e) => e.name)).toEqual(["night drive"]);
+    expect(searchLibrary(lib, "night zod")).toEqual([]);
+    expect(searchLibrary(lib, "morn brt").map((e) => e.name)).toEqual(["morning"]);
+  });
+
+  it("lists favorites first, then most recent, without a query", () => {
+    const lib = [
+      entry("a", { updated: 1 }),
+      entry("b", { updated: 3 }),
+      entry("c", { updated: 2, favorite: true }),
+    ];
+    expect(searchLibrary(lib).map((e) => e.name)).toEqual(["c", "b", "a"]);
+    expect(searchLibrary(lib, "", { favoritesOnly: true }).map((e) => e.name)).toEqual(["c"]);
+  });
+});
+
+describe("export / import", () => {
+  it("round-trips an export", () => {
+    const lib = [entry("pad", { tags: ["calm"], favorite: true })];
+    const { ok, patches, warnings } = parseLibrary(JSON.stringify(exportLibrary(lib, 0)));
+    expect(ok).toBe(true);
+    expect(warnings).toEqual([]);
+    expect(patches).toEqual(lib);
+  });
+
+  it("rejects files that are not library exports", () => {
+    expect(parseLibrary("{nope").errors[0]).toMatch(/not valid JSON/);
+    expect(parseLibrary(snap).errors).toEqual(["not a patch library export"]);
+    expect(parseLibrary({ meta: { format: LIBRARY_FORMAT } }).ok).toBe(false);
+  });
+
+  it("skips unusable patches with a warning", () => {
+    const { ok, patches, warnings } = parseLibrary({
+      meta: { format: LIBRARY_FORMAT, version: 1 },
+      patches: [{ snapshot: snap }, { name: "broken", snapshot: "[]" }, { name: "ok", snapshot: snap }],
+    });
+    expect(ok).toBe(true);
+    expect(patches.map((p) => p.name)).toEqual(["ok"]);
+    expect(patches[0].id).toBeTruthy();
+    expect(warnings).toEqual([
+      "patch #1 has no name — skipped",
+      'patch "broken" has no usable snapshot — skipped',
+    ]);
+  });
+
+  it("writes only new or newer patches", () => {
+    const local = entry("pad", { updated: 5 });
+    const same = { ...local };
+    const newer = { ...local, updated: 9 };
+    const fresh = entry("lead");
+    expect(mergeImport([local], [same, fresh])).toEqual([fresh]);
+    expect(mergeImport([local], [newer])).toEqual([newer]);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from "vitest";
+import {
+  encodePatch,
+  decodePatch,
+  patchFromHash,
+  patchHash,
+} from "../patchUrl";
+import { parseSnapshot } from "../snapshot";
+import { KNOB_DEFS, OSC_TYPES, CHAINS } from "../tuning.js";
+import { scaleMap } from "../utils";
+
+const knobs = Object.fromEntries(
+  Object.entries(KNOB_DEFS).map(([name, def]) => [name, def.default]),
+);
+
+const snap = {
+  profile: "deep-space-oracle",
+  chain: "orbit",
+  oscType: OSC_TYPES[3],
+  signs: { Aries: true, Leo: true, Pisces: true },
+  knobs,
+  listen: "phone",
+  eclipse: true,
+};
+
+describe("encodePatch / decodePatch", () => {
+  it("produces a short URL-safe code", () => {
+    const code = encodePatch(snap);
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(code.length).toBeLessThan(80);
+  });
+
+  it("round-trips the discrete fields", () => {
+    const { snapshot, natal } = decodePatch(encodePatch(snap));
+    expect(snapshot).toMatchObject({
+      profile: "deep-space-oracle",
+      chain: "orbit",
+      oscType: OSC_TYPES[3],
+      listen: "phone",
+      eclipse: true,
+    });
+    expect(Object.keys(snapshot.signs).filter((s) => snapshot.signs[s]).sort()).toEqual([
+      "Aries",
+      "Leo",
+      "Pisces",
+    ]);
+    expect(natal).toEqual({});
+  });
+
+  it("quantizes knobs within one step of their scale", () => {
+    const { snapshot } = decodePatch(encodePatch(snap));
+    for (const [name, def] of Object.entries(KNOB_DEFS)) {
+      const { mapToNorm } = scaleMap(def);
+      const drift = Math.abs(mapToNorm(snapshot.knobs[name]) - mapToNorm(knobs[name]));
+      expect(drift, name).toBeLessThan(def.scale === "step" ? 0.06 : 0.001);
+    }
+  });
+
+  it("encodes per-sign oscillators", () => {
+    const { snapshot } = decodePatch(encodePatch({ ...snap, oscType: "per-sign" }));
+    expect(snapshot.oscType).toBe("per-sign");
+  });
+
+  it("carries a custom chain", () => {
+    const customChain = CHAINS.orbit;
+    const { snapshot } = decodePatch(encodePatch({ ...snap, chain: "custom", customChain }));
+    expect(snapshot.chain).toBe("custom");
+    expect(snapshot.customChain).toEqual(customChain);
+  });
+
+  it("optionally carries natal inputs", () => {
+    const natal = {
+      a: { date: "1987-03-21", time: "04:05", lat: 51.50735, lng: -0.12776, city: "London, England" },
+      b: { date: "1990-12-01", time: "", lat: null, lng: null, city: "" },
+    };
+    const decoded = decodePatch(encodePatch(snap, natal));
+    expect(decoded.natal).toEqual(natal);
+  });
+
+  it("decodes into a snapshot parseSnapshot accepts without warnings", () => {
+    const { snapshot } = decodePatch(encodePatch(snap));
+    const result = parseSnapshot(snapshot);
+    expect(result.warnings).toEqual([]);
+    expect(result.snapshot.signs).toHaveLength(3);
+  });
+
+  it("rejects garbage and truncated codes", () => {
+    expect(() => decodePatch("!!!")).toThrow(/base64/);
+    expect(() => decodePatch(encodePatch(snap).slice(0, 12))).toThrow(/truncated/);
+    expect(() => decodePatch("CQ")).toThrow(/unsupported patch format/);
+  });
+});
+
+describe("patchFromHash", () => {
+  it("reads the p parameter", () => {
+    expect(patchFromHash(patchHash("abc"))).toBe("abc");
+    expect(patchFromHash("#other=1")).toBeNull();
+    expect(patchFromHash("")).toBeNull();
+  });
+});
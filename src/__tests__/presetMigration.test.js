@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import {
+  evalMacroParam,
+  macroDefaults,
+  migratePreset,
+  knobNameFor,
+} from "../presetMigration";
+
+describe("evalMacroParam", () => {
+  it("returns the mid value of split curves at the center", () => {
+    expect(evalMacroParam(["splitLinear", 0, 0.25, 0.7])).toBe(0.25);
+    expect(evalMacroParam(["splitLog", 0.02, 6, 12])).toBeCloseTo(6);
+  });
+
+  it("follows the curve endpoints", () => {
+    expect(evalMacroParam(["splitLinear", 0, 0.25, 0.7], 1)).toBeCloseTo(0.7);
+    expect(evalMacroParam(["splitLog", 3000, 700, 300], 0)).toBeCloseTo(3000);
+  });
+
+  it("interpolates split logs geometrically", () => {
+    expect(evalMacroParam(["splitLog", 1, 10, 100], 0.25)).toBeCloseTo(Math.sqrt(10));
+  });
+
+  it("falls back to linear for non-positive log ranges", () => {
+    expect(evalMacroParam(["splitLog", 0, 1, 2], 0.25)).toBeCloseTo(0.5);
+  });
+
+  it("keeps dormant params at lo until the center", () => {
+    expect(evalMacroParam(["dormantLinear", 0, 0.8])).toBe(0);
+    expect(evalMacroParam(["dormantLinear", 0, 0.8], 0.75)).toBeCloseTo(0.4);
+  });
+
+  it("calls function mappings with m", () => {
+    expect(evalMacroParam((m) => m * 4)).toBe(2);
+  });
+
+  it("returns undefined for unknown forms", () => {
+    expect(evalMacroParam(["cubic", 0, 1])).toBeUndefined();
+  });
+});
+
+describe("macroDefaults", () => {
+  it("renames legacy params to knob names", () => {
+    expect(knobNameFor("echoMix")).toBe("delayWet");
+    expect(knobNameFor("attack")).toBe("attack");
+    const { values } = macroDefaults({
+      echo: { params: { echoMix: (m) => m, echoTime: ["splitLog", 0.3, 1.4, 3] } },
+    });
+    expect(values.delayWet).toBe(0.5);
+    expect(values.delayTime).toBeCloseTo(1.4);
+  });
+
+  it("reports params with no knob", () => {
+    const { values, unmapped } = macroDefaults({
+      x: { params: { warpFactor: () => 9, sustain: ["cubic"] } },
+    });
+    expect(values).toEqual({});
+    expect(unmapped).toEqual(["warpFactor", "sustain"]);
+  });
+});
+
+describe("migratePreset", () => {
+  it("fills TUNING gaps from macros and lets explicit values win", () => {
+    const mod = {
+      TUNING: { attack: 3 },
+      MACROS: {
+        bloom: { params: { attack: ["splitLog", 0.1, 1, 10], sustain: () => 0.4 } },
+      },
+    };
+    const out = migratePreset(mod);
+    expect(out.TUNING).toEqual({ attack: 3, sustain: 0.4 });
+    expect(out.MACROS).toBe(mod.MACROS);
+  });
+
+  it("returns modules without MACROS unchanged", () => {
+    const mod = { TUNING: {} };
+    expect(migratePreset(mod)).toBe(mod);
+  });
+});
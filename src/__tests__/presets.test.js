@@ -1,8 +1,12 @@
 import { describe, it, expect } from "vitest";
+import { KNOB_DEFS } from "../tuning.js";
+import { macroDefaults, migratePreset } from "../presetMigration";
+import { mergeProfile } from "../profiles";
 
 const presetModules = import.meta.glob("../presets/*.js", { eager: true });
 
-const REQUIRED_EXPORTS = ["TUNING", "SHADOW", "MACROS", "LISTEN_PRESETS", "CHAINS", "ACTIVE_CHAIN"];
+// MACROS is legacy — optional, migrated to knob defaults when present.
+const REQUIRED_EXPORTS = ["TUNING", "SHADOW", "LISTEN_PRESETS", "CHAINS", "ACTIVE_CHAIN"];
 
 describe("presets", () => {
   const entries = Object.entries(presetModules);
@@ -28,6 +32,22 @@ describe("presets", () => {
       it("ACTIVE_CHAIN exists in CHAINS", () => {
         expect(mod.CHAINS).toHaveProperty(mod.ACTIVE_CHAIN);
       });
+
+      if (mod.MACROS) {
+        it("every MACROS param maps to a knob", () => {
+          expect(macroDefaults(mod.MACROS).unmapped).toEqual([]);
+        });
+      }
+
+      it("migrates to a value in range for every knob", () => {
+        const { TUNING } = mergeProfile(migratePreset(mod));
+        for (const [name, def] of Object.entries(KNOB_DEFS)) {
+          const v = TUNING[name];
+          expect(Number.isFinite(v), `${name} missing`).toBe(true);
+          expect(v, `${name} below min`).toBeGreaterThanOrEqual(def.min);
+          expect(v, `${name} above max`).toBeLessThanOrEqual(def.max);
+        }
+      });
     });
   }
 });
@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import {
+  BASE_PROFILE,
+  PROFILE_KEYS,
+  profileLabel,
+  mergeProfile,
+  profileKnobs,
+  loadProfile,
+} from "../profiles";
+import * as BASE from "../tuning.js";
+
+describe("PROFILE_KEYS", () => {
+  it("starts with the base tuning and lists every preset file", () => {
+    expect(PROFILE_KEYS[0]).toBe(BASE_PROFILE);
+    expect(PROFILE_KEYS).toContain("deep-space-oracle");
+    expect(PROFILE_KEYS).toContain("zodiac");
+  });
+
+  it("labels keys in title case", () => {
+    expect(profileLabel("deep-space-oracle")).toBe("Deep Space Oracle");
+  });
+});
+
+describe("mergeProfile", () => {
+  const mod = {
+    TUNING: { sampleRate: 16000, attack: 6 },
+    CHAINS: { evolve: BASE.CHAINS.evolve },
+    ACTIVE_CHAIN: "evolve",
+    MACROS: {},
+  };
+  const merged = mergeProfile(mod, "test");
+
+  it("fills missing exports from the base tuning", () => {
+    expect(merged.KNOB_DEFS).toBe(BASE.KNOB_DEFS);
+    expect(merged.ZODIAC_NOTES).toBe(BASE.ZODIAC_NOTES);
+    expect(merged.PLANETARY_CHARACTER).toBe(BASE.PLANETARY_CHARACTER);
+  });
+
+  it("merges object exports key by key", () => {
+    expect(merged.TUNING.attack).toBe(6);
+    expect(merged.TUNING.chorusWet).toBe(BASE.TUNING.chorusWet);
+    expect(merged.CHAINS).toHaveProperty("orbit");
+  });
+
+  it("keeps preset-only exports and the key", () => {
+    expect(merged.MACROS).toBe(mod.MACROS);
+    expect(merged.key).toBe("test");
+  });
+
+  it("rejects presets that override tables profiles can't change", () => {
+    expect(() => mergeProfile({ PLANETARY_CHARACTER: {}, ZODIAC_NOTES: {} }, "test")).toThrow(
+      "profiles can't change PLANETARY_CHARACTER, ZODIAC_NOTES",
+    );
+    expect(() => mergeProfile({ SHADOW: {} }, "test")).not.toThrow();
+  });
+
+  it("falls back to the base ACTIVE_CHAIN when the preset's is missing", () => {
+    expect(mergeProfile({ ACTIVE_CHAIN: "nope" }).ACTIVE_CHAIN).toBe(BASE.ACTIVE_CHAIN);
+  });
+});
+
+describe("profileKnobs", () => {
+  it("covers every knob and clamps to its range", () => {
+    const profile = mergeProfile({ TUNING: { attack: 99, sustain: -1 } });
+    const knobs = profileKnobs(profile);
+    expect(Object.keys(knobs)).toEqual(Object.keys(BASE.KNOB_DEFS));
+    expect(knobs.attack).toBe(BASE.KNOB_DEFS.attack.max);
+    expect(knobs.sustain).toBe(0);
+  });
+});
+
+describe("loadProfile", () => {
+  it("loads a preset with its own sampleRate and chain", async () => {
+    const profile = await loadProfile("deep-space-oracle");
+    expect(profile.TUNING.sampleRate).toBe(16000);
+    expect(profile.ACTIVE_CHAIN).toBe("evolve");
+    expect(profile.KNOB_DEFS).toBe(BASE.KNOB_DEFS);
+  });
+
+  it("returns the base tuning for the base key", async () => {
+    const profile = await loadProfile(BASE_PROFILE);
+    expect(profile.TUNING).toEqual(BASE.TUNING);
+  });
+
+  it("rejects unknown keys", async () => {
+    await expect(loadProfile("nope")).rejects.toThrow(/unknown profile/);
+  });
+});
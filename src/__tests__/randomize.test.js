@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import { randomizeKnobs, applySafetyRules, SAFETY_RULES } from "../randomize";
+import { KNOB_DEFS } from "../tuning.js";
+
+const defaults = Object.fromEntries(
+  Object.entries(KNOB_DEFS).map(([name, def]) => [name, def.default]),
+);
+
+// Deterministic rng cycling through the given values
+const seq = (...values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+describe("randomizeKnobs", () => {
+  it("rolls every knob within its range", () => {
+    const out = randomizeKnobs(defaults, { safe: false, rng: seq(0, 0.37, 0.99) });
+    for (const [name, def] of Object.entries(KNOB_DEFS)) {
+      expect(out[name]).toBeGreaterThanOrEqual(def.min);
+      expect(out[name]).toBeLessThanOrEqual(def.max);
+    }
+  });
+
+  it("leaves locked knobs alone", () => {
+    const out = randomizeKnobs(defaults, { locked: ["attack", "reverbWet"], rng: seq(0.9) });
+    expect(out.attack).toBe(defaults.attack);
+    expect(out.reverbWet).toBe(defaults.reverbWet);
+    expect(out.decay).not.toBe(defaults.decay);
+  });
+
+  it("only rolls the chosen groups", () => {
+    const out = randomizeKnobs(defaults, { groups: ["reverb"], safe: false, rng: seq(0.9) });
+    for (const [name, def] of Object.entries(KNOB_DEFS)) {
+      if (def.group === "reverb") expect(out[name]).not.toBe(defaults[name]);
+      else expect(out[name]).toBe(defaults[name]);
+    }
+  });
+
+  it("jitters around the current value in the knob's scale", () => {
+    const current = { ...defaults, attack: 1, chebyOrder: 5 };
+    const up = randomizeKnobs(current, { amount: 0.1, groups: ["envelope", "chebyshev"], safe: false, rng: seq(1) });
+    // log knob: +10% of the range in log space is a ratio, not an offset
+    const ratio = Math.pow(KNOB_DEFS.attack.max / KNOB_DEFS.attack.min, 0.1);
+    expect(up.attack).toBeCloseTo(ratio, 5);
+    expect(up.chebyOrder).toBe(6);
+    const none = randomizeKnobs(current, { amount: 0, safe: false });
+    expect(none.attack).toBeCloseTo(1, 10);
+  });
+
+  it("clamps rolled knobs with the safety rules", () => {
+    const out = randomizeKnobs(defaults, { rng: seq(1) });
+    expect(out.attack).toBeLessThanOrEqual(3);
+    expect(out.delayFeedback).toBeLessThanOrEqual(0.7);
+    expect(out.eqLow).toBeLessThanOrEqual(9);
+  });
+});
+
+describe("applySafetyRules", () => {
+  it("only touches knobs that were rolled", () => {
+    const values = { ...defaults, attack: 8, eqHigh: 15 };
+    const out = applySafetyRules(values, new Set(["eqHigh"]));
+    expect(out.attack).toBe(8);
+    expect(out.eqHigh).toBe(9);
+  });
+
+  it("applies conditional rules only when they hold", () => {
+    const calm = { ...defaults, distortion: 0, chebyWet: 0, delayWet: 0, delayFeedback: 0.9 };
+    expect(applySafetyRules(calm, new Set(["delayFeedback"])).delayFeedback).toBe(0.9);
+    const driven = { ...calm, distortion: 1, distortionWet: 1 };
+    expect(applySafetyRules(driven, new Set(["delayFeedback"])).delayFeedback).toBe(0.7);
+  });
+
+  it("only names knobs that exist", () => {
+    for (const rule of SAFETY_RULES) {
+      for (const name of Object.keys({ ...rule.max, ...rule.min })) {
+        expect(KNOB_DEFS).toHaveProperty(name);
+      }
+    }
+  });
+});
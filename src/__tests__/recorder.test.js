@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import { meterLevel, formatElapsed, recordingFileName, createSessionRecorder } from "../recorder";
+
+// Recorder + Meter that log what happens to them
+function fakeTone({ failStart = false } = {}) {
+  const log = [];
+  class Recorder {
+    mimeType = "audio/webm;codecs=opus";
+    async start() {
+      if (failStart) throw new Error("NotSupportedError");
+      log.push("start");
+    }
+    async stop() {
+      log.push("stop");
+      return { type: this.mimeType, size: 1 };
+    }
+    dispose() {
+      log.push("dispose recorder");
+    }
+  }
+  class Meter {
+    getValue() {
+      return -12;
+    }
+    dispose() {
+      log.push("dispose meter");
+    }
+  }
+  return { Tone: { Recorder, Meter }, log };
+}
+
+function fakeNode(name, log) {
+  const outputs = new Set();
+  return {
+    outputs,
+    connect: (n) => outputs.add(n),
+    disconnect: (n) => {
+      outputs.delete(n);
+      log.push(`disconnect ${name}`);
+    },
+  };
+}
+
+describe("helpers", () => {
+  it("maps meter dB onto 0–1", () => {
+    expect(meterLevel(0)).toBe(1);
+    expect(meterLevel(-30)).toBe(0.5);
+    expect(meterLevel(-90)).toBe(0);
+    expect(meterLevel(6)).toBe(1);
+    expect(meterLevel(-Infinity)).toBe(0);
+  });
+
+  it("formats elapsed time", () => {
+    expect(formatElapsed(0)).toBe("0:00");
+    expect(formatElapsed(9.9)).toBe("0:09");
+    expect(formatElapsed(754)).toBe("12:34");
+  });
+
+  it("names files by stem and container", () => {
+    expect(recordingFileName(1700, "mix", "audio/webm;codecs=opus")).toBe("celezdial-session-1700.webm");
+    expect(recordingFileName(1700, "A", "audio/ogg")).toBe("celezdial-session-1700-A.ogg");
+    expect(recordingFileName(1700, "B", "audio/mp4")).toBe("celezdial-session-1700-B.m4a");
+    expect(recordingFileName(1700, "mix")).toBe("celezdial-session-1700.webm");
+  });
+});
+
+describe("createSessionRecorder", () => {
+  it("records every source and removes its taps on stop", async () => {
+    const { Tone, log } = fakeTone();
+    const mix = fakeNode("mix", log);
+    const A = fakeNode("A", log);
+    const B = fakeNode("B", log);
+    const rec = createSessionRecorder(Tone, { mix, A, B });
+    expect(mix.outputs.size).toBe(2); // recorder + meter
+    expect(A.outputs.size).toBe(1);
+    await rec.start();
+    expect(log.filter((l) => l === "start")).toHaveLength(3);
+    expect(rec.level()).toBeCloseTo(0.8);
+    const takes = await rec.stop();
+    expect(takes.map((t) => t.stem)).toEqual(["mix", "A", "B"]);
+    expect(takes[0].mimeType).toBe("audio/webm;codecs=opus");
+    expect([mix, A, B].every((n) => n.outputs.size === 0)).toBe(true);
+    expect(log).toContain("dispose meter");
+  });
+
+  it("cleans up when a recorder fails to start", async () => {
+    const { Tone, log } = fakeTone({ failStart: true });
+    const mix = fakeNode("mix", log);
+    const rec = createSessionRecorder(Tone, { mix });
+    await expect(rec.start()).rejects.toThrow("NotSupportedError");
+    expect(mix.outputs.size).toBe(0);
+    expect(log).toContain("dispose recorder");
+  });
+});
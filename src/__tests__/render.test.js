@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { RENDER_TAIL_PAD, RENDER_MAX_SECONDS, renderPlan, encodeWav } from "../render";
+
+const voices = [
+  { sign: "Aquarius", releaseMul: 1.5 },
+  { sign: "Aries", releaseMul: 0.6 },
+  { sign: "Aries", releaseMul: 0.6 },
+  { sign: "Leo", releaseMul: 1 },
+];
+
+describe("renderPlan", () => {
+  it("staggers signs and lets both banks of a sign enter together", () => {
+    const plan = renderPlan(voices, { hold: 10, stagger: 0.5, release: 4 });
+    expect(plan.attacks.map((a) => a.time)).toEqual([0, 0.5, 0.5, 1]);
+    expect(plan.releaseAt).toBe(10);
+    expect(plan.duration).toBe(10 + 4 * 1.5 + RENDER_TAIL_PAD);
+  });
+
+  it("holds at least until the last entry and caps the length", () => {
+    expect(renderPlan(voices, { hold: 0, stagger: 2, release: 1 }).releaseAt).toBe(4);
+    expect(renderPlan(voices, { hold: 1e6, release: 1 }).releaseAt).toBe(RENDER_MAX_SECONDS);
+    expect(renderPlan([], { hold: 3, release: 1 }).duration).toBe(3 + RENDER_TAIL_PAD);
+  });
+});
+
+describe("encodeWav", () => {
+  const left = Float32Array.from([0, 1, -1, 0.5]);
+  const right = Float32Array.from([0, -0.5, 2, -2]);
+
+  it("writes a PCM header", () => {
+    const view = new DataView(encodeWav([left, right], 44100, 16));
+    const text = (o) => String.fromCharCode(...new Uint8Array(view.buffer, o, 4));
+    expect(text(0)).toBe("RIFF");
+    expect(text(8)).toBe("WAVE");
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(44100);
+    expect(view.getUint32(28, true)).toBe(44100 * 4);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(view.getUint32(40, true)).toBe(16);
+    expect(view.byteLength).toBe(44 + 16);
+  });
+
+  it("interleaves and clips 16-bit samples", () => {
+    const view = new DataView(encodeWav([left, right], 44100, 16));
+    const samples = Array.from({ length: 8 }, (_, i) => view.getInt16(44 + i * 2, true));
+    // ±0.5 × 32767 rounds half up: -16383.5 → -16383, 16383.5 → 16384
+    expect(samples).toEqual([0, 0, 32767, -16383, -32767, 32767, 16384, -32767]);
+  });
+
+  it("packs 24-bit samples little-endian", () => {
+    const view = new DataView(encodeWav([left], 48000, 24));
+    const at = (i) => {
+      const o = 44 + i * 3;
+      const v = view.getUint8(o) | (view.getUint8(o + 1) << 8) | (view.getUint8(o + 2) << 16);
+      return v & 0x800000 ? v - 0x1000000 : v;
+    };
+    expect([at(0), at(1), at(2), at(3)]).toEqual([0, 8388607, -8388607, 4194304]);
+    expect(view.getUint16(34, true)).toBe(24);
+  });
+
+  it("is deterministic and rejects other depths", () => {
+    const a = new Uint8Array(encodeWav([left, right], 16000, 24));
+    const b = new Uint8Array(encodeWav([left, right], 16000, 24));
+    expect(a).toEqual(b);
+    expect(() => encodeWav([left], 44100, 32)).toThrow("unsupported bit depth");
+  });
+});
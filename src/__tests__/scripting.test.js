@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  SCRIPT_EVENTS,
+  clampParam,
+  resolveSigns,
+  resolveOscType,
+  createScriptingApi,
+} from "../scripting";
+import { createEmitter } from "../engine";
+import { KNOB_DEFS, OSC_TYPES } from "../tuning";
+import { parseSnapshot } from "../snapshot";
+import { MORPH_TICK_MS } from "../morph";
+
+// App's side of the API, recording what it's asked to do
+function fakeApp() {
+  const calls = [];
+  const params = Object.fromEntries(Object.entries(KNOB_DEFS).map(([k, d]) => [k, d.default]));
+  const controls = {
+    play: (sign) => calls.push(["play", sign]),
+    release: (sign) => calls.push(["release", sign]),
+    releaseAll: () => calls.push(["releaseAll"]),
+    setParam: (name, v) => {
+      params[name] = v;
+      calls.push(["setParam", name, v]);
+    },
+    params: () => params,
+    loadSnapshot: (input) => parseSnapshot(input),
+    setChain: (key) => calls.push(["setChain", key]),
+    chains: () => ["zodiac", "orbit", "custom"],
+    eclipse: (on) => calls.push(["eclipse", on]),
+    setOscType: (idx) => calls.push(["setOscType", idx]),
+  };
+  const events = createEmitter();
+  const { api, dispose } = createScriptingApi(() => controls, events);
+  return { api, dispose, calls, params, events };
+}
+
+describe("argument checks", () => {
+  it("clamps knob values and rejects unknown names", () => {
+    expect(clampParam("reverbWet", 7)).toBe(KNOB_DEFS.reverbWet.max);
+    expect(clampParam("reverbWet", -1)).toBe(KNOB_DEFS.reverbWet.min);
+    expect(() => clampParam("warp", 0.5)).toThrow(/unknown param "warp"/);
+    expect(() => clampParam("reverbWet", NaN)).toThrow(/needs a number/);
+    expect(() => clampParam("reverbWet", "0.5")).toThrow(/needs a number/);
+  });
+
+  it("resolves sign names in any case", () => {
+    expect(resolveSigns("leo")).toEqual(["Leo"]);
+    expect(resolveSigns(["PISCES", "Aries"])).toEqual(["Pisces", "Aries"]);
+    expect(() => resolveSigns(["Leo", "Ophiuchus"])).toThrow(/unknown sign "Ophiuchus"/);
+  });
+
+  it("resolves osc types by name or index", () => {
+    expect(resolveOscType("per-sign")).toBeNull();
+    expect(resolveOscType(null)).toBeNull();
+    expect(resolveOscType(OSC_TYPES[2])).toBe(2);
+    expect(resolveOscType(1)).toBe(1);
+    expect(() => resolveOscType(OSC_TYPES.length)).toThrow(/unknown osc type/);
+  });
+});
+
+describe("createScriptingApi", () => {
+  it("plays and releases through App's callbacks", async () => {
+    const { api, calls } = fakeApp();
+    expect(await api.play(["leo", "Aries"])).toEqual(["Leo", "Aries"]);
+    await api.release("leo");
+    await api.release();
+    expect(calls).toEqual([["play", "Leo"], ["play", "Aries"], ["release", "Leo"], ["releaseAll"]]);
+    await expect(api.play("Vulcan")).rejects.toThrow(/unknown sign/);
+  });
+
+  it("sets knobs clamped, and rejects bad ones before touching anything", async () => {
+    const { api, calls } = fakeApp();
+    expect(await api.setParam("reverbWet", 3)).toBe(KNOB_DEFS.reverbWet.max);
+    await expect(api.setParam("warp", 1)).rejects.toThrow(/unknown param/);
+    await expect(api.setParam("reverbWet", 0.5, -2)).rejects.toThrow(/ramp/);
+    expect(calls).toEqual([["setParam", "reverbWet", KNOB_DEFS.reverbWet.max]]);
+  });
+
+  it("lands step knobs on whole steps", async () => {
+    const { api, params } = fakeApp();
+    expect(await api.setParam("chebyOrder", 2.5)).toBe(3);
+    expect(params.chebyOrder).toBe(3);
+    expect(clampParam("phaserOctaves", 20.7)).toBe(KNOB_DEFS.phaserOctaves.max);
+  });
+
+  it("checks chain keys against the profile", async () => {
+    const { api, calls } = fakeApp();
+    await api.setChain("orbit");
+    await expect(api.setChain("nebula")).rejects.toThrow(/unknown chain "nebula"/);
+    expect(calls).toEqual([["setChain", "orbit"]]);
+  });
+
+  it("passes Eclipse and osc type on", async () => {
+    const { api, calls } = fakeApp();
+    expect(await api.eclipse(1)).toBe(true);
+    expect(await api.setOscType(OSC_TYPES[3])).toBe(OSC_TYPES[3]);
+    expect(await api.setOscType("per-sign")).toBe("per-sign");
+    expect(calls).toEqual([["eclipse", true], ["setOscType", 3], ["setOscType", null]]);
+  });
+
+  it("loads snapshots and rejects what doesn't parse", async () => {
+    const { api } = fakeApp();
+    expect(await api.loadSnapshot({ knobs: { reverbWet: 0.4 } })).toEqual([]);
+    await expect(api.loadSnapshot("{nope")).rejects.toThrow(/not valid JSON/);
+  });
+
+  it("subscribes to the events it forwards", () => {
+    const { api, events } = fakeApp();
+    const seen = [];
+    const off = api.on("noteon", (e) => seen.push(e.sign));
+    events.emit("noteon", { sign: "Leo" });
+    off();
+    events.emit("noteon", { sign: "Aries" });
+    expect(seen).toEqual(["Leo"]);
+    expect(() => api.on("listen", () => {})).toThrow(/unknown event/);
+    expect(SCRIPT_EVENTS).toContain("param");
+  });
+});
+
+describe("ramps", () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  it("steps a knob along its scale and resolves at the target", async () => {
+    const { api, calls, params } = fakeApp();
+    params.echoFilterFreq = 500;
+    const done = api.setParam("echoFilterFreq", 8000, 1);
+    vi.advanceTimersByTime(500);
+    // log scale — halfway by octaves is 2000 Hz, not 4250
+    expect(params.echoFilterFreq).toBeCloseTo(2000, 0);
+    vi.advanceTimersByTime(500 + MORPH_TICK_MS);
+    expect(await done).toBe(8000);
+    const steps = calls.length;
+    vi.advanceTimersByTime(1000);
+    expect(calls.length).toBe(steps);
+  });
+
+  it("lets a new set take over a running ramp", async () => {
+    const { api, params } = fakeApp();
+    params.reverbWet = 0;
+    const first = api.setParam("reverbWet", 1, 10);
+    vi.advanceTimersByTime(1000);
+    const second = api.setParam("reverbWet", 0.2);
+    expect(await first).toBeCloseTo(0.1, 1);
+    expect(await second).toBe(0.2);
+    vi.advanceTimersByTime(10000);
+    expect(params.reverbWet).toBe(0.2);
+  });
+
+  it("stops every ramp on dispose", async () => {
+    const { api, dispose, params } = fakeApp();
+    params.reverbWet = 0;
+    const ramp = api.setParam("reverbWet", 1, 4);
+    vi.advanceTimersByTime(2000);
+    dispose();
+    expect(await ramp).toBeCloseTo(0.5, 1);
+    vi.advanceTimersByTime(4000);
+    expect(params.reverbWet).toBeCloseTo(0.5, 1);
+  });
+});
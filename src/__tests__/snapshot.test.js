@@ -0,0 +1,185 @@
+import { describe, it, expect } from "vitest";
+import { parseSnapshot, describeSnapshotIssues } from "../snapshot";
+import { SNAPSHOT_VERSION } from "../snapshotSchema";
+import { KNOB_DEFS, OSC_TYPES } from "../tuning.js";
+
+const meta = { name: "untitled", timestamp: "2026-01-01T00:00:00.000Z", version: SNAPSHOT_VERSION };
+
+const saved = {
+  meta,
+  profile: "base",
+  chain: "zodiac",
+  oscType: OSC_TYPES[2],
+  signs: { Aries: true, Taurus: false, Gemini: true },
+  knobs: { attack: 2, reverbWet: 0.4 },
+  listen: "laptop",
+  eclipse: false,
+};
+
+describe("parseSnapshot", () => {
+  it("accepts what Save writes, as a string or an object", () => {
+    for (const input of [JSON.stringify(saved), saved]) {
+      const { ok, snapshot, from, warnings } = parseSnapshot(input);
+      expect(ok).toBe(true);
+      expect(from).toBe(SNAPSHOT_VERSION);
+      expect(warnings).toEqual([]);
+      expect(snapshot).toEqual({
+        profile: "base",
+        chain: "zodiac",
+        oscIndex: 2,
+        signs: ["Aries", "Gemini"],
+        knobs: { attack: 2, reverbWet: 0.4 },
+        listen: "laptop",
+        eclipse: false,
+      });
+    }
+  });
+
+  it("maps per-sign to a null oscIndex", () => {
+    expect(parseSnapshot({ meta, oscType: "per-sign" }).snapshot.oscIndex).toBeNull();
+  });
+
+  it("fails on bad JSON and non-objects", () => {
+    expect(parseSnapshot("{nope").errors[0]).toMatch(/not valid JSON/);
+    expect(parseSnapshot("[1, 2]").ok).toBe(false);
+  });
+
+  it("warns about unknown keys, knobs, signs and values", () => {
+    const { ok, snapshot, warnings } = parseSnapshot({
+      meta,
+      tempo: 120,
+      chain: "hyperspace",
+      oscType: "laser",
+      listen: "tin-can",
+      eclipse: "yes",
+      signs: { Ophiuchus: true },
+      knobs: { attack: "slow", warp: 1 },
+    });
+    expect(ok).toBe(true);
+    expect(warnings).toEqual([
+      'unknown key "tempo" ignored',
+      'unknown chain "hyperspace" — keeping current',
+      'unknown oscType "laser" — keeping current',
+      'unknown listen preset "tin-can" — keeping current',
+      "eclipse must be a boolean — ignored",
+      'unknown sign "Ophiuchus" ignored',
+      'knob "attack" must be a number — ignored',
+      'unknown knob "warp" ignored',
+    ]);
+    expect(snapshot).toEqual({ knobs: {}, signs: [] });
+  });
+
+  it("clamps out-of-range knobs", () => {
+    const { snapshot, warnings } = parseSnapshot({ meta, knobs: { sustain: 3 } });
+    expect(snapshot.knobs.sustain).toBe(KNOB_DEFS.sustain.max);
+    expect(warnings[0]).toMatch(/out of range/);
+  });
+
+  it("rounds fractional step knobs", () => {
+    const { snapshot, warnings } = parseSnapshot({ meta, knobs: { chebyOrder: 2.5 } });
+    expect(snapshot.knobs.chebyOrder).toBe(3);
+    expect(warnings).toEqual(['knob "chebyOrder" 2.5 is not a multiple of 1 — rounded to 3']);
+  });
+
+  it("drops a custom chain that can't be wired", () => {
+    const { snapshot, warnings } = parseSnapshot({
+      meta,
+      customChain: { order: ["eq3", "softClip"], bypass: {} },
+    });
+    expect(snapshot.customChain).toBeUndefined();
+    expect(warnings[0]).toMatch(/^custom chain ignored: ECHO missing/);
+  });
+
+  it("upgrades a v12 snapshot to a full knob set", () => {
+    const v12 = { ...saved };
+    delete v12.profile;
+    const { snapshot, from, warnings } = parseSnapshot({
+      ...v12,
+      meta: { ...meta, version: "v12" },
+    });
+    expect(from).toBe("v12");
+    expect(warnings).toEqual([]);
+    expect(snapshot.profile).toBe("base");
+    expect(Object.keys(snapshot.knobs).sort()).toEqual(Object.keys(KNOB_DEFS).sort());
+    expect(snapshot.knobs.attack).toBe(2);
+  });
+
+  it("round-trips modulation and automation, and reads v13 files as they are", () => {
+    const full = {
+      ...saved,
+      modulation: {
+        lfos: [{ shape: "triangle", rate: 0.5, sync: null }],
+        routings: [{ lfo: 0, target: "chorusDepth", depth: 0.3 }],
+      },
+      automation: { length: 2, loop: false, lanes: { delayWet: [[0.5, 0.4]] } },
+    };
+    const current = parseSnapshot(JSON.stringify(full));
+    expect(current.warnings).toEqual([]);
+    expect(current.snapshot.modulation.routings).toEqual(full.modulation.routings);
+    expect(current.snapshot.automation).toEqual(full.automation);
+
+    const v13 = parseSnapshot({ ...saved, meta: { ...meta, version: "v13" } });
+    expect(v13.from).toBe("v13");
+    expect(v13.warnings).toEqual([]);
+    expect(v13.snapshot).toEqual(parseSnapshot(saved).snapshot);
+  });
+
+  it("loads a pre-versioning snapshot with macro-era names", () => {
+    const { snapshot, from, warnings } = parseSnapshot({
+      chain: "Default",
+      shadow: true,
+      listenPreset: "phone",
+      knobs: { echoMix: 0.3, satDrive: 0.2 },
+    });
+    expect(from).toBe("v11");
+    expect(warnings).toEqual([]);
+    expect(snapshot).toMatchObject({
+      chain: "cathedral",
+      eclipse: true,
+      listen: "phone",
+      knobs: { delayWet: 0.3, distortion: 0.2 },
+    });
+  });
+});
+
+describe("describeSnapshotIssues", () => {
+  it("is empty for a clean load", () => {
+    expect(describeSnapshotIssues(parseSnapshot(saved))).toBe("");
+  });
+
+  it("summarizes errors and warnings", () => {
+    expect(describeSnapshotIssues(parseSnapshot("x"))).toMatch(/^Snapshot not loaded: /);
+    expect(describeSnapshotIssues(parseSnapshot({ meta, foo: 1 }))).toBe(
+      'Snapshot loaded with warnings: unknown key "foo" ignored',
+    );
+  });
+});
+
+describe("parseSnapshot modulation", () => {
+  it("passes routings through and drops broken ones", () => {
+    const { snapshot, warnings } = parseSnapshot({
+      meta,
+      modulation: {
+        lfos: [{ shape: "triangle", rate: 0.5, sync: null }],
+        routings: [
+          { lfo: 0, target: "chorusDepth", depth: 0.3 },
+          { lfo: 0, target: "warp", depth: 0.3 },
+        ],
+      },
+    });
+    expect(snapshot.modulation.lfos[0]).toEqual({ shape: "triangle", rate: 0.5, sync: null });
+    expect(snapshot.modulation.routings).toEqual([{ lfo: 0, target: "chorusDepth", depth: 0.3 }]);
+    expect(warnings).toEqual(['modulation routing to "warp" ignored']);
+  });
+});
+
+describe("parseSnapshot automation", () => {
+  it("keeps valid lanes and drops unknown ones", () => {
+    const { snapshot, warnings } = parseSnapshot({
+      meta,
+      automation: { length: 2, loop: false, lanes: { delayWet: [[0.5, 0.4]], "sign:Nope": [[0, true]] } },
+    });
+    expect(snapshot.automation).toEqual({ length: 2, loop: false, lanes: { delayWet: [[0.5, 0.4]] } });
+    expect(warnings).toEqual(['automation lane "sign:Nope" ignored']);
+  });
+});
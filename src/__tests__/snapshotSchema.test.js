@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import {
+  SNAPSHOT_VERSION,
+  SNAPSHOT_SCHEMA,
+  MIGRATIONS,
+  validateSchema,
+  migrateSnapshot,
+} from "../snapshotSchema";
+import { KNOB_DEFS } from "../tuning.js";
+
+describe("SNAPSHOT_SCHEMA", () => {
+  it("covers every knob with its range", () => {
+    const knobs = SNAPSHOT_SCHEMA.properties.knobs.properties;
+    expect(Object.keys(knobs)).toEqual(Object.keys(KNOB_DEFS));
+    expect(knobs.attack).toMatchObject({ minimum: KNOB_DEFS.attack.min, maximum: KNOB_DEFS.attack.max });
+  });
+
+  it("migrations end at the current version", () => {
+    expect(MIGRATIONS.at(-1).to).toBe(SNAPSHOT_VERSION);
+    for (let i = 1; i < MIGRATIONS.length; i++) {
+      expect(MIGRATIONS[i].from).toBe(MIGRATIONS[i - 1].to);
+    }
+  });
+});
+
+describe("validateSchema", () => {
+  const schema = {
+    type: "object",
+    title: "thing",
+    additionalProperties: false,
+    properties: {
+      n: { type: "number", title: "n", minimum: 0, maximum: 1 },
+      mode: { type: "string", title: "mode", enum: ["a", "b"] },
+    },
+  };
+
+  it("reports paths and codes", () => {
+    const issues = validateSchema({ n: 2, mode: "c", x: 1 }, schema);
+    expect(issues.map((i) => [i.path.join("."), i.code])).toEqual([
+      ["n", "range"],
+      ["mode", "enum"],
+      ["x", "unknown"],
+    ]);
+    expect(issues[0].clamped).toBe(1);
+  });
+
+  it("rounds to multipleOf", () => {
+    const stepped = { type: "number", title: "k", minimum: 1, maximum: 11, multipleOf: 1 };
+    expect(validateSchema(2.5, stepped)[0]).toMatchObject({ code: "range", clamped: 3 });
+    expect(validateSchema(12.5, stepped)[0].clamped).toBe(11);
+    expect(validateSchema(4, stepped)).toEqual([]);
+    expect(SNAPSHOT_SCHEMA.properties.knobs.properties.chebyOrder.multipleOf).toBe(1);
+  });
+
+  it("treats NaN and Infinity as wrong type", () => {
+    expect(validateSchema({ n: NaN }, schema)[0].code).toBe("type");
+  });
+
+  it("rejects a wrong top-level type", () => {
+    expect(validateSchema([], schema)[0].message).toBe("thing must be an object — ignored");
+  });
+});
+
+describe("migrateSnapshot", () => {
+  it("leaves current snapshots alone apart from a copy", () => {
+    const raw = { meta: { version: SNAPSHOT_VERSION }, knobs: { attack: 1 } };
+    const { snapshot, from, warnings } = migrateSnapshot(raw);
+    expect(snapshot).toEqual(raw);
+    expect(snapshot).not.toBe(raw);
+    expect(from).toBe(SNAPSHOT_VERSION);
+    expect(warnings).toEqual([]);
+  });
+
+  it("stamps the current version after upgrading", () => {
+    const { snapshot } = migrateSnapshot({ meta: { version: "v12" }, knobs: {} });
+    expect(snapshot.meta.version).toBe(SNAPSHOT_VERSION);
+    expect(snapshot.knobs.release).toBe(KNOB_DEFS.release.default);
+  });
+
+  it("does not touch the input", () => {
+    const raw = { knobs: { echoMix: 0.3 } };
+    migrateSnapshot(raw);
+    expect(raw).toEqual({ knobs: { echoMix: 0.3 } });
+  });
+
+  it("warns about newer and unrecognized versions", () => {
+    expect(migrateSnapshot({ meta: { version: "v99" } }).warnings[0]).toMatch(/newer release/);
+    expect(migrateSnapshot({ meta: { version: "beta" } }).warnings[0]).toMatch(/unrecognized version/);
+  });
+});
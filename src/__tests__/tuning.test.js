@@ -5,6 +5,7 @@ import {
   KNOB_GROUPS,
   SIGN_RULERS,
   CHAINS,
+  CHAIN_NODES,
   ACTIVE_CHAIN,
 } from "../tuning.js";
 
@@ -81,4 +82,17 @@ describe("CHAINS", () => {
   it("ACTIVE_CHAIN exists in CHAINS", () => {
     expect(CHAINS).toHaveProperty(ACTIVE_CHAIN);
   });
+
+  it("every chain references known nodes", () => {
+    for (const [key, chain] of Object.entries(CHAINS)) {
+      const used = [
+        ...chain.order,
+        ...Object.keys(chain.bypass || {}),
+        ...Object.keys(chain.sends || {}),
+      ];
+      for (const name of used) {
+        expect(CHAIN_NODES, `${key} uses unknown node ${name}`).toContain(name);
+      }
+    }
+  });
 });
@@ -6,6 +6,9 @@ import {
   formatValue,
   logMap,
   stepMap,
+  linearMap,
+  scaleMap,
+  clampKnob,
   arcPoint,
   describeArc,
   KNOB_TRACK_PATH,
@@ -108,6 +111,30 @@ describe("stepMap", () => {
   });
 });
 
+describe("linearMap", () => {
+  const { mapFromNorm, mapToNorm } = linearMap(-20, 20);
+
+  it("maps the midpoint", () => expect(mapFromNorm(0.5)).toBe(0));
+  it("inverse maps", () => expect(mapToNorm(10)).toBeCloseTo(0.75));
+});
+
+describe("scaleMap", () => {
+  it("picks the mapping from def.scale", () => {
+    expect(scaleMap({ scale: "log", min: 1, max: 100 }).mapFromNorm(0.5)).toBeCloseTo(10);
+    expect(scaleMap({ scale: "step", min: 1, max: 11 }).mapFromNorm(0.52)).toBe(6);
+    expect(scaleMap({ scale: "linear", min: 0, max: 2 }).mapFromNorm(0.25)).toBe(0.5);
+  });
+});
+
+describe("clampKnob", () => {
+  it("clamps to the range and rounds step knobs", () => {
+    expect(clampKnob({ scale: "linear", min: 0, max: 1 }, 1.4)).toBe(1);
+    expect(clampKnob({ scale: "linear", min: 0, max: 1 }, 0.25)).toBe(0.25);
+    expect(clampKnob({ scale: "step", min: 1, max: 11 }, 2.5)).toBe(3);
+    expect(clampKnob({ scale: "step", min: 1, max: 11 }, 14.2)).toBe(11);
+  });
+});
+
 describe("arc geometry", () => {
   it("constants are correct", () => {
     expect(DEG_TO_RAD).toBeCloseTo(Math.PI / 180);
@@ -0,0 +1,165 @@
+// Performance automation — a take of knob moves, key toggles, Eclipse
+// and Breathe, timestamped on the Tone Transport.
+//
+// take = {
+//   length: seconds,
+//   loop:   boolean,
+//   lanes:  { [lane]: [[time, value], …] }   time-ordered per lane
+// }
+// lane  a knob name     value is the knob value
+//       "sign:<Sign>"   true when the sign started sounding, false on release
+//       "eclipse"       Eclipse on/off
+//       "breathe"       the OSC_TYPES index it switched to (null = per-sign)
+//
+// App records while the Transport runs (every setParam, toggleSign,
+// toggleShadow and Breathe) and plays a take back by scheduling
+// takeEvents on the Transport: knob events go through setParam and so
+// KNOB_MAP.apply, exactly as a turn of the knob would. Sign, Eclipse and
+// Breathe events carry the resulting state, not "toggle", so a loop or
+// a trimmed take can't leave them inverted.
+
+import { KNOB_DEFS, OSC_TYPES, SIGN_RULERS } from "./tuning.js";
+import { clampKnob } from "./utils.js";
+
+export const EMPTY_TAKE = { length: 0, loop: false, lanes: {} };
+
+const SIGN_PREFIX = "sign:";
+
+export const signLane = (sign) => `${SIGN_PREFIX}${sign}`;
+export const laneSign = (lane) => lane.slice(SIGN_PREFIX.length);
+
+// lane → "knob" | "sign" | "eclipse" | "breathe" | null
+export function laneKind(lane) {
+  if (lane in KNOB_DEFS) return "knob";
+  if (lane.startsWith(SIGN_PREFIX)) return laneSign(lane) in SIGN_RULERS ? "sign" : null;
+  if (lane === "eclipse" || lane === "breathe") return lane;
+  return null;
+}
+
+export function laneLabel(lane) {
+  switch (laneKind(lane)) {
+    case "knob":
+      return KNOB_DEFS[lane].label;
+    case "sign":
+      return laneSign(lane);
+    case "eclipse":
+      return "Eclipse";
+    case "breathe":
+      return "Breathe";
+    default:
+      return lane;
+  }
+}
+
+// Millisecond resolution keeps saved takes compact
+const roundTime = (t) => Math.round(t * 1000) / 1000;
+
+// Recorded events [{ lane, time, value }] → take. Knob lanes open with
+// their value from `initial` (the knobs when recording started), so the
+// take replays from the same position; events repeating the lane's
+// previous value are dropped.
+export function buildTake(events, length, initial = {}) {
+  const lanes = {};
+  for (const { lane, time, value } of [...events].sort((a, b) => a.time - b.time)) {
+    if (!lanes[lane] && laneKind(lane) === "knob" && time > 0 && lane in initial) {
+      lanes[lane] = [[0, initial[lane]]];
+    }
+    const list = (lanes[lane] ??= []);
+    const last = list[list.length - 1];
+    if (last && laneKind(lane) === "knob" && last[1] === value) continue;
+    list.push([roundTime(time), value]);
+  }
+  const end = Math.max(0, ...Object.values(lanes).flat().map(([t]) => t));
+  return { length: roundTime(Math.max(length, end)), loop: false, lanes };
+}
+
+// Every event across lanes, time-ordered → [{ lane, time, value }]
+export function takeEvents(take) {
+  return Object.entries(take.lanes)
+    .flatMap(([lane, list]) => list.map(([time, value]) => ({ lane, time, value })))
+    .sort((a, b) => a.time - b.time);
+}
+
+export const takeLaneCount = (take) => Object.keys(take.lanes).length;
+
+// ─── Editing ─────────────────────────────────────────────────
+
+const mapLanes = (take, fn) => {
+  const lanes = {};
+  for (const [lane, list] of Object.entries(take.lanes)) {
+    const next = fn(lane, list);
+    if (next.length) lanes[lane] = next;
+  }
+  return lanes;
+};
+
+// Keep start…end, moved to begin at 0. Knob lanes start from the value
+// they had at `start`, so the trimmed take opens where the original was.
+export function trimTake(take, start, end) {
+  const from = Math.max(0, Math.min(start, take.length));
+  const to = Math.max(from, Math.min(end, take.length));
+  const lanes = mapLanes(take, (lane, list) => {
+    const kept = list.filter(([t]) => t >= from && t < to).map(([t, v]) => [roundTime(t - from), v]);
+    if (laneKind(lane) === "knob" && (!kept.length || kept[0][0] > 0)) {
+      const before = list.filter(([t]) => t < from).pop();
+      if (before) kept.unshift([0, before[1]]);
+    }
+    return kept;
+  });
+  return { ...take, length: roundTime(to - from), lanes };
+}
+
+// Stretch (factor > 1) or squeeze the whole take in time.
+export function scaleTake(take, factor) {
+  if (!(factor > 0)) return take;
+  const lanes = mapLanes(take, (_lane, list) => list.map(([t, v]) => [roundTime(t * factor), v]));
+  return { ...take, length: roundTime(take.length * factor), lanes };
+}
+
+export function deleteLane(take, lane) {
+  const lanes = { ...take.lanes };
+  delete lanes[lane];
+  return { ...take, lanes };
+}
+
+// ─── Snapshot validation ─────────────────────────────────────
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+const validValue = {
+  knob: (v, lane) => (Number.isFinite(v) ? clampKnob(KNOB_DEFS[lane], v) : undefined),
+  sign: (v) => (typeof v === "boolean" ? v : undefined),
+  eclipse: (v) => (typeof v === "boolean" ? v : undefined),
+  breathe: (v) => (v === null || (Number.isInteger(v) && v >= 0 && v < OSC_TYPES.length) ? v : undefined),
+};
+
+// Snapshot `automation` → { automation, warnings }. Unknown lanes and
+// malformed events are dropped; knob values are clamped to their range
+// and step knobs rounded to whole steps.
+export function sanitizeAutomation(raw) {
+  const warnings = [];
+  if (!isPlainObject(raw) || !isPlainObject(raw.lanes)) {
+    return { automation: EMPTY_TAKE, warnings: ["automation must be an object with lanes — ignored"] };
+  }
+  const lanes = {};
+  for (const [lane, list] of Object.entries(raw.lanes)) {
+    const kind = laneKind(lane);
+    if (!kind || !Array.isArray(list)) {
+      warnings.push(`automation lane "${lane}" ignored`);
+      continue;
+    }
+    let dropped = 0;
+    const events = [];
+    for (const e of list) {
+      const value = Array.isArray(e) && Number.isFinite(e[0]) && e[0] >= 0 ? validValue[kind](e[1], lane) : undefined;
+      if (value === undefined) dropped++;
+      else events.push([e[0], value]);
+    }
+    if (dropped) warnings.push(`${dropped} bad event${dropped > 1 ? "s" : ""} in automation lane "${lane}" dropped`);
+    if (events.length) lanes[lane] = events.sort((a, b) => a[0] - b[0]);
+  }
+  const end = Math.max(0, ...Object.values(lanes).flat().map(([t]) => t));
+  const length = Number.isFinite(raw.length) ? Math.max(raw.length, end) : end;
+  return { automation: { length, loop: raw.loop === true, lanes }, warnings };
+}
@@ -0,0 +1,145 @@
+// Custom chain editing — pure slot model behind the in-app chain editor.
+//
+// The editor works on a flat list of slots in signal-flow order:
+//   [{ name: "vibrato", bypass: false }, { name: "phaser", bypass: true }, ...]
+// A bypass slot sits between its in-order neighbours; chainFromSlots turns
+// those neighbours into the { after, before } pair wireChain expects.
+// softClip is never a slot — it is pinned last by chainFromSlots.
+
+import { CHAIN_NODES } from "./tuning.js";
+
+export const LIMITER = "softClip";
+
+// Nodes that can start disconnected — each has a MIX knob that re-inserts it.
+export const BYPASSABLE_NODES = [
+  "chebyshev",
+  "distortion",
+  "vibrato",
+  "reverb",
+  "chorus",
+  "phaser",
+];
+
+// Normalize any chain config into editor slots. Enforces the CHAINS rules:
+// each node at most once, ECHO exactly once, softClip dropped (re-added last),
+// bypass nodes placed right after their `after` neighbour.
+export function slotsFromChain(config) {
+  const seen = new Set();
+  const slots = [];
+  for (const name of config.order) {
+    if (name === LIMITER || seen.has(name) || !CHAIN_NODES.includes(name)) continue;
+    seen.add(name);
+    slots.push({ name, bypass: false });
+  }
+  if (!seen.has("ECHO")) {
+    seen.add("ECHO");
+    slots.push({ name: "ECHO", bypass: false });
+  }
+  for (const [name, cfg] of Object.entries(config.bypass || {})) {
+    if (seen.has(name) || !BYPASSABLE_NODES.includes(name)) continue;
+    seen.add(name);
+    const at = slots.findIndex((s) => s.name === cfg.after && !s.bypass);
+    const slot = { name, bypass: true };
+    if (at === -1) slots.push({ name, bypass: false });
+    else slots.splice(at + 1, 0, slot);
+  }
+  return demoteInvalidBypass(slots);
+}
+
+// In-order neighbours of slot i (skipping other bypass slots).
+// `before` falls through to softClip at the end of the list.
+function neighbours(slots, i) {
+  let after = null;
+  for (let j = i - 1; j >= 0; j--) {
+    if (!slots[j].bypass) {
+      after = slots[j].name;
+      break;
+    }
+  }
+  let before = LIMITER;
+  for (let j = i + 1; j < slots.length; j++) {
+    if (!slots[j].bypass) {
+      before = slots[j].name;
+      break;
+    }
+  }
+  return { after, before };
+}
+
+// A slot can be bypassed if its node supports it, it has a real node on
+// both sides (not ECHO — the crossfade split has no single in/out), and no
+// other bypass slot already claims the same gap.
+export function canBypass(slots, i) {
+  const slot = slots[i];
+  if (!slot || !BYPASSABLE_NODES.includes(slot.name)) return false;
+  const { after, before } = neighbours(slots, i);
+  if (!after || after === "ECHO" || before === "ECHO") return false;
+  const asBypass = slots.map((s, j) => (j === i ? { ...s, bypass: true } : s));
+  for (let j = 0; j < slots.length; j++) {
+    if (j === i || !slots[j].bypass) continue;
+    const other = neighbours(asBypass, j);
+    if (other.after === after && other.before === before) return false;
+  }
+  return true;
+}
+
+// Any bypass slot that no longer fits its gap (after a move or removal)
+// falls back to being wired in order.
+function demoteInvalidBypass(slots) {
+  const out = slots.map((s) => ({ ...s }));
+  for (let i = 0; i < out.length; i++) {
+    if (!out[i].bypass) continue;
+    out[i].bypass = false;
+    if (canBypass(out, i)) out[i].bypass = true;
+  }
+  return out;
+}
+
+export function chainFromSlots(slots) {
+  const order = [];
+  const bypass = {};
+  slots.forEach((slot, i) => {
+    if (slot.bypass) bypass[slot.name] = neighbours(slots, i);
+    else order.push(slot.name);
+  });
+  order.push(LIMITER);
+  return { order, bypass };
+}
+
+// ─── Edits ───────────────────────────────────────────────────
+// Each returns a new slot list with bypass gaps re-checked.
+
+export function moveSlot(slots, from, to) {
+  if (from === to || !slots[from]) return slots;
+  const out = slots.slice();
+  const [slot] = out.splice(from, 1);
+  out.splice(Math.max(0, Math.min(to, out.length)), 0, slot);
+  return demoteInvalidBypass(out);
+}
+
+export function insertSlot(slots, name, at = slots.length) {
+  if (!CHAIN_NODES.includes(name) || name === LIMITER) return slots;
+  if (slots.some((s) => s.name === name)) return slots;
+  const out = slots.slice();
+  out.splice(Math.max(0, Math.min(at, out.length)), 0, { name, bypass: false });
+  return demoteInvalidBypass(out);
+}
+
+// ECHO can't be removed — every chain needs exactly one crossfade split.
+export function removeSlot(slots, i) {
+  if (!slots[i] || slots[i].name === "ECHO") return slots;
+  return demoteInvalidBypass(slots.filter((_, j) => j !== i));
+}
+
+export function toggleBypass(slots, i) {
+  if (!slots[i]) return slots;
+  if (!slots[i].bypass && !canBypass(slots, i)) return slots;
+  const out = slots.map((s, j) => (j === i ? { ...s, bypass: !s.bypass } : s));
+  return demoteInvalidBypass(out);
+}
+
+// Nodes not currently placed — offered in the editor's pool.
+export function unusedNodes(slots) {
+  const used = new Set(slots.map((s) => s.name));
+  return CHAIN_NODES.filter((n) => n !== LIMITER && !used.has(n));
+}
@@ -0,0 +1,155 @@
+// Chain config validation — pure checks run before wireChain touches a node.
+//
+// validateChain(config, availableNodes) → { valid, errors, warnings }
+// Each issue: { code, node, message }. Errors mean the config can't be
+// wired safely (it would throw or double-wire); warnings mean it wires but
+// breaks a CHAINS convention (limiter not last, etc.).
+//
+// `sends` (optional) takes an effect out of the serial path and feeds it
+// from the per-sign send buses instead; its return sums back in at `into`.
+
+import { CHAIN_NODES } from "./tuning.js";
+import { BYPASSABLE_NODES, LIMITER } from "./chainEditor.js";
+
+const MONITOR = "monitorEQ";
+
+// Effects with a send bus in the engine.
+export const SEND_NODES = ["reverb", "ECHO"];
+
+// Known-good fallback when a requested chain has errors. Only uses nodes
+// every engine has, no bypass entries.
+export const SAFE_CHAIN = {
+  order: ["vibrato", "ECHO", "eq3", "reverb", "chorus", MONITOR, LIMITER],
+  bypass: {},
+};
+
+export function validateChain(config, availableNodes = CHAIN_NODES) {
+  const available = new Set(availableNodes);
+  const errors = [];
+  const warnings = [];
+  const error = (code, node, message) => errors.push({ code, node, message });
+  const warn = (code, node, message) => warnings.push({ code, node, message });
+
+  if (!config || !Array.isArray(config.order)) {
+    error("BAD_CONFIG", null, "chain config needs an order array");
+    return { valid: false, errors, warnings };
+  }
+  const { order } = config;
+  const bypass = config.bypass || {};
+  const sends = config.sends || {};
+
+  // ── order ──
+  const seen = new Set();
+  let echoCount = 0;
+  for (const name of order) {
+    if (!available.has(name)) {
+      error("UNKNOWN_NODE", name, `unknown node "${name}"`);
+      continue;
+    }
+    if (name === "ECHO") {
+      echoCount++;
+      continue;
+    }
+    if (seen.has(name)) error("DUPLICATE_NODE", name, `"${name}" listed twice`);
+    seen.add(name);
+  }
+  if (echoCount > 1) {
+    error("DUPLICATE_ECHO", "ECHO", `ECHO listed ${echoCount} times — must appear exactly once`);
+  } else if (echoCount === 0 && !sends.ECHO) {
+    error("MISSING_ECHO", "ECHO", "ECHO missing — must appear exactly once, in order or as a send");
+  }
+
+  if (available.has(LIMITER)) {
+    if (!order.includes(LIMITER)) {
+      warn("LIMITER_MISSING", LIMITER, `no ${LIMITER} — output is unlimited`);
+    } else if (order[order.length - 1] !== LIMITER) {
+      warn("LIMITER_NOT_LAST", LIMITER, `${LIMITER} should be last — "${order[order.length - 1]}" runs after the limiter`);
+    }
+  }
+  const monitorAt = order.indexOf(MONITOR);
+  if (monitorAt !== -1 && order.includes(LIMITER) && order[monitorAt + 1] !== LIMITER) {
+    warn("MONITOR_NOT_BEFORE_LIMITER", MONITOR, `${MONITOR} should sit right before ${LIMITER}`);
+  }
+
+  // ── bypass ──
+  const gaps = new Map();
+  for (const [name, cfg] of Object.entries(bypass)) {
+    if (!available.has(name)) {
+      error("UNKNOWN_NODE", name, `unknown bypass node "${name}"`);
+      continue;
+    }
+    if (name === "ECHO") {
+      error("BYPASS_ECHO", name, "ECHO can't be bypassed");
+      continue;
+    }
+    if (sends[name]) {
+      error("SEND_IN_BYPASS", name, `"${name}" is in both bypass and sends`);
+      continue;
+    }
+    if (order.includes(name)) {
+      error("BYPASS_IN_ORDER", name, `"${name}" is in both order and bypass`);
+      continue;
+    }
+    const { after, before } = cfg || {};
+    const a = order.indexOf(after);
+    const b = order.indexOf(before);
+    if (a === -1 || b === -1) {
+      error("BYPASS_NEIGHBOR_MISSING", name, `"${name}" bypass neighbours must both be in order (after: "${after}", before: "${before}")`);
+      continue;
+    }
+    if (after === "ECHO" || before === "ECHO") {
+      error("BYPASS_NEIGHBOR_ECHO", name, `"${name}" can't be bypassed next to ECHO`);
+      continue;
+    }
+    if (b !== a + 1) {
+      error("BYPASS_NOT_ADJACENT", name, `"${name}" bypass neighbours "${after}" → "${before}" aren't adjacent in order`);
+      continue;
+    }
+    const gap = `${after}→${before}`;
+    if (gaps.has(gap)) {
+      error("BYPASS_GAP_SHARED", name, `"${name}" and "${gaps.get(gap)}" both bypass ${gap}`);
+      continue;
+    }
+    gaps.set(gap, name);
+    if (!BYPASSABLE_NODES.includes(name)) {
+      warn("BYPASS_NO_MIX", name, `"${name}" has no mix knob — it will never be inserted`);
+    }
+  }
+
+  // ── sends ──
+  for (const [name, cfg] of Object.entries(sends)) {
+    if (!SEND_NODES.includes(name)) {
+      error("SEND_UNSUPPORTED", name, `"${name}" can't run as a send — only ${SEND_NODES.join(", ")}`);
+      continue;
+    }
+    if (!available.has(name)) {
+      error("UNKNOWN_NODE", name, `unknown send node "${name}"`);
+      continue;
+    }
+    if (order.includes(name)) {
+      error("SEND_IN_ORDER", name, `"${name}" is in both order and sends`);
+      continue;
+    }
+    const into = cfg && cfg.into;
+    if (into === "ECHO") {
+      error("SEND_RETURN_ECHO", name, `"${name}" can't return into ECHO`);
+      continue;
+    }
+    if (!order.includes(into)) {
+      error("SEND_RETURN_MISSING", name, `"${name}" send returns into "${into}", which isn't in order`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// One-line summary for the Controls veil.
+export function describeChainIssues(report, label = "chain") {
+  if (!report) return "";
+  const issues = report.valid ? report.warnings : report.errors;
+  if (!issues.length) return "";
+  const list = issues.map((i) => i.message).join("; ");
+  return report.valid
+    ? `${label}: ${list}`
+    : `${label} can't be wired — using safe chain: ${list}`;
+}
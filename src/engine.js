@@ -0,0 +1,1570 @@
+// Audio engine — the synth without the UI.
+//
+// Everything that makes sound lives here: the sign voices, the FX chain,
+// KNOB_MAP, adaptive voicing, Breathe's osc types and Eclipse. App.jsx is
+// one consumer; anything else (a test, another page, a script) can embed
+// the synth the same way and never touch React.
+//
+// const engine = await createEngine({ profile, chain, params, oscType, listen })
+//   noteOn(sign, bank = "A", { velocity, detuneCents, time })
+//   noteOff(sign, bank = "A", { time })
+//   releaseAll()                 every voice in both banks
+//   setParam(name, v)            stores the knob value and applies it
+//   applyParam(name, v)          applies without storing (modulation)
+//   setChain(keyOrConfig)        → chain report; crossfades to a new set of FX nodes
+//   eclipse(on)                  ramps into/out of the profile's SHADOW
+//   setOscType(t)                an OSC_TYPES entry or "per-sign"
+//   setListenPreset(key)         monitor EQ from the profile's LISTEN_PRESETS
+//   setProfile(profile)          SHADOW/CHAINS/LISTEN_PRESETS lookups, and
+//                                the TUNING no knob drives
+//   on(type, fn) → off()         events below
+//   dispose() · close()          close() also releases a live context
+//   params · oscType · eclipsed · active { A, B } · isActive(sign, bank)
+//   chain · requestedChain       the wired config (SAFE_CHAIN if the
+//                                requested one failed validation) · the one asked for
+//
+// Events (emitted synchronously, after the change):
+//   "noteon"       { sign, bank, note, octave, velocity, detuneCents, time }
+//   "noteoff"      { sign, bank, time }
+//   "allnotesoff"  {}
+//   "param"        { name, value }
+//   "chain"        { config, requested, report }   config is what got wired
+//   "eclipse"      { on }
+//   "osctype"      { type }
+//   "listen"       { key }
+//
+// The graph is still on the engine object (synths, panners, fx, mix,
+// sweeper, …) for the visuals and stem taps. `profile` is anything shaped
+// like tuning.js — a merged profile from profiles.js or tuning.js itself.
+// With `context` (an OfflineContext) no live AudioContext is opened;
+// renderOffline uses that to bounce a session to an AudioBuffer.
+
+import * as BASE from "./tuning.js";
+import { KNOB_DEFS, CHAIN_NODES, OCTAVE_GAIN, PLANETARY_CHARACTER, SIGN_RULERS } from "./tuning.js";
+import { validateChain, SAFE_CHAIN } from "./chainValidation.js";
+import { createParamSweeper, rampToward, glideToward } from "./paramSweeper.js";
+import { DEFAULT_MODULATION, INITIAL_LFO_STATE, stepLfo, modOffsets, modulatedValue } from "./modulation.js";
+import { renderPlan } from "./render.js";
+
+// Tone is imported on first use (it's heavy and wants a user gesture);
+// importers read this live binding once an engine exists.
+export let Tone = null;
+
+// ─── Signs ───────────────────────────────────────────────────
+
+// 12 zodiac signs — chromatic mapping C through B.
+// Each carries: note class, microtonal detune from 12-TET (cents),
+// octave, velocity (mix weight), glyph, fixed stereo base,
+// pan group, osc count, osc spread.
+// Octave spread: dim7 partitioning — C/Eb/Gb/A in oct 3, D/F/Ab/B in oct 4,
+// Db/E/G/Bb in oct 5. No semitone adjacencies within any octave.
+// Velocity: luminary-ruled signs (Leo/Cancer) lead, personal planet signs mid,
+// social planet signs (Jupiter/Saturn) form the harmonic bed.
+// Detune: Cousto planetary frequencies at 50% strength — authentic color
+// without quarter-tone shock. Signs sharing a ruler share the same offset.
+export const SIGNS = {
+  Aquarius: {
+    octave: 3,
+    vel: 0.33,
+    glyph: "\u2652\uFE0E",
+    note: "C",
+    detuneCents: 6, // Saturn ×0.5
+    panBase: -0.7,
+    panGroup: "A",
+    oscCount: 2,
+    oscSpread: 5,
+  },
+  Pisces: {
+    octave: 5,
+    vel: 0.38,
+    glyph: "\u2653\uFE0E",
+    note: "Db",
+    detuneCents: -6.5, // Jupiter ×0.5
+    panBase: 0.65,
+    panGroup: "D",
+    oscCount: 3,
+    oscSpread: 12,
+  },
+  Aries: {
+    octave: 4,
+    vel: 0.52,
+    glyph: "\u2648\uFE0E",
+    note: "D",
+    detuneCents: -12.5, // Mars ×0.5
+    panBase: -0.4,
+    panGroup: "B",
+    oscCount: 2,
+    oscSpread: 8,
+  },
+  Taurus: {
+    octave: 3,
+    vel: 0.5,
+    glyph: "\u2649\uFE0E",
+    note: "Eb",
+    detuneCents: 5, // Venus ×0.5
+    panBase: 0.55,
+    panGroup: "C",
+    oscCount: 2,
+    oscSpread: 5,
+  },
+  Gemini: {
+    octave: 5,
+    vel: 0.48,
+    glyph: "\u264A\uFE0E",
+    note: "E",
+    detuneCents: 16.5, // Mercury ×0.5
+    panBase: -0.3,
+    panGroup: "B",
+    oscCount: 3,
+    oscSpread: 12,
+  },
+  Cancer: {
+    octave: 4,
+    vel: 0.6,
+    glyph: "\u264B\uFE0E",
+    note: "F",
+    detuneCents: 11.5, // Moon ×0.5
+    panBase: 0.7,
+    panGroup: "D",
+    oscCount: 2,
+    oscSpread: 8,
+  },
+  Leo: {
+    octave: 3,
+    vel: 0.65,
+    glyph: "\u264C\uFE0E",
+    note: "Gb",
+    detuneCents: 19, // Sun ×0.5
+    panBase: 0.1,
+    panGroup: "B",
+    oscCount: 2,
+    oscSpread: 5,
+  },
+  Virgo: {
+    octave: 5,
+    vel: 0.45,
+    glyph: "\u264D\uFE0E",
+    note: "G",
+    detuneCents: 16.5, // Mercury ×0.5
+    panBase: -0.6,
+    panGroup: "A",
+    oscCount: 3,
+    oscSpread: 12,
+  },
+  Libra: {
+    octave: 4,
+    vel: 0.47,
+    glyph: "\u264E\uFE0E",
+    note: "Ab",
+    detuneCents: 5, // Venus ×0.5
+    panBase: 0.35,
+    panGroup: "C",
+    oscCount: 2,
+    oscSpread: 8,
+  },
+  Scorpio: {
+    octave: 3,
+    vel: 0.48,
+    glyph: "\u264F\uFE0E",
+    note: "A",
+    detuneCents: -12.5, // Mars ×0.5
+    panBase: -0.2,
+    panGroup: "C",
+    oscCount: 2,
+    oscSpread: 5,
+  },
+  Sagittarius: {
+    octave: 5,
+    vel: 0.4,
+    glyph: "\u2650\uFE0E",
+    note: "Bb",
+    detuneCents: -6.5, // Jupiter ×0.5
+    panBase: 0.15,
+    panGroup: "D",
+    oscCount: 3,
+    oscSpread: 12,
+  },
+  Capricorn: {
+    octave: 4,
+    vel: 0.35,
+    glyph: "\u2651\uFE0E",
+    note: "B",
+    detuneCents: 6, // Saturn ×0.5
+    panBase: -0.55,
+    panGroup: "A",
+    oscCount: 2,
+    oscSpread: 8,
+  },
+};
+
+// Per-sign send levels (0–1) into the reverb and echo return buses.
+// Only heard when the active chain runs that effect as a send (CHAINS
+// `sends`). Follows the ruler: Saturn/Jupiter signs sit deep in the hall,
+// Mars signs stay dry and forward, luminaries in between.
+const SIGN_SENDS = {
+  Aquarius: { reverb: 0.85, echo: 0.5 }, // Saturn
+  Pisces: { reverb: 0.7, echo: 0.45 }, // Jupiter
+  Aries: { reverb: 0.12, echo: 0.08 }, // Mars
+  Taurus: { reverb: 0.45, echo: 0.25 }, // Venus
+  Gemini: { reverb: 0.3, echo: 0.4 }, // Mercury
+  Cancer: { reverb: 0.55, echo: 0.35 }, // Moon
+  Leo: { reverb: 0.35, echo: 0.2 }, // Sun
+  Virgo: { reverb: 0.3, echo: 0.4 }, // Mercury
+  Libra: { reverb: 0.45, echo: 0.25 }, // Venus
+  Scorpio: { reverb: 0.12, echo: 0.08 }, // Mars
+  Sagittarius: { reverb: 0.7, echo: 0.45 }, // Jupiter
+  Capricorn: { reverb: 0.85, echo: 0.5 }, // Saturn
+};
+
+// Merge planetary character into sign config — all engine code reads from this.
+export const SIGN_CHARACTER = Object.fromEntries(
+  Object.entries(SIGNS).map(([name, cfg]) => [
+    name,
+    {
+      ...cfg,
+      ...PLANETARY_CHARACTER[SIGN_RULERS[name]],
+      sends: SIGN_SENDS[name],
+    },
+  ]),
+);
+
+export const SIGN_NAMES = Object.keys(SIGNS);
+
+// Adaptive voicing: boost gain when fewer voices are active.
+// Formula: 5 × log10(12 / totalActive) dB
+// totalActive = countA + countB across both synth banks.
+export function applyAdaptiveVoicing(eng, totalActive) {
+  const boost =
+    totalActive > 0 ? 5 * Math.log10(12 / Math.max(1, totalActive)) : 0;
+  for (const name of SIGN_NAMES) {
+    const vol = -9 + (OCTAVE_GAIN[SIGN_CHARACTER[name].octave] || 0) + boost;
+    eng.synths[name].set({ volume: vol });
+    if (eng.synthsB) eng.synthsB[name].set({ volume: vol });
+  }
+}
+
+// ─── Knob Mapping ────────────────────────────────────────────
+
+// Helper: apply a function to both A and B synth banks
+function forBothBanks(eng, fn) {
+  fn(eng.synths, eng.oscTypeTracker, eng.spreadTracker);
+  if (eng.synthsB) fn(eng.synthsB, eng.oscTypeTrackerB, eng.spreadTrackerB);
+}
+
+export const KNOB_MAP = {
+  // Oscillator internals
+  harmonicity: {
+    apply: (eng, v) => {
+      forBothBanks(eng, (synths, oscTypes) => {
+        for (const name of SIGN_NAMES) {
+          const t = oscTypes[name];
+          if (t.startsWith("am") || t.startsWith("fm")) {
+            synths[name].set({ oscillator: { harmonicity: v } });
+          }
+        }
+      });
+    },
+  },
+  modulationIndex: {
+    apply: (eng, v) => {
+      forBothBanks(eng, (synths, oscTypes) => {
+        for (const name of SIGN_NAMES) {
+          if (oscTypes[name].startsWith("fm")) {
+            synths[name].set({ oscillator: { modulationIndex: v } });
+          }
+        }
+      });
+    },
+  },
+  oscSpread: {
+    apply: (eng, v) => {
+      forBothBanks(eng, (synths, oscTypes, spreadTrk) => {
+        for (const name of SIGN_NAMES) {
+          if (oscTypes[name].startsWith("fat")) {
+            synths[name].set({ oscillator: { spread: v } });
+            spreadTrk[name] = v;
+          }
+        }
+      });
+    },
+  },
+  stagger: {
+    apply: () => {}, // read from paramsRef at playback time
+  },
+  // Voice
+  attack: {
+    apply: (eng, v) => {
+      forBothBanks(eng, (synths) => {
+        for (const name of SIGN_NAMES) {
+          synths[name].set({ envelope: { attack: v * SIGN_CHARACTER[name].attackMul } });
+        }
+      });
+    },
+  },
+  decay: {
+    apply: (eng, v) => {
+      forBothBanks(eng, (synths) => {
+        for (const name of SIGN_NAMES) {
+          synths[name].set({ envelope: { decay: v * SIGN_CHARACTER[name].decayMul } });
+        }
+      });
+    },
+  },
+  sustain: {
+    apply: (eng, v) => {
+      forBothBanks(eng, (synths) => {
+        for (const name of SIGN_NAMES) {
+          synths[name].set({
+            envelope: {
+              sustain: Math.min(1, v * SIGN_CHARACTER[name].sustainMul),
+            },
+          });
+        }
+      });
+    },
+  },
+  release: {
+    apply: (eng, v) => {
+      forBothBanks(eng, (synths) => {
+        for (const name of SIGN_NAMES) {
+          synths[name].set({ envelope: { release: v * SIGN_CHARACTER[name].releaseMul } });
+        }
+      });
+    },
+  },
+  // Grit
+  chebyWet: {
+    apply: (eng, v) => {
+      eng.fx.chebyshev.wet.value = v;
+      eng.setBypass("chebyshev", v === 0);
+    },
+  },
+  chebyOrder: {
+    apply: (eng, v) => {
+      eng.fx.chebyshev.order = v;
+    },
+  },
+  // EQ
+  eqHigh: {
+    apply: (eng, v) => {
+      eng.fx.eq3.high.value = v;
+    },
+  },
+  eqMid: {
+    apply: (eng, v) => {
+      eng.fx.eq3.mid.value = v;
+    },
+  },
+  eqLow: {
+    apply: (eng, v) => {
+      eng.fx.eq3.low.value = v;
+    },
+  },
+  // Vibrato
+  vibratoFreq: {
+    apply: (eng, v) => {
+      eng.fx.vibrato.frequency.value = v;
+    },
+  },
+  vibratoDepth: {
+    apply: (eng, v) => {
+      eng.fx.vibrato.depth.value = v;
+    },
+  },
+  vibratoWet: {
+    apply: (eng, v) => {
+      eng.fx.vibrato.wet.value = v;
+      eng.setBypass("vibrato", v === 0);
+    },
+  },
+  // Delay (all ramped — prevents Doppler artifacts + feedback runaway)
+  delayTime: {
+    apply: (eng, v) => {
+      const p = eng.fx.echoDelay.delayTime;
+      p.cancelAndHoldAtTime(p.now());
+      p.rampTo(v, 0.15);
+    },
+  },
+  delayFeedback: {
+    apply: (eng, v) => {
+      const p = eng.fx.echoFeedbackGain.gain;
+      p.cancelAndHoldAtTime(p.now());
+      p.rampTo(v, 0.08);
+    },
+  },
+  delayWet: {
+    apply: (eng, v) => {
+      const p = eng.mix.echo;
+      p.cancelAndHoldAtTime(p.now());
+      p.rampTo(v, 0.08);
+    },
+  },
+  echoFilterFreq: {
+    apply: (eng, v) => {
+      const p = eng.fx.echoFilter.frequency;
+      p.cancelAndHoldAtTime(p.now());
+      p.rampTo(v, 0.1);
+    },
+  },
+  // Reverb
+  reverbRoom: {
+    apply: (eng, v) => {
+      eng.fx.reverb.roomSize.value = v;
+    },
+  },
+  reverbDamp: {
+    apply: (eng, v) => {
+      eng.fx.reverb.dampening = v;
+      eng.fx.dampSweep.set({ center: v });
+    },
+  },
+  reverbWet: {
+    apply: (eng, v) => {
+      eng.mix.reverb.value = v;
+      eng.setBypass("reverb", v === 0);
+    },
+  },
+  dampSweepRate: {
+    apply: (eng, v) => {
+      eng.fx.dampSweep.set({ rate: v });
+    },
+  },
+  dampSweepDepth: {
+    apply: (eng, v) => {
+      eng.fx.dampSweep.set({ depth: v });
+    },
+  },
+  // Space
+  panLfoFreq: {
+    apply: (eng, v) => {
+      Object.values(eng.panLfos).forEach((l) => {
+        l.frequency.value = v;
+      });
+    },
+  },
+  panLfoAmplitude: {
+    apply: (eng, v) => {
+      Object.values(eng.panLfos).forEach((l) => {
+        l.amplitude.value = v;
+      });
+    },
+  },
+  // Phase
+  phaserFreq: {
+    apply: (eng, v) => {
+      eng.fx.phaser.frequency.value = v;
+    },
+  },
+  phaserOctaves: {
+    apply: (eng, v) => {
+      eng.fx.phaser.octaves = v;
+    },
+  },
+  phaserBase: {
+    apply: (eng, v) => {
+      eng.fx.phaser.baseFrequency = v;
+    },
+  },
+  phaserQ: {
+    apply: (eng, v) => {
+      eng.fx.phaser.Q.value = v;
+    },
+  },
+  phaserWet: {
+    apply: (eng, v) => {
+      eng.fx.phaser.wet.value = v;
+      eng.setBypass("phaser", v === 0);
+    },
+  },
+  // Chorus
+  chorusWet: {
+    apply: (eng, v) => {
+      eng.fx.chorus.wet.value = v;
+      eng.setBypass("chorus", v === 0);
+    },
+  },
+  chorusFreq: {
+    apply: (eng, v) => {
+      eng.fx.chorus.frequency.value = v;
+    },
+  },
+  chorusDelay: {
+    apply: (eng, v) => {
+      eng.fx.chorus.delayTime = v;
+    },
+  },
+  chorusDepth: {
+    apply: (eng, v) => {
+      eng.fx.chorus.depth = v;
+    },
+  },
+  // Saturate
+  distortion: {
+    apply: (eng, v) => {
+      eng.fx.distortion.distortion = v;
+    },
+  },
+  distortionWet: {
+    apply: (eng, v) => {
+      eng.fx.distortion.wet.value = v;
+      eng.setBypass("distortion", v === 0);
+    },
+  },
+  // EQ high frequency
+  eqHighFreq: {
+    apply: (eng, v) => {
+      eng.fx.eq3.highFrequency.value = v;
+    },
+  },
+};
+
+// ─── Audio graph ─────────────────────────────────────────────
+
+// Opens the realtime AudioContext an engine plays through — offline
+// renders hand createEngine their OfflineContext instead.
+async function openLiveContext(tuning, onContext) {
+  // iOS: route through media channel — bypasses mute switch (iOS 17+)
+  if ("audioSession" in navigator) {
+    navigator.audioSession.type = "playback";
+  }
+
+  const ctx = new Tone.Context({
+    latencyHint: "playback",
+    sampleRate: tuning.sampleRate,
+    lookAhead: 0.3,
+    updateInterval: 0.025,
+  });
+  Tone.setContext(ctx);
+  await Tone.start();
+  // Belt-and-suspenders: wait for the raw AudioContext to actually resume
+  if (ctx.rawContext.state !== "running") {
+    await ctx.rawContext.resume();
+  }
+
+  onContext?.(ctx);
+
+  // iOS: silent keepalive prevents context suspension on lock/background.
+  // Pre-iOS 17 fallback for mute switch bypass (inaudible at 1e-37 gain).
+  const keepAlive = ctx.rawContext.createOscillator();
+  const muteGain = ctx.rawContext.createGain();
+  muteGain.gain.value = 1e-37;
+  keepAlive.connect(muteGain);
+  muteGain.connect(ctx.rawContext.destination);
+  keepAlive.start();
+  return { ctx, keepAlive };
+}
+
+// Nodes and wiring only — createEngine puts the API on top.
+async function buildGraph(initialChain, tuning, { context = null, onContext = null } = {}) {
+  Tone = await import("tone");
+  const yield_ = () => new Promise(r => setTimeout(r, 0));
+  const { ctx, keepAlive } = context ? { ctx: context, keepAlive: null } : await openLiveContext(tuning, onContext);
+  await yield_();
+
+  // ─── FX chain ───
+  // A chain is a whole set of effect nodes wired in one CHAINS order
+  // (buildChain). Live switches build the new set beside the one playing
+  // and crossfade between them, so the voices never drop out; the old set
+  // stops getting input but rings out its echo/reverb tails before it is
+  // disposed. Everything upstream (synths, panners, sum bus, highpass,
+  // send buses) and chainOut are shared.
+
+  // Summing bus — all panners feed here so voices intermodulate through Chebyshev
+  const sumBus = new Tone.Gain(1);
+
+  const highpass = new Tone.Filter({
+    frequency: tuning.highpassFreq,
+    type: "highpass",
+    rolloff: tuning.highpassRolloff,
+  });
+  sumBus.connect(highpass);
+
+  // Send buses — every panner taps these through its own send gain
+  // (SIGN_SENDS). A bus only reaches an effect when the chain runs that
+  // effect as a send; otherwise the taps go nowhere.
+  const reverbSend = new Tone.Gain(1);
+  const echoSend = new Tone.Gain(1);
+
+  // Chain output — every chain set ends here, and close() fades it
+  const chainOut = new Tone.Gain(1).toDestination();
+
+  // Offline renders wait on the render clock, so the bypass and crossfade
+  // timing doesn't depend on how fast the render runs
+  const defer = context ? (fn, s) => ctx.setTimeout(fn, s) : (fn, s) => setTimeout(fn, s * 1000);
+
+  // Every serial connection of a set goes through link() so bypassable
+  // nodes can be pulled and re-inserted without touching node-internal
+  // wiring (echo feedback loop, reverb pre-delay).
+  function link(set, a, b) {
+    a.connect(b);
+    set.links.push([a, b]);
+  }
+  function unlink(set, a, b) {
+    const i = set.links.findIndex(([x, y]) => x === a && y === b);
+    if (i === -1) return;
+    set.links.splice(i, 1);
+    try {
+      a.disconnect(b);
+    } catch {
+      /* ignore */
+    }
+  }
+
+  // config (validated) + values (TUNING-shaped: knobs and the TUNING no
+  // knob drives) → a wired set, fed at `gain` — 0 for a set about to
+  // fade in. The MIX values land on the effect's wet control in series,
+  // on its return gain when the config runs it as a send.
+  function buildChain(config, values, gain = 1) {
+    const sends = config.sends || {};
+    const chebyshev = new Tone.Chebyshev(values.chebyOrder);
+    chebyshev.wet.value = values.chebyWet;
+    chebyshev.oversample = "none";
+
+    const eq3 = new Tone.EQ3({
+      high: values.eqHigh,
+      mid: values.eqMid,
+      low: values.eqLow,
+      highFrequency: values.eqHighFreq,
+    });
+
+    const vibrato = new Tone.Vibrato({
+      frequency: values.vibratoFreq,
+      depth: values.vibratoDepth,
+    });
+    vibrato.wet.value = values.vibratoWet;
+
+    // ─── Custom echo loop (filter + saturation in feedback path) ───
+    const echoDelay = new Tone.Delay({
+      delayTime: values.delayTime,
+      maxDelay: 2,
+    });
+    const echoFeedbackGain = new Tone.Gain(values.delayFeedback);
+    const echoFilter = new Tone.Filter({
+      frequency: values.echoFilterFreq,
+      type: "lowpass",
+      rolloff: -12,
+    });
+    const echoSat = new Tone.WaveShaper(
+      (v) => Math.tanh(v * values.echoSatDrive),
+      1024,
+    );
+    const echoCrossfade = new Tone.CrossFade(sends.ECHO ? 0 : values.delayWet);
+    const echoInputGain = new Tone.Gain(values.echoInputGain);
+
+    // Feedback loop: delay out → filter → saturator → gain → delay in
+    echoDelay.connect(echoFilter);
+    echoFilter.connect(echoSat);
+    echoSat.connect(echoFeedbackGain);
+    echoFeedbackGain.connect(echoDelay);
+
+    const reverb = new Tone.Freeverb({
+      roomSize: values.reverbRoom,
+      dampening: values.reverbDamp,
+    });
+    reverb.wet.value = sends.reverb ? 1 : values.reverbWet;
+
+    const reverbPreDelay = new Tone.Delay({ delayTime: 0.025, maxDelay: 0.1 });
+    reverbPreDelay.connect(reverb);
+
+    const monitorEQ = new Tone.EQ3({
+      low: 0,
+      mid: 0,
+      high: 0,
+      lowFrequency: values.monitorLowFreq,
+      highFrequency: values.monitorHighFreq,
+    });
+
+    const phaser = new Tone.Phaser({
+      frequency: values.phaserFreq,
+      octaves: values.phaserOctaves,
+      baseFrequency: values.phaserBase,
+      Q: values.phaserQ,
+    });
+    phaser.wet.value = values.phaserWet;
+
+    const chorus = new Tone.Chorus({
+      frequency: values.chorusFreq,
+      delayTime: values.chorusDelay,
+      depth: values.chorusDepth,
+    });
+    chorus.wet.value = values.chorusWet;
+
+    const distortion = new Tone.Distortion({
+      distortion: values.distortion,
+      oversample: "none",
+    });
+    distortion.wet.value = values.distortionWet;
+
+    // tanh soft clip — preserves Freeverb resonant peaks that Limiter(-1) killed
+    const softClip = new Tone.WaveShaper((val) => Math.tanh(val), 4096);
+    softClip.oversample = "none";
+
+    // Send returns — 100% wet effect in, the MIX knob as their gain
+    const reverbReturn = new Tone.Gain(sends.reverb ? values.reverbWet : 0);
+    const echoReturn = new Tone.Gain(sends.ECHO ? values.delayWet : 0);
+
+    // The set's own way in (serial input and both send buses) and out —
+    // the crossfade ramps the inputs, the tail fade the output
+    const input = new Tone.Gain(gain);
+    const reverbIn = new Tone.Gain(gain);
+    const echoIn = new Tone.Gain(gain);
+    const out = new Tone.Gain(1).connect(chainOut);
+    highpass.connect(input);
+    reverbSend.connect(reverbIn);
+    echoSend.connect(echoIn);
+
+    const set = {
+      nodes: {
+        chebyshev,
+        eq3,
+        vibrato,
+        reverb: reverbPreDelay, // chain sees this as "reverb" node, pre-delay feeds actual reverb
+        chorus,
+        monitorEQ,
+        softClip,
+        phaser,
+        distortion,
+        echoCrossfade,
+        echoDelay,
+        echoInputGain,
+      },
+      fx: {
+        reverb,
+        echoDelay,
+        echoFeedbackGain,
+        echoFilter,
+        echoSat,
+        echoCrossfade,
+        echoInputGain,
+        chorus,
+        vibrato,
+        chebyshev,
+        eq3,
+        monitorEQ,
+        phaser,
+        distortion,
+      },
+      // Mix params for bypassable nodes — reverb's lives on the Freeverb,
+      // not on the pre-delay the chain wires.
+      wet: {
+        chebyshev: chebyshev.wet,
+        distortion: distortion.wet,
+        vibrato: vibrato.wet,
+        reverb: reverb.wet,
+        chorus: chorus.wet,
+        phaser: phaser.wet,
+      },
+      // MIX params for reverb/echo — the effect's own wet/fade when wired
+      // in series, its return gain when the chain runs it as a send.
+      mix: {
+        reverb: sends.reverb ? reverbReturn.gain : reverb.wet,
+        echo: sends.ECHO ? echoReturn.gain : echoCrossfade.fade,
+      },
+      inputs: [input, reverbIn, echoIn],
+      out,
+      links: [],
+      bypassState: {},
+      bypassable: {},
+      disposed: false,
+      dispose() {
+        if (set.disposed) return;
+        set.disposed = true;
+        highpass.disconnect(input);
+        reverbSend.disconnect(reverbIn);
+        echoSend.disconnect(echoIn);
+        [
+          input,
+          reverbIn,
+          echoIn,
+          chebyshev,
+          distortion,
+          eq3,
+          vibrato,
+          echoDelay,
+          echoFeedbackGain,
+          echoFilter,
+          echoSat,
+          echoCrossfade,
+          echoInputGain,
+          chorus,
+          reverbPreDelay,
+          reverb,
+          phaser,
+          monitorEQ,
+          softClip,
+          reverbReturn,
+          echoReturn,
+          out,
+        ].forEach((n) => n.dispose());
+      },
+    };
+
+    // Serial path
+    const { nodes } = set;
+    let prev = input;
+    for (const name of config.order) {
+      if (name === "ECHO") {
+        link(set, prev, echoCrossfade.a);
+        link(set, prev, echoInputGain);
+        link(set, echoInputGain, echoDelay);
+        link(set, echoDelay, echoCrossfade.b);
+        prev = echoCrossfade;
+      } else {
+        link(set, prev, nodes[name]);
+        prev = nodes[name];
+      }
+    }
+    link(set, prev, out);
+
+    // Sends — effect fed only by the per-sign taps, 100% wet, its return
+    // gain carrying the MIX knob, summed back in at `into`.
+    if (sends.reverb) {
+      link(set, reverbIn, reverbPreDelay);
+      link(set, reverb, reverbReturn);
+      link(set, reverbReturn, nodes[sends.reverb.into]);
+    }
+    if (sends.ECHO) {
+      link(set, echoIn, echoInputGain);
+      link(set, echoInputGain, echoDelay);
+      link(set, echoDelay, echoReturn);
+      link(set, echoReturn, nodes[sends.ECHO.into]);
+    }
+
+    // Bypassable nodes start pulled; those whose wet is up go straight in
+    // so the knobs keep meaning what they say
+    for (const [name, cfg] of Object.entries(config.bypass || {})) {
+      set.bypassState[name] = true;
+      set.bypassable[name] = {
+        node: nodes[name],
+        wet: set.wet[name],
+        prev: nodes[cfg.after],
+        next: nodes[cfg.before],
+      };
+      if (set.wet[name] && set.wet[name].value > 0) insert(set, name);
+    }
+    return set;
+  }
+
+  function insert(set, name) {
+    const b = set.bypassable[name];
+    unlink(set, b.prev, b.next);
+    link(set, b.prev, b.node);
+    link(set, b.node, b.next);
+    set.bypassState[name] = false;
+  }
+
+  await yield_();
+  // Configs are validated before wiring — a broken chain falls back to
+  // SAFE_CHAIN and the report tells the UI why, instead of throwing.
+  let chainReport = validateChain(initialChain, CHAIN_NODES);
+  let requestedChain = initialChain;
+  let chainConfig = chainReport.valid ? initialChain : SAFE_CHAIN; // what is wired
+  let cur = buildChain(chainConfig, tuning); // the set playing
+  let tailing = null; // the set ringing out after the last switch
+
+  // Everything that moves by itself runs on the param sweeper, off the
+  // context clock.
+  const sweeper = createParamSweeper(Tone);
+
+  // Damp sweep — sinusoidal modulation of reverb dampening.
+  // Sweeps the comb filter cutoff for evolving resonance morphing.
+  // Log scale, ±depth×2.5 in log space around center (the DAMP knob),
+  // kept inside 200–8000 Hz. depth=0 parks it at center.
+  // Freeverb dampening is a plain property, so this is a setter sweep;
+  // it follows the reverb of whichever set is playing.
+  const dampSweep = {
+    rate: tuning.dampSweepRate,
+    depth: tuning.dampSweepDepth,
+    center: tuning.reverbDamp,
+    set(opts) {
+      Object.assign(this, opts);
+      if (this.depth <= 0) {
+        sweeper.stop("dampSweep");
+        cur.fx.reverb.dampening = this.center;
+        return;
+      }
+      const logRange = this.depth * 2.5;
+      const range = {
+        frequency: this.rate,
+        min: Math.max(200, this.center * Math.exp(-logRange)),
+        max: Math.min(8000, this.center * Math.exp(logRange)),
+        scale: "log",
+      };
+      if (sweeper.has("dampSweep")) sweeper.update("dampSweep", range);
+      else {
+        sweeper.sine("dampSweep", (v) => {
+          cur.fx.reverb.dampening = v;
+        }, range);
+      }
+    },
+  };
+  cur.fx.dampSweep = dampSweep;
+  dampSweep.set({});
+
+  // Profile TUNING no knob drives — set at construction, and again when a
+  // same-rate profile switch hands over another profile's values
+  function setTuning(next) {
+    const { echoSat, echoInputGain, monitorEQ } = cur.fx;
+    echoSat.setMap((v) => Math.tanh(v * next.echoSatDrive), 1024);
+    echoInputGain.gain.value = next.echoInputGain;
+    monitorEQ.lowFrequency.value = next.monitorLowFreq;
+    monitorEQ.highFrequency.value = next.monitorHighFreq;
+    highpass.frequency.value = next.highpassFreq;
+    highpass.rolloff = next.highpassRolloff;
+  }
+
+  function setBypass(name, bypassed) {
+    const set = cur;
+    const b = set.bypassable[name];
+    if (!b || set.bypassState[name] === bypassed) return;
+    const pull = () => {
+      if (set.disposed || !set.bypassState[name]) return;
+      unlink(set, b.prev, b.node);
+      unlink(set, b.node, b.next);
+      link(set, b.prev, b.next);
+    };
+    try {
+      if (bypassed) {
+        set.bypassState[name] = true;
+        if (b.wet) {
+          b.wet.rampTo(0, 0.05);
+          defer(pull, 0.06);
+        } else {
+          pull();
+        }
+      } else {
+        insert(set, name);
+        if (b.wet) b.wet.rampTo(b.wet.value || 1, 0.05);
+      }
+    } catch {
+      /* ignore */
+    }
+  }
+
+  // Old set out: stop feeding it over the crossfade, then fade its output
+  // across `tail` seconds and dispose it.
+  function retire(set, tail) {
+    const now = Tone.now();
+    for (const g of set.inputs) {
+      g.gain.cancelAndHoldAtTime(now);
+      g.gain.rampTo(0, CHAIN_XFADE);
+    }
+    set.out.gain.cancelAndHoldAtTime(now);
+    set.out.gain.rampTo(0, tail, now + CHAIN_XFADE);
+    defer(() => set.dispose(), CHAIN_XFADE + tail + 0.05);
+  }
+
+  // Live chain switch — a crossfade between two sets of nodes. The new
+  // set is built at `values` (the engine's live knobs) beside the old
+  // one and both hear the same voices, so nothing sustained drops out;
+  // the old set's inputs fade as the new set's rise, and it rings out
+  // its reverb and echo for CHAIN_TAIL before going. A set still ringing
+  // from an earlier switch is cut short. Returns the validation report.
+  const CHAIN_XFADE = 0.3; // seconds, old input out / new input in
+  const CHAIN_TAIL = 4; // seconds the old set rings out after the crossfade
+  function setChain(config, values) {
+    const report = validateChain(config, CHAIN_NODES);
+    requestedChain = config;
+    chainConfig = report.valid ? config : SAFE_CHAIN;
+    chainReport = report;
+    const next = buildChain(chainConfig, values, 0);
+    next.fx.dampSweep = dampSweep;
+    // The listen preset is on the monitor EQ gains
+    for (const band of ["low", "mid", "high"]) {
+      next.fx.monitorEQ[band].value = cur.fx.monitorEQ[band].value;
+    }
+    if (tailing) retire(tailing, 0.05);
+    retire(cur, CHAIN_TAIL);
+    tailing = cur;
+    cur = next;
+    const now = Tone.now();
+    for (const g of cur.inputs) g.gain.rampTo(1, CHAIN_XFADE, now);
+    return report;
+  }
+
+  // ─── Per-sign synths + panners ──────────────────────────
+
+  const synths = {};
+  const panners = {};
+  const spreadTracker = {};
+
+  // Per-sign send taps (post-panner, so the returns keep the stereo image).
+  const sendGains = [];
+  function tapSends(name, panner) {
+    const { reverb: r, echo: e } = SIGN_CHARACTER[name].sends;
+    const toReverb = new Tone.Gain(r);
+    const toEcho = new Tone.Gain(e);
+    panner.connect(toReverb);
+    panner.connect(toEcho);
+    toReverb.connect(reverbSend);
+    toEcho.connect(echoSend);
+    sendGains.push(toReverb, toEcho);
+  }
+
+  Object.entries(SIGN_CHARACTER).forEach(([name, cfg]) => {
+    const panner = new Tone.Panner(cfg.panBase);
+    const synth = new Tone.PolySynth(Tone.Synth, {
+      maxPolyphony: 1,
+      voice: Tone.Synth,
+      options: {
+        oscillator: {
+          type: cfg.oscType,
+          ...(cfg.oscType.startsWith("fat")
+            ? { count: cfg.oscCount, spread: cfg.oscSpread }
+            : {}),
+        },
+        envelope: {
+          attack: tuning.attack * cfg.attackMul,
+          decay: tuning.decay * cfg.decayMul,
+          sustain: Math.min(1, tuning.sustain * cfg.sustainMul),
+          release: tuning.release * cfg.releaseMul,
+        },
+        volume: -9 + (OCTAVE_GAIN[cfg.octave] || 0),
+      },
+    });
+    synth.set({ detune: cfg.detuneCents });
+    synth.connect(panner);
+    panner.connect(sumBus);
+    tapSends(name, panner);
+    synths[name] = synth;
+    panners[name] = panner;
+    spreadTracker[name] = cfg.oscSpread;
+  });
+  await yield_();
+
+  const oscTypeTracker = Object.fromEntries(
+    Object.entries(SIGN_CHARACTER).map(([name, cfg]) => [name, cfg.oscType]),
+  );
+
+  const detuneTracker = Object.fromEntries(
+    Object.keys(SIGN_CHARACTER).map((s) => [s, SIGN_CHARACTER[s].detuneCents]),
+  );
+
+  // ─── Chart B synth bank — same per-sign oscTypes, mirrored pan ──
+  const synthsB = {};
+  const pannersB = {};
+  const spreadTrackerB = {};
+
+  Object.entries(SIGN_CHARACTER).forEach(([name, cfg]) => {
+    const pannerB = new Tone.Panner(-cfg.panBase * 0.3);
+    const synthB = new Tone.PolySynth(Tone.Synth, {
+      maxPolyphony: 1,
+      voice: Tone.Synth,
+      options: {
+        oscillator: {
+          type: cfg.oscType,
+          ...(cfg.oscType.startsWith("fat")
+            ? { count: cfg.oscCount, spread: cfg.oscSpread }
+            : {}),
+        },
+        envelope: {
+          attack: tuning.attack * cfg.attackMul,
+          decay: tuning.decay * cfg.decayMul,
+          sustain: Math.min(1, tuning.sustain * cfg.sustainMul),
+          release: tuning.release * cfg.releaseMul,
+        },
+        volume: -9 + (OCTAVE_GAIN[cfg.octave] || 0),
+      },
+    });
+    synthB.set({ detune: cfg.detuneCents });
+    synthB.connect(pannerB);
+    pannerB.connect(sumBus);
+    tapSends(name, pannerB);
+    synthsB[name] = synthB;
+    pannersB[name] = pannerB;
+    spreadTrackerB[name] = cfg.oscSpread;
+  });
+
+  const oscTypeTrackerB = Object.fromEntries(
+    Object.entries(SIGN_CHARACTER).map(([name, cfg]) => [name, cfg.oscType]),
+  );
+
+  const detuneTrackerB = Object.fromEntries(
+    Object.keys(SIGN_CHARACTER).map((s) => [s, SIGN_CHARACTER[s].detuneCents]),
+  );
+
+  // Dry per-bank taps for stem recording — post-panner, before the chain
+  // (the banks share one FX chain). Built on first use.
+  const stemTaps = {};
+  function stemTap(bank) {
+    if (!stemTaps[bank]) {
+      stemTaps[bank] = new Tone.Gain(1);
+      Object.values(bank === "B" ? pannersB : panners).forEach((p) => p.connect(stemTaps[bank]));
+    }
+    return stemTaps[bank];
+  }
+
+  // ─── Group LFOs — one per panGroup, drift all panners in that group ──
+
+  const panLfos = {};
+  ["A", "B", "C", "D"].forEach((group) => {
+    const lfo = new Tone.LFO({ frequency: tuning.panLfoFreq, min: -1, max: 1 });
+    lfo.amplitude.value = tuning.panLfoAmplitude;
+    lfo.start();
+    Object.entries(SIGN_CHARACTER).forEach(([name, cfg]) => {
+      if (cfg.panGroup === group) lfo.connect(panners[name].pan);
+    });
+    panLfos[group] = lfo;
+  });
+
+  return {
+    synths,
+    panners,
+    panLfos,
+    spreadTracker,
+    detuneTracker,
+    oscTypeTracker,
+    synthsB,
+    pannersB,
+    spreadTrackerB,
+    detuneTrackerB,
+    oscTypeTrackerB,
+    setBypass,
+    setChain,
+    setTuning,
+    stemTap,
+    // Post-softClip output — what the speakers get
+    output: chainOut,
+    sampleRate: ctx.rawContext.sampleRate,
+    // The wired config — SAFE_CHAIN when the requested one failed validation
+    get chain() {
+      return chainConfig;
+    },
+    get requestedChain() {
+      return requestedChain;
+    },
+    get chainReport() {
+      return chainReport;
+    },
+    // The playing set's nodes and MIX params — a chain switch replaces
+    // both, so read them through the engine rather than keeping them
+    get mix() {
+      return cur.mix;
+    },
+    get fx() {
+      return cur.fx;
+    },
+    sweeper,
+    dispose() {
+      sweeper.dispose();
+      Object.values(synths).forEach((s) => s.dispose());
+      Object.values(panners).forEach((p) => p.dispose());
+      Object.values(synthsB).forEach((s) => s.dispose());
+      Object.values(pannersB).forEach((p) => p.dispose());
+      Object.values(panLfos).forEach((l) => l.dispose());
+      sendGains.forEach((g) => g.dispose());
+      Object.values(stemTaps).forEach((g) => g.dispose());
+      tailing?.dispose();
+      cur.dispose();
+      [sumBus, highpass, reverbSend, echoSend, chainOut].forEach((n) => n.dispose());
+    },
+    // Full teardown for a rebuild — fade out, dispose, release the
+    // AudioContext so the next engine can open one at another rate.
+    async close() {
+      chainOut.gain.cancelAndHoldAtTime(Tone.now());
+      chainOut.gain.rampTo(0, 0.1);
+      await new Promise((r) => setTimeout(r, 150));
+      Tone.Transport.cancel();
+      this.dispose();
+      keepAlive?.stop();
+      await ctx.close();
+    },
+  };
+}
+
+// Sets every voice in both banks to osc type `t` ("per-sign" restores
+// each sign's own), re-applying the fat/AM/FM settings from params `p`.
+export function applyOscType(eng, t, p) {
+  const applyToBank = (synths, oscTypes, spreadTrk) => {
+    if (t === "per-sign") {
+      for (const name of SIGN_NAMES) {
+        const sc = SIGN_CHARACTER[name];
+        synths[name].set({ oscillator: { type: sc.oscType } });
+        oscTypes[name] = sc.oscType;
+        if (sc.oscType.startsWith("fat")) {
+          synths[name].set({ oscillator: { count: sc.oscCount, spread: p.oscSpread } });
+          spreadTrk[name] = p.oscSpread;
+        }
+        if (sc.oscType.startsWith("am") || sc.oscType.startsWith("fm")) {
+          synths[name].set({ oscillator: { harmonicity: p.harmonicity } });
+        }
+        if (sc.oscType.startsWith("fm")) {
+          synths[name].set({ oscillator: { modulationIndex: p.modulationIndex } });
+        }
+      }
+    } else {
+      const isFat = t.startsWith("fat");
+      const isAMFM = t.startsWith("am") || t.startsWith("fm");
+      const isFM = t.startsWith("fm");
+      for (const name of SIGN_NAMES) {
+        synths[name].set({ oscillator: { type: t } });
+        oscTypes[name] = t;
+        if (isFat) {
+          synths[name].set({
+            oscillator: {
+              count: SIGN_CHARACTER[name].oscCount,
+              spread: p.oscSpread,
+            },
+          });
+          spreadTrk[name] = p.oscSpread;
+        }
+        if (isAMFM) {
+          synths[name].set({ oscillator: { harmonicity: p.harmonicity } });
+        }
+        if (isFM) {
+          synths[name].set({ oscillator: { modulationIndex: p.modulationIndex } });
+        }
+      }
+    }
+  };
+  applyToBank(eng.synths, eng.oscTypeTracker, eng.spreadTracker);
+  applyToBank(eng.synthsB, eng.oscTypeTrackerB, eng.spreadTrackerB);
+}
+
+// ─── Eclipse sweeps ──────────────────────────────────────────
+// Spread climbs at the old +4 cents per 0.2 s; detune drift covers ~30%
+// of the way to its target per 1.2 s reshuffle, as the stepped version did.
+const ECLIPSE_SPREAD_RATE = 20; // cents/s
+const ECLIPSE_DRIFT_PERIOD = 1.2; // s between new detune targets
+const ECLIPSE_DRIFT_TAU = 3.4; // s glide time constant
+const ECLIPSE_SWEEPS = ["eclipseSpread", "eclipseDetune"];
+
+const stopEclipseSweeps = (eng) => ECLIPSE_SWEEPS.forEach((n) => eng.sweeper.stop(n));
+
+// ─── Engine ──────────────────────────────────────────────────
+
+// Minimal event emitter — on() hands back its own unsubscribe.
+export function createEmitter() {
+  const listeners = new Map();
+  return {
+    on(type, fn) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(fn);
+      return () => listeners.get(type)?.delete(fn);
+    },
+    off(type, fn) {
+      listeners.get(type)?.delete(fn);
+    },
+    emit(type, detail) {
+      listeners.get(type)?.forEach((fn) => fn(detail));
+    },
+    clear() {
+      listeners.clear();
+    },
+  };
+}
+
+// Knob values a tuning starts from, clamped to the knob ranges
+const tuningKnobs = (tuning) =>
+  Object.fromEntries(
+    Object.entries(KNOB_DEFS).map(([name, def]) => [
+      name,
+      Math.min(def.max, Math.max(def.min, tuning[name] ?? def.default)),
+    ]),
+  );
+
+export async function createEngine({
+  profile = BASE,
+  chain = profile.ACTIVE_CHAIN,
+  params = tuningKnobs(profile.TUNING),
+  oscType = "per-sign",
+  listen = null,
+  context = null,
+  onContext = null,
+} = {}) {
+  let prof = profile;
+  const resolve = (c) => (typeof c === "string" ? prof.CHAINS[c] : c);
+  const eng = await buildGraph(resolve(chain), prof.TUNING, { context, onContext });
+  const { setChain: rewire, setTuning, dispose: disposeGraph } = eng;
+  const events = createEmitter();
+  const p = { ...params };
+  const active = { A: new Set(), B: new Set() };
+  // Breathe's choice is applied on the next attack (or at once if bank A
+  // is sounding); activeOsc is what Eclipse and the spread restore read.
+  let pendingOsc = oscType;
+  let activeOsc = oscType === "per-sign" ? null : oscType;
+  let eclipsed = false;
+
+  const bankSynths = (bank) => (bank === "B" ? eng.synthsB : eng.synths);
+  const revoice = () => applyAdaptiveVoicing(eng, active.A.size + active.B.size);
+  const signOscType = (name) => activeOsc ?? SIGN_CHARACTER[name].oscType;
+
+  function applyPendingOscType() {
+    if (!pendingOsc) return;
+    applyOscType(eng, pendingOsc, p);
+    pendingOsc = null;
+  }
+
+  // Spread + detune back to the knobs (Eclipse exit)
+  function restoreSpreadAndDetune() {
+    for (const name of SIGN_NAMES) {
+      const sc = SIGN_CHARACTER[name];
+      if (signOscType(name).startsWith("fat")) {
+        eng.synths[name].set({ oscillator: { spread: p.oscSpread } });
+        eng.spreadTracker[name] = p.oscSpread;
+        eng.synthsB[name].set({ oscillator: { spread: p.oscSpread } });
+        eng.spreadTrackerB[name] = p.oscSpread;
+      }
+      eng.synths[name].set({ detune: sc.detuneCents });
+      eng.detuneTracker[name] = sc.detuneCents;
+      eng.synthsB[name].set({ detune: sc.detuneCents });
+      eng.detuneTrackerB[name] = sc.detuneCents;
+    }
+  }
+
+  // Ramps the FX Eclipse holds toward `target` (SHADOW or the knobs)
+  function rampHeld(target, rt) {
+    const { echoFeedbackGain, vibrato, chebyshev } = eng.fx;
+    eng.mix.reverb.rampTo(target.reverbWet, rt);
+    echoFeedbackGain.gain.rampTo(target.delayFeedback, rt);
+    eng.mix.echo.rampTo(target.delayWet, rt);
+    vibrato.depth.rampTo(target.vibratoDepth, rt);
+    vibrato.frequency.rampTo(target.vibratoFreq, rt);
+    chebyshev.wet.rampTo(target.chebyWet, rt);
+    Object.values(eng.panLfos).forEach((lfo) => {
+      lfo.frequency.rampTo(target.panLfoFreq, rt);
+      lfo.amplitude.rampTo(target.panLfoAmplitude, rt);
+    });
+  }
+
+  function startEclipseSweeps(st) {
+    // Slow spread ramp — per-sign fat check (AM/FM signs skip spread).
+    // Synths are only touched when the spread crosses a whole cent.
+    eng.sweeper.control("eclipseSpread", (dt) => {
+      let allDone = true;
+      for (const name of SIGN_NAMES) {
+        if (!signOscType(name).startsWith("fat")) continue;
+        const current = eng.spreadTracker[name];
+        if (current < st.oscSpread) {
+          allDone = false;
+          const next = rampToward(current, st.oscSpread, ECLIPSE_SPREAD_RATE, dt);
+          eng.spreadTracker[name] = next;
+          eng.spreadTrackerB[name] = next;
+          if (Math.floor(next) !== Math.floor(current) || next === st.oscSpread) {
+            eng.synths[name].set({ oscillator: { spread: next } });
+            eng.synthsB[name].set({ oscillator: { spread: next } });
+          }
+        }
+      }
+      return !allDone;
+    });
+
+    // Detune drift — every sign glides toward a random target, and the
+    // targets reshuffle every ECLIPSE_DRIFT_PERIOD seconds
+    const drift = { elapsed: ECLIPSE_DRIFT_PERIOD, targets: {}, written: { ...eng.detuneTracker } };
+    eng.sweeper.control("eclipseDetune", (dt) => {
+      drift.elapsed += dt;
+      if (drift.elapsed >= ECLIPSE_DRIFT_PERIOD) {
+        drift.elapsed = 0;
+        for (const name of SIGN_NAMES) {
+          const base = SIGN_CHARACTER[name]?.detuneCents || 0;
+          drift.targets[name] = base + (Math.random() * 2 - 1) * st.detuneRange;
+        }
+      }
+      for (const name of SIGN_NAMES) {
+        const base = SIGN_CHARACTER[name]?.detuneCents || 0;
+        const current = eng.detuneTracker[name] ?? base;
+        const next = glideToward(current, drift.targets[name], ECLIPSE_DRIFT_TAU, dt);
+        eng.detuneTracker[name] = next;
+        eng.detuneTrackerB[name] = next;
+        if (Math.abs(next - (drift.written[name] ?? base)) >= 0.5) {
+          drift.written[name] = next;
+          eng.synths[name].set({ detune: next });
+          eng.synthsB[name].set({ detune: next });
+        }
+      }
+    });
+  }
+
+  const api = {
+    on: events.on,
+    off: events.off,
+
+    // ─── Voices ───
+    // velocity scales the sign's own weight; detuneCents overrides its
+    // tuning for this note (a natal activation). False for unknown signs.
+    noteOn(sign, bank = "A", { velocity = 1, detuneCents, time = Tone.now() } = {}) {
+      const cfg = SIGN_CHARACTER[sign];
+      if (!cfg) return false;
+      applyPendingOscType();
+      const synth = bankSynths(bank)[sign];
+      if (detuneCents !== undefined) synth.set({ detune: detuneCents });
+      synth.triggerAttack(`${cfg.note}${cfg.octave}`, time, cfg.vel * velocity);
+      active[bank].add(sign);
+      revoice();
+      events.emit("noteon", {
+        sign,
+        bank,
+        note: cfg.note,
+        octave: cfg.octave,
+        velocity: cfg.vel * velocity,
+        detuneCents: detuneCents ?? cfg.detuneCents,
+        time,
+      });
+      return true;
+    },
+    noteOff(sign, bank = "A", { time = Tone.now() } = {}) {
+      const cfg = SIGN_CHARACTER[sign];
+      if (!cfg) return false;
+      const synth = bankSynths(bank)[sign];
+      synth.releaseAll(time);
+      synth.set({ detune: cfg.detuneCents });
+      active[bank].delete(sign);
+      revoice();
+      events.emit("noteoff", { sign, bank, time });
+      return true;
+    },
+    releaseAll() {
+      for (const name of SIGN_NAMES) {
+        eng.synths[name].releaseAll(Tone.now());
+        eng.synthsB[name].releaseAll(Tone.now());
+      }
+      eng.mix.reverb.rampTo(p.reverbWet, 0.5);
+      active.A.clear();
+      active.B.clear();
+      revoice();
+      events.emit("allnotesoff", {});
+    },
+    isActive: (sign, bank = "A") => active[bank].has(sign),
+    active,
+
+    // ─── Knobs ───
+    // apply: false only stores the value — for knobs Eclipse is holding,
+    // which take it when Eclipse ends.
+    setParam(name, value, { apply = true } = {}) {
+      if (!(name in KNOB_DEFS)) return false;
+      p[name] = value;
+      if (apply) KNOB_MAP[name]?.apply(eng, value);
+      events.emit("param", { name, value });
+      return true;
+    },
+    applyParam(name, value) {
+      KNOB_MAP[name]?.apply(eng, value);
+    },
+    get params() {
+      return p;
+    },
+
+    // The new chain starts where the sound is: the profile's TUNING, the
+    // knobs, and SHADOW for what Eclipse is holding. Modulation catches
+    // it up on its next tick.
+    async setChain(keyOrConfig) {
+      const config = resolve(keyOrConfig);
+      if (!config) return null;
+      const report = rewire(config, { ...prof.TUNING, ...p, ...(eclipsed ? prof.SHADOW : {}) });
+      events.emit("chain", { config: eng.chain, requested: config, report });
+      return report;
+    },
+
+    // ─── Eclipse ───
+    eclipse(on) {
+      if (on === eclipsed) return;
+      const st = prof.SHADOW;
+      if (on) {
+        rampHeld(st, st.rampTime);
+        startEclipseSweeps(st);
+      } else {
+        stopEclipseSweeps(eng);
+        rampHeld(p, st.rampTime);
+        restoreSpreadAndDetune();
+      }
+      eclipsed = on;
+      events.emit("eclipse", { on });
+    },
+    get eclipsed() {
+      return eclipsed;
+    },
+
+    setOscType(type) {
+      pendingOsc = type;
+      activeOsc = type === "per-sign" ? null : type;
+      if (active.A.size > 0) applyPendingOscType();
+      events.emit("osctype", { type });
+    },
+    get oscType() {
+      return activeOsc ?? "per-sign";
+    },
+
+    setListenPreset(key) {
+      const preset = prof.LISTEN_PRESETS[key];
+      if (!preset || !eng.fx.monitorEQ) return false;
+      eng.fx.monitorEQ.low.value = preset.low;
+      eng.fx.monitorEQ.mid.value = preset.mid;
+      eng.fx.monitorEQ.high.value = preset.high;
+      events.emit("listen", { key });
+      return true;
+    },
+
+    // Same-rate profile switch — applies the TUNING no knob drives
+    // (saturation, highpass, monitor EQ corners); callers set its chain
+    // and knobs after. Another sampleRate needs a fresh engine.
+    setProfile(next) {
+      prof = next;
+      setTuning(next.TUNING);
+    },
+
+    dispose() {
+      events.clear();
+      disposeGraph();
+    },
+  };
+  // Keep the graph's getters (chain, mix, …) live alongside the API
+  Object.defineProperties(eng, Object.getOwnPropertyDescriptors(api));
+
+  for (const name of Object.keys(KNOB_DEFS)) {
+    KNOB_MAP[name]?.apply(eng, p[name]);
+  }
+  if (listen) eng.setListenPreset(listen);
+  return eng;
+}
+
+// ─── Offline render ──────────────────────────────────────────
+
+// Bounces a session to an AudioBuffer: builds an engine on Tone.Offline's
+// context with the live knobs, osc type, listen EQ and modulation, and
+// plays renderPlan's schedule. Eclipse isn't carried over.
+// voices: [{ sign, bank: "A" | "B", detuneCents }] in play order.
+export async function renderOffline({
+  profile = BASE,
+  chain,
+  params,
+  oscType,
+  listen,
+  modulation = DEFAULT_MODULATION,
+  voices,
+  hold,
+}) {
+  Tone = await import("tone");
+  const plan = renderPlan(
+    voices.map((v) => ({ sign: v.sign, releaseMul: SIGN_CHARACTER[v.sign].releaseMul })),
+    { hold, stagger: params.stagger ?? 0, release: params.release },
+  );
+  let eng = null;
+  const buffer = await Tone.Offline(
+    async (context) => {
+      eng = await createEngine({ profile, chain, params, oscType, listen, context });
+      // LFOs start from phase 0 — live phases aren't part of a session
+      const bpm = Tone.Transport.bpm.value;
+      let lfoStates = [];
+      eng.sweeper.control("modulation", (dt) => {
+        lfoStates = modulation.lfos.map((lfo, i) =>
+          stepLfo(lfoStates[i] ?? INITIAL_LFO_STATE, lfo, bpm, dt),
+        );
+        const offsets = modOffsets(modulation.routings, lfoStates.map((st) => st.value));
+        for (const [name, offset] of Object.entries(offsets)) {
+          eng.applyParam(name, modulatedValue(KNOB_DEFS[name], params[name], offset));
+        }
+      });
+      plan.attacks.forEach(({ time }, i) => {
+        const { sign, bank, detuneCents } = voices[i];
+        eng.noteOn(sign, bank, { detuneCents, time });
+        eng[bank === "B" ? "synthsB" : "synths"][sign].releaseAll(plan.releaseAt);
+      });
+    },
+    plan.duration,
+    2,
+    profile.TUNING.sampleRate,
+  );
+  eng.dispose();
+  return buffer.get();
+}
@@ -0,0 +1,57 @@
+// Knob edit history — undo/redo for parameter changes.
+//
+// History is { entries, index }: entries in the order they were made,
+// index = how many of them are currently applied. Each entry holds only
+// the knobs it changed:
+//   { label: "ATK", before: { attack: 0.5 }, after: { attack: 2 }, time }
+// A knob drag or a Randomize is one entry however many values it passed
+// through — App snapshots paramsRef when the gesture starts and diffs
+// when it ends. Undo/redo/jump return the knob values to apply; App
+// replays them through setParam so the engine follows.
+
+export const HISTORY_LIMIT = 100;
+
+export const EMPTY_HISTORY = { entries: [], index: 0 };
+
+// Changed knobs between two param objects → { before, after }, or null.
+export function diffKnobs(before, after) {
+  const b = {};
+  const a = {};
+  for (const name of Object.keys(after)) {
+    if (before[name] !== after[name]) {
+      b[name] = before[name];
+      a[name] = after[name];
+    }
+  }
+  return Object.keys(a).length ? { before: b, after: a } : null;
+}
+
+// Record an edit. Redo entries past the current index are dropped; the
+// oldest entries fall off beyond `limit`.
+export function pushEdit(history, label, before, after, time = Date.now(), limit = HISTORY_LIMIT) {
+  const diff = diffKnobs(before, after);
+  if (!diff) return history;
+  const entries = [...history.entries.slice(0, history.index), { label, ...diff, time }];
+  const kept = entries.slice(-limit);
+  return { entries: kept, index: kept.length };
+}
+
+export const canUndo = (history) => history.index > 0;
+export const canRedo = (history) => history.index < history.entries.length;
+
+// Move to `target` applied entries → { history, values } where `values`
+// are the knob values to set, or null when nothing moves.
+export function jumpTo(history, target) {
+  const to = Math.max(0, Math.min(history.entries.length, target));
+  if (to === history.index) return null;
+  const values = {};
+  if (to < history.index) {
+    for (let i = history.index - 1; i >= to; i--) Object.assign(values, history.entries[i].before);
+  } else {
+    for (let i = history.index; i < to; i++) Object.assign(values, history.entries[i].after);
+  }
+  return { history: { ...history, index: to }, values };
+}
+
+export const undo = (history) => jumpTo(history, history.index - 1);
+export const redo = (history) => jumpTo(history, history.index + 1);
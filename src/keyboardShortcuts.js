@@ -0,0 +1,52 @@
+// Computer keyboard — play the signs and drive the main controls.
+//
+// The home row plays the twelve signs like a piano octave: A W S E D F
+// T G Y H U J are C … B, the KEYBOARD_ORDER of the on-screen keys. They
+// are matched by physical position (KeyboardEvent.code), so the octave
+// keeps its shape on AZERTY or Dvorak; the other shortcuts go by the
+// character typed. Nothing fires while a text field, select or
+// contentEditable has focus, with Ctrl/Cmd/Alt held, or on key repeat.
+
+export const PIANO_CODES = [
+  "KeyA", "KeyW", "KeyS", "KeyE", "KeyD", "KeyF",
+  "KeyT", "KeyG", "KeyY", "KeyH", "KeyU", "KeyJ",
+];
+
+// Shortcut table — also what the "?" overlay lists
+export const SHORTCUTS = [
+  { keys: "Space", action: "playPause", label: "Play / Pause" },
+  { keys: "K", action: "eclipse", label: "Eclipse" },
+  { keys: "B", action: "breathe", label: "Breathe — next oscillator" },
+  { keys: "1–4", action: "listen", label: "Listen presets" },
+  { keys: "?", action: "help", label: "Show / hide this list" },
+];
+
+const ACTION_KEYS = { " ": "playPause", k: "eclipse", b: "breathe", "?": "help" };
+
+// Inputs that take typed characters — checkboxes and sliders don't
+const NON_TEXT_INPUTS = new Set(["checkbox", "radio", "range", "button", "submit", "reset", "file", "color"]);
+
+export function isTypingTarget(target) {
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === "TEXTAREA" || target.tagName === "SELECT") return true;
+  return target.tagName === "INPUT" && !NON_TEXT_INPUTS.has((target.type || "text").toLowerCase());
+}
+
+// keydown event → { type: "sign", index } | { type: "listen", index }
+// | { type: "playPause" | "eclipse" | "breathe" | "help" } | null.
+// `listenCount` caps the digit keys at the number of listen presets.
+export function shortcutFor(e, listenCount = 4) {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return null;
+  if (isTypingTarget(e.target)) return null;
+  const index = PIANO_CODES.indexOf(e.code);
+  if (index !== -1 && !e.shiftKey) return { type: "sign", index };
+  const digit = Number(e.key);
+  if (Number.isInteger(digit) && digit >= 1 && digit <= listenCount) {
+    return { type: "listen", index: digit - 1 };
+  }
+  const action = ACTION_KEYS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+  // Space on a focused button or summary already clicks it
+  if (action === "playPause" && /^(BUTTON|SUMMARY|A)$/.test(e.target?.tagName)) return null;
+  return action ? { type: action } : null;
+}
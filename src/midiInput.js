@@ -0,0 +1,145 @@
+// MIDI input — play the zodiac voices from a hardware keyboard.
+//
+// Notes map to signs by pitch class through ZODIAC_NOTES (C → Aquarius
+// … B → Capricorn), so every octave plays the same twelve voices.
+//
+// Two modes:
+//   latch  each note-on toggles its sign, like clicking a key
+//   hold   a sign sounds while any of its notes is held and releases
+//          with the last note-off
+//
+// createMidiInput(access, { onSign }) listens to one input or all of
+// them, on one channel or omni (channel 0), and calls
+// onSign(sign, action, velocity) with action "toggle" (latch), "attack"
+// or "release" (hold) and velocity 0–1. App scales the sign's cfg.vel by
+// it. Control changes go to onControl({ channel, cc, value }) on any
+// channel — CC bindings (midiLearn.js) carry their own. `access` is a
+// MIDIAccess from requestMidiAccess(navigator); tests pass a fake.
+
+import { ZODIAC_NOTES } from "./tuning.js";
+import { capitalize } from "./utils.js";
+
+export const MIDI_MODES = ["latch", "hold"];
+export const MIDI_ALL_INPUTS = "all";
+export const MIDI_OMNI = 0;
+
+export const DEFAULT_MIDI_SETTINGS = {
+  deviceId: MIDI_ALL_INPUTS,
+  channel: MIDI_OMNI,
+  mode: "latch",
+};
+
+export const PITCH_CLASSES = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+// Pitch class (0–11) → sign name
+export const PITCH_CLASS_SIGNS = PITCH_CLASSES.map((pc) => {
+  const entry = Object.entries(ZODIAC_NOTES).find(([, note]) => note === pc);
+  return capitalize(entry[0]);
+});
+
+export const signForNote = (note) => PITCH_CLASS_SIGNS[note % 12];
+
+// Raw MIDI bytes → { type: "noteon" | "noteoff", channel 1–16, note,
+// velocity 0–1 }, { type: "cc", channel, cc, value 0–127 }, or null for
+// anything else. Note-on at velocity 0 is a note-off, as most keyboards
+// send it.
+export function parseMidiMessage(data) {
+  if (!data || data.length < 3) return null;
+  const kind = data[0] & 0xf0;
+  const channel = (data[0] & 0x0f) + 1;
+  const [, note, vel] = data;
+  if (kind === 0x90 && vel > 0) return { type: "noteon", channel, note, velocity: vel / 127 };
+  if (kind === 0x80 || kind === 0x90) return { type: "noteoff", channel, note, velocity: vel / 127 };
+  if (kind === 0xb0) return { type: "cc", channel, cc: data[1], value: data[2] };
+  return null;
+}
+
+// Web MIDI access, or a thrown Error saying why not.
+export async function requestMidiAccess(nav = globalThis.navigator) {
+  if (!nav?.requestMIDIAccess) throw new Error("Web MIDI is not supported in this browser");
+  return nav.requestMIDIAccess({ sysex: false });
+}
+
+// Connected inputs → [{ id, name }]
+export function listMidiInputs(access) {
+  const out = [];
+  access.inputs.forEach((input) => {
+    if (input.state !== "disconnected") out.push({ id: input.id, name: input.name || input.id });
+  });
+  return out;
+}
+
+export function createMidiInput(access, { onSign, onControl = () => {}, onDevices = () => {} }) {
+  let settings = { ...DEFAULT_MIDI_SETTINGS };
+  let attached = [];
+  const held = new Map(); // sign → notes currently down (hold mode)
+
+  // Release anything hold mode is sounding — on mode, device or channel
+  // changes, and on close, so no voice is left stuck on.
+  const releaseHeld = () => {
+    for (const sign of held.keys()) onSign(sign, "release", 0);
+    held.clear();
+  };
+
+  const handle = (e) => {
+    const msg = parseMidiMessage(e.data);
+    if (!msg) return;
+    if (msg.type === "cc") {
+      onControl(msg);
+      return;
+    }
+    if (settings.channel !== MIDI_OMNI && msg.channel !== settings.channel) return;
+    const sign = signForNote(msg.note);
+    if (settings.mode === "latch") {
+      if (msg.type === "noteon") onSign(sign, "toggle", msg.velocity);
+      return;
+    }
+    const notes = held.get(sign) ?? new Set();
+    if (msg.type === "noteon") {
+      if (!notes.size) onSign(sign, "attack", msg.velocity);
+      notes.add(msg.note);
+      held.set(sign, notes);
+    } else if (notes.delete(msg.note) && !notes.size) {
+      held.delete(sign);
+      onSign(sign, "release", 0);
+    }
+  };
+
+  const attach = () => {
+    attached.forEach((input) => { input.onmidimessage = null; });
+    attached = [];
+    access.inputs.forEach((input) => {
+      if (input.state === "disconnected") return;
+      if (settings.deviceId !== MIDI_ALL_INPUTS && input.id !== settings.deviceId) return;
+      // Assigning the handler opens the port
+      input.onmidimessage = handle;
+      attached.push(input);
+    });
+  };
+
+  access.onstatechange = () => {
+    attach();
+    onDevices(listMidiInputs(access));
+  };
+  attach();
+
+  return {
+    inputs: () => listMidiInputs(access),
+    get settings() {
+      return settings;
+    },
+    configure(next) {
+      const merged = { ...settings, ...next };
+      if (!MIDI_MODES.includes(merged.mode)) merged.mode = settings.mode;
+      releaseHeld();
+      settings = merged;
+      attach();
+    },
+    close() {
+      releaseHeld();
+      attached.forEach((input) => { input.onmidimessage = null; });
+      attached = [];
+      access.onstatechange = null;
+    },
+  };
+}
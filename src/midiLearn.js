@@ -0,0 +1,165 @@
+// MIDI learn — controller CCs bound to knobs.
+//
+// map = { [knob]: { channel 1–16, cc 0–127, mode } }
+//
+// A CC drives at most one knob: learning it again moves the binding.
+// Values go through the knob's own scaleMap (logMap/stepMap/linearMap),
+// so a controller sweeps a log knob evenly by ratio and lands step knobs
+// on whole steps, the same as dragging it. Modes:
+//   absolute  the knob jumps to the controller's position
+//   takeover  soft takeover — the knob ignores the controller until it
+//             reaches or passes the knob's position, so no jumps after
+//             a snapshot, Randomize or a mouse edit
+//   relative  endless encoders sending two's complement steps (1–63 up,
+//             65–127 down); each step moves RELATIVE_STEP of the travel
+//
+// The map lives in localStorage and can be exported as JSON.
+
+import { KNOB_DEFS } from "./tuning.js";
+import { scaleMap } from "./utils.js";
+
+export const CC_MODES = ["absolute", "takeover", "relative"];
+export const MIDI_MAP_FORMAT = "celezdial-midi-map";
+export const MIDI_MAP_VERSION = 1;
+export const MIDI_MAP_STORAGE_KEY = "celezdial-selekta:midi-map";
+export const RELATIVE_STEP = 1 / 128;
+export const TAKEOVER_WINDOW = 0.02;
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Knob bound to this channel/CC, or null.
+export function knobForControl(map, channel, cc) {
+  for (const [name, b] of Object.entries(map)) {
+    if (b.channel === channel && b.cc === cc) return name;
+  }
+  return null;
+}
+
+// Bind `knob` to channel/CC, dropping any other knob on that CC.
+export function learnBinding(map, knob, { channel, cc }, mode = "absolute") {
+  const next = {};
+  for (const [name, b] of Object.entries(map)) {
+    if (name !== knob && !(b.channel === channel && b.cc === cc)) next[name] = b;
+  }
+  next[knob] = { channel, cc, mode };
+  return next;
+}
+
+export function setBindingMode(map, knob, mode) {
+  if (!map[knob] || !CC_MODES.includes(mode)) return map;
+  return { ...map, [knob]: { ...map[knob], mode } };
+}
+
+export function removeBinding(map, knob) {
+  const next = { ...map };
+  delete next[knob];
+  return next;
+}
+
+// One CC value (0–127) for a knob currently at `current` →
+// { value, state }. `value` is null when the knob shouldn't move; `state`
+// is passed back with the binding's next CC. Takeover stays engaged while
+// the knob still holds the value the controller last gave it — a step
+// knob's rounded position would otherwise fall out of the pickup window.
+export function controlValue(def, binding, current, raw, state = null) {
+  const map = scaleMap(def);
+  const at = clamp(map.mapToNorm(current), 0, 1);
+  const toValue = (norm) => clamp(map.mapFromNorm(clamp(norm, 0, 1)), def.min, def.max);
+  const norm = raw / 127;
+
+  if (binding.mode === "relative") {
+    const steps = raw < 64 ? raw : raw - 128;
+    return { value: steps ? toValue(at + steps * RELATIVE_STEP) : null, state };
+  }
+  if (binding.mode === "takeover") {
+    const engaged = state !== null && state.value === current;
+    const near = Math.abs(norm - at) <= TAKEOVER_WINDOW;
+    const crossed = state !== null && (state.norm - at) * (norm - at) <= 0;
+    const value = engaged || near || crossed ? toValue(norm) : null;
+    return { value, state: { norm, value } };
+  }
+  return { value: toValue(norm), state: null };
+}
+
+// ─── Persistence ─────────────────────────────────────────────
+
+export const exportMidiMap = (map, now = Date.now()) => ({
+  meta: {
+    format: MIDI_MAP_FORMAT,
+    version: MIDI_MAP_VERSION,
+    exported: new Date(now).toISOString(),
+  },
+  bindings: map,
+});
+
+// parseMidiMap(input) → { ok, map, errors, warnings }
+// Same contract as parseLibrary: unusable bindings are skipped with a
+// warning, and a later binding to an already-used CC replaces the earlier.
+export function parseMidiMap(input) {
+  const errors = [];
+  const warnings = [];
+  const fail = (message) => {
+    errors.push(message);
+    return { ok: false, map: {}, errors, warnings };
+  };
+
+  let raw = input;
+  if (typeof input === "string") {
+    try {
+      raw = JSON.parse(input);
+    } catch (e) {
+      return fail(`not valid JSON (${e.message})`);
+    }
+  }
+  if (!isPlainObject(raw) || raw.meta?.format !== MIDI_MAP_FORMAT) {
+    return fail("not a MIDI map export");
+  }
+  if (!isPlainObject(raw.bindings)) return fail("MIDI map has no bindings");
+
+  let map = {};
+  for (const [knob, b] of Object.entries(raw.bindings)) {
+    if (!(knob in KNOB_DEFS)) {
+      warnings.push(`unknown knob "${knob}" — skipped`);
+      continue;
+    }
+    const ok =
+      isPlainObject(b) &&
+      Number.isInteger(b.channel) &&
+      b.channel >= 1 &&
+      b.channel <= 16 &&
+      Number.isInteger(b.cc) &&
+      b.cc >= 0 &&
+      b.cc <= 127;
+    if (!ok) {
+      warnings.push(`binding for "${knob}" is not a channel/CC — skipped`);
+      continue;
+    }
+    const mode = CC_MODES.includes(b.mode) ? b.mode : "absolute";
+    if (mode !== b.mode) warnings.push(`binding for "${knob}" has an unknown mode — absolute`);
+    map = learnBinding(map, knob, b, mode);
+  }
+  return { ok: true, map, errors, warnings };
+}
+
+// Stored map, or {} when there is none or it doesn't parse.
+export function loadMidiMap(storage = globalThis.localStorage) {
+  try {
+    const stored = storage?.getItem(MIDI_MAP_STORAGE_KEY);
+    if (!stored) return {};
+    const result = parseMidiMap(stored);
+    return result.ok ? result.map : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveMidiMap(map, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(MIDI_MAP_STORAGE_KEY, JSON.stringify(exportMidiMap(map)));
+  } catch {
+    /* ignore */
+  }
+}
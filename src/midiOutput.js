@@ -0,0 +1,163 @@
+// MIDI output — mirror the voices to a hardware synth.
+//
+// Every attack and release (key toggles, MIDI input, the playAll sweep)
+// can go out as note-on/off on one MIDI output. The note number comes
+// from the sign's note and octave in SIGN_CHARACTER (C4 = 60, as in
+// Tone), velocity from cfg.vel, and the voice's detune — Cousto or the
+// natal degree cents — as pitch bend. Bend modes:
+//   none  plain notes, tuned to 12-TET on the external synth
+//   bend  a pitch bend on the output channel before each note-on. The
+//         channel is shared, so a new note retunes the ones still held —
+//         right for mono synths and for one sign at a time
+//   mpe   MPE lower zone: master channel 1, each voice on its own member
+//         channel 2–16 with its own bend, so a whole chord keeps its
+//         microtonality. Members get a ±48 semitone bend range (the MPE
+//         default); bend mode sets ±2 on its channel.
+//
+// createMidiOutput(output, { channel, bendMode }) → {
+//   noteOn(key, { note, octave, velocity, cents }, timestamp)
+//   noteOff(key, timestamp), allOff(), configure(opts), close()
+// }
+// `key` names a voice ("Leo", "Leo_B") so two banks can sound one note.
+// Timestamps are performance.now() milliseconds, as MIDIOutput.send
+// takes them; omitted means now.
+
+import { PITCH_CLASSES } from "./midiInput.js";
+
+export const MIDI_BEND_MODES = ["none", "bend", "mpe"];
+export const MPE_MASTER_CHANNEL = 1;
+export const MPE_MEMBER_CHANNELS = Array.from({ length: 15 }, (_, i) => i + 2);
+
+export const DEFAULT_MIDI_OUT_SETTINGS = {
+  deviceId: "",
+  channel: 1,
+  bendMode: "bend",
+};
+
+const BEND_RANGE = { none: 2, bend: 2, mpe: 48 }; // semitones
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+export const noteNumber = (note, octave) => (octave + 1) * 12 + PITCH_CLASSES.indexOf(note);
+
+// Cents → 14-bit pitch bend (8192 = centre) for a ±range semitone bend.
+export const pitchBendValue = (cents, range) =>
+  clamp(Math.round(8192 + (cents / (range * 100)) * 8192), 0, 16383);
+
+// ─── Messages ────────────────────────────────────────────────
+
+export const noteOnMessage = (channel, note, velocity) => [
+  0x90 | (channel - 1),
+  note,
+  clamp(Math.round(velocity * 127), 1, 127),
+];
+
+export const noteOffMessage = (channel, note) => [0x80 | (channel - 1), note, 0];
+
+export const pitchBendMessage = (channel, value) => [
+  0xe0 | (channel - 1),
+  value & 0x7f,
+  value >> 7,
+];
+
+const cc = (channel, control, value) => [0xb0 | (channel - 1), control, value];
+
+// Registered parameter write, then RPN null so stray data entry is ignored.
+export const rpnMessages = (channel, msb, lsb, value) => [
+  cc(channel, 101, msb),
+  cc(channel, 100, lsb),
+  cc(channel, 6, value),
+  cc(channel, 38, 0),
+  cc(channel, 101, 127),
+  cc(channel, 100, 127),
+];
+
+// ─── Output ──────────────────────────────────────────────────
+
+export function listMidiOutputs(access) {
+  const out = [];
+  access.outputs.forEach((output) => {
+    if (output.state !== "disconnected") out.push({ id: output.id, name: output.name || output.id });
+  });
+  return out;
+}
+
+export function createMidiOutput(output, opts = {}) {
+  let settings = { ...DEFAULT_MIDI_OUT_SETTINGS, ...opts };
+  const voices = new Map(); // key → { channel, note }
+  let freeMembers = [...MPE_MEMBER_CHANNELS]; // least recently used first
+
+  const send = (data, timestamp) => {
+    try {
+      if (timestamp === undefined) output.send(data);
+      else output.send(data, timestamp);
+    } catch {
+      /* ignore — a device unplugged mid-note */
+    }
+  };
+
+  const sounding = (channel, note) =>
+    [...voices.values()].some((v) => v.channel === channel && v.note === note);
+
+  const setup = () => {
+    const range = BEND_RANGE[settings.bendMode];
+    if (settings.bendMode === "mpe") {
+      rpnMessages(MPE_MASTER_CHANNEL, 0, 6, MPE_MEMBER_CHANNELS.length).forEach((m) => send(m));
+      for (const ch of MPE_MEMBER_CHANNELS) rpnMessages(ch, 0, 0, range).forEach((m) => send(m));
+    } else if (settings.bendMode === "bend") {
+      rpnMessages(settings.channel, 0, 0, range).forEach((m) => send(m));
+    }
+  };
+
+  const noteOff = (key, timestamp) => {
+    const v = voices.get(key);
+    if (!v) return;
+    voices.delete(key);
+    // Another bank may still hold the same note on this channel
+    if (!sounding(v.channel, v.note)) send(noteOffMessage(v.channel, v.note), timestamp);
+    if (settings.bendMode === "mpe") freeMembers.push(v.channel);
+  };
+
+  const noteOn = (key, { note, octave, velocity, cents = 0 }, timestamp) => {
+    noteOff(key, timestamp);
+    const number = noteNumber(note, octave);
+    let channel = settings.channel;
+    if (settings.bendMode === "mpe") {
+      if (!freeMembers.length) {
+        // Steal the oldest voice's channel
+        const [oldest] = voices.keys();
+        noteOff(oldest, timestamp);
+      }
+      channel = freeMembers.shift();
+    }
+    if (settings.bendMode !== "none") {
+      send(pitchBendMessage(channel, pitchBendValue(cents, BEND_RANGE[settings.bendMode])), timestamp);
+    }
+    const retrigger = sounding(channel, number);
+    voices.set(key, { channel, note: number });
+    if (!retrigger) send(noteOnMessage(channel, number, velocity), timestamp);
+  };
+
+  const allOff = () => {
+    for (const key of [...voices.keys()]) noteOff(key);
+  };
+
+  setup();
+
+  return {
+    noteOn,
+    noteOff,
+    allOff,
+    get settings() {
+      return settings;
+    },
+    configure(next) {
+      allOff();
+      settings = { ...settings, ...next };
+      if (!MIDI_BEND_MODES.includes(settings.bendMode)) settings.bendMode = "bend";
+      freeMembers = [...MPE_MEMBER_CHANNELS];
+      setup();
+    },
+    close: allOff,
+  };
+}
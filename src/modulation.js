@@ -0,0 +1,137 @@
+// Modulation matrix — free LFOs routed to any knob.
+//
+// config = {
+//   lfos:     [{ shape, rate, sync }, …]   MOD_LFO_COUNT of them
+//   routings: [{ lfo, target, depth }, …]
+// }
+// shape  LFO_SHAPES — sine, triangle, random (a wandering random walk)
+//        or sample-hold (a new random level every cycle)
+// rate   Hz, used when sync is null
+// sync   a Transport division ("1m", "4n"…) — the rate follows the BPM
+// depth  -1–1, bipolar, in the target knob's normalized range: depth 0.25
+//        swings the knob ±25% of its travel around where it is set.
+//        Several routings to one knob add up.
+//
+// The LFOs run at control rate, like the reverb damp sweep: App steps
+// them on the engine's param sweeper (paramSweeper.js) and applies
+// modulated values through KNOB_MAP, leaving paramsRef (the knob
+// positions) untouched.
+
+import { KNOB_DEFS } from "./tuning.js";
+import { scaleMap } from "./utils.js";
+
+export const LFO_SHAPES = ["sine", "triangle", "random", "sample-hold"];
+export const MOD_LFO_COUNT = 4;
+export const MOD_RATE_MIN = 0.01;
+export const MOD_RATE_MAX = 20;
+
+// Transport divisions, in beats (4/4)
+export const SYNC_DIVISIONS = {
+  "4m": 16,
+  "2m": 8,
+  "1m": 4,
+  "2n": 2,
+  "4n": 1,
+  "8n": 0.5,
+  "16n": 0.25,
+};
+
+export const DEFAULT_LFO = { shape: "sine", rate: 0.2, sync: null };
+
+export const DEFAULT_MODULATION = {
+  lfos: Array.from({ length: MOD_LFO_COUNT }, () => ({ ...DEFAULT_LFO })),
+  routings: [],
+};
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+export const lfoHz = (lfo, bpm) =>
+  lfo.sync ? bpm / 60 / SYNC_DIVISIONS[lfo.sync] : lfo.rate;
+
+// ─── LFO stepping ────────────────────────────────────────────
+
+export const INITIAL_LFO_STATE = { phase: 0, value: 0 };
+
+// Advance one LFO by dt seconds → { phase, value }, value in -1–1.
+// Phase runs 0–1; random shapes draw from `rng`.
+export function stepLfo(state, lfo, bpm, dt, rng = Math.random) {
+  const hz = lfoHz(lfo, bpm);
+  const raw = state.phase + hz * dt;
+  const wrapped = raw >= 1;
+  const phase = raw % 1;
+  switch (lfo.shape) {
+    case "triangle":
+      return { phase, value: 1 - 4 * Math.abs(((phase + 0.25) % 1) - 0.5) };
+    case "random": {
+      // Step size grows with rate; reflect at the edges so it never sticks
+      let value = state.value + (rng() * 2 - 1) * Math.min(1, hz * dt * 4);
+      if (value > 1) value = 2 - value;
+      if (value < -1) value = -2 - value;
+      return { phase, value };
+    }
+    case "sample-hold":
+      return { phase, value: wrapped ? rng() * 2 - 1 : state.value };
+    default:
+      return { phase, value: Math.sin(2 * Math.PI * phase) };
+  }
+}
+
+// ─── Routing ─────────────────────────────────────────────────
+
+// Summed normalized offset per target knob.
+export function modOffsets(routings, lfoValues) {
+  const out = {};
+  for (const { lfo, target, depth } of routings) {
+    if (!depth || lfoValues[lfo] === undefined) continue;
+    out[target] = (out[target] ?? 0) + lfoValues[lfo] * depth;
+  }
+  return out;
+}
+
+// Knob value `base` moved by `offset` of its normalized travel.
+export function modulatedValue(def, base, offset) {
+  const map = scaleMap(def);
+  const norm = clamp(map.mapToNorm(base) + offset, 0, 1);
+  return clamp(map.mapFromNorm(norm), def.min, def.max);
+}
+
+// ─── Snapshot validation ─────────────────────────────────────
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Snapshot `modulation` → { modulation, warnings }. Bad LFO fields fall
+// back to DEFAULT_LFO; routings with an unknown LFO or target are dropped.
+export function sanitizeModulation(raw) {
+  const warnings = [];
+  if (!isPlainObject(raw)) {
+    return { modulation: DEFAULT_MODULATION, warnings: ["modulation must be an object — ignored"] };
+  }
+  const lfos = DEFAULT_MODULATION.lfos.map((fallback, i) => {
+    const l = Array.isArray(raw.lfos) ? raw.lfos[i] : undefined;
+    if (l === undefined) return { ...fallback };
+    const shape = LFO_SHAPES.includes(l?.shape) ? l.shape : fallback.shape;
+    const rate = Number.isFinite(l?.rate) ? clamp(l.rate, MOD_RATE_MIN, MOD_RATE_MAX) : fallback.rate;
+    const sync = l?.sync in SYNC_DIVISIONS ? l.sync : null;
+    if (shape !== l?.shape || rate !== l?.rate || sync !== (l?.sync ?? null)) {
+      warnings.push(`LFO ${i + 1} settings out of range — adjusted`);
+    }
+    return { shape, rate, sync };
+  });
+  const routings = [];
+  for (const r of Array.isArray(raw.routings) ? raw.routings : []) {
+    const ok =
+      isPlainObject(r) &&
+      Number.isInteger(r.lfo) &&
+      r.lfo >= 0 &&
+      r.lfo < MOD_LFO_COUNT &&
+      r.target in KNOB_DEFS &&
+      Number.isFinite(r.depth);
+    if (!ok) {
+      warnings.push(`modulation routing to "${r?.target}" ignored`);
+      continue;
+    }
+    routings.push({ lfo: r.lfo, target: r.target, depth: clamp(r.depth, -1, 1) });
+  }
+  return { modulation: { lfos, routings }, warnings };
+}
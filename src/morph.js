@@ -0,0 +1,59 @@
+// A/B morph — interpolates every knob between two snapshots.
+//
+// Each knob moves through its own scale: log knobs interpolate in log
+// space (a filter sweeps evenly by octave, not by Hz), step knobs snap
+// to whole steps, linear knobs move linearly. Position 0 is slot A,
+// 1 is slot B. App pushes the result through KNOB_MAP like any knob
+// turn; a glide animates the position over MORPH_GLIDE seconds.
+
+import { KNOB_DEFS } from "./tuning.js";
+import { scaleMap, clampKnob } from "./utils.js";
+import { parseSnapshot } from "./snapshot.js";
+
+// Same default length as Eclipse's rampTo.
+export const MORPH_GLIDE = 16;
+
+// Control-rate interval for glides — knob applies touch every synth.
+export const MORPH_TICK_MS = 50;
+
+const clamp01 = (t) => Math.min(1, Math.max(0, t));
+
+// A knob both slots agree on stays put, without the round trip through
+// its scale nudging it by float noise on every tick.
+export function morphValue(def, a, b, t) {
+  if (a === b) return clampKnob(def, a);
+  const map = scaleMap(def);
+  const na = map.mapToNorm(a);
+  const nb = map.mapToNorm(b);
+  const v = map.mapFromNorm(na + (nb - na) * clamp01(t));
+  return Math.min(def.max, Math.max(def.min, v));
+}
+
+// Knob values at position t. A knob missing from one slot holds the
+// other slot's value; missing from both, it stays at its default.
+export function morphKnobs(a, b, t, defs = KNOB_DEFS) {
+  const out = {};
+  for (const [name, def] of Object.entries(defs)) {
+    const va = a?.[name] ?? b?.[name] ?? def.default;
+    const vb = b?.[name] ?? va;
+    out[name] = morphValue(def, va, vb, t);
+  }
+  return out;
+}
+
+// Linear glide from `from` to `to` — position after `elapsed` seconds.
+export function glidePosition(from, to, elapsed, duration) {
+  if (duration <= 0) return to;
+  return from + (to - from) * clamp01(elapsed / duration);
+}
+
+// Snapshot (JSON string or object) → morph slot { name, knobs }.
+// Throws with the parse error when nothing is usable.
+export function morphSlot(input) {
+  const result = parseSnapshot(input);
+  if (!result.ok) throw new Error(result.errors.join("; "));
+  if (!result.snapshot.knobs) throw new Error("snapshot has no knobs");
+  const raw = typeof input === "string" ? JSON.parse(input) : input;
+  const name = typeof raw.meta?.name === "string" ? raw.meta.name : "untitled";
+  return { name, knobs: result.snapshot.knobs };
+}
@@ -0,0 +1,112 @@
+// Param sweeper — everything in the engine that moves by itself.
+//
+// What moves (Freeverb dampening, fat-osc spread, PolySynth detune, the
+// modulation matrix) are plain properties or knob applies, not signals,
+// so they're written at control rate from the context's worker-driven
+// clock, not the Transport — they keep going when the Transport stops
+// and aren't delayed by a busy main thread. Each update is computed from
+// elapsed audio time, so a late tick lands where the sweep should be
+// instead of drifting, and values move in small steps every
+// SWEEP_INTERVAL rather than jumping every few hundred ms. A signal
+// param that should wobble gets its own Tone.LFO (the pan drift does).
+//
+// createParamSweeper(Tone) → {
+//   sine(name, set, { frequency, min, max, scale })  set(v) every tick
+//   control(name, step)   step(dt, time) runs every tick until it
+//                         returns false
+//   update(name, opts)    retune a running sine
+//   stop(name), has(name), dispose()
+// }
+// Sweeps are keyed by name; starting one under a running name replaces it.
+// `Tone` only needs getContext(), so tests can pass a fake.
+
+export const SWEEP_INTERVAL = 0.025;
+
+const TWO_PI = 2 * Math.PI;
+
+// Sine position between min and max — log scale sweeps evenly by ratio.
+export function sineValue(phase, { min, max, scale = "linear" }) {
+  const s = (Math.sin(TWO_PI * phase) + 1) / 2;
+  if (scale === "log" && min > 0 && max > 0) return min * Math.pow(max / min, s);
+  return min + (max - min) * s;
+}
+
+// Linear move toward `target` at `rate` units per second.
+export function rampToward(current, target, rate, dt) {
+  const step = rate * dt;
+  return Math.abs(target - current) <= step
+    ? target
+    : current + Math.sign(target - current) * step;
+}
+
+// Exponential glide toward `target` with time constant `tau` seconds.
+export const glideToward = (current, target, tau, dt) =>
+  target + (current - target) * Math.exp(-dt / tau);
+
+export function createParamSweeper(Tone, { interval = SWEEP_INTERVAL } = {}) {
+  const context = Tone.getContext();
+  const sweeps = new Map(); // name → { stop() } | control entry
+  const controls = new Map(); // name → { step, last }
+  let timerId = null;
+
+  const tick = () => {
+    const time = context.currentTime;
+    for (const [name, c] of controls) {
+      const dt = c.last === null ? 0 : time - c.last;
+      c.last = time;
+      if (c.step(dt, time) === false) stop(name);
+    }
+  };
+
+  const ensureClock = () => {
+    if (timerId === null && controls.size) timerId = context.setInterval(tick, interval);
+  };
+
+  const releaseClock = () => {
+    if (timerId !== null && !controls.size) {
+      context.clearInterval(timerId);
+      timerId = null;
+    }
+  };
+
+  function stop(name) {
+    const sweep = sweeps.get(name);
+    if (!sweep) return;
+    sweeps.delete(name);
+    controls.delete(name);
+    sweep.stop();
+    releaseClock();
+  }
+
+  function control(name, step) {
+    stop(name);
+    controls.set(name, { step, last: null });
+    sweeps.set(name, { stop: () => {} });
+    ensureClock();
+  }
+
+  function sine(name, set, opts) {
+    const state = { ...opts, phase: 0 };
+    control(name, (dt) => {
+      state.phase = (state.phase + state.frequency * dt) % 1;
+      set(sineValue(state.phase, state));
+    });
+    sweeps.get(name).state = state;
+  }
+
+  function update(name, opts) {
+    const state = sweeps.get(name)?.state;
+    if (state) Object.assign(state, opts);
+  }
+
+  return {
+    sine,
+    control,
+    update,
+    stop,
+    has: (name) => sweeps.has(name),
+    dispose() {
+      [...sweeps.keys()].forEach(stop);
+    },
+  };
+}
@@ -0,0 +1,265 @@
+// Patch library — named snapshots kept in the browser's IndexedDB.
+//
+// Entry: { id, name, tags, favorite, created, updated, snapshot }
+// `snapshot` is buildSnapshot's JSON; its meta.name follows the entry name
+// so a patch exported on its own still knows what it was called. New
+// entries are tagged with their chain and osc type; mood tags are typed
+// in by hand. Tags are lowercase and unique.
+//
+// Entry edits, search and library export/import are pure. The IndexedDB
+// side (openLibraryStore) is a thin async wrapper over one object store.
+
+import { parseSnapshot } from "./snapshot.js";
+
+export const LIBRARY_FORMAT = "celezdial-library";
+export const LIBRARY_VERSION = 1;
+
+const DB_NAME = "celezdial-selekta";
+const DB_VERSION = 1;
+const STORE = "patches";
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+const newId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// ─── Entries ─────────────────────────────────────────────────
+
+// "dark, Drone ,dark" or ["dark", "Drone"] → ["dark", "drone"]
+export function normalizeTags(tags) {
+  const list = typeof tags === "string" ? tags.split(",") : tags || [];
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+export const autoTags = (snapshot) =>
+  normalizeTags([snapshot.chain, snapshot.oscType].filter((t) => typeof t === "string"));
+
+const withName = (snapshot, name) => ({
+  ...snapshot,
+  meta: { ...snapshot.meta, name },
+});
+
+export function createEntry(snapshot, { name, tags = [], favorite = false } = {}, now = Date.now()) {
+  const title = (name || "").trim() || "untitled";
+  return {
+    id: newId(),
+    name: title,
+    tags: normalizeTags([...autoTags(snapshot), ...normalizeTags(tags)]),
+    favorite,
+    created: now,
+    updated: now,
+    snapshot: withName(snapshot, title),
+  };
+}
+
+// Save over an existing entry: new sound, same id and favorite, tags merged.
+export const overwriteEntry = (entry, snapshot, tags = [], now = Date.now()) => ({
+  ...entry,
+  tags: normalizeTags([...entry.tags, ...autoTags(snapshot), ...normalizeTags(tags)]),
+  updated: now,
+  snapshot: withName(snapshot, entry.name),
+});
+
+export function renameEntry(entry, name, now = Date.now()) {
+  const title = (name || "").trim();
+  if (!title || title === entry.name) return entry;
+  return { ...entry, name: title, updated: now, snapshot: withName(entry.snapshot, title) };
+}
+
+export const setEntryTags = (entry, tags, now = Date.now()) => ({
+  ...entry,
+  tags: normalizeTags(tags),
+  updated: now,
+});
+
+export const toggleFavorite = (entry) => ({ ...entry, favorite: !entry.favorite });
+
+// "drone" → "drone copy" → "drone copy 2" …
+export function uniqueName(name, taken) {
+  const names = new Set(taken);
+  if (!names.has(name)) return name;
+  const base = `${name} copy`;
+  if (!names.has(base)) return base;
+  let n = 2;
+  while (names.has(`${base} ${n}`)) n++;
+  return `${base} ${n}`;
+}
+
+export function duplicateEntry(entry, taken, now = Date.now()) {
+  const name = uniqueName(entry.name, taken);
+  return {
+    ...entry,
+    id: newId(),
+    name,
+    favorite: false,
+    created: now,
+    updated: now,
+    snapshot: withName(structuredClone(entry.snapshot), name),
+  };
+}
+
+// ─── Search ──────────────────────────────────────────────────
+
+// Fuzzy subsequence score of `query` in `text`, or null when the letters
+// don't all appear in order. Consecutive letters and letters at the start
+// of a word score higher, so "dd" ranks "deep drone" above "nodded".
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  if (!q) return 0;
+  let score = 0;
+  let run = 0;
+  let ti = 0;
+  for (const ch of q) {
+    const at = t.indexOf(ch, ti);
+    if (at === -1) return null;
+    run = at === ti ? run + 1 : 0;
+    const wordStart = at === 0 || /[\s\-_]/.test(t[at - 1]);
+    score += 1 + run * 2 + (wordStart ? 3 : 0);
+    ti = at + 1;
+  }
+  // Shorter texts win ties — an exact name beats a long one containing it
+  return score - (t.length - q.length) * 0.01;
+}
+
+const byFavoriteThenRecent = (a, b) =>
+  b.favorite - a.favorite || b.updated - a.updated;
+
+// Every whitespace-separated term must match the name or one tag; the
+// best field counts. No query → favorites first, then most recent.
+export function searchLibrary(entries, query = "", { favoritesOnly = false } = {}) {
+  const pool = favoritesOnly ? entries.filter((e) => e.favorite) : entries;
+  const terms = query.trim().split(/\s+/).filter(Boolean);
+  if (!terms.length) return [...pool].sort(byFavoriteThenRecent);
+  const scored = [];
+  for (const entry of pool) {
+    let total = 0;
+    for (const term of terms) {
+      const best = Math.max(
+        ...[entry.name, ...entry.tags].map((f) => fuzzyScore(term, f) ?? -Infinity),
+      );
+      if (best === -Infinity) {
+        total = null;
+        break;
+      }
+      total += best;
+    }
+    if (total !== null) scored.push({ entry, total });
+  }
+  return scored
+    .sort((a, b) => b.total - a.total || byFavoriteThenRecent(a.entry, b.entry))
+    .map((s) => s.entry);
+}
+
+// ─── Export / import ─────────────────────────────────────────
+
+export const exportLibrary = (entries, now = Date.now()) => ({
+  meta: {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exported: new Date(now).toISOString(),
+  },
+  patches: entries,
+});
+
+// parseLibrary(input) → { ok, patches, errors, warnings }
+// Same contract as parseSnapshot: errors mean nothing can be imported,
+// unusable patches are skipped with a warning. Patch snapshots are only
+// checked for being loadable — migration and clamping happen on apply.
+export function parseLibrary(input, now = Date.now()) {
+  const errors = [];
+  const warnings = [];
+  const fail = (message) => {
+    errors.push(message);
+    return { ok: false, patches: [], errors, warnings };
+  };
+
+  let raw = input;
+  if (typeof input === "string") {
+    try {
+      raw = JSON.parse(input);
+    } catch (e) {
+      return fail(`not valid JSON (${e.message})`);
+    }
+  }
+  if (!isPlainObject(raw) || raw.meta?.format !== LIBRARY_FORMAT) {
+    return fail("not a patch library export");
+  }
+  if (!Array.isArray(raw.patches)) return fail("library has no patches list");
+  if (raw.meta.version > LIBRARY_VERSION) {
+    warnings.push(`written by a newer release (v${raw.meta.version}) — some fields may be lost`);
+  }
+
+  const patches = [];
+  raw.patches.forEach((p, i) => {
+    const label = typeof p?.name === "string" ? `"${p.name}"` : `#${i + 1}`;
+    if (!isPlainObject(p) || typeof p.name !== "string" || !p.name.trim()) {
+      warnings.push(`patch ${label} has no name — skipped`);
+      return;
+    }
+    if (!parseSnapshot(p.snapshot).ok) {
+      warnings.push(`patch ${label} has no usable snapshot — skipped`);
+      return;
+    }
+    patches.push({
+      id: typeof p.id === "string" && p.id ? p.id : newId(),
+      name: p.name.trim(),
+      tags: normalizeTags(Array.isArray(p.tags) ? p.tags : []),
+      favorite: p.favorite === true,
+      created: Number.isFinite(p.created) ? p.created : now,
+      updated: Number.isFinite(p.updated) ? p.updated : now,
+      snapshot: withName(p.snapshot, p.name.trim()),
+    });
+  });
+  return { ok: true, patches, errors, warnings };
+}
+
+// Imported patches to write: new ids, plus known ids edited more recently
+// than the local copy. Re-importing the same backup writes nothing.
+export function mergeImport(existing, incoming) {
+  const byId = new Map(existing.map((e) => [e.id, e]));
+  return incoming.filter((p) => {
+    const local = byId.get(p.id);
+    return !local || p.updated > local.updated;
+  });
+}
+
+// ─── IndexedDB ───────────────────────────────────────────────
+
+const settled = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const committed = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+// → { all(), put(entry), putAll(entries), remove(id), close() }
+export async function openLibraryStore(idb = globalThis.indexedDB) {
+  if (!idb) throw new Error("IndexedDB is not available");
+  const open = idb.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => {
+    open.result.createObjectStore(STORE, { keyPath: "id" });
+  };
+  const db = await settled(open);
+
+  const write = (fn) => {
+    const tx = db.transaction(STORE, "readwrite");
+    fn(tx.objectStore(STORE));
+    return committed(tx);
+  };
+
+  return {
+    all: () => settled(db.transaction(STORE, "readonly").objectStore(STORE).getAll()),
+    put: (entry) => write((s) => s.put(entry)),
+    putAll: (entries) => write((s) => entries.forEach((e) => s.put(e))),
+    remove: (id) => write((s) => s.delete(id)),
+    close: () => db.close(),
+  };
+}
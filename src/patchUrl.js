@@ -0,0 +1,286 @@
+// Shareable patch links — a snapshot packed into a URL fragment.
+//
+//   https://…/#p=AQAGAAID…
+//
+// Everything is encoded locally; nothing leaves the page and no shortener
+// is involved. Fields are stored as indices into the tables tuning.js
+// already defines, knobs as 10-bit positions in their own scale (log
+// knobs quantize in log space), and signs as a 12-bit mask, so a full
+// patch is under 80 characters. Natal inputs are optional and add ~15–40.
+//
+// Layout (PATCH_FORMAT 1), big-endian:
+//   u8  format            u8  profile index     u8  chain index (255 = custom)
+//   u8  osc (255 = per-sign)                    u8  listen index
+//   u8  flags: 1 eclipse, 2 natal A, 4 natal B, 8 custom chain
+//   u16 sign mask (SIGN_RULERS order)
+//   u8  knob count, then count × 10 bits (KNOB_DEFS order), byte-padded
+//   [custom chain]  u8 n, n × node · u8 n, n × (node, after, before)
+//                   · u8 n, n × (node, into)        — CHAIN_NODES indices
+//   [natal A/B]     i32 day · u16 minutes (0xFFFF none) · i32 lat·1e5,
+//                   i32 lng·1e5 (0x7FFFFFFF none) · u8 len + UTF-8 city
+
+import {
+  KNOB_DEFS,
+  OSC_TYPES,
+  LISTEN_PRESETS,
+  CHAINS,
+  CHAIN_NODES,
+  SIGN_RULERS,
+} from "./tuning.js";
+import { PROFILE_KEYS } from "./profiles.js";
+import { SNAPSHOT_VERSION } from "./snapshotSchema.js";
+import { scaleMap } from "./utils.js";
+
+export const PATCH_FORMAT = 1;
+export const PATCH_PARAM = "p";
+
+const KNOB_BITS = 10;
+const KNOB_STEPS = (1 << KNOB_BITS) - 1;
+const NONE8 = 255;
+const NONE16 = 0xffff;
+const NONE32 = 0x7fffffff;
+const FLAG_ECLIPSE = 1;
+const FLAG_NATAL_A = 2;
+const FLAG_NATAL_B = 4;
+const FLAG_CUSTOM = 8;
+const DAY_MS = 86400000;
+
+const SIGN_ORDER = Object.keys(SIGN_RULERS);
+const CHAIN_KEYS = Object.keys(CHAINS);
+const LISTEN_KEYS = Object.keys(LISTEN_PRESETS);
+const KNOB_NAMES = Object.keys(KNOB_DEFS);
+
+// ─── Byte I/O ────────────────────────────────────────────────
+
+function writer() {
+  const bytes = [];
+  let acc = 0;
+  let nbits = 0;
+  const w = {
+    u8: (v) => bytes.push(v & 255),
+    u16(v) {
+      w.u8(v >> 8);
+      w.u8(v);
+    },
+    i32: (v) => {
+      for (let s = 24; s >= 0; s -= 8) w.u8(v >> s);
+    },
+    bits(v, n) {
+      acc = (acc << n) | v;
+      nbits += n;
+      while (nbits >= 8) {
+        nbits -= 8;
+        w.u8(acc >> nbits);
+      }
+      acc &= (1 << nbits) - 1;
+    },
+    flushBits() {
+      if (nbits) w.u8(acc << (8 - nbits));
+      acc = nbits = 0;
+    },
+    bytes: () => Uint8Array.from(bytes),
+  };
+  return w;
+}
+
+function reader(bytes) {
+  let i = 0;
+  let acc = 0;
+  let nbits = 0;
+  const r = {
+    u8() {
+      if (i >= bytes.length) throw new Error("patch is truncated");
+      return bytes[i++];
+    },
+    u16: () => (r.u8() << 8) | r.u8(),
+    i32: () => (r.u8() << 24) | (r.u8() << 16) | (r.u8() << 8) | r.u8(),
+    bits(n) {
+      while (nbits < n) {
+        acc = (acc << 8) | r.u8();
+        nbits += 8;
+      }
+      nbits -= n;
+      const v = (acc >> nbits) & ((1 << n) - 1);
+      acc &= (1 << nbits) - 1;
+      return v;
+    },
+    alignBits() {
+      acc = nbits = 0;
+    },
+  };
+  return r;
+}
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+function fromBase64Url(s) {
+  let bin;
+  try {
+    bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  } catch {
+    throw new Error("patch is not valid base64");
+  }
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+// ─── Natal ───────────────────────────────────────────────────
+
+function writeNatal(w, n) {
+  w.i32(Math.floor(Date.parse(`${n.date}T00:00:00Z`) / DAY_MS));
+  if (n.time) {
+    const [h, m] = n.time.split(":").map(Number);
+    w.u16(h * 60 + m);
+  } else w.u16(NONE16);
+  const hasCoords = Number.isFinite(n.lat) && Number.isFinite(n.lng);
+  w.i32(hasCoords ? Math.round(n.lat * 1e5) : NONE32);
+  w.i32(hasCoords ? Math.round(n.lng * 1e5) : NONE32);
+  const city = new TextEncoder().encode(n.city || "").slice(0, 255);
+  w.u8(city.length);
+  city.forEach(w.u8);
+}
+
+const pad2 = (v) => String(v).padStart(2, "0");
+
+function readNatal(r) {
+  const date = new Date(r.i32() * DAY_MS).toISOString().slice(0, 10);
+  const minutes = r.u16();
+  const time = minutes === NONE16 ? "" : `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`;
+  const lat = r.i32();
+  const lng = r.i32();
+  const len = r.u8();
+  const city = new TextDecoder().decode(Uint8Array.from({ length: len }, () => r.u8()));
+  const hasCoords = lat !== NONE32;
+  return {
+    date,
+    time,
+    lat: hasCoords ? lat / 1e5 : null,
+    lng: hasCoords ? lng / 1e5 : null,
+    city,
+  };
+}
+
+// ─── Encode / decode ─────────────────────────────────────────
+
+const indexOr = (list, v, fallback) => {
+  const i = list.indexOf(v);
+  return i === -1 ? fallback : i;
+};
+
+// `snapshot` is buildSnapshot's shape. `natal` is optional:
+// { a?: { date, time, lat, lng, city }, b?: … } — charts without a date are skipped.
+export function encodePatch(snapshot, natal = {}) {
+  const w = writer();
+  const custom = snapshot.chain === "custom" && snapshot.customChain;
+  const natalA = natal.a?.date ? natal.a : null;
+  const natalB = natal.b?.date ? natal.b : null;
+
+  w.u8(PATCH_FORMAT);
+  w.u8(indexOr(PROFILE_KEYS, snapshot.profile, 0));
+  w.u8(custom ? NONE8 : indexOr(CHAIN_KEYS, snapshot.chain, NONE8));
+  w.u8(indexOr(OSC_TYPES, snapshot.oscType, NONE8));
+  w.u8(indexOr(LISTEN_KEYS, snapshot.listen, 0));
+  w.u8(
+    (snapshot.eclipse ? FLAG_ECLIPSE : 0) |
+      (natalA ? FLAG_NATAL_A : 0) |
+      (natalB ? FLAG_NATAL_B : 0) |
+      (custom ? FLAG_CUSTOM : 0),
+  );
+  w.u16(SIGN_ORDER.reduce((m, s, i) => (snapshot.signs?.[s] ? m | (1 << i) : m), 0));
+
+  w.u8(KNOB_NAMES.length);
+  for (const name of KNOB_NAMES) {
+    const def = KNOB_DEFS[name];
+    const v = snapshot.knobs?.[name] ?? def.default;
+    const norm = Math.min(1, Math.max(0, scaleMap(def).mapToNorm(v)));
+    w.bits(Math.round(norm * KNOB_STEPS), KNOB_BITS);
+  }
+  w.flushBits();
+
+  if (custom) {
+    const node = (n) => w.u8(indexOr(CHAIN_NODES, n, NONE8));
+    const bypass = Object.entries(custom.bypass || {});
+    const sends = Object.entries(custom.sends || {});
+    w.u8(custom.order.length);
+    custom.order.forEach(node);
+    w.u8(bypass.length);
+    for (const [n, { after, before }] of bypass) [n, after, before].forEach(node);
+    w.u8(sends.length);
+    for (const [n, { into }] of sends) [n, into].forEach(node);
+  }
+  if (natalA) writeNatal(w, natalA);
+  if (natalB) writeNatal(w, natalB);
+
+  return toBase64Url(w.bytes());
+}
+
+// → { snapshot, natal }. `snapshot` is in buildSnapshot's shape, ready for
+// parseSnapshot; throws on links it can't read.
+export function decodePatch(code) {
+  const r = reader(fromBase64Url(code));
+  const format = r.u8();
+  if (format !== PATCH_FORMAT) throw new Error(`unsupported patch format ${format}`);
+
+  const profile = PROFILE_KEYS[r.u8()];
+  const chainIdx = r.u8();
+  const osc = r.u8();
+  const listen = LISTEN_KEYS[r.u8()];
+  const flags = r.u8();
+  const mask = r.u16();
+
+  const count = r.u8();
+  const knobs = {};
+  for (let i = 0; i < count; i++) {
+    const q = r.bits(KNOB_BITS);
+    const name = KNOB_NAMES[i];
+    if (!name) continue; // link from a build with more knobs
+    const def = KNOB_DEFS[name];
+    const v = scaleMap(def).mapFromNorm(q / KNOB_STEPS);
+    knobs[name] = def.scale === "step" ? v : Number(v.toPrecision(4));
+  }
+  r.alignBits();
+
+  const snapshot = {
+    meta: { name: "shared patch", version: SNAPSHOT_VERSION },
+    ...(profile ? { profile } : {}),
+    oscType: osc === NONE8 ? "per-sign" : OSC_TYPES[osc],
+    signs: Object.fromEntries(SIGN_ORDER.map((s, i) => [s, !!(mask & (1 << i))])),
+    knobs,
+    ...(listen ? { listen } : {}),
+    eclipse: !!(flags & FLAG_ECLIPSE),
+  };
+  if (chainIdx !== NONE8 && CHAIN_KEYS[chainIdx]) snapshot.chain = CHAIN_KEYS[chainIdx];
+
+  if (flags & FLAG_CUSTOM) {
+    const node = () => CHAIN_NODES[r.u8()];
+    const order = Array.from({ length: r.u8() }, node);
+    const bypass = {};
+    for (let n = r.u8(); n > 0; n--) {
+      const [name, after, before] = [node(), node(), node()];
+      bypass[name] = { after, before };
+    }
+    const sends = {};
+    for (let n = r.u8(); n > 0; n--) {
+      const [name, into] = [node(), node()];
+      sends[name] = { into };
+    }
+    snapshot.chain = "custom";
+    snapshot.customChain = { order, bypass, ...(Object.keys(sends).length ? { sends } : {}) };
+  }
+
+  const natal = {};
+  if (flags & FLAG_NATAL_A) natal.a = readNatal(r);
+  if (flags & FLAG_NATAL_B) natal.b = readNatal(r);
+  return { snapshot, natal };
+}
+
+// Patch code from a location hash ("#p=…"), or null.
+export function patchFromHash(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  return params.get(PATCH_PARAM);
+}
+
+export const patchHash = (code) => `#${PATCH_PARAM}=${code}`;
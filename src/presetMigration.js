@@ -0,0 +1,95 @@
+// Legacy preset migration — MACROS-era preset modules → KNOB_DEFS schema.
+//
+// Older presets (everything in src/presets/, plus community files written
+// against the 6-macro UI) describe their sound as macro ranges:
+//   attack: ["splitLog", 0.02, 6.0, 12.0]   lo → mid → hi over m = 0–1
+//   satMix: ["dormantLinear", 0.0, 0.8]     silent below m = 0.5
+//   phaserQ: (m) => 8                       any function of m
+// Each macro was tuned so m = 0.5 reproduces the preset's TUNING, so the
+// center of every range is the knob default. migratePreset evaluates each
+// mapping at the center and fills the TUNING keys the preset leaves out;
+// explicit TUNING values always win.
+
+import { KNOB_DEFS } from "./tuning.js";
+
+export const MACRO_CENTER = 0.5;
+
+// Macro param names that predate the direct knobs → KNOB_DEFS key.
+// Names already matching a knob (attack, eqLow, phaserFreq…) pass through.
+export const LEGACY_PARAM_NAMES = {
+  reverbMix: "reverbWet",
+  panDrift: "panLfoFreq",
+  panWidth: "panLfoAmplitude",
+  aetherShimmer: "chorusWet",
+  echoTime: "delayTime",
+  echoFeedback: "delayFeedback",
+  echoMix: "delayWet",
+  wobbleRate: "vibratoFreq",
+  wobbleDepth: "vibratoDepth",
+  wobbleMix: "vibratoWet",
+  gritDrive: "chebyWet",
+  satDrive: "distortion",
+  satMix: "distortionWet",
+  phaserMix: "phaserWet",
+};
+
+export const knobNameFor = (param) => LEGACY_PARAM_NAMES[param] ?? param;
+
+// Piecewise curves: lo at m=0, mid at m=0.5, hi at m=1.
+function splitLinear(m, lo, mid, hi) {
+  return m <= 0.5
+    ? lo + (mid - lo) * (m / 0.5)
+    : mid + (hi - mid) * ((m - 0.5) / 0.5);
+}
+
+// Same shape in log space — falls back to linear for non-positive ranges.
+function splitLog(m, lo, mid, hi) {
+  if (lo <= 0 || mid <= 0 || hi <= 0) return splitLinear(m, lo, mid, hi);
+  return m <= 0.5
+    ? lo * Math.pow(mid / lo, m / 0.5)
+    : mid * Math.pow(hi / mid, (m - 0.5) / 0.5);
+}
+
+// Off (lo) for the lower half, lo → hi over the upper half.
+function dormantLinear(m, lo, hi) {
+  return m <= 0.5 ? lo : lo + (hi - lo) * ((m - 0.5) / 0.5);
+}
+
+const CURVES = { splitLinear, splitLog, dormantLinear };
+
+// Value of one macro param mapping at m. Unknown forms return undefined.
+export function evalMacroParam(mapping, m = MACRO_CENTER) {
+  if (typeof mapping === "function") return mapping(m);
+  if (Array.isArray(mapping) && CURVES[mapping[0]]) {
+    return CURVES[mapping[0]](m, ...mapping.slice(1));
+  }
+  return undefined;
+}
+
+// Knob values implied by a MACROS export, keyed by KNOB_DEFS name.
+// Params that map to no knob land in `unmapped`.
+export function macroDefaults(macros, m = MACRO_CENTER) {
+  const values = {};
+  const unmapped = [];
+  for (const macro of Object.values(macros || {})) {
+    for (const [param, mapping] of Object.entries(macro.params || {})) {
+      const name = knobNameFor(param);
+      const v = evalMacroParam(mapping, m);
+      if (!(name in KNOB_DEFS) || !Number.isFinite(v)) {
+        unmapped.push(param);
+        continue;
+      }
+      values[name] = v;
+    }
+  }
+  return { values, unmapped };
+}
+
+// Preset module → module with TUNING covering the macro-derived knobs.
+// Modules without MACROS come back unchanged. The result still carries
+// MACROS so nothing downstream loses information.
+export function migratePreset(mod) {
+  if (!mod.MACROS) return mod;
+  const { values } = macroDefaults(mod.MACROS);
+  return { ...mod, TUNING: { ...values, ...mod.TUNING } };
+}
@@ -0,0 +1,79 @@
+// Tuning profiles — src/presets/* loaded at runtime instead of swapping
+// tuning.js by hand.
+//
+// A preset module only exports what it changes (TUNING, SHADOW, CHAINS,
+// LISTEN_PRESETS, ACTIVE_CHAIN, MACROS). Legacy MACROS are first turned
+// into knob defaults (presetMigration.js); mergeProfile then fills everything
+// else (KNOB_DEFS, ZODIAC_NOTES, PLANETARY_CHARACTER…) from the base
+// tuning so App.jsx can read any export from the result. Object exports
+// merge key by key — a preset TUNING missing chorusWet still gets one,
+// a preset CHAINS without "orbit" still offers it.
+//
+// The sign tables, knob ranges and the rest of tuning.js are read from
+// tuning.js itself (SIGN_CHARACTER in engine.js is built from them once),
+// so a preset exporting one is rejected rather than loading and doing
+// nothing.
+
+import * as BASE from "./tuning.js";
+import { capitalize } from "./utils.js";
+import { migratePreset } from "./presetMigration.js";
+
+export const BASE_PROFILE = "base";
+
+// Lazy loaders keyed by file name — each preset is its own chunk.
+const LOADERS = Object.fromEntries(
+  Object.entries(import.meta.glob("./presets/*.js")).map(([path, load]) => [
+    path.replace(/^.*\/|\.js$/g, ""),
+    load,
+  ]),
+);
+
+export const PROFILE_KEYS = [BASE_PROFILE, ...Object.keys(LOADERS).sort()];
+
+// "deep-space-oracle" → "Deep Space Oracle"
+export const profileLabel = (key) => key.split("-").map(capitalize).join(" ");
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+// The tuning.js exports a profile may change
+const PROFILE_EXPORTS = ["TUNING", "SHADOW", "CHAINS", "LISTEN_PRESETS", "ACTIVE_CHAIN"];
+
+export function mergeProfile(mod, key = BASE_PROFILE, base = BASE) {
+  if (mod !== base) {
+    const fixed = Object.keys(mod).filter((name) => name in base && !PROFILE_EXPORTS.includes(name));
+    if (fixed.length) {
+      throw new Error(`profiles can't change ${fixed.join(", ")} — only ${PROFILE_EXPORTS.join(", ")}`);
+    }
+  }
+  const out = { key };
+  for (const name of new Set([...Object.keys(base), ...Object.keys(mod)])) {
+    const a = base[name];
+    const b = mod[name];
+    if (b === undefined) out[name] = a;
+    else if (isPlainObject(a) && isPlainObject(b)) out[name] = { ...a, ...b };
+    else out[name] = b;
+  }
+  if (!out.CHAINS[out.ACTIVE_CHAIN]) out.ACTIVE_CHAIN = base.ACTIVE_CHAIN;
+  return out;
+}
+
+// Knob values a profile starts from — its TUNING, clamped to the knob
+// ranges (KNOB_DEFS stay global, presets only move the defaults).
+export function profileKnobs(profile) {
+  return Object.fromEntries(
+    Object.entries(profile.KNOB_DEFS).map(([name, def]) => {
+      const v = profile.TUNING[name] ?? def.default;
+      return [name, Math.min(def.max, Math.max(def.min, v))];
+    }),
+  );
+}
+
+export const BASE_TUNING_PROFILE = mergeProfile(BASE);
+
+export async function loadProfile(key) {
+  if (key === BASE_PROFILE) return BASE_TUNING_PROFILE;
+  const load = LOADERS[key];
+  if (!load) throw new Error(`unknown profile "${key}"`);
+  return mergeProfile(migratePreset(await load()), key);
+}
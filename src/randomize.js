@@ -0,0 +1,83 @@
+// Constrained randomize — which knobs move, how far, and what's off-limits.
+//
+// randomizeKnobs(current, options) → new knob values
+//   amount   1 = anywhere in the knob's range (the old Randomize); below
+//            that, a jitter of ±amount around the current position.
+//            Distances are in the knob's own scale, so a log knob
+//            jitters by ratio and a step knob lands on a whole step.
+//   locked   knob names that never move (alt-click pins a knob)
+//   groups   KNOB_GROUPS keys to limit the roll to; null = every group
+//   safe     clamp the rolled knobs with SAFETY_RULES
+// Knobs that don't roll keep their current value, even if a rule would
+// clamp them — the rules only ever narrow what Randomize picks.
+
+import { KNOB_DEFS } from "./tuning.js";
+import { scaleMap } from "./utils.js";
+
+// Combinations that make a patch sound broken rather than different.
+// `when` (optional) gates the rule on the rolled values; `max` / `min`
+// cap knob values while it holds.
+export const SAFETY_RULES = [
+  {
+    id: "attack",
+    label: "attack under 3 s — longer sounds like a dead key",
+    max: { attack: 3 },
+  },
+  {
+    id: "driven-feedback",
+    label: "echo feedback under 0.7 while distortion or grit is heavy",
+    when: (v) => v.distortion * v.distortionWet > 0.3 || v.chebyWet > 0.5,
+    max: { delayFeedback: 0.7 },
+  },
+  {
+    id: "washed-feedback",
+    label: "echo feedback under 0.8 when echo and reverb are both wet",
+    when: (v) => v.delayWet > 0.6 && v.reverbWet > 0.6,
+    max: { delayFeedback: 0.8 },
+  },
+  {
+    id: "eq-boost",
+    label: "EQ boosts under +9 dB",
+    max: { eqLow: 9, eqMid: 9, eqHigh: 9 },
+  },
+  {
+    id: "fading-voice",
+    label: "sustain over 0.2 with a short decay — keys must stay audible",
+    when: (v) => v.decay < 0.5,
+    min: { sustain: 0.2 },
+  },
+];
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+export function applySafetyRules(values, rolled, rules = SAFETY_RULES) {
+  const out = { ...values };
+  for (const rule of rules) {
+    if (rule.when && !rule.when(out)) continue;
+    for (const [name, hi] of Object.entries(rule.max || {})) {
+      if (rolled.has(name)) out[name] = Math.min(out[name], hi);
+    }
+    for (const [name, lo] of Object.entries(rule.min || {})) {
+      if (rolled.has(name)) out[name] = Math.max(out[name], lo);
+    }
+  }
+  return out;
+}
+
+export function randomizeKnobs(
+  current,
+  { amount = 1, locked = [], groups = null, safe = true, rng = Math.random } = {},
+) {
+  const pinned = new Set(locked);
+  const out = { ...current };
+  const rolled = new Set();
+  for (const [name, def] of Object.entries(KNOB_DEFS)) {
+    if (pinned.has(name) || (groups && !groups.includes(def.group))) continue;
+    const map = scaleMap(def);
+    const from = clamp01(map.mapToNorm(current[name] ?? def.default));
+    const norm = amount >= 1 ? rng() : clamp01(from + (rng() * 2 - 1) * amount);
+    out[name] = map.mapFromNorm(norm);
+    rolled.add(name);
+  }
+  return safe ? applySafetyRules(out, rolled) : out;
+}
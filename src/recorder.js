@@ -0,0 +1,82 @@
+// Session recorder — what actually plays, captured in real time.
+//
+// Where an offline render (render.js) replays a schedule, this taps the
+// live output after softClip, so knob moves, Eclipse ramps and manual key
+// toggles all end up in the file. Each source gets its own Tone.Recorder
+// (MediaRecorder underneath — webm/opus or ogg in Chromium and Firefox,
+// mp4 in Safari), and they start and stop together so stems line up.
+//
+// createSessionRecorder(Tone, { mix, ...stems }) → {
+//   start()    resolves once every recorder is running
+//   level()    0–1 meter reading of the mix
+//   stop()     → [{ stem, blob, mimeType }], mix first; taps are removed
+// }
+// `Tone` only needs Recorder and Meter, so tests can pass a fake.
+
+export const LEVEL_FLOOR_DB = -60;
+
+// Meter dB → 0–1 across LEVEL_FLOOR_DB … 0 dB
+export function meterLevel(db) {
+  if (!Number.isFinite(db)) return 0;
+  return Math.min(1, Math.max(0, 1 - db / LEVEL_FLOOR_DB));
+}
+
+// Seconds → "m:ss"
+export function formatElapsed(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+const EXTENSIONS = { webm: "webm", ogg: "ogg", mp4: "m4a", "x-m4a": "m4a", wav: "wav" };
+
+// "celezdial-session-<stamp>[-<stem>].<ext>" from the recorder's mime type
+export function recordingFileName(stamp, stem, mimeType = "") {
+  const sub = mimeType.split(";")[0].split("/")[1]?.trim();
+  const ext = EXTENSIONS[sub] ?? "webm";
+  return `celezdial-session-${stamp}${stem === "mix" ? "" : `-${stem}`}.${ext}`;
+}
+
+export function createSessionRecorder(Tone, sources) {
+  const taps = Object.entries(sources).map(([stem, node]) => {
+    const recorder = new Tone.Recorder();
+    node.connect(recorder);
+    return { stem, node, recorder };
+  });
+  const meter = new Tone.Meter({ smoothing: 0.8 });
+  sources.mix.connect(meter);
+
+  const release = () => {
+    for (const { node, recorder } of taps) {
+      node.disconnect(recorder);
+      recorder.dispose();
+    }
+    sources.mix.disconnect(meter);
+    meter.dispose();
+  };
+
+  return {
+    async start() {
+      try {
+        await Promise.all(taps.map(({ recorder }) => recorder.start()));
+      } catch (e) {
+        release();
+        throw e;
+      }
+    },
+    level() {
+      return meterLevel(meter.getValue());
+    },
+    async stop() {
+      try {
+        return await Promise.all(
+          taps.map(async ({ stem, recorder }) => {
+            const blob = await recorder.stop();
+            return { stem, blob, mimeType: blob.type || recorder.mimeType || "" };
+          }),
+        );
+      } finally {
+        release();
+      }
+    },
+  };
+}
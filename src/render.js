@@ -0,0 +1,83 @@
+// Offline render — a session bounced to WAV.
+//
+// renderOffline (engine.js) runs createEngine inside Tone.Offline, applies
+// the current knobs, chain, osc type and listen preset, and plays
+// renderPlan's schedule: the signs enter one by one, STGR apart, like
+// Play; all release at `hold` seconds; the render runs on through the
+// longest release plus RENDER_TAIL_PAD of reverb and echo. encodeWav
+// packs the rendered channels as 16- or 24-bit PCM.
+//
+// The offline clock ticks the param sweeper (damp sweep, modulation) at
+// fixed audio times and every LFO starts at phase 0, so two renders of
+// one snapshot are sample-identical. Random LFO shapes and Eclipse's
+// detune drift stay random, as they are live — Eclipse isn't rendered.
+
+export const RENDER_BIT_DEPTHS = [16, 24];
+export const RENDER_TAIL_PAD = 4; // s of reverb/echo after the last release ends
+export const RENDER_MAX_SECONDS = 300;
+
+// voices: [{ sign, releaseMul }] in play order.
+// → { attacks: [{ sign, time }], releaseAt, duration }, attacks[i] for voices[i].
+// Voices sharing a sign (banks A and B) enter together, as in playAll.
+export function renderPlan(voices, { hold, stagger = 0, release }) {
+  const attacks = [];
+  let slot = -1;
+  let lastSign = null;
+  for (const v of voices) {
+    if (v.sign !== lastSign) slot++;
+    lastSign = v.sign;
+    attacks.push({ sign: v.sign, time: slot * stagger });
+  }
+  const lastAttack = attacks.length ? attacks[attacks.length - 1].time : 0;
+  const releaseAt = Math.min(RENDER_MAX_SECONDS, Math.max(hold, lastAttack));
+  const longest = Math.max(0, ...voices.map((v) => release * v.releaseMul));
+  return { attacks, releaseAt, duration: releaseAt + longest + RENDER_TAIL_PAD };
+}
+
+// ─── WAV ─────────────────────────────────────────────────────
+
+// Float channels → WAV (PCM, little-endian) ArrayBuffer. Samples are
+// clipped to ±1 and rounded without dither, so encoding is deterministic.
+export function encodeWav(channels, sampleRate, bitDepth = 24) {
+  if (!RENDER_BIT_DEPTHS.includes(bitDepth)) throw new Error(`unsupported bit depth ${bitDepth}`);
+  const bytes = bitDepth / 8;
+  const frames = channels[0]?.length ?? 0;
+  const blockAlign = channels.length * bytes;
+  const dataSize = frames * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  const ascii = (offset, s) => {
+    for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i));
+  };
+
+  ascii(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  ascii(8, "WAVE");
+  ascii(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  ascii(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const max = 2 ** (bitDepth - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (const ch of channels) {
+      const s = Math.round(Math.max(-1, Math.min(1, ch[i])) * max);
+      if (bytes === 2) {
+        view.setInt16(offset, s, true);
+      } else {
+        view.setUint8(offset, s & 0xff);
+        view.setUint8(offset + 1, (s >> 8) & 0xff);
+        view.setUint8(offset + 2, (s >> 16) & 0xff);
+      }
+      offset += bytes;
+    }
+  }
+  return buffer;
+}
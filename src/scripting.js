@@ -0,0 +1,171 @@
+// Scripting API — the controls on window.__selekta, for driving the synth
+// from the devtools console or a userscript (installations, long-form
+// pieces).
+//
+// const api = createScriptingApi(controls, events)
+//   play(signs)                    "Leo" or ["Leo", "pisces"] — starts those not sounding
+//   release(signs?)                releases those signs; no argument releases everything
+//   setParam(name, v, rampSeconds) → the clamped value once it's reached
+//   loadSnapshot(json)             a snapshot string or object, as the Import button
+//   setChain(key)                  a CHAINS key of the current profile, or "custom"
+//   eclipse(on)
+//   setOscType(t)                  an OSC_TYPES entry or index; "per-sign"/null
+//   params()                       a copy of the current knob values
+//   on(type, fn) → off()           SCRIPT_EVENTS, with the engine's payloads
+//
+// Everything but params() and on() returns a promise, which rejects on a
+// bad argument: unknown knob, sign, chain or osc type, a non-numeric
+// value, a snapshot that doesn't parse. Knob values are clamped to
+// KNOB_DEFS, step knobs to whole steps. `controls()` hands back App's
+// current callbacks, so a script goes the same way as the UI — automation
+// records it, MIDI out mirrors it, the knobs follow on screen.
+//
+// A ramp steps the knob every MORPH_TICK_MS along its own scale (as the
+// A/B morph does); a new setParam on the same knob takes over from it.
+
+import { KNOB_DEFS, OSC_TYPES, SIGN_RULERS } from "./tuning.js";
+import { morphValue, glidePosition, MORPH_TICK_MS } from "./morph.js";
+import { clampKnob } from "./utils.js";
+
+export const SCRIPT_EVENTS = [
+  "noteon",
+  "noteoff",
+  "allnotesoff",
+  "param",
+  "chain",
+  "eclipse",
+  "osctype",
+];
+
+const SIGN_BY_LOWERCASE = Object.fromEntries(Object.keys(SIGN_RULERS).map((s) => [s.toLowerCase(), s]));
+
+// Knob name + value → the value clamped to its range, step knobs
+// rounded to a whole step. Throws on either.
+export function clampParam(name, value) {
+  const def = KNOB_DEFS[name];
+  if (!def) {
+    throw new Error(`unknown param "${name}" — one of ${Object.keys(KNOB_DEFS).join(", ")}`);
+  }
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(`${name} needs a number, got ${value}`);
+  }
+  return clampKnob(def, value);
+}
+
+// "leo" | ["Leo", "ARIES"] → ["Leo", "Aries"], in the order given
+export function resolveSigns(signs) {
+  const list = Array.isArray(signs) ? signs : [signs];
+  return list.map((s) => {
+    const sign = typeof s === "string" ? SIGN_BY_LOWERCASE[s.toLowerCase()] : undefined;
+    if (!sign) throw new Error(`unknown sign "${s}" — one of ${Object.keys(SIGN_RULERS).join(", ")}`);
+    return sign;
+  });
+}
+
+// OSC_TYPES entry or index, "per-sign" or null → OSC_TYPES index or null
+export function resolveOscType(type) {
+  if (type === null || type === "per-sign") return null;
+  if (Number.isInteger(type) && type >= 0 && type < OSC_TYPES.length) return type;
+  const idx = OSC_TYPES.indexOf(type);
+  if (idx < 0) throw new Error(`unknown osc type "${type}" — one of per-sign, ${OSC_TYPES.join(", ")}`);
+  return idx;
+}
+
+// controls() → { play(sign), release(sign), releaseAll(), setParam(name, v),
+//   params(), loadSnapshot(input), setChain(key), chains(), eclipse(on),
+//   setOscType(idx) }
+// events: an emitter (engine.js createEmitter) the caller feeds SCRIPT_EVENTS into.
+export function createScriptingApi(controls, events) {
+  const ramps = new Map(); // knob name → { timer, resolve }
+
+  function stopRamp(name) {
+    const ramp = ramps.get(name);
+    if (!ramp) return;
+    clearInterval(ramp.timer);
+    ramps.delete(name);
+    ramp.resolve(controls().params()[name]);
+  }
+
+  const api = {
+    async play(signs) {
+      const list = resolveSigns(signs);
+      for (const sign of list) await controls().play(sign);
+      return list;
+    },
+
+    async release(signs) {
+      if (signs === undefined) {
+        await controls().releaseAll();
+        return [];
+      }
+      const list = resolveSigns(signs);
+      for (const sign of list) await controls().release(sign);
+      return list;
+    },
+
+    async setParam(name, value, rampSeconds = 0) {
+      const to = clampParam(name, value);
+      if (typeof rampSeconds !== "number" || !(rampSeconds >= 0)) {
+        throw new Error(`ramp must be a number of seconds, got ${rampSeconds}`);
+      }
+      stopRamp(name);
+      if (rampSeconds === 0) {
+        controls().setParam(name, to);
+        return to;
+      }
+      const def = KNOB_DEFS[name];
+      const from = controls().params()[name];
+      const start = performance.now();
+      return new Promise((resolve) => {
+        const timer = setInterval(() => {
+          const t = glidePosition(0, 1, (performance.now() - start) / 1000, rampSeconds);
+          controls().setParam(name, morphValue(def, from, to, t));
+          if (t >= 1) stopRamp(name);
+        }, MORPH_TICK_MS);
+        ramps.set(name, { timer, resolve });
+      });
+    },
+
+    async loadSnapshot(json) {
+      const result = await controls().loadSnapshot(json);
+      if (!result.ok) throw new Error(result.errors.join("; "));
+      return result.warnings;
+    },
+
+    async setChain(key) {
+      const chains = controls().chains();
+      if (!chains.includes(key)) throw new Error(`unknown chain "${key}" — one of ${chains.join(", ")}`);
+      await controls().setChain(key);
+      return key;
+    },
+
+    async eclipse(on = true) {
+      await controls().eclipse(!!on);
+      return !!on;
+    },
+
+    async setOscType(type) {
+      const idx = resolveOscType(type);
+      await controls().setOscType(idx);
+      return idx === null ? "per-sign" : OSC_TYPES[idx];
+    },
+
+    params() {
+      return { ...controls().params() };
+    },
+
+    on(type, fn) {
+      if (!SCRIPT_EVENTS.includes(type)) {
+        throw new Error(`unknown event "${type}" — one of ${SCRIPT_EVENTS.join(", ")}`);
+      }
+      return events.on(type, fn);
+    },
+  };
+
+  // Stops running ramps (their promises resolve where they stopped)
+  function dispose() {
+    for (const name of [...ramps.keys()]) stopRamp(name);
+  }
+
+  return { api, dispose };
+}
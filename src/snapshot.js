@@ -0,0 +1,98 @@
+// Snapshot import — validates JSON written by Save/Copy before App applies it.
+//
+// parseSnapshot(input) → { ok, snapshot, from, errors, warnings }
+// `input` is the raw JSON string or an already-parsed object. It is first
+// upgraded to SNAPSHOT_VERSION (snapshotSchema.js migrations), then checked
+// against SNAPSHOT_SCHEMA. Errors mean nothing can be applied (not JSON,
+// not an object). Everything else is lenient: a bad field is dropped with
+// a readable warning, an out-of-range knob is clamped, and the rest of the
+// snapshot still loads. `snapshot` only contains fields that passed, with
+// oscType turned into an oscIndex and signs into a list of active names.
+
+import { OSC_TYPES, CHAIN_NODES } from "./tuning.js";
+import { validateChain } from "./chainValidation.js";
+import { sanitizeModulation } from "./modulation.js";
+import { sanitizeAutomation } from "./automation.js";
+import {
+  SNAPSHOT_SCHEMA,
+  validateSchema,
+  migrateSnapshot,
+} from "./snapshotSchema.js";
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Drop (or replace) the value at `path` inside `obj`.
+function settle(obj, path, replacement) {
+  const parent = path.slice(0, -1).reduce((o, k) => o?.[k], obj);
+  if (!parent) return;
+  const key = path[path.length - 1];
+  if (replacement === undefined) delete parent[key];
+  else parent[key] = replacement;
+}
+
+export function parseSnapshot(input) {
+  const errors = [];
+  const fail = (message) => {
+    errors.push(message);
+    return { ok: false, snapshot: null, from: null, errors, warnings: [] };
+  };
+
+  let raw = input;
+  if (typeof input === "string") {
+    try {
+      raw = JSON.parse(input);
+    } catch (e) {
+      return fail(`not valid JSON (${e.message})`);
+    }
+  }
+  if (!isPlainObject(raw)) return fail("snapshot must be a JSON object");
+
+  const { snapshot: snap, from, warnings } = migrateSnapshot(raw);
+
+  for (const issue of validateSchema(snap, SNAPSHOT_SCHEMA)) {
+    warnings.push(issue.message);
+    settle(snap, issue.path, issue.code === "range" ? issue.clamped : undefined);
+  }
+
+  if ("customChain" in snap) {
+    const report = validateChain(snap.customChain, CHAIN_NODES);
+    if (!report.valid) {
+      warnings.push(`custom chain ignored: ${report.errors.map((e) => e.message).join("; ")}`);
+      delete snap.customChain;
+    }
+  }
+
+  if ("modulation" in snap) {
+    const { modulation, warnings: modWarnings } = sanitizeModulation(snap.modulation);
+    warnings.push(...modWarnings);
+    snap.modulation = modulation;
+  }
+
+  if ("automation" in snap) {
+    const { automation, warnings: autoWarnings } = sanitizeAutomation(snap.automation);
+    warnings.push(...autoWarnings);
+    snap.automation = automation;
+  }
+
+  const snapshot = {};
+  for (const key of ["profile", "customChain", "chain", "knobs", "listen", "eclipse", "modulation", "automation"]) {
+    if (key in snap) snapshot[key] = snap[key];
+  }
+  // oscType → oscIndex: an OSC_TYPES index, or null for per-sign.
+  if ("oscType" in snap) {
+    snapshot.oscIndex = snap.oscType === "per-sign" ? null : OSC_TYPES.indexOf(snap.oscType);
+  }
+  if ("signs" in snap) {
+    snapshot.signs = Object.keys(snap.signs).filter((s) => snap.signs[s] === true);
+  }
+
+  return { ok: true, snapshot, from, errors, warnings };
+}
+
+// One-line summary for the Controls veil.
+export function describeSnapshotIssues({ errors, warnings }) {
+  if (errors.length) return `Snapshot not loaded: ${errors.join("; ")}`;
+  if (warnings.length) return `Snapshot loaded with warnings: ${warnings.join("; ")}`;
+  return "";
+}
@@ -0,0 +1,226 @@
+// Snapshot schema — current version, declared shape, and the migrations
+// that bring older snapshots up to it.
+//
+// SNAPSHOT_VERSION is what buildSnapshot stamps into meta.version.
+// SNAPSHOT_SCHEMA is a JSON-schema-style description (type, properties,
+// additionalProperties, enum, minimum/maximum, multipleOf) built from
+// tuning.js, so new knobs, chains or listen presets are covered without
+// touching this file. validateSchema reports issues; parseSnapshot (snapshot.js)
+// decides what to drop or clamp.
+//
+// Migrations run in order from the snapshot's version to the current
+// one. Snapshots without meta.version predate versioning and start at
+// the oldest step.
+
+import {
+  KNOB_DEFS,
+  OSC_TYPES,
+  LISTEN_PRESETS,
+  CHAINS,
+  SIGN_RULERS,
+} from "./tuning.js";
+import { PROFILE_KEYS, BASE_PROFILE } from "./profiles.js";
+import { LEGACY_PARAM_NAMES } from "./presetMigration.js";
+
+export const SNAPSHOT_VERSION = "v14";
+
+// ─── Schema ──────────────────────────────────────────────────
+
+const chainConfig = {
+  type: "object",
+  title: "custom chain",
+  properties: {
+    order: { type: "array", title: "custom chain order" },
+    bypass: { type: "object", title: "custom chain bypass" },
+    sends: { type: "object", title: "custom chain sends" },
+  },
+};
+
+export const SNAPSHOT_SCHEMA = {
+  type: "object",
+  title: "snapshot",
+  itemName: "key",
+  additionalProperties: false,
+  properties: {
+    meta: {
+      type: "object",
+      title: "meta",
+      properties: {
+        name: { type: "string", title: "meta.name" },
+        timestamp: { type: "string", title: "meta.timestamp" },
+        version: { type: "string", title: "meta.version" },
+      },
+    },
+    profile: { type: "string", title: "profile", enum: PROFILE_KEYS },
+    chain: { type: "string", title: "chain", enum: Object.keys(CHAINS) },
+    customChain: chainConfig,
+    oscType: { type: "string", title: "oscType", enum: ["per-sign", ...OSC_TYPES] },
+    signs: {
+      type: "object",
+      title: "signs",
+      itemName: "sign",
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.keys(SIGN_RULERS).map((s) => [s, { type: "boolean", title: `sign "${s}"` }]),
+      ),
+    },
+    knobs: {
+      type: "object",
+      title: "knobs",
+      itemName: "knob",
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.entries(KNOB_DEFS).map(([name, def]) => [
+          name,
+          {
+            type: "number",
+            title: `knob "${name}"`,
+            minimum: def.min,
+            maximum: def.max,
+            // Step knobs (Chebyshev order, phaser octaves) take whole steps only
+            ...(def.scale === "step" && { multipleOf: 1 }),
+          },
+        ]),
+      ),
+    },
+    listen: { type: "string", title: "listen preset", enum: Object.keys(LISTEN_PRESETS) },
+    eclipse: { type: "boolean", title: "eclipse" },
+    // LFOs and routings are checked by sanitizeModulation (modulation.js)
+    modulation: { type: "object", title: "modulation" },
+    // Lanes and events are checked by sanitizeAutomation (automation.js)
+    automation: { type: "object", title: "automation" },
+  },
+};
+
+const typeOf = (v) =>
+  v === null
+    ? "null"
+    : Array.isArray(v)
+      ? "array"
+      : typeof v === "number" && !Number.isFinite(v)
+        ? "non-finite number"
+        : typeof v;
+
+// Walks `value` against `schema`. Each issue:
+//   { path: ["knobs", "attack"], code: "type"|"enum"|"range"|"unknown", message }
+// Range issues also carry the clamped value (rounded to multipleOf).
+export function validateSchema(value, schema, path = []) {
+  const issues = [];
+  const issue = (code, message, extra) =>
+    issues.push({ path, code, message, ...extra });
+
+  if (schema.type && typeOf(value) !== schema.type) {
+    issue("type", `${schema.title} must be a${/^[aeiou]/.test(schema.type) ? "n" : ""} ${schema.type} — ignored`);
+    return issues;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    issue("enum", `unknown ${schema.title} "${value}" — keeping current`);
+    return issues;
+  }
+  if (schema.type === "number") {
+    const inRange = Math.min(schema.maximum ?? Infinity, Math.max(schema.minimum ?? -Infinity, value));
+    const step = schema.multipleOf;
+    const clamped = step ? Math.round(inRange / step) * step : inRange;
+    if (inRange !== value) {
+      issue("range", `${schema.title} ${value} out of range — clamped to ${clamped}`, { clamped });
+    } else if (clamped !== value) {
+      issue("range", `${schema.title} ${value} is not a multiple of ${step} — rounded to ${clamped}`, { clamped });
+    }
+  }
+  if (schema.type === "object" && schema.properties) {
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties[key];
+      if (sub) issues.push(...validateSchema(v, sub, [...path, key]));
+      else if (schema.additionalProperties === false) {
+        issues.push({
+          path: [...path, key],
+          code: "unknown",
+          message: `unknown ${schema.itemName || "key"} "${key}" ignored`,
+        });
+      }
+    }
+  }
+  return issues;
+}
+
+// ─── Migrations ──────────────────────────────────────────────
+// Each step upgrades a snapshot written by `from` to `to`. Steps get a
+// copy and may mutate it; notes are surfaced as load warnings only when
+// they change what the user hears.
+
+// Chain keys that were renamed. Cathedral was the default chain before
+// Zodiac and was stored as "default".
+export const LEGACY_CHAIN_NAMES = { default: "cathedral" };
+
+export const MIGRATIONS = [
+  {
+    // Pre-versioning (macro era): knobs used the macro param names and
+    // Eclipse was stored as `shadow`, the listen preset as `listenPreset`.
+    from: "v11",
+    to: "v12",
+    up(snap) {
+      if (snap.knobs && typeof snap.knobs === "object") {
+        snap.knobs = Object.fromEntries(
+          Object.entries(snap.knobs).map(([k, v]) => [LEGACY_PARAM_NAMES[k] ?? k, v]),
+        );
+      }
+      if ("shadow" in snap && !("eclipse" in snap)) snap.eclipse = snap.shadow;
+      delete snap.shadow;
+      if ("listenPreset" in snap && !("listen" in snap)) snap.listen = snap.listenPreset;
+      delete snap.listenPreset;
+      if (typeof snap.chain === "string") {
+        const key = snap.chain.toLowerCase();
+        snap.chain = LEGACY_CHAIN_NAMES[key] ?? key;
+      }
+    },
+  },
+  {
+    // v13: snapshots name their tuning profile and carry every knob.
+    // v12 files were always made with the base tuning; knobs added since
+    // come in at their KNOB_DEFS default.
+    from: "v12",
+    to: "v13",
+    up(snap) {
+      if (!("profile" in snap)) snap.profile = BASE_PROFILE;
+      if (snap.knobs && typeof snap.knobs === "object") {
+        for (const [name, def] of Object.entries(KNOB_DEFS)) {
+          if (!(name in snap.knobs)) snap.knobs[name] = def.default;
+        }
+      }
+    },
+  },
+  {
+    // v14: snapshots may carry `modulation` and `automation`. Nothing to
+    // convert — v13 files simply have neither — but a v13 build now knows
+    // a file with them is newer and warns instead of dropping them quietly.
+    from: "v13",
+    to: "v14",
+    up() {},
+  },
+];
+
+const versionNumber = (v) => {
+  const m = /^v(\d+)$/.exec(v ?? "");
+  return m ? Number(m[1]) : null;
+};
+
+// → { snapshot, from, warnings }. Input is not modified.
+export function migrateSnapshot(raw) {
+  const snap = structuredClone(raw);
+  const warnings = [];
+  const stamped = snap.meta && snap.meta.version;
+  let from = stamped ?? MIGRATIONS[0].from;
+  let n = versionNumber(from);
+  if (n === null) {
+    warnings.push(`unrecognized version "${from}" — reading as ${SNAPSHOT_VERSION}`);
+    n = versionNumber(SNAPSHOT_VERSION);
+    from = SNAPSHOT_VERSION;
+  } else if (n > versionNumber(SNAPSHOT_VERSION)) {
+    warnings.push(`written by a newer release (${from}) — some settings may not load`);
+  }
+  for (const step of MIGRATIONS) {
+    if (versionNumber(step.from) >= n) step.up(snap);
+  }
+  if (snap.meta && typeof snap.meta === "object") snap.meta.version = SNAPSHOT_VERSION;
+  return { snapshot: snap, from, warnings };
+}
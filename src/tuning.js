@@ -9,7 +9,9 @@
 //   KNOB_GROUPS         Group ordering for UI layout
 //   LISTEN_PRESETS      Monitor EQ presets for different playback devices
 //   CHAINS              FX chain orderings (declarative node arrays)
+//   CHAIN_NODES         Node names a chain config may reference
 //   ACTIVE_CHAIN        Which chain config to wire on engine init
+//                       (switchable live from the Controls veil)
 //   PLANETARY_CHARACTER Per-planet oscillator type + ADSR multipliers
 //   SIGN_RULERS         Sign → ruling planet name
 //
@@ -26,7 +28,19 @@
 //   wireChain inserts them dynamically when wet > 0.
 //   Nodes listed in bypass must NOT appear in order.
 //
-// Available node names (must match createEngine variable names):
+// sends (optional): Effects run in parallel instead of in series.
+//   { reverb: { into: "monitorEQ" }, ECHO: { into: "monitorEQ" } }
+//   Each sign's panner feeds a send bus at its own level (SIGN_SENDS in
+//   engine.js); the effect runs 100% wet and its return gain — driven by
+//   the MIX knob — sums back in at `into`. Only reverb and ECHO have
+//   buses. A send node must NOT appear in order or bypass.
+//
+// Every config is checked by validateChain (chainValidation.js) before
+// wiring. Errors (unknown node, ECHO twice, bypass neighbours not adjacent…)
+// fall back to a safe chain with a message in the Controls veil; warnings
+// (softClip not last…) wire as written and show the message.
+//
+// Available node names (must match the node variables in engine.js):
 //   chebyshev    — polynomial waveshaper (harmonic generation)
 //   distortion   — waveshaping saturator (stacks with chebyshev)
 //   eq3          — 3-band "tape" EQ
@@ -290,7 +304,26 @@ export const LISTEN_PRESETS = {
 //         { nodeName: { after: "prevNode", before: "nextNode" } }
 //         Nodes in bypass must NOT appear in order.
 //
-// To switch chains: change ACTIVE_CHAIN below, save, refresh.
+// sends: reverb/ECHO fed per sign from send buses instead of in series.
+//         { nodeName: { into: "returnNode" } } — see HOW CHAINS WORK.
+//
+// ACTIVE_CHAIN below is the chain wired on load. The chain pills in the
+// Controls veil crossfade to another chain live (setChain in engine.js).
+
+// Node names a chain may reference — same list as the header comment,
+// in the order the custom chain editor offers them.
+export const CHAIN_NODES = [
+  "chebyshev",
+  "distortion",
+  "eq3",
+  "vibrato",
+  "ECHO",
+  "reverb",
+  "chorus",
+  "phaser",
+  "monitorEQ",
+  "softClip",
+];
 
 export const CHAINS = {
   // ── Cathedral (default) ──
@@ -437,10 +470,30 @@ export const CHAINS = {
     },
   },
 
+  // ── Orbit ──
+  // Reverb and echo on send/return buses — each sign sends its own
+  // amount (Saturn and Jupiter signs far back, Mars signs dry and close),
+  // so depth varies per voice instead of washing the whole mix. The dry
+  // path stays short and clean; returns join before the monitor EQ.
+  // Signal: sum → vibrato → eq → cheby → [dist] → chorus → [phaser] → monEQ → clip
+  //         panners ⇢ reverb send ⇢ reverb ⇢ monEQ, panners ⇢ echo send ⇢ echo ⇢ monEQ
+  orbit: {
+    order: ["vibrato", "eq3", "chebyshev", "chorus", "monitorEQ", "softClip"],
+    bypass: {
+      distortion: { after: "chebyshev", before: "chorus" },
+      phaser: { after: "chorus", before: "monitorEQ" },
+    },
+    sends: {
+      reverb: { into: "monitorEQ" },
+      ECHO: { into: "monitorEQ" },
+    },
+  },
+
   // ── Custom ──
-  // Blank slate — all available nodes listed, all commented out.
-  // Uncomment and reorder to build your own chain from scratch.
-  // Rules:
+  // Starting point for the in-app chain editor (Custom pill in the
+  // Controls veil). The editor normalizes it on load — duplicates and
+  // unknown names dropped, softClip moved last — and edits from there.
+  // Rules (enforced by the editor):
   //   - "ECHO" must appear exactly once (crossfade split point)
   //   - "softClip" should be last (final limiter)
   //   - "monitorEQ" should be second-to-last (listen compensation)
@@ -476,8 +529,7 @@ export const CHAINS = {
   },
 };
 
-// Which chain to wire on engine init.
-// Change this string, save, refresh — instant new character.
+// Which chain to wire on engine init. Switch live from the Controls veil.
 export const ACTIVE_CHAIN = "zodiac";
 
 // ─── Zodiac Note Mapping (Lionel's chromatic-calendar) ───────
@@ -38,6 +38,25 @@ export const stepMap = (min, max) => ({
   mapToNorm: (v) => (v - min) / (max - min),
 });
 
+export const linearMap = (min, max) => ({
+  mapFromNorm: (n) => min + n * (max - min),
+  mapToNorm: (v) => (v - min) / (max - min),
+});
+
+// Norm mapping for a KNOB_DEFS entry — log, step or linear by def.scale.
+export const scaleMap = (def) =>
+  def.scale === "log"
+    ? logMap(def.min, def.max)
+    : def.scale === "step"
+      ? stepMap(def.min, def.max)
+      : linearMap(def.min, def.max);
+
+// Value clamped to a KNOB_DEFS entry's range; step knobs land on whole steps.
+export const clampKnob = (def, v) => {
+  const c = Math.min(def.max, Math.max(def.min, v));
+  return def.scale === "step" ? Math.round(c) : c;
+};
+
 // ─── SVG Arc Knob Geometry ───────────────────────────────────
 
 export const DEG_TO_RAD = Math.PI / 180;